@@ -0,0 +1,322 @@
+// course.js - Obstacle courses built around each spawn point
+// On an empty arena, distance fitness mostly rewards spinning off in any
+// direction. A course surrounds every creature's spawn point with the same
+// static obstacles - steps, low walls, gaps, a staircase - so getting
+// anywhere means getting over them.
+//
+// Courses are plain JSON, so they can be saved with a run and written by hand
+// for headless runs (--course my-course.json):
+//
+//   {
+//     "name": "Stairs",
+//     "description": "A staircase climbing away from the start",
+//     "obstacles": [
+//       { "type": "stairs", "distance": 3, "steps": 5, "rise": 0.2, "run": 1 }
+//     ]
+//   }
+//
+// Obstacle types (all lengths in world units, measured from the spawn point):
+//   step   - { distance, height, depth }         raised band from distance to distance + depth
+//   wall   - { distance, height, thickness }     thin band at distance
+//   gap    - { distance, height, width, depth }  start on a plateau, jump a gap of width to a landing band
+//   stairs - { distance, steps, rise, run }      bands each rise higher than the last
+//   box    - { x, z, width, depth, height }      a single block centred at (x, z)
+//
+// Bands are square rings around the spawn point, so they're in the way
+// whichever direction a creature heads off in. "sides" (any of "+x", "-x",
+// "+z", "-z") limits a band to some sides of the square.
+//
+// Obstacles stand on the terrain: each one's top is its height above the
+// highest ground under it. getGroundHeight() treats their tops as ground.
+
+// ============================================================================
+// COURSE CONSTANTS
+// ============================================================================
+
+// Everything must stay inside half the spawn grid spacing (see
+// computeSpawnLayout) so neighbouring courses don't overlap
+const COURSE_MAX_EXTENT = 9.5;
+const COURSE_SIDES = ['+x', '-x', '+z', '-z'];
+
+/**
+ * Built-in courses, in the JSON format above.
+ */
+const COURSE_PRESETS = {
+    'open': {
+        name: 'Open Arena',
+        description: 'No obstacles',
+        obstacles: []
+    },
+    'steps': {
+        name: 'Steps',
+        description: 'Step up onto a raised band, then back down off it',
+        obstacles: [
+            { type: 'step', distance: 3, height: 0.25, depth: 3 }
+        ]
+    },
+    'walls': {
+        name: 'Low Walls',
+        description: 'Two rings of low walls to climb over',
+        obstacles: [
+            { type: 'wall', distance: 3, height: 0.3, thickness: 0.3 },
+            { type: 'wall', distance: 6, height: 0.5, thickness: 0.3 }
+        ]
+    },
+    'gaps': {
+        name: 'Gaps',
+        description: 'Start on a plateau surrounded by a gap',
+        obstacles: [
+            { type: 'gap', distance: 3, height: 0.5, width: 0.8, depth: 4 }
+        ]
+    },
+    'stairs': {
+        name: 'Stairs',
+        description: 'A staircase climbing away from the start',
+        obstacles: [
+            { type: 'stairs', distance: 3, steps: 5, rise: 0.2, run: 1 }
+        ]
+    }
+};
+
+const COURSE_PRESET_NAMES = Object.keys(COURSE_PRESETS);
+
+// ============================================================================
+// COURSE CLASS
+// ============================================================================
+
+class Course {
+    /**
+     * @param {Object} definition - Course in the JSON format above
+     * @param {string} key - Preset key, or 'custom' for courses from a file
+     */
+    constructor(definition = COURSE_PRESETS.open, key = 'custom') {
+        this.key = key;
+        this.name = definition.name || 'Custom Course';
+        this.description = definition.description || '';
+        this.obstacles = [];
+
+        // Obstacles as axis-aligned boxes around a spawn point at (0, 0):
+        // {minX, maxX, minZ, maxZ, height}
+        this.boxes = [];
+        for (const obstacle of definition.obstacles || []) {
+            const boxes = this.buildObstacle(obstacle);
+            if (boxes.length === 0) continue;
+            this.obstacles.push({ ...obstacle });
+            this.boxes.push(...boxes);
+        }
+
+        // How far from the spawn point the course reaches
+        this.extent = 0;
+        for (const box of this.boxes) {
+            this.extent = Math.max(this.extent, -box.minX, box.maxX, -box.minZ, box.maxZ);
+        }
+        if (this.extent > COURSE_MAX_EXTENT) {
+            console.warn(`[COURSE] "${this.name}" reaches ${this.extent.toFixed(1)} from the start - neighbouring courses will overlap past ${COURSE_MAX_EXTENT}`);
+        }
+    }
+
+    /**
+     * Build a course from its preset key (unknown keys fall back to 'open').
+     * @param {string} key - Key of COURSE_PRESETS
+     * @returns {Course}
+     */
+    static fromPreset(key) {
+        if (!COURSE_PRESETS[key]) {
+            console.warn(`[COURSE] Unknown course: ${key}. Using 'open'.`);
+            key = 'open';
+        }
+        return new Course(COURSE_PRESETS[key], key);
+    }
+
+    /**
+     * Rebuild a course saved with toJSON().
+     * @param {Object} data - Saved course (null gives the open arena)
+     * @returns {Course}
+     */
+    static fromJSON(data) {
+        if (!data) return Course.fromPreset('open');
+        return new Course(data, data.key || 'custom');
+    }
+
+    toJSON() {
+        return {
+            key: this.key,
+            name: this.name,
+            description: this.description,
+            obstacles: this.obstacles.map(obstacle => ({ ...obstacle }))
+        };
+    }
+
+    isOpen() {
+        return this.boxes.length === 0;
+    }
+
+    /**
+     * Turn one obstacle into boxes. Anything malformed is skipped with a
+     * warning, so one bad entry in a hand-written course doesn't sink the run.
+     * @param {Object} obstacle - One entry of the course's obstacles list
+     * @returns {Array} Boxes around a spawn point at (0, 0)
+     */
+    buildObstacle(obstacle) {
+        const number = (name, fallback) => {
+            const value = obstacle[name] !== undefined ? parseFloat(obstacle[name]) : fallback;
+            return Number.isFinite(value) ? value : NaN;
+        };
+        const sides = Array.isArray(obstacle.sides) ? obstacle.sides.filter(s => COURSE_SIDES.includes(s)) : COURSE_SIDES;
+        let boxes = [];
+
+        switch (obstacle.type) {
+            case 'step': {
+                const distance = number('distance'), height = number('height'), depth = number('depth', 2);
+                boxes = this.buildBand(distance, distance + depth, height, sides);
+                break;
+            }
+
+            case 'wall': {
+                const distance = number('distance'), height = number('height'), thickness = number('thickness', 0.3);
+                boxes = this.buildBand(distance, distance + thickness, height, sides);
+                break;
+            }
+
+            case 'gap': {
+                const distance = number('distance'), height = number('height');
+                const width = number('width'), depth = number('depth', 2);
+                // No gap, no obstacle - an empty list is reported as malformed below
+                if (width > 0) {
+                    boxes.push({ minX: -distance, maxX: distance, minZ: -distance, maxZ: distance, height: height });
+                    boxes.push(...this.buildBand(distance + width, distance + width + depth, height, sides));
+                }
+                break;
+            }
+
+            case 'stairs': {
+                const distance = number('distance'), steps = Math.round(number('steps', 4));
+                const rise = number('rise'), run = number('run', 1);
+                for (let k = 0; k < steps; k++) {
+                    boxes.push(...this.buildBand(distance + k * run, distance + (k + 1) * run, (k + 1) * rise, sides));
+                }
+                break;
+            }
+
+            case 'box': {
+                const x = number('x', 0), z = number('z', 0), height = number('height');
+                const width = number('width', 1), depth = number('depth', 1);
+                boxes.push({ minX: x - width / 2, maxX: x + width / 2, minZ: z - depth / 2, maxZ: z + depth / 2, height: height });
+                break;
+            }
+
+            default:
+                console.warn(`[COURSE] Unknown obstacle type: ${obstacle.type}. Skipping it.`);
+                return [];
+        }
+
+        const valid = boxes.length > 0 && boxes.every(box =>
+            box.height > 0 && box.maxX > box.minX && box.maxZ > box.minZ &&
+            [box.minX, box.maxX, box.minZ, box.maxZ, box.height].every(Number.isFinite)
+        );
+        if (!valid) {
+            console.warn(`[COURSE] Bad ${obstacle.type} obstacle: ${JSON.stringify(obstacle)}. Skipping it.`);
+            return [];
+        }
+        return boxes;
+    }
+
+    /**
+     * A square ring between two distances from the spawn point. The X sides
+     * run the full length; the Z sides fit between them (or run the full
+     * length too, where an X side is missing).
+     */
+    buildBand(inner, outer, height, sides) {
+        if (!(inner >= 0) || !(outer > inner)) return [];
+        const boxes = [];
+        const hasPlusX = sides.includes('+x'), hasMinusX = sides.includes('-x');
+        if (hasPlusX) boxes.push({ minX: inner, maxX: outer, minZ: -outer, maxZ: outer, height: height });
+        if (hasMinusX) boxes.push({ minX: -outer, maxX: -inner, minZ: -outer, maxZ: outer, height: height });
+        const minX = hasMinusX ? -inner : -outer;
+        const maxX = hasPlusX ? inner : outer;
+        if (sides.includes('+z')) boxes.push({ minX: minX, maxX: maxX, minZ: inner, maxZ: outer, height: height });
+        if (sides.includes('-z')) boxes.push({ minX: minX, maxX: maxX, minZ: -outer, maxZ: -inner, height: height });
+        return boxes;
+    }
+
+    /**
+     * The course's boxes around one spawn point, in world space and standing
+     * on the terrain. Each box reaches below the ground plane, so it's solid
+     * however uneven the ground under it is.
+     *
+     * @param {number} laneX - Spawn point X
+     * @param {number} laneZ - Spawn point Z
+     * @param {Terrain|null} terrain - Terrain the course stands on
+     * @returns {Array} Boxes as {minX, maxX, minZ, maxZ, bottom, top}
+     */
+    getLaneBoxes(laneX, laneZ, terrain = null) {
+        return this.boxes.map(box => {
+            const minX = laneX + box.minX, maxX = laneX + box.maxX;
+            const minZ = laneZ + box.minZ, maxZ = laneZ + box.maxZ;
+            const base = terrain ? terrain.getMaxHeightIn(minX, minZ, maxX, maxZ) : 0;
+            return { minX, maxX, minZ, maxZ, bottom: -0.5, top: base + box.height };
+        });
+    }
+
+    getDescription() {
+        return this.isOpen() ? this.name : `${this.name} (${this.boxes.length} blocks per creature)`;
+    }
+}
+
+/**
+ * Top of the highest course block in a rectangle, or 0 where there's none.
+ *
+ * @param {Array} lanes - Lanes as built by buildCourseLanes
+ * @returns {number} Highest block top touching [minX, maxX] x [minZ, maxZ]
+ */
+function getCourseMaxHeightIn(lanes, minX, minZ, maxX, maxZ) {
+    let max = 0;
+    for (const lane of lanes) {
+        for (const box of lane.boxes) {
+            if (box.maxX < minX || box.minX > maxX || box.maxZ < minZ || box.minZ > maxZ) continue;
+            max = Math.max(max, box.top);
+        }
+    }
+    return max;
+}
+
+/**
+ * Lay a course out around every spawn point of a round.
+ *
+ * @param {Course} course - Course to lay out
+ * @param {Array} positions - Spawn points as [x, y, z]
+ * @param {Terrain|null} terrain - Terrain the course stands on
+ * @returns {Array} Lanes as {x, z, extent, boxes}
+ */
+function buildCourseLanes(course, positions, terrain = null) {
+    if (!course || course.isOpen()) return [];
+    return positions.map(position => ({
+        x: position[0],
+        z: position[2],
+        extent: course.extent,
+        boxes: course.getLaneBoxes(position[0], position[2], terrain)
+    }));
+}
+
+/**
+ * Height of the course under a world point in a physics world: the top of
+ * the block there, or 0 if there isn't one.
+ *
+ * @param {CANNON.World} world - World the point is in (may be null)
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number} Course height
+ */
+function getCourseHeight(world, x, z) {
+    if (!world || !world.courseLanes) return 0;
+    let height = 0;
+    for (const lane of world.courseLanes) {
+        if (Math.abs(x - lane.x) > lane.extent || Math.abs(z - lane.z) > lane.extent) continue;
+        for (const box of lane.boxes) {
+            if (x >= box.minX && x <= box.maxX && z >= box.minZ && z <= box.maxZ) {
+                height = Math.max(height, box.top);
+            }
+        }
+    }
+    return height;
+}
@@ -6,8 +6,8 @@
 //
 // All values are hexadecimal (00-FF range = 0-255):
 //   creatureSeed: 8 hex digits (00000000-FFFFFFFF)
-//   blockID:      2 hex digits (00-FF) - which block this is
-//   parentID:     2 hex digits (00-FF) - which block it attaches to
+//   blockID:      2 hex digits (00-FF) - which block this is (4 in wide form)
+//   parentID:     2 hex digits (00-FF) - which block it attaches to (4 in wide form)
 //   side:         1 digit      (0-5)   - which face of parent
 //   variation:    2 hex digits (00-FF) - movement variation seed
 //   color:        2 hex digits (00-FF) - color seed
@@ -16,6 +16,37 @@
 //
 // Example DNA: A85F3C01-00B00S0V00C12M34X00-01B00S1V2AC34M56X00
 //
+// Wide block format (DNA format v2, for creatures past 256 blocks):
+//   W[blockID]B[parentID]S[side]V[variation]C[color]M[material]X[special]
+//   The leading 'W' is the version marker; blockID and parentID are 4 hex digits
+//   (0000-FFFF). Only descriptors whose IDs don't fit in 2 digits use it, so
+//   every creature under 256 blocks keeps exactly the DNA it always had (and
+//   therefore the same movement seeds). Old strings without a 'W' parse as before.
+//   Example: W0100B00FFS2V11C22M33X00
+//
+// Shape gene (optional, after the special code):
+//   G[shape][sizeX][sizeY][sizeZ] - shape is 1 digit (0 box, 1 cylinder,
+//   2 sphere, 3 capsule), each size is 2 hex digits (80 = 1 unit, see
+//   BLOCK SHAPE GENES). Plain unit cubes leave it out, so DNA written before
+//   shapes existed still reads as cubes and keeps its movement seeds.
+//   Example: 01B00S3V2AC34M56X00G140E040 (a long thin cylinder leg hanging down)
+//
+// DNA extensions (optional, after the last block):
+//   ~[tag][data] - one-letter tag, then that extension's data
+//   ~N  neural controller genes (see neural-controller.js)
+//   ~P  proprioception - hex bitmask of the joint senses the creature has
+//       (see PROPRIOCEPTION_FLAGS: 1 = joint angle, 2 = joint velocity)
+//   ~S  sensor genes - one per block from block 0, dot-separated, empty for
+//       blocks without a sensor (see SENSOR PARAMETER GENES in influence-system.js)
+//   ~J  joint genes - one per block after block 0, dot-separated, empty for
+//       classic hinges (see JOINT GENES)
+//   ~F  signal genes - one per block after block 0, dot-separated, empty for
+//       joints whose pipelines are as drawn (see SIGNAL PIPELINE in influence-system.js)
+//   ~Y  symmetry genes - one per block after block 0, dot-separated, empty
+//       for blocks that aren't mirrored or repeated (see SYMMETRY GENES)
+//   Extensions never feed the movement seeds (getDNAForBlock only reads the
+//   blocks), so adding one doesn't change how the body's other genes play out.
+//
 // Special block types:
 //   00 = Normal block
 //   01 = Gravity sensor
@@ -24,7 +55,12 @@
 //   04 = Ground sensor
 //   05 = Rhythm/oscillator
 //   06 = Tilt sensor
-//   07-FF = Reserved for future types
+//   07 = Compass sensor
+//   08 = Tracking sensor
+//   09 = Touch sensor
+//   0A = Range finder
+//   0B = Target sensor
+//   0C-FF = Reserved for future types
 
 // ============================================================================
 // DNA HELPER FUNCTIONS
@@ -42,7 +78,10 @@ const SPECIAL_TYPE_CODES = {
     'rhythm': 5,
     'tilt': 6,
     'compass': 7,
-    'tracking': 8
+    'tracking': 8,
+    'touch': 9,
+    'range': 10,
+    'target': 11
 };
 
 /**
@@ -57,9 +96,45 @@ const SPECIAL_TYPE_NAMES = {
     5: 'rhythm',
     6: 'tilt',
     7: 'compass',
-    8: 'tracking'
+    8: 'tracking',
+    9: 'touch',
+    10: 'range',
+    11: 'target'
+};
+
+/**
+ * Bit of each proprioceptive sense in the DNA's ~P extension. Joint senses
+ * read every hinge rather than a sensor block, so they're one flag for the
+ * whole creature instead of a special code.
+ */
+const PROPRIOCEPTION_FLAGS = {
+    'jointAngle': 1,
+    'jointVelocity': 2
 };
 
+/**
+ * Encode a list of joint senses as the ~P extension's hex bitmask
+ * @param {string[]} senses - Proprioceptive type names
+ * @returns {string} Hex bitmask like '3'
+ */
+function proprioceptionToHex(senses) {
+    let flags = 0;
+    for (const sense of senses) {
+        flags |= PROPRIOCEPTION_FLAGS[sense] || 0;
+    }
+    return flags.toString(16).toUpperCase();
+}
+
+/**
+ * Decode the ~P extension's hex bitmask into joint senses
+ * @param {string} hex - Hex bitmask
+ * @returns {string[]} Proprioceptive type names, in PROPRIOCEPTION_FLAGS order
+ */
+function hexToProprioception(hex) {
+    const flags = parseInt(hex, 16) || 0;
+    return Object.keys(PROPRIOCEPTION_FLAGS).filter(sense => flags & PROPRIOCEPTION_FLAGS[sense]);
+}
+
 /**
  * Convert a number to uppercase hex with specified length
  * @param {number} num - The number to convert (0-255 for 2 digits, larger for more)
@@ -101,29 +176,85 @@ function dnaToSeed(dnaString) {
     return seed >>> 0;
 }
 
+// Separates the block list from each DNA extension
+const DNA_EXTENSION_SEPARATOR = '~';
+
+/**
+ * Split a DNA string into its block list and its extensions
+ * @param {string} dna - Full DNA string
+ * @returns {Object} {body, extensions: {tag: data}} - body is seed + blocks only
+ */
+function splitDNA(dna) {
+    const sections = (dna || '').split(DNA_EXTENSION_SEPARATOR);
+    const extensions = {};
+    for (let i = 1; i < sections.length; i++) {
+        if (sections[i].length > 0) {
+            extensions[sections[i][0]] = sections[i].slice(1);
+        }
+    }
+    return { body: sections[0], extensions };
+}
+
+/**
+ * Get just the seed + block list part of a DNA string
+ * @param {string} dna - Full DNA string
+ * @returns {string} DNA without extensions
+ */
+function getBodyDNA(dna) {
+    return splitDNA(dna).body;
+}
+
+/**
+ * Largest block/parent ID the classic 2-hex-digit descriptor can hold.
+ * Past this, createBlockDescriptor switches to the 'W' (wide, format v2) form.
+ */
+const DNA_NARROW_ID_MAX = 0xFF;
+
+/**
+ * Largest block/parent ID the wide descriptor can hold (4 hex digits)
+ */
+const DNA_WIDE_ID_MAX = 0xFFFF;
+
 /**
  * Create a block descriptor string in hex format
- * @param {number} blockId - Block index (0-255)
- * @param {number} parentId - Parent block index (0-255)
+ * IDs up to 255 use the classic 2-digit form; bigger IDs get the wide form
+ * ("W" marker + 4-digit IDs) so old creatures' DNA never changes.
+ *
+ * @param {number} blockId - Block index (0-65535)
+ * @param {number} parentId - Parent block index (0-65535)
  * @param {number} side - Face of parent (0-5)
  * @param {number} variation - Movement variation (0-255)
  * @param {number} colorSeed - Color seed (0-255)
  * @param {number} materialSeed - Material seed (0-255)
  * @param {number} specialCode - Special block type code (0-255)
- * @returns {string} Block descriptor like "01B00S1V2AC34M56X00"
+ * @param {string|null} shapeGene - Shape gene (null or empty for a unit cube)
+ * @returns {string} Block descriptor like "01B00S1V2AC34M56X00" (or "W0100B00FFS1V2AC34M56X00")
  */
-function createBlockDescriptor(blockId, parentId, side, variation, colorSeed, materialSeed, specialCode) {
-    return `${toHex(blockId, 2)}B${toHex(parentId, 2)}S${side}V${toHex(variation, 2)}C${toHex(colorSeed, 2)}M${toHex(materialSeed, 2)}X${toHex(specialCode, 2)}`;
+function createBlockDescriptor(blockId, parentId, side, variation, colorSeed, materialSeed, specialCode, shapeGene = null) {
+    let genes = `S${side}V${toHex(variation, 2)}C${toHex(colorSeed, 2)}M${toHex(materialSeed, 2)}X${toHex(specialCode, 2)}`;
+    if (shapeGene) {
+        genes += `G${shapeGene}`;
+    }
+    if (blockId > DNA_NARROW_ID_MAX || parentId > DNA_NARROW_ID_MAX) {
+        if (blockId > DNA_WIDE_ID_MAX || parentId > DNA_WIDE_ID_MAX) {
+            console.error(`[DNA] Block ID ${blockId} doesn't fit in the DNA format`);
+        }
+        return `W${toHex(blockId, 4)}B${toHex(parentId, 4)}${genes}`;
+    }
+    return `${toHex(blockId, 2)}B${toHex(parentId, 2)}${genes}`;
 }
 
 /**
  * Parse a block descriptor string into its components
  * @param {string} descriptor - Block descriptor string (hex format)
- * @returns {Object} Parsed components {blockId, parentId, side, variation, colorSeed, materialSeed, specialCode}
+ * @returns {Object} Parsed components {blockId, parentId, side, variation, colorSeed, materialSeed, specialCode, shapeGene}
  */
 function parseBlockDescriptor(descriptor) {
-    // Format: 01B00S1V2AC34M56X00 (hex values)
-    const match = descriptor.match(/([0-9A-Fa-f]{2})B([0-9A-Fa-f]{2})S(\d)V([0-9A-Fa-f]{2})C([0-9A-Fa-f]{2})M([0-9A-Fa-f]{2})X([0-9A-Fa-f]{2})/);
+    // Wide format (v2): W0100B00FFS1V2AC34M56X00 - checked first, it's the only one with a marker
+    // Classic format:   01B00S1V2AC34M56X00 (hex values)
+    // Either may end with a shape gene: ...X00G140E040
+    const match = descriptor.match(/^W([0-9A-Fa-f]{4})B([0-9A-Fa-f]{4})S(\d)V([0-9A-Fa-f]{2})C([0-9A-Fa-f]{2})M([0-9A-Fa-f]{2})X([0-9A-Fa-f]{2})(?:G([0-3][0-9A-Fa-f]{6}))?/) ||
+                  descriptor.match(/([0-9A-Fa-f]{2})B([0-9A-Fa-f]{2})S(\d)V([0-9A-Fa-f]{2})C([0-9A-Fa-f]{2})M([0-9A-Fa-f]{2})X([0-9A-Fa-f]{2})(?:G([0-3][0-9A-Fa-f]{6}))?/);
     if (!match) {
         console.error('Invalid block descriptor:', descriptor);
         return null;
@@ -136,17 +267,26 @@ function parseBlockDescriptor(descriptor) {
         variation: fromHex(match[4]),
         colorSeed: fromHex(match[5]),
         materialSeed: fromHex(match[6]),
-        specialCode: fromHex(match[7])
+        specialCode: fromHex(match[7]),
+        shapeGene: match[8] ? match[8].toUpperCase() : null
     };
 }
 
 /**
  * Parse a full DNA string into creature seed and block descriptors
+ * Neural controller genes (~N) are attached to their blocks' descriptors as
+ * neuralGene (block 0 has no joint, so its neuralGene is just '').
+ * Joint senses (~P) ride on block 0's descriptor as proprioception, so
+ * edits that keep the root keep the senses. Sensor genes (~S) are attached
+ * to their blocks' descriptors as sensorGene, so they travel with the block,
+ * and joint genes (~J), signal genes (~F) and symmetry genes (~Y) likewise as
+ * jointGene, signalGene and symmetryGene.
  * @param {string} dna - Full DNA string
  * @returns {Object} {creatureSeed, blockDescriptors: [...parsed blocks]}
  */
 function parseDNA(dna) {
-    const parts = dna.split('-');
+    const { body, extensions } = splitDNA(dna);
+    const parts = body.split('-');
     const creatureSeed = fromHex(parts[0]);
     const blockDescriptors = [];
     
@@ -157,9 +297,86 @@ function parseDNA(dna) {
         }
     }
     
+    if (extensions.N !== undefined) {
+        const genes = extensions.N.split('.');
+        blockDescriptors.forEach((d, i) => {
+            d.neuralGene = i === 0 ? '' : (genes[i - 1] || '');
+        });
+    }
+    
+    if (extensions.P !== undefined && blockDescriptors.length > 0) {
+        blockDescriptors[0].proprioception = hexToProprioception(extensions.P);
+    }
+    
+    if (extensions.S !== undefined) {
+        const genes = extensions.S.split('.');
+        blockDescriptors.forEach((d, i) => {
+            d.sensorGene = genes[i] || '';
+        });
+    }
+    
+    if (extensions.J !== undefined) {
+        const genes = extensions.J.split('.');
+        blockDescriptors.forEach((d, i) => {
+            d.jointGene = i === 0 ? '' : (genes[i - 1] || '');
+        });
+    }
+    
+    if (extensions.F !== undefined) {
+        const genes = extensions.F.split('.');
+        blockDescriptors.forEach((d, i) => {
+            d.signalGene = i === 0 ? '' : (genes[i - 1] || '');
+        });
+    }
+    
+    if (extensions.Y !== undefined) {
+        const genes = extensions.Y.split('.');
+        blockDescriptors.forEach((d, i) => {
+            d.symmetryGene = i === 0 ? '' : (genes[i - 1] || '');
+        });
+    }
+    
     return { creatureSeed, blockDescriptors };
 }
 
+/**
+ * Assemble a full DNA string from a creature seed and parsed block descriptors
+ * (the inverse of parseDNA). Block 0's descriptor decides the controller: if
+ * it has a neuralGene the ~N extension is written, and blocks without a gene
+ * get an empty one (fromDNA fills those in from the block's DNA). Block 0's
+ * proprioception, if any, is written as the ~P extension, any sensor
+ * genes as the ~S extension, any joint genes as ~J, any signal genes as ~F
+ * and any symmetry genes as ~Y.
+ * @param {number} creatureSeed - Creature seed
+ * @param {Object[]} blockDescriptors - Parsed descriptors, in block order
+ * @returns {string} Full DNA string
+ */
+function buildDNAString(creatureSeed, blockDescriptors) {
+    let dna = toHex(creatureSeed, 8);
+    for (const d of blockDescriptors) {
+        dna += '-' + createBlockDescriptor(d.blockId, d.parentId, d.side, d.variation, d.colorSeed, d.materialSeed, d.specialCode, d.shapeGene);
+    }
+    if (blockDescriptors.length > 0 && blockDescriptors[0].neuralGene !== undefined) {
+        dna += DNA_EXTENSION_SEPARATOR + 'N' + blockDescriptors.slice(1).map(d => d.neuralGene || '').join('.');
+    }
+    if (blockDescriptors.length > 0 && blockDescriptors[0].proprioception && blockDescriptors[0].proprioception.length > 0) {
+        dna += DNA_EXTENSION_SEPARATOR + 'P' + proprioceptionToHex(blockDescriptors[0].proprioception);
+    }
+    if (blockDescriptors.some(d => d.sensorGene)) {
+        dna += DNA_EXTENSION_SEPARATOR + 'S' + blockDescriptors.map(d => d.sensorGene || '').join('.');
+    }
+    if (blockDescriptors.slice(1).some(d => d.jointGene)) {
+        dna += DNA_EXTENSION_SEPARATOR + 'J' + blockDescriptors.slice(1).map(d => d.jointGene || '').join('.');
+    }
+    if (blockDescriptors.slice(1).some(d => d.signalGene)) {
+        dna += DNA_EXTENSION_SEPARATOR + 'F' + blockDescriptors.slice(1).map(d => d.signalGene || '').join('.');
+    }
+    if (blockDescriptors.slice(1).some(d => d.symmetryGene)) {
+        dna += DNA_EXTENSION_SEPARATOR + 'Y' + blockDescriptors.slice(1).map(d => d.symmetryGene || '').join('.');
+    }
+    return dna;
+}
+
 /**
  * Get the DNA substring for generating a specific block's movement
  * This includes all blocks up to and including the target block
@@ -169,7 +386,7 @@ function parseDNA(dna) {
  * @returns {string} DNA substring for this block's seed
  */
 function getDNAForBlock(fullDNA, blockIndex) {
-    const parts = fullDNA.split('-');
+    const parts = getBodyDNA(fullDNA).split('-');
     // Include creature seed + all blocks up to and including blockIndex
     // blockIndex 0 = parts[0] (seed) + parts[1] (block 0)
     // blockIndex 1 = parts[0] + parts[1] + parts[2]
@@ -200,12 +417,78 @@ class SeededRandom {
     }
 }
 
+/**
+ * Random number generator for a whole evolution run (the "run seed").
+ * SeededRandom above can't be changed without changing every creature's DNA,
+ * and its LCG only has 233280 states - two run seeds that differ by a
+ * multiple of that would replay the same experiment. This one (mulberry32)
+ * uses the full 32-bit seed and its state is a single number, so it can be
+ * written to a save file and resumed mid-run.
+ */
+class RunRandom {
+    /**
+     * @param {number} seed - 32-bit run seed
+     */
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    randomInt(min, max) {
+        return Math.floor(this.random() * (max - min)) + min;
+    }
+
+    randomFloat(min, max) {
+        return this.random() * (max - min) + min;
+    }
+
+    /**
+     * Draw a seed for a SeededRandom / generateFromSeed call.
+     * Same 0-999999 range the old Math.random() seeds used.
+     * @returns {number} Integer seed
+     */
+    nextSeed() {
+        return this.randomInt(0, 1000000);
+    }
+
+    /**
+     * Pick a fresh run seed when the user didn't enter one.
+     * This is the only place a run touches Math.random().
+     * @returns {number} 32-bit seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+}
+
 
 // ============================================================================
 // JOINT ACTION CLASS
 // ============================================================================
 
+// Joint action durations used to be counted in animation frames, which made a
+// gait depend on the monitor's refresh rate. They're now simulated seconds.
+// Old saves (and the DNA draws, so existing creatures keep their gait) are
+// converted assuming the 60 fps those frame counts were tuned for.
+const LEGACY_ACTION_FRAME_RATE = 60;
+
+// Tolerance when comparing an accumulated timer with a duration, so adding
+// 1/60 ten times still counts as 10/60 seconds
+const JOINT_TIMER_EPSILON = 1e-9;
+
 class JointAction {
+    /**
+     * @param {number} duration - How long the action lasts (simulated seconds)
+     * @param {number} rotationSpeed - Rotation per physics step
+     * @param {number} direction - 1=clockwise, -1=counter-clockwise, 0=static
+     */
     constructor(duration, rotationSpeed, direction) {
         this.duration = duration;
         this.rotationSpeed = rotationSpeed;
@@ -219,18 +502,174 @@ class JointAction {
     // Convert to plain object for JSON serialization
     toJSON() {
         return {
-            duration: this.duration,
+            durationSeconds: this.duration,
             rotationSpeed: this.rotationSpeed,
             direction: this.direction
         };
     }
     
     // Create a JointAction from a plain object
+    // Saves from before durationSeconds stored the duration in frames
     static fromJSON(data) {
-        return new JointAction(data.duration, data.rotationSpeed, data.direction);
+        const duration = data.durationSeconds !== undefined
+            ? data.durationSeconds
+            : data.duration / LEGACY_ACTION_FRAME_RATE;
+        return new JointAction(duration, data.rotationSpeed, data.direction);
+    }
+}
+
+
+// ============================================================================
+// JOINT GENES
+// ============================================================================
+// A joint's gene lives in the DNA extension "~J", one per block after block 0
+// (like ~N), dot-separated. An empty gene is the classic joint: a hinge that
+// turns about the face it's attached by, with no limits and a motor strength
+// of 50. Otherwise the gene is a type digit followed by one byte per field:
+//
+//   type      0 hinge (turns about the face normal), 1 swing hinge (turns
+//             about an axis lying in the face), 2 ball and socket, 3 fixed
+//   strength  motor max force, 12.5 to 200 (80 = 50)
+//   lower     hinge lower limit, -180 to +180 degrees
+//   upper     hinge upper limit - 00 and FF together mean no limits
+//   axis      which way in the face a swing hinge's axis (or a ball's first
+//             motor) points, 0 to 180 degrees
+//   lag       how far a ball joint's second motor trails its first, 0.05 - 1 s
+//
+// Every field is kept whatever the type, so a mutation that changes the type
+// and back again loses nothing.
+
+// Type digit -> joint type
+const JOINT_TYPES = ['hinge', 'swing', 'ball', 'fixed'];
+
+// Fields after the type digit
+const JOINT_GENE_FIELDS = ['strength', 'lower', 'upper', 'axis', 'lag'];
+
+const JOINT_GENE_NEUTRAL = 0x80;
+const JOINT_DEFAULT_STRENGTH = 50;     // Motor max force of the classic joint
+const JOINT_STRENGTH_OCTAVES = 2;      // 00 -> 12.5, 80 -> 50, FF -> ~200
+const JOINT_LAG_MIN = 0.05;            // Seconds
+const JOINT_LAG_MAX = 1.0;
+
+// Chance that a new block's joint gets a gene rather than staying classic
+const JOINT_GENE_CHANCE = 0.5;
+
+// Mutation: each byte has JOINT_GENE_MUTATION_RATE chance of moving by up to
+// JOINT_GENE_MUTATION_STEP, and the type changes with JOINT_TYPE_MUTATION_CHANCE
+const JOINT_GENE_MUTATION_RATE = 0.1;
+const JOINT_GENE_MUTATION_STEP = 32;
+const JOINT_TYPE_MUTATION_CHANCE = 0.05;
+
+// Whether joints get genes. Set by EvolutionManager.setJointTypes - off,
+// every joint is a classic hinge and runs draw exactly the random numbers
+// they always did.
+const JointGeneConfig = {
+    evolve: false
+};
+
+/**
+ * Decode a joint gene
+ * @param {string|null} gene - Joint gene (null or empty = classic hinge)
+ * @returns {Object} {type, strength, limits: {lower, upper}|null, axisAngle, lag}
+ */
+function decodeJointGene(gene) {
+    if (!gene) {
+        return { type: 'hinge', strength: JOINT_DEFAULT_STRENGTH, limits: null, axisAngle: 0, lag: JOINT_LAG_MIN };
+    }
+    
+    const bytes = JOINT_GENE_FIELDS.map((field, i) => {
+        const pair = gene.slice(1 + i * 2, 3 + i * 2);
+        return pair.length === 2 ? fromHex(pair) : JOINT_GENE_NEUTRAL;
+    });
+    const angle = (b) => (b / 255 * 2 - 1) * Math.PI;
+    
+    let limits = null;
+    if (bytes[1] !== 0x00 || bytes[2] !== 0xFF) {
+        const a = angle(bytes[1]);
+        const b = angle(bytes[2]);
+        limits = { lower: Math.min(a, b), upper: Math.max(a, b) };
+    }
+    
+    return {
+        type: JOINT_TYPES[parseInt(gene[0])] || 'hinge',
+        strength: JOINT_DEFAULT_STRENGTH * Math.pow(2, (bytes[0] - JOINT_GENE_NEUTRAL) / JOINT_GENE_NEUTRAL * JOINT_STRENGTH_OCTAVES),
+        limits: limits,
+        axisAngle: bytes[3] / 256 * Math.PI,
+        lag: JOINT_LAG_MIN + bytes[4] / 255 * (JOINT_LAG_MAX - JOINT_LAG_MIN)
+    };
+}
+
+/**
+ * Draw a joint gene for a new block. Half of new joints stay classic hinges,
+ * and half of the new hinges have no limits.
+ * @param {SeededRandom|RunRandom} rng - Random source
+ * @returns {string|null} Joint gene, or null for a classic hinge
+ */
+function generateJointGene(rng) {
+    if (rng.random() >= JOINT_GENE_CHANCE) {
+        return null;
+    }
+    const type = rng.randomInt(0, JOINT_TYPES.length);
+    const bytes = JOINT_GENE_FIELDS.map(() => rng.randomInt(0, 256));
+    if (rng.random() < 0.5) {
+        bytes[1] = 0x00;
+        bytes[2] = 0xFF;
     }
+    return `${type}${bytes.map(b => toHex(b, 2)).join('')}`;
 }
 
+/**
+ * Mutate a joint gene. A classic joint is first written out as its full gene
+ * (hinge, strength 80, no limits), so it can start drifting too.
+ * @param {string|null} gene - Joint gene (null = classic hinge)
+ * @param {SeededRandom|RunRandom} rng - Random source
+ * @param {number} rate - Per-byte mutation probability (0-1)
+ * @returns {string|null} Mutated gene (a classic joint that didn't change stays null)
+ */
+function mutateJointGene(gene, rng, rate = JOINT_GENE_MUTATION_RATE) {
+    const full = gene || '080' + '00FF' + '0000';
+    let type = parseInt(full[0]);
+    const bytes = JOINT_GENE_FIELDS.map((field, i) => fromHex(full.slice(1 + i * 2, 3 + i * 2)));
+    
+    let changed = false;
+    
+    if (rng.random() < JOINT_TYPE_MUTATION_CHANCE) {
+        type = (type + rng.randomInt(1, JOINT_TYPES.length)) % JOINT_TYPES.length;
+        changed = true;
+    }
+    for (let i = 0; i < bytes.length; i++) {
+        if (rng.random() < rate) {
+            const delta = rng.randomInt(-JOINT_GENE_MUTATION_STEP, JOINT_GENE_MUTATION_STEP + 1);
+            bytes[i] = Math.max(0, Math.min(255, bytes[i] + delta));
+            changed = true;
+        }
+    }
+    return changed ? `${type}${bytes.map(b => toHex(b, 2)).join('')}` : gene;
+}
+
+/**
+ * Work out a joint's motor axes, in block A's frame. The first is the hinge
+ * axis (or a ball joint's first motor); the second is only used by ball
+ * joints and lies in the face at right angles to the first.
+ * @param {string} faceAxis - Axis of the face the block is attached by ('x', 'y' or 'z')
+ * @param {Object} params - Decoded joint gene
+ * @returns {number[][]} Two unit vectors [[x, y, z], [x, y, z]]
+ */
+function getJointAxes(faceAxis, params) {
+    const normal = ['x', 'y', 'z'].indexOf(faceAxis);
+    const unit = (i) => [0, 1, 2].map(k => k === i ? 1 : 0);
+    const u = unit((normal + 1) % 3);
+    const v = unit((normal + 2) % 3);
+    const c = Math.cos(params.axisAngle);
+    const s = Math.sin(params.axisAngle);
+    const inFace = [0, 1, 2].map(k => c * u[k] + s * v[k]);
+    const across = [0, 1, 2].map(k => -s * u[k] + c * v[k]);
+    
+    if (params.type === 'hinge' || params.type === 'fixed') {
+        return [unit(normal), across];
+    }
+    return [inFace, across];
+}
 
 // ============================================================================
 // JOINT CLASS
@@ -245,38 +684,68 @@ class Joint {
         this.faceA = faceA; // Which face of block A is connected (0-5)
         this.faceB = faceB; // Which face of block B is connected (0-5)
         this.currentActionIndex = 0;
-        this.actionTimer = 0;
+        this.actionTimer = 0;      // Simulated seconds into the current action
         this.currentAngle = 0;
         this.feedbackMultiplier = 1.0;
         this.constraint = null;
         // Influence response weights: {channelName: weight} where weight is -1 to +1
         // Determines how much this joint's movement is affected by each influence channel
         this.influenceResponses = {};
+        // Signal pipeline state per channel, and the last processed values (for the UI)
+        this.signalState = {};
+        this.processedInfluences = {};
+        // Mirror copies reflect their source's motion (per-axis signs, null = not
+        // reflected), and copies start their action cycle this far through (0-1)
+        this.reflect = null;
+        this.phase = 0;
+        // Joint type, strength and limits from the block's joint gene (see JOINT GENES)
+        this.setJointGene(null);
+        // Recent motor commands - a ball joint's second motor replays them after a lag
+        this.motorHistory = [];
+    }
+    
+    /**
+     * Apply a joint gene: sets the joint's type, strength, limits and motor axes
+     * @param {string|null} gene - Joint gene (null = classic hinge)
+     */
+    setJointGene(gene) {
+        this.params = decodeJointGene(gene);
+        this.motorAxes = getJointAxes(this.axis, this.params);
+        if (this.reflect) {
+            this.motorAxes = reflectJointAxes(this.motorAxes, this.reflect);
+        }
     }
     
     /**
-     * Update joint state and calculate rotation delta
+     * Update joint state and calculate rotation delta.
+     * Called once per fixed physics step, so timing only depends on simulated
+     * time - never on the frame rate.
+     * 
      * @param {Object} influences - Current influence values {channelName: value}
-     * @returns {number} Rotation delta for this frame
+     * @param {number} deltaTime - Simulated seconds since the last update (one physics step)
+     * @returns {number} Rotation delta for this step
      */
-    update(influences = null) {
+    update(influences = null, deltaTime = 1 / LEGACY_ACTION_FRAME_RATE) {
         if (this.actions.length === 0) return 0;
         
         const action = this.actions[this.currentActionIndex];
-        this.actionTimer++;
+        this.actionTimer += deltaTime;
         
         // Calculate base rotation
         let rotationDelta = action.rotationSpeed * action.direction * this.feedbackMultiplier;
         
-        // Apply influence modulation if influences provided and joint has responses
+        // Apply influence modulation if influences provided and joint has responses,
+        // after running each response's signal pipeline (if it has one)
         if (influences && Object.keys(this.influenceResponses).length > 0) {
-            rotationDelta = applyInfluenceModulation(rotationDelta, influences, this.influenceResponses);
+            const inputs = processInfluenceSignals(this.influenceResponses, influences,
+                this.signalState, deltaTime, this.processedInfluences);
+            rotationDelta = applyInfluenceModulation(rotationDelta, inputs, this.influenceResponses);
         }
         
         this.currentAngle += rotationDelta;
         
         // Advance to next action when timer expires
-        if (this.actionTimer >= action.duration) {
+        if (this.actionTimer >= action.duration - JOINT_TIMER_EPSILON) {
             this.actionTimer = 0;
             this.currentActionIndex = (this.currentActionIndex + 1) % this.actions.length;
         }
@@ -284,6 +753,54 @@ class Joint {
         return rotationDelta;
     }
     
+    /**
+     * Drive the joint from a controller instead of its action list
+     * (neural controller). Collision feedback still applies.
+     * 
+     * @param {number} speed - Rotation per step requested by the controller
+     * @returns {number} Rotation delta for this step
+     */
+    updateFromController(speed) {
+        const rotationDelta = speed * this.feedbackMultiplier;
+        this.currentAngle += rotationDelta;
+        return rotationDelta;
+    }
+    
+    /**
+     * Rewind the joint to the start of its action cycle.
+     * Called before every round so a creature's motion never depends on what
+     * it did in an earlier round (e.g. a defending champion).
+     */
+    resetState() {
+        this.currentActionIndex = 0;
+        this.actionTimer = 0;      // Simulated seconds into the current action
+        if (this.phase > 0) {
+            this.skipToPhase(this.phase);
+        }
+        this.currentAngle = 0;
+        this.feedbackMultiplier = 1.0;
+        this.signalState = {};
+        this.processedInfluences = {};
+        this.motorHistory = [];
+    }
+    
+    /**
+     * Move the action cycle's start point part way through the cycle
+     * @param {number} phase - Fraction of the whole cycle (0-1)
+     */
+    skipToPhase(phase) {
+        const cycle = this.actions.reduce((sum, action) => sum + action.duration, 0);
+        let time = (phase % 1) * cycle;
+        for (let i = 0; i < this.actions.length; i++) {
+            if (time < this.actions[i].duration) {
+                this.currentActionIndex = i;
+                this.actionTimer = time;
+                return;
+            }
+            time -= this.actions[i].duration;
+        }
+    }
+    
     /**
      * Handle collision feedback - reduce movement when stuck
      * @param {boolean} hasCollision - Whether this joint's blocks are colliding
@@ -305,6 +822,10 @@ class Joint {
         const joint = new Joint(this.blockIndexA, this.blockIndexB, this.axis, clonedActions, this.faceA, this.faceB);
         // Deep copy influence responses
         joint.influenceResponses = { ...this.influenceResponses };
+        joint.reflect = this.reflect;
+        joint.phase = this.phase;
+        joint.params = this.params;
+        joint.motorAxes = this.motorAxes;
         return joint;
     }
     
@@ -340,9 +861,275 @@ const MATERIAL_TYPES = [
     'metal', 'plastic', 'ceramic', 'wood', 'glass', 'emissive', 'rubber', 'crystal'
 ];
 
+// Material properties - the one table both the physics and the renderer read.
+// Lives here (not in visual-effects.js) so headless evaluation can use it without Three.js.
+//   mass         mass multiplier (per unit of block volume)
+//   friction     friction against the ground
+//   restitution  bounciness against the ground
+//   stiffness    contact stiffness - stiff materials barely sink into what they hit
+//   shininess, specular, opacity - how VisualEffects.createBlockMaterial draws it
+//     (shininess null = matte Lambert material)
+// Two blocks touching combine their values (see createMaterialContacts in
+// headless-evaluator.js).
+const MATERIAL_PROPERTIES = {
+    'metal':    { mass: 1.8, friction: 0.35, restitution: 0.10, stiffness: 5e7, shininess: 100,  specular: 0x888888, opacity: 1.0 },
+    'plastic':  { mass: 1.0, friction: 0.40, restitution: 0.30, stiffness: 1e7, shininess: 50,   specular: 0x444444, opacity: 1.0 },
+    'ceramic':  { mass: 1.4, friction: 0.50, restitution: 0.15, stiffness: 3e7, shininess: 20,   specular: 0x222222, opacity: 1.0 },
+    'wood':     { mass: 0.7, friction: 0.60, restitution: 0.25, stiffness: 1e7, shininess: null, specular: null,     opacity: 1.0 },
+    'glass':    { mass: 0.9, friction: 0.10, restitution: 0.20, stiffness: 3e7, shininess: 100,  specular: 0xffffff, opacity: 0.6 },
+    'emissive': { mass: 0.6, friction: 0.40, restitution: 0.30, stiffness: 1e7, shininess: 30,   specular: 0x333333, opacity: 1.0 },
+    'rubber':   { mass: 0.8, friction: 1.00, restitution: 0.60, stiffness: 5e6, shininess: null, specular: null,     opacity: 1.0 },
+    'crystal':  { mass: 1.2, friction: 0.20, restitution: 0.20, stiffness: 3e7, shininess: 150,  specular: 0xffffff, opacity: 0.85 }
+};
+
+/**
+ * Get the property table entry for a block material
+ * @param {string} materialType - One of MATERIAL_TYPES
+ * @returns {Object} Properties (plastic's for unknown materials)
+ */
+function getMaterialProperties(materialType) {
+    return MATERIAL_PROPERTIES[materialType] || MATERIAL_PROPERTIES['plastic'];
+}
+
+/**
+ * Get the physics mass for a block material
+ * @param {string} materialType - One of MATERIAL_TYPES
+ * @returns {number} Mass (1.0 for unknown materials)
+ */
+function getMaterialMass(materialType) {
+    return getMaterialProperties(materialType).mass;
+}
+
+// ============================================================================
+// BLOCK SHAPE GENES
+// ============================================================================
+// A block's shape gene is the optional "G" field of its descriptor: one digit
+// for the shape, then one byte per axis for its size. Sizes are exponential
+// so 80 is exactly one unit and a step of the byte scales every size alike.
+// The result is always the block's bounding box - round shapes even out the
+// axes they need to (a sphere is as wide as it is tall), so attachment faces,
+// pivots and overlap tests can keep working with boxes.
+//
+// Cylinders and capsules lie along the axis the block hangs from its parent
+// (the root block stands upright), so a leg grown under the body is a pillar
+// and an arm grown sideways points away from the body.
+
+// Shape digit -> shape name
+const BLOCK_SHAPES = ['box', 'cylinder', 'sphere', 'capsule'];
+
+// Size byte that decodes to one unit
+const BLOCK_SIZE_NEUTRAL = 0x80;
+
+// Octaves either side of one unit: 00 -> 0.35, 80 -> 1.0, FF -> 2.8
+const BLOCK_SIZE_OCTAVES = 1.5;
+
+// Chance that a new block gets a shape gene rather than staying a unit cube
+const BLOCK_SHAPE_GENE_CHANCE = 0.5;
+
+// Largest change a shape mutation makes to one size byte
+const BLOCK_SIZE_MUTATION_STEP = 32;
+
+// Whether new blocks draw shape genes. Set by EvolutionManager.setBlockShapes -
+// off, every block is a unit cube and runs draw exactly the random numbers
+// they always did.
+const BlockShapeConfig = {
+    evolve: false
+};
+
+/**
+ * Decode a size byte into a length
+ * @param {number} b - Size byte (0-255)
+ * @returns {number} Length in units
+ */
+function blockSizeFromByte(b) {
+    return Math.pow(2, (b - BLOCK_SIZE_NEUTRAL) / BLOCK_SIZE_NEUTRAL * BLOCK_SIZE_OCTAVES);
+}
+
+/**
+ * Decode a shape gene
+ * @param {string|null} gene - Shape gene like '140E040' (null or empty = unit cube)
+ * @param {number} axis - Long axis for cylinders and capsules (0 = x, 1 = y, 2 = z)
+ * @returns {Object} {shape, size: [x, y, z]} - size is the bounding box
+ */
+function decodeBlockShapeGene(gene, axis = 1) {
+    if (!gene) {
+        return { shape: 'box', size: [1, 1, 1] };
+    }
+    
+    const shape = BLOCK_SHAPES[parseInt(gene[0])] || 'box';
+    const size = [1, 2, 3].map(i => blockSizeFromByte(fromHex(gene.slice(i * 2 - 1, i * 2 + 1))));
+    
+    if (shape === 'sphere') {
+        const diameter = (size[0] + size[1] + size[2]) / 3;
+        return { shape, size: [diameter, diameter, diameter] };
+    }
+    if (shape === 'cylinder' || shape === 'capsule') {
+        const others = [0, 1, 2].filter(i => i !== axis);
+        const diameter = (size[others[0]] + size[others[1]]) / 2;
+        for (const i of others) size[i] = diameter;
+        // A capsule is never shorter than its two end caps
+        if (shape === 'capsule') size[axis] = Math.max(size[axis], diameter);
+    }
+    return { shape, size };
+}
+
+/**
+ * Write a shape and its size bytes as a gene. A unit cube has no gene.
+ * @param {number} shapeCode - Index into BLOCK_SHAPES
+ * @param {number[]} sizeBytes - One byte per axis
+ * @returns {string|null} Shape gene, or null for a unit cube
+ */
+function encodeBlockShapeGene(shapeCode, sizeBytes) {
+    if (shapeCode === 0 && sizeBytes.every(b => b === BLOCK_SIZE_NEUTRAL)) {
+        return null;
+    }
+    return `${shapeCode}${sizeBytes.map(b => toHex(b, 2)).join('')}`;
+}
+
+/**
+ * Read a shape gene back into its shape code and size bytes
+ * @param {string|null} gene - Shape gene (null = unit cube)
+ * @returns {Object} {shapeCode, sizeBytes}
+ */
+function parseBlockShapeGene(gene) {
+    if (!gene) {
+        return { shapeCode: 0, sizeBytes: [BLOCK_SIZE_NEUTRAL, BLOCK_SIZE_NEUTRAL, BLOCK_SIZE_NEUTRAL] };
+    }
+    return {
+        shapeCode: parseInt(gene[0]),
+        sizeBytes: [1, 3, 5].map(i => fromHex(gene.slice(i, i + 2)))
+    };
+}
+
+/**
+ * Draw a shape gene for a new block. Half of new blocks stay unit cubes.
+ * @param {SeededRandom|RunRandom} rng - Random source
+ * @returns {string|null} Shape gene, or null for a unit cube
+ */
+function generateBlockShapeGene(rng) {
+    if (rng.random() >= BLOCK_SHAPE_GENE_CHANCE) {
+        return null;
+    }
+    const shapeCode = rng.randomInt(0, BLOCK_SHAPES.length);
+    const sizeBytes = [rng.randomInt(0, 256), rng.randomInt(0, 256), rng.randomInt(0, 256)];
+    return encodeBlockShapeGene(shapeCode, sizeBytes);
+}
+
+/**
+ * Mutate a shape gene: either switch to another shape or nudge one axis's
+ * size by up to BLOCK_SIZE_MUTATION_STEP
+ * @param {string|null} gene - Shape gene (null = unit cube)
+ * @param {SeededRandom|RunRandom} rng - Random source
+ * @returns {string|null} Mutated gene
+ */
+function mutateBlockShapeGene(gene, rng) {
+    const { shapeCode, sizeBytes } = parseBlockShapeGene(gene);
+    if (rng.random() < 0.5) {
+        const newShape = (shapeCode + rng.randomInt(1, BLOCK_SHAPES.length)) % BLOCK_SHAPES.length;
+        return encodeBlockShapeGene(newShape, sizeBytes);
+    }
+    const axis = rng.randomInt(0, 3);
+    const delta = rng.randomInt(-BLOCK_SIZE_MUTATION_STEP, BLOCK_SIZE_MUTATION_STEP + 1);
+    sizeBytes[axis] = Math.max(0, Math.min(255, sizeBytes[axis] + delta));
+    return encodeBlockShapeGene(shapeCode, sizeBytes);
+}
+
+/**
+ * Axis a block hangs from its parent along (the axis of the face it's on)
+ * @param {number} face - Parent face (0-5), or null for the root block
+ * @returns {number} 0 = x, 1 = y, 2 = z
+ */
+function getFaceAxis(face) {
+    return face === null || face === undefined ? 1 : Math.floor(face / 2);
+}
+
+/**
+ * Position of a block attached to a face of its parent, so the two touch
+ * face to face whatever their sizes
+ * @param {Block} parent - Block being attached to
+ * @param {number} face - Parent face (0=+X, 1=-X, 2=+Y, 3=-Y, 4=+Z, 5=-Z)
+ * @param {number[]} size - The new block's size
+ * @returns {number[]} The new block's position
+ */
+function getAttachedBlockPosition(parent, face, size) {
+    const axis = getFaceAxis(face);
+    const sign = face % 2 === 0 ? 1 : -1;
+    const position = [...parent.position];
+    position[axis] += sign * (parent.size[axis] + size[axis]) / 2;
+    return position;
+}
+
+/**
+ * Volume of a block's shape relative to a unit cube - scales its mass
+ * @param {Block} block - Block with shape and size
+ * @returns {number} Volume in cubic units
+ */
+function getBlockVolume(block) {
+    const [x, y, z] = block.size;
+    const axis = block.shapeAxis;
+    const radius = block.size[(axis + 1) % 3] / 2;
+    switch (block.shape) {
+        case 'sphere': return 4 / 3 * Math.PI * radius * radius * radius;
+        case 'cylinder': return Math.PI * radius * radius * block.size[axis];
+        case 'capsule': return Math.PI * radius * radius * (block.size[axis] - 2 * radius) + 4 / 3 * Math.PI * radius * radius * radius;
+        default: return x * y * z;
+    }
+}
+
+/**
+ * Move a point on a block's bounding box onto the surface of its shape
+ * (the nearest surface point for round shapes). Lets code that samples box
+ * faces, like the tile lighting, work for every shape.
+ * @param {Block} block - Block with shape and size
+ * @param {number} lx - Local X
+ * @param {number} ly - Local Y
+ * @param {number} lz - Local Z
+ * @param {Object} out - Receives {x, y, z}
+ * @returns {Object} out
+ */
+function projectOntoBlockSurface(block, lx, ly, lz, out) {
+    if (!block.shape || block.shape === 'box') {
+        out.x = lx; out.y = ly; out.z = lz;
+        return out;
+    }
+    
+    const p = [lx, ly, lz];
+    const axis = block.shapeAxis;
+    const radius = block.size[(axis + 1) % 3] / 2;
+    const halfLength = block.size[axis] / 2;
+    
+    if (block.shape === 'cylinder') {
+        // Flat ends stay flat, the side is pulled in to the radius
+        p[axis] = Math.max(-halfLength, Math.min(halfLength, p[axis]));
+        const a = (axis + 1) % 3, b = (axis + 2) % 3;
+        const r = Math.sqrt(p[a] * p[a] + p[b] * p[b]);
+        if (r > radius) {
+            p[a] *= radius / r;
+            p[b] *= radius / r;
+        }
+    } else {
+        // Sphere and capsule: push out from the nearest point of the core segment
+        const core = block.shape === 'sphere' ? 0 : Math.max(0, halfLength - radius);
+        const c = Math.max(-core, Math.min(core, p[axis]));
+        p[axis] -= c;
+        const r = Math.sqrt(p[0] * p[0] + p[1] * p[1] + p[2] * p[2]);
+        if (r > 0) {
+            p[0] *= radius / r;
+            p[1] *= radius / r;
+            p[2] *= radius / r;
+        }
+        p[axis] += c;
+    }
+    
+    out.x = p[0]; out.y = p[1]; out.z = p[2];
+    return out;
+}
+
 class Block {
     constructor(size, color, materialType = null, influenceType = null) {
         this.size = size;
+        this.shape = 'box';         // One of BLOCK_SHAPES
+        this.shapeAxis = 1;         // Long axis of cylinders and capsules (0 = x, 1 = y, 2 = z)
         this.color = color;
         this.position = [0, 0, 0];
         this.mesh = null;
@@ -358,6 +1145,26 @@ class Block {
         this.variation = 0;         // Movement variation (0-255)
         this.colorSeed = 0;         // Color seed used to generate this block's color
         this.materialSeed = 0;      // Material seed used to select material type
+        this.neuralGene = null;     // Neural controller gene for this block's joint (null = action lists)
+        this.sensorGene = null;     // Sensor parameter gene (null for blocks without a sensor)
+        this.shapeGene = null;      // Shape gene from the descriptor (null = unit cube)
+        this.jointGene = null;      // Gene of the joint this block hangs from (null = classic hinge)
+        this.signalGene = null;     // Tuning for that joint's signal pipelines (null = as drawn)
+        this.symmetryGene = null;   // Mirror/repeat gene (null = none, see SYMMETRY GENES)
+        this.sourceIndex = null;    // For a mirror or repeat copy, the DNA block it was copied from
+    }
+    
+    /**
+     * Give this block a shape gene - sets its shape and size
+     * @param {string|null} gene - Shape gene (null = unit cube)
+     * @param {number} axis - Axis the block hangs from its parent along (see getFaceAxis)
+     */
+    setShapeGene(gene, axis) {
+        const { shape, size } = decodeBlockShapeGene(gene, axis);
+        this.shapeGene = gene || null;
+        this.shape = shape;
+        this.shapeAxis = axis;
+        this.size = size;
     }
     
     getAvailableFaces() {
@@ -376,12 +1183,21 @@ class Block {
     
     clone() {
         const block = new Block([...this.size], this.color, this.materialType, this.influenceType);
+        block.shape = this.shape;
+        block.shapeAxis = this.shapeAxis;
+        block.shapeGene = this.shapeGene;
         block.position = [...this.position];
         block.usedFaces = [...this.usedFaces];
         block.dnaDescriptor = this.dnaDescriptor;
         block.variation = this.variation;
         block.colorSeed = this.colorSeed;
         block.materialSeed = this.materialSeed;
+        block.neuralGene = this.neuralGene;
+        block.sensorGene = this.sensorGene;
+        block.jointGene = this.jointGene;
+        block.signalGene = this.signalGene;
+        block.symmetryGene = this.symmetryGene;
+        block.sourceIndex = this.sourceIndex;
         return block;
     }
     
@@ -389,6 +1205,9 @@ class Block {
     toJSON() {
         return {
             size: [...this.size],
+            shape: this.shape,
+            shapeAxis: this.shapeAxis,
+            shapeGene: this.shapeGene,
             color: this.color,
             position: [...this.position],
             materialType: this.materialType,
@@ -397,19 +1216,34 @@ class Block {
             dnaDescriptor: this.dnaDescriptor,
             variation: this.variation,
             colorSeed: this.colorSeed,
-            materialSeed: this.materialSeed
+            materialSeed: this.materialSeed,
+            neuralGene: this.neuralGene,
+            sensorGene: this.sensorGene,
+            jointGene: this.jointGene,
+            signalGene: this.signalGene,
+            symmetryGene: this.symmetryGene,
+            sourceIndex: this.sourceIndex
         };
     }
     
     // Create a Block from a plain object
     static fromJSON(data) {
         const block = new Block([...data.size], data.color, data.materialType, data.influenceType || null);
+        block.shape = data.shape || 'box';
+        block.shapeAxis = data.shapeAxis !== undefined ? data.shapeAxis : 1;
+        block.shapeGene = data.shapeGene || null;
         block.position = [...data.position];
         block.usedFaces = [...data.usedFaces];
         block.dnaDescriptor = data.dnaDescriptor || null;
         block.variation = data.variation || 0;
         block.colorSeed = data.colorSeed || 0;
         block.materialSeed = data.materialSeed || 0;
+        block.neuralGene = data.neuralGene !== undefined ? data.neuralGene : null;
+        block.sensorGene = data.sensorGene || null;
+        block.jointGene = data.jointGene || null;
+        block.signalGene = data.signalGene || null;
+        block.symmetryGene = data.symmetryGene || null;
+        block.sourceIndex = data.sourceIndex !== undefined ? data.sourceIndex : null;
         return block;
     }
     
@@ -446,6 +1280,170 @@ class Block {
 }
 
 
+// ============================================================================
+// SYMMETRY GENES
+// ============================================================================
+// Body-plan constructs the builder expands into extra blocks and joints, so a
+// good limb only has to evolve once. A block's symmetry gene lives in the DNA
+// extension "~Y", one per block after block 0 (like ~J), dot-separated, empty
+// for blocks without one:
+//
+//   MX, MZ   mirror - the block and everything below it get a mirror image,
+//            reflected across the plane through their parent's centre whose
+//            normal is the X (or Z) axis. Only works on a block attached by
+//            an X (or Z) face - anything else would land on top of itself
+//   R2 - R4  repeat - the block and everything below it appear 2-4 times in
+//            a chain, each copy hanging off the same face of the one before
+//
+// Copies are appended after the blocks the DNA lists (Creature.expandSymmetry)
+// and rebuilt with the creature, so the DNA's block indices - and every
+// extension keyed by them - never move. To the physics, sensors and renderer a
+// copy is an ordinary block; only block.sourceIndex tells it apart. Copies take
+// their source's genes, actions and influence responses (re-pointed at the
+// copied sensors), and a copy that would overlap another block is left out.
+// Mirror images start their action cycle half a cycle late, so left and right
+// limbs alternate; repeated segments are spread evenly through the cycle.
+
+// Mirror gene letter -> axis of the mirror plane's normal
+const SYMMETRY_MIRROR_AXES = { X: 0, Z: 2 };
+
+const SYMMETRY_REPEAT_MIN = 2;
+const SYMMETRY_REPEAT_MAX = 4;
+
+// Most copies one creature expands into (nested constructs multiply)
+const SYMMETRY_MAX_COPIES = 32;
+
+// Fraction of the action cycle a mirror image runs behind its source
+const SYMMETRY_MIRROR_PHASE = 0.5;
+
+// Whether structural mutations add and remove symmetry genes. Set by
+// EvolutionManager.setBodySymmetry - off, runs draw exactly the random
+// numbers they always did.
+const SymmetryConfig = {
+    evolve: false
+};
+
+/**
+ * Decode a symmetry gene
+ * @param {string|null} gene - Symmetry gene ('MX', 'MZ', 'R2' - 'R4', or null)
+ * @returns {Object|null} {mirrorAxis} or {repeat}, or null for no (or an unreadable) gene
+ */
+function parseSymmetryGene(gene) {
+    if (!gene) {
+        return null;
+    }
+    if (gene[0] === 'M' && SYMMETRY_MIRROR_AXES[gene[1]] !== undefined) {
+        return { mirrorAxis: SYMMETRY_MIRROR_AXES[gene[1]] };
+    }
+    const repeat = parseInt(gene.slice(1));
+    if (gene[0] === 'R' && repeat >= SYMMETRY_REPEAT_MIN && repeat <= SYMMETRY_REPEAT_MAX) {
+        return { repeat: repeat };
+    }
+    return null;
+}
+
+/**
+ * Draw a symmetry gene for a block. Blocks attached by an X or Z face can be
+ * mirrored; any block can be repeated.
+ * @param {number} side - Face of the parent the block is attached to
+ * @param {SeededRandom|RunRandom} rng - Random source
+ * @returns {string} Symmetry gene
+ */
+function generateSymmetryGene(side, rng) {
+    const axis = getFaceAxis(side);
+    if (axis !== 1 && rng.random() < 0.5) {
+        return axis === 0 ? 'MX' : 'MZ';
+    }
+    return `R${rng.randomInt(SYMMETRY_REPEAT_MIN, SYMMETRY_REPEAT_MAX + 1)}`;
+}
+
+/**
+ * The face a reflected copy attaches by
+ * @param {number} face - Face index (0-5)
+ * @param {number[]} reflect - Per-axis signs of the reflection ([1, 1, 1] = none)
+ * @returns {number} Reflected face index
+ */
+function reflectFace(face, reflect) {
+    if (reflect[getFaceAxis(face)] > 0) {
+        return face;
+    }
+    return face % 2 === 0 ? face + 1 : face - 1;
+}
+
+/**
+ * Reflect a joint's motor axes. Rotations are mirrored by flipping the axis
+ * as well as reflecting it, so a reflected joint turning at the same motor
+ * speed (and angle) as its source moves as its mirror image - angle limits
+ * and motor commands carry over unchanged.
+ * @param {number[][]} axes - Motor axes (see getJointAxes)
+ * @param {number[]} reflect - Per-axis signs of the reflection
+ * @returns {number[][]} Reflected axes
+ */
+function reflectJointAxes(axes, reflect) {
+    const det = reflect[0] * reflect[1] * reflect[2];
+    return axes.map(axis => axis.map((v, k) => v * reflect[k] * det));
+}
+
+/**
+ * Re-point a copied joint's influence responses at the copied sensors and
+ * joints ('light#3' -> 'light#9' when block 3 was copied to block 9)
+ * @param {Object} responses - Source joint's influenceResponses
+ * @param {Map<number, number>} indexMap - Source block index -> copy index
+ * @returns {Object} Responses for the copy
+ */
+function remapInfluenceResponses(responses, indexMap) {
+    const remapped = {};
+    for (const [channel, response] of Object.entries(responses)) {
+        const hash = channel.indexOf('#');
+        const index = hash === -1 ? NaN : parseInt(channel.slice(hash + 1));
+        const name = indexMap.has(index) ? `${channel.slice(0, hash)}#${indexMap.get(index)}` : channel;
+        remapped[name] = { ...response };
+    }
+    return remapped;
+}
+
+// ============================================================================
+// FITNESS
+// ============================================================================
+
+// 'economy' scores distance per kJ of motor work. Below this much work a
+// creature counts as having spent this much, so one that twitches once and
+// drifts a few centimetres can't score a huge ratio.
+const ECONOMY_MIN_ENERGY_KJ = 0.1;
+
+/**
+ * 'economy' fitness: distance per kJ of motor work (at least
+ * ECONOMY_MIN_ENERGY_KJ) + height * 0.2. Every economy score goes through here.
+ *
+ * @param {number} distance - Max distance reached
+ * @param {number} energyJoules - Motor work done, in joules
+ * @param {number} height - Max height reached
+ * @returns {number} Fitness
+ */
+function calculateEconomyFitness(distance, energyJoules, height) {
+    return distance / Math.max(energyJoules / 1000, ECONOMY_MIN_ENERGY_KJ) + height * 0.2;
+}
+
+// 'race' gives every creature a lane along +X from its spawn point, with a
+// finish line this far ahead (short of the next spawn point in the row,
+// which is 20 further on). Fitness is signed forward progress, plus a bonus
+// of RACE_SPEED_BONUS per m/s of average speed for creatures that finish.
+const RACE_FINISH_DISTANCE = 15;
+const RACE_SPEED_BONUS = 10;
+// Half the width of the lane markings. Only drawn - nothing keeps a racer in its lane.
+const RACE_LANE_HALF_WIDTH = 2.5;
+
+// 'forage' scatters food around every creature's spawn point (see
+// generateFoodLayout in headless-evaluator.js). Each piece eaten is worth
+// FORAGE_FOOD_SCORE, plus a bonus of FORAGE_SPEED_BONUS per piece per second
+// (pieces eaten over the time the last one went), so faster foragers win ties.
+// The time never counts as less than FORAGE_MIN_TIME: a piece a creature
+// happens to spawn on top of would otherwise be worth hundreds, and this way
+// the bonus stays under FORAGE_FOOD_SCORE per piece.
+const FORAGE_FOOD_SCORE = 10;
+const FORAGE_SPEED_BONUS = 10;
+const FORAGE_MIN_TIME = 5;
+
 // ============================================================================
 // CREATURE CLASS
 // ============================================================================
@@ -476,6 +1474,21 @@ class Creature {
         this.maxJumpHeight = 0;
         this.hasLandedAfterSpawn = false;
         this.groundedY = 0;
+        this.energyUsed = 0;            // Mechanical work done by the joint motors (J)
+        
+        // Race tracking (see updateCreatureRaceMetrics in headless-evaluator.js)
+        this.raceProgress = 0;          // Signed distance along +X from the start line (m)
+        this.raceFinishTime = 0;        // Round time it crossed the finish line (s), 0 = didn't
+        this.raceStalled = false;       // Stopped making progress - its result is final
+        this.raceStartX = null;         // Center of mass X when the round started
+        this.raceBestProgress = 0;
+        this.raceLastGainTime = 0;
+        
+        // Foraging (see updateCreatureFoodMetrics in headless-evaluator.js)
+        this.foodCollected = 0;         // Pieces of food eaten this round
+        this.foodTime = 0;              // Round time the last piece was eaten (s), 0 = none
+        this.food = [];                 // This round's pieces {x, y, z, eaten} (not saved)
+        this.foodEaten = [];            // Indices into food, in the order they were eaten
         
         // Influence system - for special blocks that affect movement
         this.influences = {};           // Current channel values {channelName: value}
@@ -484,6 +1497,15 @@ class Creature {
         // Special block tracking - records when sensor blocks are added
         this.lastAddedSensor = null;
         
+        // Controller - 'actions' plays each joint's action list, 'neural' drives
+        // every hinge from a NeuralController built from the blocks' neuralGenes
+        this.controllerType = 'actions';
+        this.brain = null;
+        
+        // Joint senses (proprioceptive influence types) this creature has -
+        // every hinge then provides e.g. a 'jointAngle#3' channel
+        this.proprioception = [];
+        
         // If seed and numBlocks provided, generate a random creature
         if (seed !== null && numBlocks !== null) {
             this.generateFromSeed(seed, numBlocks);
@@ -502,8 +1524,11 @@ class Creature {
         // Output creature seed as 8-digit hex
         let dna = toHex(this.creatureSeed, 8);
         
-        for (let i = 0; i < this.blocks.length; i++) {
-            const block = this.blocks[i];
+        // Symmetry copies are built from their sources' genes, not written out
+        const blocks = this.blocks.slice(0, this.getGenotypeBlockCount());
+        
+        for (let i = 0; i < blocks.length; i++) {
+            const block = blocks[i];
             if (block.dnaDescriptor) {
                 // Block already has DNA descriptor
                 dna += '-' + block.dnaDescriptor;
@@ -530,7 +1555,7 @@ class Creature {
                 const specialCode = SPECIAL_TYPE_CODES[block.influenceType] || 0;
                 
                 // Create and store the descriptor
-                block.dnaDescriptor = createBlockDescriptor(i, parentId, side, variation, colorSeed, materialSeed, specialCode);
+                block.dnaDescriptor = createBlockDescriptor(i, parentId, side, variation, colorSeed, materialSeed, specialCode, block.shapeGene);
                 block.variation = variation;
                 block.colorSeed = colorSeed;
                 block.materialSeed = materialSeed;
@@ -539,6 +1564,58 @@ class Creature {
             }
         }
         
+        // Neural controller genes go in the ~N extension. A block that doesn't
+        // have one yet (just added, or grafted from an action-list creature)
+        // gets it from its DNA prefix, exactly like its action list.
+        if (this.controllerType === 'neural') {
+            const genes = [];
+            for (let i = 1; i < blocks.length; i++) {
+                const block = blocks[i];
+                if (!block.neuralGene) {
+                    block.neuralGene = generateNeuralGeneFromDNA(dna, i, block.variation);
+                }
+                genes.push(block.neuralGene);
+            }
+            dna += DNA_EXTENSION_SEPARATOR + 'N' + genes.join('.');
+        }
+        
+        if (this.proprioception.length > 0) {
+            dna += DNA_EXTENSION_SEPARATOR + 'P' + proprioceptionToHex(this.proprioception);
+        }
+        
+        // Sensor genes go in the ~S extension. A new sensor block gets its
+        // gene from its DNA prefix; a block that's no longer a sensor drops it.
+        let hasSensorGenes = false;
+        const sensorGenes = blocks.map((block, i) => {
+            if (!block.influenceType) {
+                block.sensorGene = null;
+                return '';
+            }
+            if (!block.sensorGene) {
+                block.sensorGene = generateSensorGeneFromDNA(dna, i, block.variation);
+            }
+            hasSensorGenes = true;
+            return block.sensorGene;
+        });
+        if (hasSensorGenes) {
+            dna += DNA_EXTENSION_SEPARATOR + 'S' + sensorGenes.join('.');
+        }
+        
+        // Joint genes go in the ~J extension - classic hinges have none
+        if (blocks.slice(1).some(block => block.jointGene)) {
+            dna += DNA_EXTENSION_SEPARATOR + 'J' + blocks.slice(1).map(block => block.jointGene || '').join('.');
+        }
+        
+        // Signal genes go in the ~F extension - joints without a pipeline have none
+        if (blocks.slice(1).some(block => block.signalGene)) {
+            dna += DNA_EXTENSION_SEPARATOR + 'F' + blocks.slice(1).map(block => block.signalGene || '').join('.');
+        }
+        
+        // Symmetry genes go in the ~Y extension, the same way
+        if (blocks.slice(1).some(block => block.symmetryGene)) {
+            dna += DNA_EXTENSION_SEPARATOR + 'Y' + blocks.slice(1).map(block => block.symmetryGene || '').join('.');
+        }
+        
         this.dna = dna;
         return dna;
     }
@@ -548,19 +1625,20 @@ class Creature {
      * This provides a unique, consistent-length identifier for each evolutionary step.
      * 
      * Since only one block can attach per face, each block addition produces a 
-     * unique 19-character DNA segment. This makes an ideal creature "name" that:
+     * unique 19-character DNA segment (24 in the wide form past 256 blocks, 8 more
+     * with a shape gene). This makes an ideal creature "name" that:
      *   - Is unique per evolutionary stage
      *   - Has consistent length for clean UI display
      *   - Directly represents what that evolution step added
      * 
-     * @returns {string} The last block's DNA descriptor (19 chars), or creature seed if no blocks
+     * @returns {string} The last block's DNA descriptor (19 to 32 chars), or creature seed if no blocks
      */
     getLastDNASegment() {
         if (!this.dna) {
             this.buildDNA();
         }
         
-        const parts = this.dna.split('-');
+        const parts = getBodyDNA(this.dna).split('-');
         // Last part is the most recently added block
         // If only seed exists (parts.length === 1), return the seed
         return parts[parts.length - 1];
@@ -581,16 +1659,19 @@ class Creature {
             this.buildDNA();
         }
         
-        const parts = this.dna.split('-');
+        const parts = getBodyDNA(this.dna).split('-');
         const fingerprint = [parts[0]]; // Start with creature seed
+        const descriptors = parseDNA(this.dna).blockDescriptors;
         
         // For each block, extract only structural info: blockID, parentID, side
+        // (and its symmetry gene - mirrored and repeated limbs are extra body)
         for (let i = 1; i < parts.length; i++) {
             const parsed = parseBlockDescriptor(parts[i]);
             if (parsed) {
-                // Format: "BBpPPsS" where BB=blockId, PP=parentId, S=side
+                // Format: "BBpPPsS[yY]" where BB=blockId, PP=parentId, S=side, Y=symmetry gene
                 // This uniquely identifies the structural connection
-                fingerprint.push(`${toHex(parsed.blockId, 2)}p${toHex(parsed.parentId, 2)}s${parsed.side}`);
+                const symmetryGene = descriptors[i - 1]?.symmetryGene;
+                fingerprint.push(`${toHex(parsed.blockId, 2)}p${toHex(parsed.parentId, 2)}s${parsed.side}${symmetryGene ? 'y' + symmetryGene : ''}`);
             }
         }
         
@@ -610,17 +1691,33 @@ class Creature {
      *   - variation: movement pattern seed
      *   - material: affects physics properties
      *   - special: sensor type (affects environmental response)
+     *   - shape: block shape and size, when the block has a shape gene
+     *   - symmetry: mirror/repeat gene (whole-body fingerprints only - a new
+     *     block never has one)
      * 
      * EXCLUDES color (C) since it's purely cosmetic and doesn't affect behavior.
      * 
+     * Creatures that change blocks other than the last one (crossover, structural
+     * mutations) pass wholeBody so every block is fingerprinted - otherwise they
+     * would look identical to their parent.
+     * 
+     * @param {boolean} wholeBody - Fingerprint every block, not just the last
      * @returns {string} Behavioral fingerprint for uniqueness checking
      */
-    getBehavioralFingerprint() {
+    getBehavioralFingerprint(wholeBody = false) {
         if (!this.dna) {
             this.buildDNA();
         }
         
-        const parts = this.dna.split('-');
+        const parts = getBodyDNA(this.dna).split('-');
+        if (wholeBody) {
+            const descriptors = parseDNA(this.dna).blockDescriptors;
+            return parts.slice(1).map((part, i) => {
+                const p = parseBlockDescriptor(part);
+                const symmetryGene = descriptors[i]?.symmetryGene;
+                return p ? `${toHex(p.blockId, 2)}b${toHex(p.parentId, 2)}s${p.side}v${toHex(p.variation, 2)}m${toHex(p.materialSeed, 2)}x${toHex(p.specialCode, 2)}${p.shapeGene ? 'g' + p.shapeGene : ''}${symmetryGene ? 'y' + symmetryGene : ''}` : part;
+            }).join('-');
+        }
         if (parts.length < 2) {
             // Just seed, no blocks - return seed as fingerprint
             return parts[0];
@@ -631,9 +1728,9 @@ class Creature {
         const parsed = parseBlockDescriptor(lastSegment);
         
         if (parsed) {
-            // Rebuild descriptor without color: BBbPPsVVmMMxXX
-            // Format: {blockId}b{parentId}s{side}v{variation}m{material}x{special}
-            return `${toHex(parsed.blockId, 2)}b${toHex(parsed.parentId, 2)}s${parsed.side}v${toHex(parsed.variation, 2)}m${toHex(parsed.materialSeed, 2)}x${toHex(parsed.specialCode, 2)}`;
+            // Rebuild descriptor without color: BBbPPsVVmMMxXX[gGGGGGGG]
+            // Format: {blockId}b{parentId}s{side}v{variation}m{material}x{special}[g{shape}]
+            return `${toHex(parsed.blockId, 2)}b${toHex(parsed.parentId, 2)}s${parsed.side}v${toHex(parsed.variation, 2)}m${toHex(parsed.materialSeed, 2)}x${toHex(parsed.specialCode, 2)}${parsed.shapeGene ? 'g' + parsed.shapeGene : ''}`;
         }
         
         // Fallback: return full segment
@@ -684,7 +1781,9 @@ class Creature {
         const actions = [];
         
         for (let j = 0; j < numActions; j++) {
-            const duration = rng.randomInt(10, 45);
+            // Drawn as a frame count (10-44) to keep the same random sequence
+            // as before, then stored as seconds (~0.17s - 0.73s)
+            const duration = rng.randomInt(10, 45) / LEGACY_ACTION_FRAME_RATE;
             const rotationSpeed = rng.randomFloat(0.12, 0.35);
             let direction;
             const dirRoll = rng.random();
@@ -705,8 +1804,10 @@ class Creature {
      * Generate influence responses for a joint based on DNA
      * This determines how the joint reacts to sensor inputs
      * 
-     * Response format: {channelName: {speed: weight, direction: weight}}
+     * Response format: {channelName: {speed: weight, direction: weight, signal?: pipeline}}
      * Each sensor type defines which modulation methods it supports.
+     * Some responses also get a signal pipeline (see generateSignalPipeline),
+     * tuned by the block's signal gene.
      * 
      * @param {number} blockIndex - The block index for this joint
      * @param {string[]} availableChannels - Sensor channels available on this creature
@@ -732,83 +1833,522 @@ class Creature {
         
         const responses = {};
         
-        // For each available channel, deterministically decide if this joint responds
-        for (const channel of availableChannels) {
-            // 40% chance to respond to any given channel
-            if (rng.random() < 0.4) {
-                // Get the sensor type's supported modulation methods
-                const sensorType = INFLUENCE_TYPES[channel];
-                const methods = sensorType?.modulationMethods || ['speed'];
-                
-                const channelResponse = {};
-                let hasSignificantResponse = false;
-                
-                // Generate a weight for each supported method
-                for (const method of methods) {
-                    // 60% chance to use each method the sensor supports
-                    if (rng.random() < 0.6) {
-                        // Generate weight from -1 to +1
-                        const weight = rng.randomFloat(-1, 1);
-                        // Only include if weight is significant (> 0.15 magnitude)
-                        if (Math.abs(weight) > 0.15) {
-                            channelResponse[method] = weight;
-                            hasSignificantResponse = true;
-                        }
-                    }
+        // For each available channel, deterministically decide if this joint responds
+        for (const channel of availableChannels) {
+            // 40% chance to respond to any given channel
+            if (rng.random() < 0.4) {
+                // Get the sensor type's supported modulation methods
+                const sensorType = INFLUENCE_TYPES[getSensorChannelType(channel)];
+                const methods = sensorType?.modulationMethods || ['speed'];
+                
+                const channelResponse = {};
+                let hasSignificantResponse = false;
+                
+                // Generate a weight for each supported method
+                for (const method of methods) {
+                    // 60% chance to use each method the sensor supports
+                    if (rng.random() < 0.6) {
+                        // Generate weight from -1 to +1
+                        const weight = rng.randomFloat(-1, 1);
+                        // Only include if weight is significant (> 0.15 magnitude)
+                        if (Math.abs(weight) > 0.15) {
+                            channelResponse[method] = weight;
+                            hasSignificantResponse = true;
+                        }
+                    }
+                }
+                
+                // Only add the channel if it has at least one significant response
+                if (hasSignificantResponse) {
+                    responses[channel] = channelResponse;
+                }
+            }
+        }
+        
+        // Signal pipelines draw from their own seed, after the weights, so
+        // they didn't change any creature's weights when they were added
+        let signalSeed = dnaToSeed(dnaForBlock + 'signal');
+        if (block && block.variation !== undefined) {
+            signalSeed = ((signalSeed ^ (block.variation * 16777259)) >>> 0);
+        }
+        const signalRng = new SeededRandom(signalSeed);
+        for (const channel of availableChannels) {
+            const signal = generateSignalPipeline(signalRng);
+            if (signal && responses[channel]) {
+                responses[channel].signal = tuneSignalPipeline(signal, block ? block.signalGene : null);
+            }
+        }
+        
+        return responses;
+    }
+    
+    /**
+     * Get list of influence channels available on this creature -
+     * one per sensor block, in block order (e.g. ['light#2', 'light#5'])
+     * @returns {string[]} Array of channel names
+     */
+    getAvailableInfluenceChannels() {
+        const channels = [];
+        this.blocks.forEach((block, i) => {
+            if (block.influenceType) {
+                channels.push(getSensorChannelName(block.influenceType, i));
+            }
+        });
+        return channels;
+    }
+    
+    /**
+     * Regenerate all joint movements and influence responses from DNA
+     * Call this after loading or when DNA changes
+     */
+    regenerateMovementsFromDNA() {
+        if (!this.dna) {
+            return;
+        }
+        
+        // Symmetry copies are rebuilt from the genotype blocks at the end
+        this.removeSymmetryCopies();
+        this.applySymmetryGenesFromDNA();
+        this.applyProprioceptionFromDNA();
+        this.applySensorGenesFromDNA();
+        this.applyJointGenesFromDNA();
+        this.applySignalGenesFromDNA();
+        this.applyControllerGenesFromDNA();
+        
+        // Get available influence channels for this creature
+        const availableChannels = this.getAvailableInfluenceChannels();
+        
+        // Joint index corresponds to block index - 1 (no joint for block 0)
+        for (let i = 0; i < this.joints.length; i++) {
+            const blockIndex = i + 1; // Joint 0 connects to block 1, etc.
+            
+            // Generate actions from DNA
+            this.joints[i].actions = this.generateActionsFromDNA(blockIndex);
+            
+            // Generate influence responses from DNA. Joint senses come last so
+            // the draws for the sensor blocks' channels don't move.
+            const channels = availableChannels.concat(this.getProprioceptiveChannels(this.joints[i]));
+            this.joints[i].influenceResponses = this.generateInfluenceResponsesFromDNA(blockIndex, channels);
+            
+            // Reset joint state
+            this.joints[i].resetState();
+        }
+        
+        this.expandSymmetry();
+        
+        // The neural controller is rebuilt from the genes, like the action lists
+        this.brain = this.controllerType === 'neural' ? new NeuralController(this) : null;
+    }
+    
+    /**
+     * Read the joint senses from the DNA's ~P extension
+     */
+    applyProprioceptionFromDNA() {
+        const { extensions } = splitDNA(this.dna);
+        this.proprioception = extensions.P !== undefined ? hexToProprioception(extensions.P) : [];
+    }
+    
+    /**
+     * Joint-sense channels a joint can respond to: its own hinge and the
+     * hinge above it (together they tell the joint where its limb is)
+     * @param {Joint} joint - The joint
+     * @returns {string[]} Channel names like ['jointAngle#4', 'jointAngle#2']
+     */
+    getProprioceptiveChannels(joint) {
+        const channels = [];
+        const parentJoint = this.joints.find(j => j.blockIndexB === joint.blockIndexA);
+        for (const sense of this.proprioception) {
+            channels.push(getSensorChannelName(sense, joint.blockIndexB));
+            if (parentJoint) {
+                channels.push(getSensorChannelName(sense, parentJoint.blockIndexB));
+            }
+        }
+        return channels;
+    }
+    
+    /**
+     * Switch joint senses on (replaces the current set) and regenerate the
+     * joints' responses so they can use them
+     * @param {string[]} senses - Proprioceptive type names
+     */
+    setProprioception(senses) {
+        this.proprioception = Object.keys(PROPRIOCEPTION_FLAGS).filter(sense => senses.includes(sense));
+        this.buildDNA();
+        this.regenerateMovementsFromDNA();
+    }
+    
+    /**
+     * Switch on one more joint sense (shows up as the creature's new sensor)
+     * @param {string} sense - Proprioceptive type name
+     */
+    addProprioception(sense) {
+        if (this.proprioception.includes(sense)) {
+            return;
+        }
+        this.setProprioception(this.proprioception.concat([sense]));
+        this.lastAddedSensor = sense;
+    }
+    
+    /**
+     * Read the controller type and neural genes from the DNA's ~N extension.
+     * Missing genes are generated (buildDNA), which rewrites this.dna so the
+     * DNA always lists every gene the creature actually uses.
+     */
+    applyControllerGenesFromDNA() {
+        const { extensions } = splitDNA(this.dna);
+        if (extensions.N === undefined) {
+            this.controllerType = 'actions';
+            for (const block of this.blocks) block.neuralGene = null;
+            return;
+        }
+        
+        this.controllerType = 'neural';
+        const genes = extensions.N.split('.');
+        this.blocks.forEach((block, i) => {
+            block.neuralGene = i === 0 ? null : (genes[i - 1] || null);
+        });
+        if (this.blocks.some((block, i) => i > 0 && !block.neuralGene)) {
+            this.buildDNA();
+        }
+    }
+    
+    /**
+     * Read the sensor blocks' genes from the DNA's ~S extension.
+     * Sensor blocks without a gene get the neutral gene, and buildDNA writes
+     * it into this.dna, so DNA written before sensors had genes loads and
+     * behaves exactly as it used to.
+     */
+    applySensorGenesFromDNA() {
+        const { extensions } = splitDNA(this.dna);
+        const genes = extensions.S !== undefined ? extensions.S.split('.') : [];
+        let missing = false;
+        this.blocks.forEach((block, i) => {
+            if (!block.influenceType) {
+                block.sensorGene = null;
+                return;
+            }
+            block.sensorGene = genes[i] || null;
+            if (!block.sensorGene) {
+                block.sensorGene = SENSOR_GENE_NEUTRAL_GENE;
+                missing = true;
+            }
+        });
+        if (missing) {
+            this.buildDNA();
+        }
+    }
+    
+    /**
+     * Nudge every sensor block's gene. Creatures without sensor blocks draw
+     * nothing from the RNG, so runs without sensors keep their exact sequence.
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @param {number} rate - Per-byte mutation probability (0-1)
+     */
+    mutateSensorGenes(rng, rate = SENSOR_GENE_MUTATION_RATE) {
+        if (!this.blocks.some(block => block.influenceType)) {
+            return;
+        }
+        for (const block of this.blocks.slice(0, this.getGenotypeBlockCount())) {
+            if (block.influenceType) {
+                block.sensorGene = mutateSensorGene(block.sensorGene, rng, rate);
+            }
+        }
+        this.buildDNA();
+        this.refreshSymmetryCopies();
+    }
+    
+    /**
+     * Read the joint genes from the DNA's ~J extension and set up each joint's
+     * type, strength and limits
+     */
+    applyJointGenesFromDNA() {
+        const { extensions } = splitDNA(this.dna);
+        const genes = extensions.J !== undefined ? extensions.J.split('.') : [];
+        this.blocks.slice(0, this.getGenotypeBlockCount()).forEach((block, i) => {
+            block.jointGene = i === 0 ? null : (genes[i - 1] || null);
+        });
+        for (const joint of this.joints) {
+            joint.setJointGene(this.blocks[joint.blockIndexB]?.jointGene || null);
+        }
+    }
+    
+    /**
+     * Nudge every joint's gene. Only runs with joint genes switched on
+     * (JointGeneConfig), so other runs keep their exact random sequence.
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @param {number} rate - Per-byte mutation probability (0-1)
+     */
+    mutateJointGenes(rng, rate = JOINT_GENE_MUTATION_RATE) {
+        if (!JointGeneConfig.evolve) {
+            return;
+        }
+        const count = this.getGenotypeBlockCount();
+        for (let i = 1; i < count; i++) {
+            this.blocks[i].jointGene = mutateJointGene(this.blocks[i].jointGene, rng, rate);
+        }
+        this.buildDNA();
+        this.applyJointGenesFromDNA();
+        this.refreshSymmetryCopies();
+    }
+    
+    /**
+     * Read the joints' signal genes from the DNA's ~F extension (used when
+     * the influence responses are generated)
+     */
+    applySignalGenesFromDNA() {
+        const { extensions } = splitDNA(this.dna);
+        const genes = extensions.F !== undefined ? extensions.F.split('.') : [];
+        this.blocks.slice(0, this.getGenotypeBlockCount()).forEach((block, i) => {
+            block.signalGene = i === 0 ? null : (genes[i - 1] || null);
+        });
+    }
+    
+    /**
+     * Nudge the signal gene of every joint with a signal pipeline, then
+     * rebuild the responses with the new tuning. Creatures without pipelines
+     * draw nothing from the RNG, so they keep their exact sequence.
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @param {number} rate - Per-byte mutation probability (0-1)
+     */
+    mutateSignalGenes(rng, rate = SIGNAL_GENE_MUTATION_RATE) {
+        const count = this.getGenotypeBlockCount();
+        const joints = this.joints.filter(joint => joint.blockIndexB < count &&
+            Object.values(joint.influenceResponses).some(response => response.signal));
+        if (joints.length === 0) {
+            return;
+        }
+        for (const joint of joints) {
+            const block = this.blocks[joint.blockIndexB];
+            block.signalGene = mutateSignalGene(block.signalGene, rng, rate);
+        }
+        this.buildDNA();
+        this.regenerateMovementsFromDNA();
+    }
+    
+    // ========================================================================
+    // SYMMETRY
+    // ========================================================================
+    // The DNA lists the genotype blocks; mirror and repeat copies (see
+    // SYMMETRY GENES) are appended after them by expandSymmetry and thrown
+    // away again (removeSymmetryCopies) whenever the genotype changes.
+    
+    /**
+     * Number of blocks the DNA lists - the blocks before the first symmetry copy
+     * @returns {number} Genotype block count
+     */
+    getGenotypeBlockCount() {
+        const firstCopy = this.blocks.findIndex(block => block.sourceIndex !== null);
+        return firstCopy === -1 ? this.blocks.length : firstCopy;
+    }
+    
+    /**
+     * Drop every symmetry copy and its joint, freeing the genotype faces the
+     * copies hung from
+     * @returns {Block[]} The removed copies
+     */
+    removeSymmetryCopies() {
+        const count = this.getGenotypeBlockCount();
+        const removed = this.blocks.splice(count);
+        this.joints = this.joints.filter(joint => {
+            if (joint.blockIndexB < count) {
+                return true;
+            }
+            if (joint.blockIndexA < count) {
+                this.blocks[joint.blockIndexA].usedFaces[joint.faceA] = false;
+            }
+            return false;
+        });
+        return removed;
+    }
+    
+    /**
+     * Read the symmetry genes from the DNA's ~Y extension
+     */
+    applySymmetryGenesFromDNA() {
+        const { extensions } = splitDNA(this.dna);
+        const genes = extensions.Y !== undefined ? extensions.Y.split('.') : [];
+        this.blocks.forEach((block, i) => {
+            block.symmetryGene = i === 0 ? null : (genes[i - 1] || null);
+        });
+    }
+    
+    /**
+     * Expand the symmetry genes into copies. Deeper constructs go first, so
+     * a mirrored leg that has repeated toes is mirrored toes and all.
+     * Call once the genotype joints have their actions and responses - the
+     * copies take theirs.
+     */
+    expandSymmetry() {
+        const count = this.blocks.length;
+        const depth = [0];
+        const roots = [];
+        for (let i = 1; i < count; i++) {
+            const joint = this.joints.find(j => j.blockIndexB === i);
+            depth[i] = joint ? depth[joint.blockIndexA] + 1 : 0;
+            if (joint && parseSymmetryGene(this.blocks[i].symmetryGene)) {
+                roots.push(i);
+            }
+        }
+        roots.sort((a, b) => depth[b] - depth[a] || a - b);
+        
+        for (const root of roots) {
+            const gene = parseSymmetryGene(this.blocks[root].symmetryGene);
+            const joint = this.joints.find(j => j.blockIndexB === root);
+            const subtree = this.getSubtreeBlockIndices(root);
+            
+            if (gene.mirrorAxis !== undefined) {
+                if (getFaceAxis(joint.faceA) !== gene.mirrorAxis) {
+                    continue;
                 }
-                
-                // Only add the channel if it has at least one significant response
-                if (hasSignificantResponse) {
-                    responses[channel] = channelResponse;
+                const reflect = [1, 1, 1];
+                reflect[gene.mirrorAxis] = -1;
+                this.copySubtree(subtree, joint.blockIndexA, reflectFace(joint.faceA, reflect), reflect, SYMMETRY_MIRROR_PHASE);
+            } else {
+                let parentIndex = root;
+                for (let k = 1; k < gene.repeat && parentIndex !== -1; k++) {
+                    parentIndex = this.copySubtree(subtree, parentIndex, joint.faceA, [1, 1, 1], k / gene.repeat);
                 }
             }
         }
-        
-        return responses;
     }
     
     /**
-     * Get list of influence channels available on this creature
-     * @returns {string[]} Array of channel names
+     * A block and every block below it, copies included
+     * @param {number} rootIndex - Block the subtree starts at
+     * @returns {number[]} Block indices, parents before children
      */
-    getAvailableInfluenceChannels() {
-        const channels = [];
-        for (const block of this.blocks) {
-            if (block.influenceType && !channels.includes(block.influenceType)) {
-                channels.push(block.influenceType);
+    getSubtreeBlockIndices(rootIndex) {
+        const inSubtree = new Set([rootIndex]);
+        // Joints are in block order and parents come before their children
+        for (const joint of this.joints) {
+            if (inSubtree.has(joint.blockIndexA)) {
+                inSubtree.add(joint.blockIndexB);
             }
         }
-        return channels;
+        return [...inSubtree].sort((a, b) => a - b);
     }
     
     /**
-     * Regenerate all joint movements and influence responses from DNA
-     * Call this after loading or when DNA changes
+     * Append a (possibly reflected) copy of a subtree, hung from a free face
+     * of another block. Nothing is added if any copied block would overlap
+     * the body or the copy limit is reached.
+     * @param {number[]} subtree - Source block indices, the subtree root first
+     * @param {number} parentIndex - Block to hang the copy from
+     * @param {number} face - Face of that block to hang it from
+     * @param {number[]} reflect - Per-axis signs of the reflection ([1, 1, 1] = none)
+     * @param {number} phase - How far through their action cycle the copied joints start (0-1)
+     * @returns {number} Index of the copied root, or -1 if it didn't fit
      */
-    regenerateMovementsFromDNA() {
-        if (!this.dna) {
-            return;
+    copySubtree(subtree, parentIndex, face, reflect, phase) {
+        const parent = this.blocks[parentIndex];
+        const copyCount = this.blocks.length - this.getGenotypeBlockCount();
+        if (parent.usedFaces[face] || copyCount + subtree.length > SYMMETRY_MAX_COPIES) {
+            return -1;
         }
         
-        // Get available influence channels for this creature
-        const availableChannels = this.getAvailableInfluenceChannels();
+        const root = this.blocks[subtree[0]];
+        const rootPosition = getAttachedBlockPosition(parent, face, root.size);
+        const indexMap = new Map();
+        const copies = subtree.map((sourceIndex, k) => {
+            const source = this.blocks[sourceIndex];
+            const block = source.clone();
+            block.position = rootPosition.map((v, axis) => v + reflect[axis] * (source.position[axis] - root.position[axis]));
+            block.usedFaces = [false, false, false, false, false, false];
+            source.usedFaces.forEach((used, f) => {
+                block.usedFaces[reflectFace(f, reflect)] = used;
+            });
+            block.sourceIndex = source.sourceIndex !== null ? source.sourceIndex : sourceIndex;
+            block.symmetryGene = null;
+            indexMap.set(sourceIndex, this.blocks.length + k);
+            return block;
+        });
+        if (copies.some(block => this.wouldIntersect(block))) {
+            return -1;
+        }
         
-        // Joint index corresponds to block index - 1 (no joint for block 0)
-        for (let i = 0; i < this.joints.length; i++) {
-            const blockIndex = i + 1; // Joint 0 connects to block 1, etc.
-            
-            // Generate actions from DNA
-            this.joints[i].actions = this.generateActionsFromDNA(blockIndex);
-            
-            // Generate influence responses from DNA
-            this.joints[i].influenceResponses = this.generateInfluenceResponsesFromDNA(blockIndex, availableChannels);
-            
-            // Reset joint state
-            this.joints[i].currentActionIndex = 0;
-            this.joints[i].actionTimer = 0;
-            this.joints[i].currentAngle = 0;
-            this.joints[i].feedbackMultiplier = 1.0;
+        parent.markFaceUsed(face);
+        this.blocks.push(...copies);
+        
+        for (const sourceIndex of subtree) {
+            const source = this.joints.find(j => j.blockIndexB === sourceIndex);
+            const joint = source.clone();
+            const isRoot = sourceIndex === subtree[0];
+            joint.blockIndexA = isRoot ? parentIndex : indexMap.get(source.blockIndexA);
+            joint.blockIndexB = indexMap.get(sourceIndex);
+            joint.faceA = isRoot ? face : reflectFace(source.faceA, reflect);
+            joint.faceB = reflectFace(source.faceB, reflect);
+            const combined = reflect.map((sign, axis) => sign * (source.reflect ? source.reflect[axis] : 1));
+            joint.reflect = combined.some(sign => sign < 0) ? combined : null;
+            joint.phase = (source.phase + phase) % 1;
+            joint.setJointGene(this.blocks[sourceIndex].jointGene);
+            joint.influenceResponses = remapInfluenceResponses(source.influenceResponses, indexMap);
+            joint.resetState();
+            this.joints.push(joint);
+        }
+        
+        return indexMap.get(subtree[0]);
+    }
+    
+    /**
+     * Rebuild the copies after the genotype blocks' genes changed
+     */
+    refreshSymmetryCopies() {
+        if (this.blocks.length > this.getGenotypeBlockCount()) {
+            this.removeSymmetryCopies();
+            this.expandSymmetry();
+        }
+    }
+    
+    /**
+     * Whether expanding the symmetry genes still rebuilds every copy the
+     * creature had. A block added inside a mirrored or repeated limb is
+     * copied along with it, and a copy that no longer fits (it would overlap
+     * the body, or go over SYMMETRY_MAX_COPIES) is dropped whole - so growing
+     * could leave the creature with fewer blocks. Expects the copies removed,
+     * and leaves them removed.
+     * @param {Block[]} copies - The copies removeSymmetryCopies took off
+     * @returns {boolean} True if none of them would be lost
+     */
+    keepsSymmetryCopies(copies) {
+        if (copies.length === 0) {
+            return true;
+        }
+        this.expandSymmetry();
+        const countBySource = blocks => blocks.reduce((counts, block) =>
+            counts.set(block.sourceIndex, (counts.get(block.sourceIndex) || 0) + 1), new Map());
+        const before = countBySource(copies);
+        const after = countBySource(this.removeSymmetryCopies());
+        return [...before].every(([source, count]) => (after.get(source) || 0) >= count);
+    }
+    
+    /**
+     * Switch between the action-list and neural controllers.
+     * Going neural gives every joint a gene from its DNA; going back drops them.
+     * @param {string} type - 'actions' or 'neural'
+     */
+    setControllerType(type) {
+        this.controllerType = type === 'neural' ? 'neural' : 'actions';
+        for (const block of this.blocks) block.neuralGene = null;
+        this.buildDNA();
+        this.regenerateMovementsFromDNA();
+    }
+    
+    /**
+     * Mutate the neural controller's weights (no-op for action-list creatures)
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @param {number} rate - Per-byte mutation probability (0-1)
+     */
+    mutateNeuralGenes(rng, rate) {
+        if (this.controllerType !== 'neural') {
+            return;
         }
+        const count = this.getGenotypeBlockCount();
+        for (let i = 1; i < count; i++) {
+            this.blocks[i].neuralGene = mutateNeuralGene(this.blocks[i].neuralGene, rng, rate);
+        }
+        this.buildDNA();
+        this.refreshSymmetryCopies();
+        this.brain = new NeuralController(this);
     }
     
     /**
@@ -824,7 +2364,7 @@ class Creature {
      */
     setBlockDNA(block, blockId, parentId, side, variation, colorSeed, materialSeed, influenceType) {
         const specialCode = SPECIAL_TYPE_CODES[influenceType] || 0;
-        block.dnaDescriptor = createBlockDescriptor(blockId, parentId, side, variation, colorSeed, materialSeed, specialCode);
+        block.dnaDescriptor = createBlockDescriptor(blockId, parentId, side, variation, colorSeed, materialSeed, specialCode, block.shapeGene);
         block.variation = variation;
         block.colorSeed = colorSeed;
         block.materialSeed = materialSeed;
@@ -858,7 +2398,10 @@ class Creature {
         const material0 = Block.materialFromSeed(materialSeed0);
         
         const firstBlock = new Block(standardSize, color0, material0);
-        firstBlock.position = [0, BLOCK_SIZE / 2, 0];
+        if (BlockShapeConfig.evolve) {
+            firstBlock.setShapeGene(generateBlockShapeGene(rng), getFaceAxis(null));
+        }
+        firstBlock.position = [0, firstBlock.size[1] / 2, 0];
         this.setBlockDNA(firstBlock, 0, 0, 0, 0, colorSeed0, materialSeed0, null);
         this.blocks.push(firstBlock);
         
@@ -880,7 +2423,9 @@ class Creature {
                     influenceType = determineBlockInfluenceType(this, rng);
                 }
                 
+                const shapeGene = BlockShapeConfig.evolve ? generateBlockShapeGene(rng) : null;
                 const block = new Block([...standardSize], newColor, newMaterialType, influenceType);
+                block.jointGene = JointGeneConfig.evolve ? generateJointGene(rng) : null;
                 
                 let parentIndex = -1;
                 let availableFace = -1;
@@ -908,14 +2453,8 @@ class Creature {
                 
                 const parent = this.blocks[parentIndex];
                 
-                switch(availableFace) {
-                    case 0: block.position = [parent.position[0] + BLOCK_SIZE, parent.position[1], parent.position[2]]; break;
-                    case 1: block.position = [parent.position[0] - BLOCK_SIZE, parent.position[1], parent.position[2]]; break;
-                    case 2: block.position = [parent.position[0], parent.position[1] + BLOCK_SIZE, parent.position[2]]; break;
-                    case 3: block.position = [parent.position[0], parent.position[1] - BLOCK_SIZE, parent.position[2]]; break;
-                    case 4: block.position = [parent.position[0], parent.position[1], parent.position[2] + BLOCK_SIZE]; break;
-                    case 5: block.position = [parent.position[0], parent.position[1], parent.position[2] - BLOCK_SIZE]; break;
-                }
+                block.setShapeGene(shapeGene, getFaceAxis(availableFace));
+                block.position = getAttachedBlockPosition(parent, availableFace, block.size);
                 
                 if (!this.wouldIntersect(block)) {
                     parent.markFaceUsed(availableFace);
@@ -982,7 +2521,8 @@ class Creature {
                         variation,
                         parsed.colorSeed,
                         parsed.materialSeed,
-                        parsed.specialCode
+                        parsed.specialCode,
+                        parsed.shapeGene
                     );
                 }
             }
@@ -1002,7 +2542,8 @@ class Creature {
     getAvailableAttachmentPoints() {
         const points = [];
         
-        for (let i = 0; i < this.blocks.length; i++) {
+        // Symmetry copies can't be built on - only the blocks the DNA lists
+        for (let i = 0; i < this.getGenotypeBlockCount(); i++) {
             const block = this.blocks[i];
             const availableFaces = block.getAvailableFaces();
             
@@ -1029,7 +2570,17 @@ class Creature {
             influenceType = determineBlockInfluenceType(this, rng);
         }
         
-        return this.addBlockAtFaceWithType(parentIndex, face, rng, influenceType);
+        const added = this.addBlockAtFaceWithType(parentIndex, face, rng, influenceType);
+        
+        // Joint senses switch on as the body grows, like sensor blocks
+        if (added && typeof determineProprioceptionGain === 'function') {
+            const sense = determineProprioceptionGain(this, rng);
+            if (sense) {
+                this.addProprioception(sense);
+            }
+        }
+        
+        return added;
     }
     
     /**
@@ -1044,7 +2595,7 @@ class Creature {
         const BLOCK_SIZE = 1.0;
         const standardSize = [BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE];
         
-        if (parentIndex < 0 || parentIndex >= this.blocks.length) {
+        if (parentIndex < 0 || parentIndex >= this.getGenotypeBlockCount()) {
             return false;
         }
         
@@ -1063,21 +2614,22 @@ class Creature {
         const materialType = Block.materialFromSeed(materialSeed);
         
         const block = new Block([...standardSize], color, materialType, influenceType);
+        if (BlockShapeConfig.evolve) {
+            block.setShapeGene(generateBlockShapeGene(rng), getFaceAxis(face));
+        }
+        if (JointGeneConfig.evolve) {
+            block.jointGene = generateJointGene(rng);
+        }
         
         // Position block
-        switch(face) {
-            case 0: block.position = [parent.position[0] + BLOCK_SIZE, parent.position[1], parent.position[2]]; break;
-            case 1: block.position = [parent.position[0] - BLOCK_SIZE, parent.position[1], parent.position[2]]; break;
-            case 2: block.position = [parent.position[0], parent.position[1] + BLOCK_SIZE, parent.position[2]]; break;
-            case 3: block.position = [parent.position[0], parent.position[1] - BLOCK_SIZE, parent.position[2]]; break;
-            case 4: block.position = [parent.position[0], parent.position[1], parent.position[2] + BLOCK_SIZE]; break;
-            case 5: block.position = [parent.position[0], parent.position[1], parent.position[2] - BLOCK_SIZE]; break;
-        }
+        block.position = getAttachedBlockPosition(parent, face, block.size);
         
         if (this.wouldIntersect(block)) {
             return false;
         }
         
+        // The copies are rebuilt below, after the new block
+        const copies = this.removeSymmetryCopies();
         parent.markFaceUsed(face);
         const oppositeFace = face % 2 === 0 ? face + 1 : face - 1;
         block.markFaceUsed(oppositeFace);
@@ -1087,11 +2639,6 @@ class Creature {
         this.setBlockDNA(block, newBlockIndex, parentIndex, face, variation, colorSeed, materialSeed, influenceType);
         this.blocks.push(block);
         
-        // Track sensor additions
-        if (influenceType) {
-            this.lastAddedSensor = influenceType;
-        }
-        
         // Determine joint axis
         let axis;
         if (face === 0 || face === 1) {
@@ -1106,6 +2653,20 @@ class Creature {
         const joint = new Joint(parentIndex, newBlockIndex, axis, [], face, oppositeFace);
         this.joints.push(joint);
         
+        // A block that would break one of the copies doesn't go on
+        if (!this.keepsSymmetryCopies(copies)) {
+            this.blocks.pop();
+            this.joints.pop();
+            parent.usedFaces[face] = false;
+            this.expandSymmetry();
+            return false;
+        }
+        
+        // Track sensor additions
+        if (influenceType) {
+            this.lastAddedSensor = influenceType;
+        }
+        
         // Rebuild DNA and regenerate ALL movements
         // This is important because adding a sensor block means all joints
         // need to recalculate their influence responses
@@ -1120,17 +2681,20 @@ class Creature {
      * Only modifies DNA variation values, then regenerates everything from DNA
      * This ensures full determinism - the same DNA always produces the same creature
      * 
+     * @param {SeededRandom|RunRandom} rng - Random source (pass the run's RNG to keep runs reproducible)
      * @returns {Creature} A mutated copy of this creature
      */
-    mutate() {
-        const rng = new SeededRandom(Date.now() + Math.random() * 100000);
+    mutate(rng = new RunRandom(RunRandom.randomSeed())) {
         const mutated = new Creature(null);
         
         // Clone structure (blocks and joints)
         mutated.blocks = this.blocks.map(b => b.clone());
         mutated.joints = this.joints.map(j => j.clone());
+        mutated.removeSymmetryCopies();
         mutated.creatureSeed = this.creatureSeed;
-        mutated.seed = this.seed + '_m' + Math.floor(Math.random() * 10000);
+        mutated.controllerType = this.controllerType;
+        mutated.proprioception = [...this.proprioception];
+        mutated.seed = this.seed + '_m' + rng.randomInt(0, 10000);
         
         // Mutate variation values in DNA
         // Each block (except block 0) has a 50% chance of mutation
@@ -1152,12 +2716,28 @@ class Creature {
                         block.variation,
                         parsed.colorSeed,
                         parsed.materialSeed,
-                        parsed.specialCode
+                        parsed.specialCode,
+                        parsed.shapeGene
                     );
                 }
             }
         }
         
+        // Neural controllers also get their weights nudged (the variation
+        // change above doesn't touch inherited genes)
+        if (mutated.controllerType === 'neural') {
+            for (let i = 1; i < mutated.blocks.length; i++) {
+                mutated.blocks[i].neuralGene = mutateNeuralGene(mutated.blocks[i].neuralGene, rng, NEURAL_DEFAULT_MUTATION_RATE);
+            }
+        }
+        
+        // Sensor blocks retune their parameters (tempo, gain, ...)
+        for (const block of mutated.blocks) {
+            if (block.influenceType) {
+                block.sensorGene = mutateSensorGene(block.sensorGene, rng);
+            }
+        }
+        
         // Rebuild DNA string from blocks
         mutated.buildDNA();
         
@@ -1170,20 +2750,28 @@ class Creature {
     
     /**
      * Evolve this creature by adding a new block
-     * @returns {Creature} An evolved copy with one additional block
+     * @param {SeededRandom|RunRandom} rng - Random source (pass the run's RNG to keep runs reproducible)
+     * @param {number} maxBlocks - Block limit, normally EvolutionManager.maxBlocks (0 = unlimited)
+     * @returns {Creature} An evolved copy with one additional block (unchanged copy if at maxBlocks)
      */
-    evolve() {
-        const rng = new SeededRandom(Date.now() + Math.random() * 100000);
+    evolve(rng = new RunRandom(RunRandom.randomSeed()), maxBlocks = 0) {
         const evolved = new Creature(null);
         
         // Clone current structure
         evolved.blocks = this.blocks.map(b => b.clone());
         evolved.joints = this.joints.map(j => j.clone());
+        // New blocks go on the genotype, but mustn't land where a copy will be rebuilt
+        const copies = evolved.removeSymmetryCopies();
         evolved.creatureSeed = this.creatureSeed;
-        evolved.seed = this.seed + '_e' + Math.floor(Math.random() * 10000);
+        evolved.controllerType = this.controllerType;
+        evolved.proprioception = [...this.proprioception];
+        evolved.brain = this.brain ? new NeuralController(evolved) : null;
+        evolved.seed = this.seed + '_e' + rng.randomInt(0, 10000);
         
-        if (this.blocks.length >= 12) {
+        // Copies don't count towards the limit - it's on the blocks the DNA lists
+        if (maxBlocks > 0 && this.getGenotypeBlockCount() >= maxBlocks) {
             evolved.buildDNA();
+            evolved.expandSymmetry();
             return evolved;
         }
         
@@ -1208,7 +2796,9 @@ class Creature {
                 influenceType = determineBlockInfluenceType(evolved, rng);
             }
             
+            const shapeGene = BlockShapeConfig.evolve ? generateBlockShapeGene(rng) : null;
             const block = new Block([...standardSize], color, materialType, influenceType);
+            block.jointGene = JointGeneConfig.evolve ? generateJointGene(rng) : null;
             
             // Find parent block
             let parentIndex = -1;
@@ -1231,22 +2821,17 @@ class Creature {
             
             if (parentIndex === -1) {
                 evolved.buildDNA();
+                evolved.expandSymmetry();
                 return evolved;
             }
             
             const parent = evolved.blocks[parentIndex];
             
-            // Position block
-            switch(availableFace) {
-                case 0: block.position = [parent.position[0] + BLOCK_SIZE, parent.position[1], parent.position[2]]; break;
-                case 1: block.position = [parent.position[0] - BLOCK_SIZE, parent.position[1], parent.position[2]]; break;
-                case 2: block.position = [parent.position[0], parent.position[1] + BLOCK_SIZE, parent.position[2]]; break;
-                case 3: block.position = [parent.position[0], parent.position[1] - BLOCK_SIZE, parent.position[2]]; break;
-                case 4: block.position = [parent.position[0], parent.position[1], parent.position[2] + BLOCK_SIZE]; break;
-                case 5: block.position = [parent.position[0], parent.position[1], parent.position[2] - BLOCK_SIZE]; break;
-            }
+            // Size the block for the face it hangs from, then position it
+            block.setShapeGene(shapeGene, getFaceAxis(availableFace));
+            block.position = getAttachedBlockPosition(parent, availableFace, block.size);
             
-            if (!evolved.wouldIntersect(block)) {
+            if (!evolved.wouldIntersect(block, copies)) {
                 parent.markFaceUsed(availableFace);
                 const oppositeFace = availableFace % 2 === 0 ? availableFace + 1 : availableFace - 1;
                 block.markFaceUsed(oppositeFace);
@@ -1256,10 +2841,6 @@ class Creature {
                 evolved.setBlockDNA(block, newBlockIndex, parentIndex, availableFace, variation, colorSeed, materialSeed, influenceType);
                 evolved.blocks.push(block);
                 
-                if (influenceType) {
-                    evolved.lastAddedSensor = influenceType;
-                }
-                
                 // Determine axis
                 let axis;
                 if (availableFace === 0 || availableFace === 1) {
@@ -1274,12 +2855,32 @@ class Creature {
                 const joint = new Joint(parentIndex, newBlockIndex, axis, [], availableFace, oppositeFace);
                 evolved.joints.push(joint);
                 
-                blockPlaced = true;
+                if (evolved.keepsSymmetryCopies(copies)) {
+                    if (influenceType) {
+                        evolved.lastAddedSensor = influenceType;
+                    }
+                    blockPlaced = true;
+                } else {
+                    // It would break one of the copies - take it off and look elsewhere
+                    evolved.blocks.pop();
+                    evolved.joints.pop();
+                    parent.usedFaces[availableFace] = false;
+                    globalAttempts++;
+                }
             } else {
                 globalAttempts++;
             }
         }
         
+        // Joint senses switch on as the body grows, like sensor blocks
+        if (blockPlaced && typeof determineProprioceptionGain === 'function') {
+            const sense = determineProprioceptionGain(evolved, rng);
+            if (sense) {
+                evolved.proprioception.push(sense);
+                evolved.lastAddedSensor = sense;
+            }
+        }
+        
         // Build DNA and generate movements
         evolved.buildDNA();
         evolved.regenerateMovementsFromDNA();
@@ -1287,22 +2888,407 @@ class Creature {
         return evolved;
     }
     
-    wouldIntersect(newBlock) {
-        const BLOCK_SIZE = 1.0;
-        const tolerance = BLOCK_SIZE * 0.1;
-        
-        for (let existing of this.blocks) {
-            const dx = Math.abs(newBlock.position[0] - existing.position[0]);
-            const dy = Math.abs(newBlock.position[1] - existing.position[1]);
-            const dz = Math.abs(newBlock.position[2] - existing.position[2]);
-            
-            if (dx < BLOCK_SIZE - tolerance && dy < BLOCK_SIZE - tolerance && dz < BLOCK_SIZE - tolerance) {
+    /**
+     * Check whether a block would overlap any of this creature's blocks.
+     * Blocks are compared by their bounding boxes (round shapes fill most of
+     * theirs), with a little tolerance so face-to-face neighbours don't count.
+     * @param {Block} newBlock - Positioned block to test
+     * @param {Block[]} extraBlocks - More blocks to test against (e.g. removed symmetry copies)
+     * @returns {boolean} True if it overlaps an existing block
+     */
+    wouldIntersect(newBlock, extraBlocks = []) {
+        const tolerance = 0.1;
+        
+        for (let existing of this.blocks.concat(extraBlocks)) {
+            let overlaps = true;
+            for (let axis = 0; axis < 3 && overlaps; axis++) {
+                const distance = Math.abs(newBlock.position[axis] - existing.position[axis]);
+                overlaps = distance < (newBlock.size[axis] + existing.size[axis]) / 2 - tolerance;
+            }
+            if (overlaps) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Check every block against the blocks before it
+     * (used on bodies assembled from DNA, where nothing checked placement)
+     * @returns {boolean} True if any two blocks overlap
+     */
+    hasSelfIntersection() {
+        const probe = new Creature(null);
+        for (const block of this.blocks) {
+            if (probe.wouldIntersect(block)) {
                 return true;
             }
+            probe.blocks.push(block);
         }
         return false;
     }
     
+    /**
+     * Get a block and everything attached below it
+     * Parents always come before their children in DNA, so one pass is enough
+     * @param {Object[]} descriptors - Parsed block descriptors
+     * @param {number} rootIndex - Block the subtree starts at
+     * @returns {number[]} Block indices in the subtree, in DNA order
+     */
+    static getSubtreeIndices(descriptors, rootIndex) {
+        const inSubtree = new Set([rootIndex]);
+        for (let i = rootIndex + 1; i < descriptors.length; i++) {
+            if (inSubtree.has(descriptors[i].parentId)) {
+                inSubtree.add(i);
+            }
+        }
+        return [...inSubtree].sort((a, b) => a - b);
+    }
+    
+    /**
+     * Subtree crossover - graft a limb from parentB onto parentA
+     * 
+     * A random block of parentB and everything attached below it is cut out of
+     * B's DNA. Half the time a random limb of parentA is removed first, so the
+     * donor can replace it instead of just adding to the body. The donor keeps
+     * its orientation and attaches to any block of A with the same face free.
+     * All block IDs are re-indexed so the child's DNA is valid, and the body
+     * is rejected if any blocks overlap (wouldIntersect).
+     * 
+     * Note: joint movements come from each block's DNA prefix, so grafted
+     * blocks keep their shape, material and sensors but get new gaits.
+     * 
+     * @param {Creature} parentA - Body that receives the limb
+     * @param {Creature} parentB - Donor of the limb
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @param {number} maxBlocks - Block limit for the child (0 = unlimited)
+     * @returns {Creature|null} The child, or null if no graft fits
+     */
+    static crossover(parentA, parentB, rng, maxBlocks = 0) {
+        if (!parentA.dna) parentA.buildDNA();
+        if (!parentB.dna) parentB.buildDNA();
+        const descA = parseDNA(parentA.dna).blockDescriptors;
+        const descB = parseDNA(parentB.dna).blockDescriptors;
+        if (descA.length === 0 || descB.length < 2) {
+            return null;
+        }
+        
+        // Donor limb from B
+        const donorRoot = rng.randomInt(1, descB.length);
+        const donor = Creature.getSubtreeIndices(descB, donorRoot);
+        const donorSide = descB[donorRoot].side;
+        
+        // Optionally cut one of A's limbs out first
+        let kept = descA.map((d, i) => i);
+        if (descA.length > 1 && rng.random() < 0.5) {
+            const cut = new Set(Creature.getSubtreeIndices(descA, rng.randomInt(1, descA.length)));
+            kept = kept.filter(i => !cut.has(i));
+        }
+        
+        if (maxBlocks > 0 && kept.length + donor.length > maxBlocks) {
+            return null;
+        }
+        
+        // Re-index A's remaining blocks
+        const keptIndex = new Map(kept.map((oldIndex, newIndex) => [oldIndex, newIndex]));
+        const base = kept.map((oldIndex, newIndex) => ({
+            ...descA[oldIndex],
+            blockId: newIndex,
+            parentId: newIndex === 0 ? 0 : keptIndex.get(descA[oldIndex].parentId)
+        }));
+        
+        // Graft sites: any block of the remaining body with the donor's face free
+        const baseBody = Creature.fromDNA(buildDNAString(parentA.creatureSeed, base));
+        const sites = [];
+        baseBody.blocks.slice(0, base.length).forEach((block, i) => {
+            if (!block.usedFaces[donorSide]) sites.push(i);
+        });
+        if (sites.length === 0) {
+            return null;
+        }
+        
+        // Try the sites starting from a random one until a graft fits
+        const start = rng.randomInt(0, sites.length);
+        for (let s = 0; s < sites.length; s++) {
+            const site = sites[(start + s) % sites.length];
+            
+            const donorIndex = new Map(donor.map((oldIndex, k) => [oldIndex, base.length + k]));
+            const grafted = donor.map((oldIndex, k) => {
+                const d = descB[oldIndex];
+                return {
+                    ...d,
+                    blockId: base.length + k,
+                    parentId: oldIndex === donorRoot ? site : donorIndex.get(d.parentId)
+                };
+            });
+            
+            const child = Creature.fromDNA(buildDNAString(parentA.creatureSeed, base.concat(grafted)));
+            if (!child.hasSelfIntersection()) {
+                child.seed = parentA.seed;
+                child.structureSeed = parentA.structureSeed;
+                child.movementSeed = parentA.movementSeed;
+                return child;
+            }
+        }
+        
+        return null;
+    }
+    
+    // ========================================================================
+    // STRUCTURAL MUTATIONS
+    // ========================================================================
+    // evolve() can only add blocks. These operators also remove, move and
+    // re-side limbs, change sensor types, (with shape genes on) reshape blocks
+    // and (with symmetry on) mirror or repeat limbs. Each one edits the parsed DNA
+    // descriptors, renumbers them and rebuilds the creature with fromDNA, so
+    // the DNA stays the single source of truth. They return a new creature,
+    // or null when the change isn't possible or blocks would overlap.
+    
+    /**
+     * Renumber block descriptors after a structural edit.
+     * Blocks keep their relative order, except that a block always comes after
+     * its parent (required by fromDNA). Block 0 must stay first.
+     * 
+     * @param {Object[]} descriptors - Descriptors with their OLD blockId/parentId
+     * @returns {Object[]|null} Re-indexed descriptors, or null if a block lost its parent
+     */
+    static renumberDescriptors(descriptors) {
+        const newIds = new Map([[descriptors[0].blockId, 0]]);
+        const ordered = [descriptors[0]];
+        let remaining = descriptors.slice(1);
+        
+        while (remaining.length > 0) {
+            const before = remaining.length;
+            remaining = remaining.filter(d => {
+                if (!newIds.has(d.parentId)) return true;
+                newIds.set(d.blockId, ordered.length);
+                ordered.push(d);
+                return false;
+            });
+            if (remaining.length === before) {
+                return null;
+            }
+        }
+        
+        return ordered.map((d, i) => ({
+            ...d,
+            blockId: i,
+            parentId: i === 0 ? 0 : newIds.get(d.parentId)
+        }));
+    }
+    
+    /**
+     * Rebuild a creature from edited descriptors, keeping this creature's identity
+     * @param {Object[]} descriptors - Edited descriptors (renumbered here)
+     * @returns {Creature|null} The new creature, or null if it's invalid or self-intersecting
+     */
+    rebuildFromDescriptors(descriptors) {
+        const renumbered = Creature.renumberDescriptors(descriptors);
+        if (!renumbered) {
+            return null;
+        }
+        
+        const rebuilt = Creature.fromDNA(buildDNAString(this.creatureSeed, renumbered));
+        if (rebuilt.hasSelfIntersection()) {
+            return null;
+        }
+        
+        rebuilt.seed = this.seed;
+        rebuilt.structureSeed = this.structureSeed;
+        rebuilt.movementSeed = this.movementSeed;
+        return rebuilt;
+    }
+    
+    /**
+     * Get this creature's parsed block descriptors
+     * @returns {Object[]} Descriptors in block order
+     */
+    getBlockDescriptors() {
+        if (!this.dna) {
+            this.buildDNA();
+        }
+        return parseDNA(this.dna).blockDescriptors;
+    }
+    
+    /**
+     * Delete a random leaf block (one with nothing attached to it)
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @returns {Creature|null} Creature with one block fewer
+     */
+    removeLeafBlock(rng) {
+        const descriptors = this.getBlockDescriptors();
+        const hasChildren = new Set(descriptors.slice(1).map(d => d.parentId));
+        const leaves = descriptors.filter((d, i) => i > 0 && !hasChildren.has(i));
+        if (leaves.length === 0) {
+            return null;
+        }
+        
+        const leaf = leaves[rng.randomInt(0, leaves.length)];
+        return this.rebuildFromDescriptors(descriptors.filter(d => d !== leaf));
+    }
+    
+    /**
+     * Move a random block, with everything attached to it, to a free face
+     * of another block
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @returns {Creature|null} Creature with the limb moved
+     */
+    moveSubtree(rng) {
+        const descriptors = this.getBlockDescriptors();
+        if (descriptors.length < 2) {
+            return null;
+        }
+        
+        const root = rng.randomInt(1, descriptors.length);
+        const subtree = new Set(Creature.getSubtreeIndices(descriptors, root));
+        
+        // Free faces on blocks outside the moving limb (its current spot doesn't count)
+        const targets = [];
+        for (let i = 0; i < descriptors.length; i++) {
+            if (subtree.has(i)) continue;
+            for (const face of this.blocks[i].getAvailableFaces()) {
+                targets.push({ parentIndex: i, face: face });
+            }
+        }
+        if (targets.length === 0) {
+            return null;
+        }
+        
+        // Try a few random targets - many will collide with the body
+        for (let attempt = 0; attempt < Math.min(10, targets.length); attempt++) {
+            const target = targets[rng.randomInt(0, targets.length)];
+            const edited = descriptors.map((d, i) => i === root
+                ? { ...d, parentId: target.parentIndex, side: target.face }
+                : d);
+            const moved = this.rebuildFromDescriptors(edited);
+            if (moved) {
+                return moved;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Change the side digit of a random block - it (and its limb) moves to
+     * another free face of the same parent
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @returns {Creature|null} Creature with the block re-sided
+     */
+    changeBlockSide(rng) {
+        const descriptors = this.getBlockDescriptors();
+        if (descriptors.length < 2) {
+            return null;
+        }
+        
+        const index = rng.randomInt(1, descriptors.length);
+        const faces = this.blocks[descriptors[index].parentId].getAvailableFaces();
+        if (faces.length === 0) {
+            return null;
+        }
+        
+        const side = faces[rng.randomInt(0, faces.length)];
+        return this.rebuildFromDescriptors(descriptors.map((d, i) => i === index ? { ...d, side: side } : d));
+    }
+    
+    /**
+     * Change the special code of a random block - turn a sensor into a plain
+     * block, a plain block into a sensor, or swap sensor types. Any sensor
+     * type set to 'evolve' is offered - a creature can have several of a type.
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @returns {Creature|null} Creature with the new special code
+     */
+    changeSpecialType(rng) {
+        const descriptors = this.getBlockDescriptors();
+        const index = rng.randomInt(0, descriptors.length);
+        const current = descriptors[index].specialCode;
+        
+        const options = [];
+        if (current !== 0) options.push(0);
+        if (typeof SensorConfig !== 'undefined') {
+            for (const type of SensorConfig.getEvolveTypes()) {
+                if (isProprioceptiveType(type)) continue;
+                if (SPECIAL_TYPE_CODES[type] !== current) options.push(SPECIAL_TYPE_CODES[type]);
+            }
+        }
+        if (options.length === 0) {
+            return null;
+        }
+        
+        const specialCode = options[rng.randomInt(0, options.length)];
+        // A block that becomes a sensor is a new sensor, so it draws its gene
+        // like a newly added one; a swapped type keeps the gene it had
+        let sensorGene = descriptors[index].sensorGene;
+        if (specialCode === 0) {
+            sensorGene = '';
+        } else if (current === 0) {
+            sensorGene = generateSensorGeneFromDNA(this.dna, index, descriptors[index].variation);
+        }
+        const changed = this.rebuildFromDescriptors(descriptors.map((d, i) => i === index ? { ...d, specialCode: specialCode, sensorGene: sensorGene } : d));
+        if (changed && specialCode !== 0) {
+            changed.lastAddedSensor = SPECIAL_TYPE_NAMES[specialCode];
+        }
+        return changed;
+    }
+    
+    /**
+     * Change the shape gene of a random block - a new shape, or one axis
+     * longer or shorter. Blocks attached to it move out (or in) with its faces.
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @returns {Creature|null} Creature with the block reshaped
+     */
+    reshapeBlock(rng) {
+        const descriptors = this.getBlockDescriptors();
+        const index = rng.randomInt(0, descriptors.length);
+        const shapeGene = mutateBlockShapeGene(descriptors[index].shapeGene, rng);
+        return this.rebuildFromDescriptors(descriptors.map((d, i) => i === index ? { ...d, shapeGene: shapeGene } : d));
+    }
+    
+    /**
+     * Give a random block a mirror or repeat gene, or take its gene away
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @returns {Creature|null} Creature with the symmetry changed, or null if
+     *     the new construct has no room for a single copy
+     */
+    changeSymmetry(rng) {
+        const descriptors = this.getBlockDescriptors();
+        if (descriptors.length < 2) {
+            return null;
+        }
+        
+        const index = rng.randomInt(1, descriptors.length);
+        const symmetryGene = descriptors[index].symmetryGene ? '' : generateSymmetryGene(descriptors[index].side, rng);
+        const changed = this.rebuildFromDescriptors(descriptors.map((d, i) => i === index ? { ...d, symmetryGene: symmetryGene } : d));
+        if (changed && symmetryGene && !changed.blocks.some(block => block.sourceIndex === index)) {
+            return null;
+        }
+        return changed;
+    }
+    
+    /**
+     * Apply one random structural mutation, trying the other operators if
+     * the first one isn't possible on this body
+     * @param {SeededRandom|RunRandom} rng - Random source
+     * @returns {Object|null} {creature, operation} or null if nothing applies
+     */
+    mutateStructure(rng) {
+        const operations = ['removeLeafBlock', 'moveSubtree', 'changeBlockSide', 'changeSpecialType'];
+        if (BlockShapeConfig.evolve) {
+            operations.push('reshapeBlock');
+        }
+        if (SymmetryConfig.evolve) {
+            operations.push('changeSymmetry');
+        }
+        const start = rng.randomInt(0, operations.length);
+        for (let i = 0; i < operations.length; i++) {
+            const operation = operations[(start + i) % operations.length];
+            const creature = this[operation](rng);
+            if (creature) {
+                return { creature, operation };
+            }
+        }
+        return null;
+    }
+    
     clone() {
         const cloned = new Creature(null);
         cloned.seed = this.seed;
@@ -1318,6 +3304,9 @@ class Creature {
         cloned.blocks = this.blocks.map(b => b.clone());
         cloned.joints = this.joints.map(j => j.clone());
         cloned.lastAddedSensor = this.lastAddedSensor;
+        cloned.controllerType = this.controllerType;
+        cloned.proprioception = [...this.proprioception];
+        cloned.brain = this.brain ? new NeuralController(cloned) : null;
         
         // Copy fitness tracking fields
         cloned.fitness = this.fitness;
@@ -1327,6 +3316,12 @@ class Creature {
         cloned.tilesLit = [...this.tilesLit];
         cloned.hasLandedAfterSpawn = this.hasLandedAfterSpawn;
         cloned.groundedY = this.groundedY;
+        cloned.energyUsed = this.energyUsed;
+        cloned.raceProgress = this.raceProgress;
+        cloned.raceFinishTime = this.raceFinishTime;
+        cloned.raceStalled = this.raceStalled;
+        cloned.foodCollected = this.foodCollected;
+        cloned.foodTime = this.foodTime;
         
         // Note: influences and influenceProviders are rebuilt when spawned
         return cloned;
@@ -1340,6 +3335,17 @@ class Creature {
         this.tilesLit = [];
         this.hasLandedAfterSpawn = false;
         this.groundedY = 0;
+        this.energyUsed = 0;
+        this.raceProgress = 0;
+        this.raceFinishTime = 0;
+        this.raceStalled = false;
+        this.raceStartX = null;
+        this.raceBestProgress = 0;
+        this.raceLastGainTime = 0;
+        this.foodCollected = 0;
+        this.foodTime = 0;
+        this.food = [];
+        this.foodEaten = [];
     }
     
     /**
@@ -1352,6 +3358,10 @@ class Creature {
         const height = this.maxHeight || 0;
         const jump = this.maxJumpHeight || 0;
         const tiles = this.tilesLit ? this.tilesLit.length : 0;
+        const energy = this.energyUsed || 0;
+        const finishTime = this.raceFinishTime || 0;
+        const food = this.foodCollected || 0;
+        const foodTime = this.foodTime || 0;
         
         switch(mode) {
             case 'distance':
@@ -1380,6 +3390,20 @@ class Creature {
                 // Formula: distance * 1 + height * 2 + tiles * 0.2 + jump * 3
                 this.fitness = dist * 1.0 + height * 2.0 + tiles * 0.2 + jump * 3.0;
                 break;
+            case 'economy':
+                // Formula: distance per kJ of motor work (at least ECONOMY_MIN_ENERGY_KJ) + height * 0.2
+                this.fitness = calculateEconomyFitness(dist, energy, height);
+                break;
+            case 'race':
+                // Formula: forward progress + average speed * RACE_SPEED_BONUS if it finished
+                this.fitness = (this.raceProgress || 0) +
+                    (finishTime > 0 ? RACE_SPEED_BONUS * RACE_FINISH_DISTANCE / finishTime : 0);
+                break;
+            case 'forage':
+                // Formula: food * 10 + pieces per second * FORAGE_SPEED_BONUS + distance * 0.1
+                this.fitness = food * FORAGE_FOOD_SCORE +
+                    FORAGE_SPEED_BONUS * food / Math.max(foodTime, FORAGE_MIN_TIME) + dist * 0.1;
+                break;
             default:
                 this.fitness = dist * 2.0 + height * 0.5;
         }
@@ -1389,6 +3413,7 @@ class Creature {
     
     /**
      * Get special blocks info for display
+     * Joint senses are listed too (index null - they live in every hinge)
      */
     getSpecialBlocks() {
         const specialBlocks = [];
@@ -1401,6 +3426,12 @@ class Creature {
                 });
             }
         }
+        for (const sense of this.proprioception) {
+            specialBlocks.push({
+                index: null,
+                type: sense
+            });
+        }
         return specialBlocks;
     }
     
@@ -1431,9 +3462,12 @@ class Creature {
             const joint = this.joints[i];
             const actionSummary = joint.actions.map(a => {
                 const dir = a.direction === 1 ? 'CW' : (a.direction === -1 ? 'CCW' : 'Static');
-                return `${dir}@${a.rotationSpeed.toFixed(2)}(${a.duration}steps)`;
+                return `${dir}@${a.rotationSpeed.toFixed(2)}(${a.duration.toFixed(2)}s)`;
             }).join(' -> ');
-            summary.push(`Joint ${i} (${joint.axis}-axis): ${actionSummary}`);
+            const type = joint.params.type === 'hinge' ? `${joint.axis}-axis` : `${joint.params.type}, ${joint.axis} face`;
+            const source = this.blocks[joint.blockIndexB].sourceIndex;
+            const copy = source !== null ? `, copy of block ${source}` : '';
+            summary.push(`Joint ${i} (${type}${copy}): ${actionSummary}`);
         }
         return summary;
     }
@@ -1450,8 +3484,8 @@ class Creature {
         const dz = block1.position[2] - block2.position[2];
         const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
         
-        const radius1 = block1.size[0] / 2;
-        const radius2 = block2.size[0] / 2;
+        const radius1 = Math.min(...block1.size) / 2;
+        const radius2 = Math.min(...block2.size) / 2;
         const sumOfRadii = radius1 + radius2;
         
         return distance < sumOfRadii;
@@ -1486,6 +3520,11 @@ class Creature {
             maxJumpHeight: this.maxJumpHeight,
             hasLandedAfterSpawn: this.hasLandedAfterSpawn,
             groundedY: this.groundedY,
+            energyUsed: this.energyUsed,
+            raceProgress: this.raceProgress,
+            raceFinishTime: this.raceFinishTime,
+            foodCollected: this.foodCollected,
+            foodTime: this.foodTime,
             tilesLit: [...(this.tilesLit || [])],
             
             // Special block tracking
@@ -1523,6 +3562,11 @@ class Creature {
         creature.maxJumpHeight = data.maxJumpHeight || 0;
         creature.hasLandedAfterSpawn = data.hasLandedAfterSpawn || false;
         creature.groundedY = data.groundedY || 0;
+        creature.energyUsed = data.energyUsed || 0;
+        creature.raceProgress = data.raceProgress || 0;
+        creature.raceFinishTime = data.raceFinishTime || 0;
+        creature.foodCollected = data.foodCollected || 0;
+        creature.foodTime = data.foodTime || 0;
         creature.tilesLit = [...(data.tilesLit || [])];
         
         // Special block tracking
@@ -1552,6 +3596,19 @@ class Creature {
         return creature;
     }
     
+    /**
+     * Check that the DNA holds everything the body needs: rebuilding the
+     * creature from it gives back the same DNA and the same block shapes. A
+     * shape gene that never made it into the DNA would come back as a cube.
+     * @returns {boolean} Whether the round trip is exact
+     */
+    roundTripsThroughDNA() {
+        const rebuilt = Creature.fromDNA(this.dna);
+        rebuilt.buildDNA();
+        return rebuilt.dna === this.dna && rebuilt.blocks.length === this.blocks.length &&
+            rebuilt.blocks.every((block, i) => (block.shapeGene || null) === (this.blocks[i].shapeGene || null));
+    }
+    
     /**
      * Create a creature entirely from a DNA string
      * This is the canonical way to recreate a creature deterministically
@@ -1578,9 +3635,10 @@ class Creature {
             const influenceType = SPECIAL_TYPE_NAMES[desc.specialCode] || null;
             
             const block = new Block([...standardSize], color, materialType, influenceType);
+            block.setShapeGene(desc.shapeGene, getFaceAxis(i === 0 ? null : desc.side));
             block.dnaDescriptor = createBlockDescriptor(
                 desc.blockId, desc.parentId, desc.side,
-                desc.variation, desc.colorSeed, desc.materialSeed, desc.specialCode
+                desc.variation, desc.colorSeed, desc.materialSeed, desc.specialCode, desc.shapeGene
             );
             block.variation = desc.variation;
             block.colorSeed = desc.colorSeed;
@@ -1588,20 +3646,13 @@ class Creature {
             
             if (i === 0) {
                 // First block at origin
-                block.position = [0, BLOCK_SIZE / 2, 0];
+                block.position = [0, block.size[1] / 2, 0];
             } else {
                 // Position relative to parent
                 const parent = creature.blocks[desc.parentId];
                 const face = desc.side;
                 
-                switch(face) {
-                    case 0: block.position = [parent.position[0] + BLOCK_SIZE, parent.position[1], parent.position[2]]; break;
-                    case 1: block.position = [parent.position[0] - BLOCK_SIZE, parent.position[1], parent.position[2]]; break;
-                    case 2: block.position = [parent.position[0], parent.position[1] + BLOCK_SIZE, parent.position[2]]; break;
-                    case 3: block.position = [parent.position[0], parent.position[1] - BLOCK_SIZE, parent.position[2]]; break;
-                    case 4: block.position = [parent.position[0], parent.position[1], parent.position[2] + BLOCK_SIZE]; break;
-                    case 5: block.position = [parent.position[0], parent.position[1], parent.position[2] - BLOCK_SIZE]; break;
-                }
+                block.position = getAttachedBlockPosition(parent, face, block.size);
                 
                 // Mark faces as used
                 parent.markFaceUsed(face);
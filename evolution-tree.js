@@ -915,7 +915,8 @@ class EvolutionTreeRenderer {
         if (node.fitnessMode) {
             const modeAbbrev = {
                 'distance': 'Dist', 'efficiency': 'Eff', 'jump': 'Jump',
-                'area': 'Area', 'outcast': 'Out', 'spartan': 'Spar'
+                'area': 'Area', 'outcast': 'Out', 'spartan': 'Spar',
+                'economy': 'Econ', 'race': 'Race', 'forage': 'Food'
             };
             ctx.fillStyle = '#fbbf24';  // Yellow/amber for mode
             ctx.textAlign = 'right';
@@ -928,6 +929,14 @@ class EvolutionTreeRenderer {
         ctx.textAlign = 'left';
         ctx.fillText(`D: ${node.distance.toFixed(1)}m  H: ${node.height.toFixed(1)}m`, x + 4, row4Y);
         
+        // Motor energy on the right
+        const energy = node.energyUsed || 0;
+        ctx.fillStyle = '#64ffda';
+        ctx.textAlign = 'right';
+        ctx.fillText(`W: ${energy.toFixed(0)}J`, x + this.nodeWidth - 4, row4Y);
+        ctx.fillStyle = this.colors.textSecondary;
+        ctx.textAlign = 'left';
+        
         // === ROW 5: Jump, Tiles, and Efficiency ===
         const row5Y = y + 57;
         const jump = node.jumpHeight || 0;
@@ -1000,7 +1009,10 @@ class EvolutionTreeRenderer {
             'efficiency': 'EFF MODE',
             'jump': 'JUMP MODE',
             'area': 'AREA MODE',
-            'outcast': 'OUTCAST'
+            'outcast': 'OUTCAST',
+            'economy': 'ECON MODE',
+            'race': 'RACE MODE',
+            'forage': 'FORAGE MODE'
         };
         return names[mode] || mode.toUpperCase();
     }
@@ -1115,6 +1127,7 @@ class EvolutionTreeRenderer {
         let extraHeight = 0;
         
         if (node.fitnessMode) extraHeight += 15;
+        if (node.course) extraHeight += 15;
         if (node.rank !== undefined) extraHeight += 15;
         // Add space for config info if available
         if (node.configIndex !== null && node.configIndex !== undefined && node.configIndex >= 0) extraHeight += 15;
@@ -1127,7 +1140,7 @@ class EvolutionTreeRenderer {
         if (node.creatureClone && node.creatureClone.tilesLit && node.creatureClone.tilesLit.length > 0) {
             extraHeight += 100;  // Space for footprint image + label
         }
-        const tooltipHeight = 260 + extraHeight;
+        const tooltipHeight = 303 + extraHeight;
         let x = Math.min(this.canvas.width - tooltipWidth - 10, this.lastMouseX + 15);
         let y = Math.min(this.canvas.height - tooltipHeight - 10, this.lastMouseY + 15);
         
@@ -1192,6 +1205,13 @@ class EvolutionTreeRenderer {
             lineY += lineSpacing;
         }
         
+        // Course it was evaluated on - scores from different courses don't compare
+        if (node.course) {
+            ctx.fillStyle = '#fbbf24';
+            ctx.fillText(`Course: ${node.course}`, x + padding, lineY);
+            lineY += lineSpacing;
+        }
+        
         // Basic stats
         ctx.fillStyle = '#aaaaaa';
         ctx.fillText(`Generation: ${node.generation}  |  Blocks: ${node.blocks}`, x + padding, lineY);
@@ -1212,7 +1232,8 @@ class EvolutionTreeRenderer {
             const abbrevMap = {
                 'gravity': 'Grv', 'light': 'Lgt', 'velocity': 'Vel',
                 'ground': 'Gnd', 'rhythm': 'Rhy', 'tilt': 'Tlt',
-                'compass': 'Cmp', 'tracking': 'Trk'
+                'compass': 'Cmp', 'tracking': 'Trk', 'touch': 'Tch',
+                'range': 'Rng', 'target': 'Tgt', 'jointAngle': 'JAng', 'jointVelocity': 'JVel'
             };
             const sensorAbbrevs = node.sensors.map(type => abbrevMap[type] || type);
             ctx.fillText(`Sensors: ${sensorAbbrevs.join(', ')}`, x + padding, lineY);
@@ -1251,6 +1272,11 @@ class EvolutionTreeRenderer {
         ctx.fillText(`[E] Efficiency: ${efficiency.toFixed(3)} (dist/tile)`, x + padding, lineY);
         lineY += lineSpacing;
         
+        // Motor work
+        const energy = node.energyUsed || 0;
+        ctx.fillText(`Motor Energy: ${energy.toFixed(0)}J`, x + padding, lineY);
+        lineY += lineSpacing;
+        
         // Mode scores section
         ctx.fillStyle = '#ffd700';
         ctx.fillText('--- Mode Scores ---', x + padding, lineY);
@@ -1263,6 +1289,12 @@ class EvolutionTreeRenderer {
         const areaScore = tiles * 1.0 + node.distance * 0.05;
         const outcastScore = node.distance + node.height * 2 + tiles * 0.5 + jump * 5;
         const spartanScore = node.distance * 1.0 + node.height * 2.0 + tiles * 0.2 + jump * 3.0;
+        const economyScore = calculateEconomyFitness(node.distance, energy, node.height);
+        const raceScore = (node.raceProgress || 0) +
+            (node.raceFinishTime > 0 ? RACE_SPEED_BONUS * RACE_FINISH_DISTANCE / node.raceFinishTime : 0);
+        const food = node.foodCollected || 0;
+        const forageScore = food * FORAGE_FOOD_SCORE +
+            FORAGE_SPEED_BONUS * food / Math.max(node.foodTime || 0, FORAGE_MIN_TIME) + node.distance * 0.1;
         
         ctx.font = `10px ${this.fontFamily}`;
         ctx.fillStyle = '#aaaaaa';
@@ -1274,6 +1306,11 @@ class EvolutionTreeRenderer {
         lineY += lineSpacing - 2;
         ctx.fillText(`[O] Outcast: ${outcastScore.toFixed(1)}`, x + padding, lineY);
         ctx.fillText(`[S] Spartan: ${spartanScore.toFixed(1)}`, x + padding + 100, lineY);
+        lineY += lineSpacing - 2;
+        ctx.fillText(`[W] Economy: ${economyScore.toFixed(1)}`, x + padding, lineY);
+        ctx.fillText(`[R] Race: ${raceScore.toFixed(1)}`, x + padding + 100, lineY);
+        lineY += lineSpacing - 2;
+        ctx.fillText(`[F] Forage: ${forageScore.toFixed(1)}`, x + padding, lineY);
         
         // Parent info if available
         if (node.parentName) {
@@ -1452,7 +1489,10 @@ class EvolutionTreeRenderer {
             'jump': 'Jump Height',
             'area': 'Area Coverage',
             'outcast': 'Outcast',
-            'spartan': 'Spartan'
+            'spartan': 'Spartan',
+            'economy': 'Economy',
+            'race': 'Race',
+            'forage': 'Forage'
         };
         return names[mode] || mode;
     }
@@ -11,11 +11,18 @@
  * - 'area': Total tiles lit up (surface area covered)
  * - 'outcast': Most different from the population average (the weirdo wins!)
  * - 'spartan': Best overall metrics combined (the well-rounded athlete wins!)
+ * - 'economy': Distance traveled per unit of motor energy (frugal movers win)
+ * - 'race': Forward progress down a lane along +X, plus a bonus for finishing fast
+ * - 'forage': Food pieces eaten, plus a bonus for eating them fast
  * - 'random': Randomly selects one of the above modes each generation
  */
 
 // Available concrete fitness modes (excludes 'random' which is a meta-mode)
-const CONCRETE_FITNESS_MODES = ['distance', 'efficiency', 'jump', 'area', 'outcast', 'spartan'];
+const CONCRETE_FITNESS_MODES = ['distance', 'efficiency', 'jump', 'area', 'outcast', 'spartan', 'economy', 'race', 'forage'];
+
+// Parent selection methods - 'champion' is the single-champion hill-climber,
+// the others are population-based GA modes (see selectParents)
+const SELECTION_METHODS = ['champion', 'elitism', 'tournament', 'roulette'];
 
 /**
  * Manages the evolution of creatures across generations
@@ -83,6 +90,62 @@ class EvolutionManager {
         this.targetHeight = 0;        // maxHeight achieved
         this.targetTilesLit = 0;      // number of tiles lit up
         this.targetJumpHeight = 0;    // max jump height after landing
+        this.targetEnergy = 0;        // motor energy used (J)
+        this.targetRaceProgress = 0;  // race: forward progress (m)
+        this.targetRaceFinishTime = 0; // race: finish time (s), 0 = didn't finish
+        this.targetFoodCollected = 0; // forage: food pieces eaten
+        this.targetFoodTime = 0;      // forage: time the last piece was eaten (s)
+        this.targetCourse = null;     // course the target metrics were measured on
+        
+        // Parent selection - 'champion' is the classic hill-climber: every generation
+        // grows from the one champion. 'elitism', 'tournament' and 'roulette' switch
+        // on GA mode, where parentCount parents breed each generation and
+        // crossoverRate of the new creatures are crossover children.
+        this.selectionMethod = 'champion';
+        this.parentCount = 3;
+        this.crossoverRate = 0.25;
+        this.tournamentSize = 3;
+        
+        // Share of each generation's new creatures made by structural mutation
+        // (removing, moving or re-siding a limb, or changing a sensor) instead of
+        // only adding blocks - lets lineages shed useless limbs. Off unless asked
+        // for, since every structural mutant is an extra creature in the round
+        this.structuralMutationRate = 0;
+        
+        // Joint controller given to generation 1 - 'actions' (cyclic action lists)
+        // or 'neural' (an evolvable network, see neural-controller.js). Offspring
+        // inherit their parent's controller; neural weights drift by
+        // neuralMutationRate per gene byte in every new variant.
+        this.controllerType = 'actions';
+        this.neuralMutationRate = NEURAL_DEFAULT_MUTATION_RATE;
+        
+        // Block shapes - 'cubes' builds every block as a unit cube; 'evolve'
+        // gives new blocks shape genes (box, cylinder, sphere or capsule, and
+        // a size per axis) and lets structural mutations reshape blocks
+        this.blockShapes = 'cubes';
+        
+        // Joint types - 'hinges' keeps every joint a classic hinge; 'evolve'
+        // gives new joints genes for their type (hinge, swing hinge, ball or
+        // fixed), angle limits and motor strength, and mutations tune them
+        this.jointTypes = 'hinges';
+        
+        // Body symmetry - 'off' builds every block the DNA lists and nothing
+        // more; 'evolve' lets structural mutations give limbs mirror and
+        // repeat genes, which the builder expands into extra blocks
+        this.bodySymmetry = 'off';
+        
+        // Obstacle course the creatures are evaluated on (its name - see
+        // course.js). Scores from different courses can't be compared, so
+        // tree nodes record it and targetCourse says where the target was set.
+        this.course = 'Open Arena';
+        
+        // Run seed - every random choice in a run (structures, movements, which
+        // attachment points get tried, random fitness modes) is drawn from this.rng,
+        // so the same seed and settings replay the same experiment generation by
+        // generation. fixedRunSeed is what the user typed (null = pick one per run).
+        this.fixedRunSeed = null;
+        this.runSeed = RunRandom.randomSeed();
+        this.rng = new RunRandom(this.runSeed);
         
         // Load saved creatures from localStorage
         this.loadSavedCreatures();
@@ -90,14 +153,21 @@ class EvolutionManager {
     
     /**
      * Set the fitness mode for evolution
-     * @param {string} mode - 'distance', 'efficiency', 'jump', 'area', 'outcast', 'spartan', or 'random'
+     * @param {string} mode - 'distance', 'efficiency', 'jump', 'area', 'outcast', 'spartan', 'economy', 'race', 'forage', or 'random'
      */
     setFitnessMode(mode) {
-        const validModes = ['distance', 'efficiency', 'jump', 'area', 'outcast', 'spartan', 'random'];
+        const validModes = ['distance', 'efficiency', 'jump', 'area', 'outcast', 'spartan', 'economy', 'race', 'forage', 'random'];
         if (validModes.includes(mode)) {
+            // Already random (e.g. a loaded run) - keep the current pick so the
+            // run's random stream isn't advanced by just re-applying the setting
+            const alreadyRandom = this.isRandomMode && mode === 'random';
             this.fitnessMode = mode;
             this.isRandomMode = (mode === 'random');
             
+            if (alreadyRandom) {
+                return;
+            }
+            
             // If random, pick an initial mode
             if (this.isRandomMode) {
                 this.currentActiveMode = this.pickRandomMode();
@@ -114,6 +184,151 @@ class EvolutionManager {
         }
     }
     
+    /**
+     * Choose the run seed used by the next startEvolution().
+     * @param {number|string|null} seed - 32-bit integer, or null/'' to pick a random one each run
+     */
+    setRunSeed(seed) {
+        if (seed === null || seed === undefined || seed === '' || isNaN(Number(seed))) {
+            this.fixedRunSeed = null;
+        } else {
+            this.fixedRunSeed = Number(seed) >>> 0;
+        }
+    }
+    
+    /**
+     * Seed for things laid out fresh each round (forage food), so a creature
+     * can't just memorise where they are. Worked out from the run seed and
+     * generation rather than drawn from this.rng, so it doesn't shift the
+     * run's random stream - replays and retries get the same layout.
+     * @returns {number} Round seed
+     */
+    getRoundSeed() {
+        return new RunRandom((this.runSeed ^ Math.imul(this.generation + 1, 0x9E3779B1)) >>> 0).nextSeed();
+    }
+    
+    /**
+     * Set how parents are chosen for the next generation
+     * @param {string} method - 'champion', 'elitism', 'tournament' or 'roulette'
+     * @param {number} parentCount - Parents per generation in GA mode (the champion counts as one)
+     */
+    setSelectionMode(method, parentCount = this.parentCount) {
+        if (!SELECTION_METHODS.includes(method)) {
+            console.warn(`Invalid selection method: ${method}. Using 'champion'.`);
+            method = 'champion';
+        }
+        this.selectionMethod = method;
+        this.parentCount = Math.max(1, Math.min(10, parseInt(parentCount) || 1));
+        if (method !== 'champion') {
+            console.log(`[GA] ${method} selection with ${this.parentCount} parents`);
+        }
+    }
+    
+    /**
+     * Set the share of each generation's new creatures made by structural mutation
+     * @param {number} rate - 0 (off) to 1
+     */
+    setStructuralMutationRate(rate) {
+        this.structuralMutationRate = Math.max(0, Math.min(1, parseFloat(rate) || 0));
+        if (this.structuralMutationRate > 0) {
+            console.log(`[MUTATION] ${Math.round(this.structuralMutationRate * 100)}% of new creatures get a structural mutation`);
+        }
+    }
+    
+    /**
+     * Set the joint controller used by the next startEvolution()
+     * @param {string} type - 'actions' or 'neural'
+     */
+    setControllerType(type) {
+        if (type !== 'actions' && type !== 'neural') {
+            console.warn(`Invalid controller type: ${type}. Using 'actions'.`);
+            type = 'actions';
+        }
+        this.controllerType = type;
+        if (type === 'neural') {
+            console.log('[NEURAL] New creatures get a neural network controller');
+        }
+    }
+    
+    /**
+     * Set whether new blocks get shape genes (see BLOCK SHAPE GENES in creature.js)
+     * @param {string} mode - 'cubes' or 'evolve'
+     */
+    setBlockShapes(mode) {
+        if (mode !== 'cubes' && mode !== 'evolve') {
+            console.warn(`Invalid block shapes mode: ${mode}. Using 'cubes'.`);
+            mode = 'cubes';
+        }
+        this.blockShapes = mode;
+        BlockShapeConfig.evolve = mode === 'evolve';
+        if (mode === 'evolve') {
+            console.log('[SHAPES] New blocks get evolvable shapes and sizes');
+        }
+    }
+    
+    /**
+     * Set whether joints get joint genes (see JOINT GENES in creature.js)
+     * @param {string} mode - 'hinges' or 'evolve'
+     */
+    setJointTypes(mode) {
+        if (mode !== 'hinges' && mode !== 'evolve') {
+            console.warn(`Invalid joint types mode: ${mode}. Using 'hinges'.`);
+            mode = 'hinges';
+        }
+        this.jointTypes = mode;
+        JointGeneConfig.evolve = mode === 'evolve';
+        if (mode === 'evolve') {
+            console.log('[JOINTS] New joints get evolvable types, limits and strength');
+        }
+    }
+    
+    /**
+     * Set whether structural mutations add symmetry genes (see SYMMETRY GENES in creature.js)
+     * @param {string} mode - 'off' or 'evolve'
+     */
+    setBodySymmetry(mode) {
+        if (mode !== 'off' && mode !== 'evolve') {
+            console.warn(`Invalid body symmetry mode: ${mode}. Using 'off'.`);
+            mode = 'off';
+        }
+        this.bodySymmetry = mode;
+        SymmetryConfig.evolve = mode === 'evolve';
+        if (mode === 'evolve') {
+            console.log('[SYMMETRY] Structural mutations can mirror and repeat limbs');
+        }
+    }
+    
+    /**
+     * Set the obstacle course creatures are evaluated on from now on
+     * @param {string} courseName - Course name (see COURSE_PRESETS in course.js)
+     */
+    setCourse(courseName) {
+        this.course = courseName || 'Open Arena';
+        this.clearTargetFromOtherCourse();
+    }
+    
+    /**
+     * A target only means something on the course it was set on - walls or
+     * stairs change what a good score is. If the target came from another
+     * course, drop it so the next generation crowns a champion on this one
+     * instead of being measured against a score it couldn't have matched.
+     */
+    clearTargetFromOtherCourse() {
+        if (!this.targetCourse || this.targetCourse === this.course) return;
+        console.log(`[COURSE] Target was set on "${this.targetCourse}", not "${this.course}" - clearing it`);
+        this.targetFitness = 0;
+        this.targetDistance = 0;
+        this.targetHeight = 0;
+        this.targetTilesLit = 0;
+        this.targetJumpHeight = 0;
+        this.targetEnergy = 0;
+        this.targetRaceProgress = 0;
+        this.targetRaceFinishTime = 0;
+        this.targetFoodCollected = 0;
+        this.targetFoodTime = 0;
+        this.targetCourse = this.course;
+    }
+    
     /**
      * Pick a random fitness mode from the concrete modes
      * Avoids picking the same mode twice in a row for variety
@@ -128,7 +343,7 @@ class EvolutionManager {
             availableModes = CONCRETE_FITNESS_MODES;
         }
         
-        const index = Math.floor(Math.random() * availableModes.length);
+        const index = this.rng.randomInt(0, availableModes.length);
         return availableModes[index];
     }
     
@@ -163,6 +378,9 @@ class EvolutionManager {
             'area': 'Area Coverage - Total tiles lit up',
             'outcast': 'Outcast - Most different from the crowd wins',
             'spartan': 'Spartan - Best overall metrics (well-rounded athletes win)',
+            'economy': 'Economy - Distance per unit of motor energy (frugal movers win)',
+            'race': 'Race - Forward progress down a lane, bonus for finishing fast',
+            'forage': 'Forage - Food eaten, faster foragers win ties',
             'random': 'Random - Mode changes each generation for variety'
         };
         return descriptions[this.fitnessMode] || descriptions['distance'];
@@ -205,11 +423,13 @@ class EvolutionManager {
      * but EXCLUDES color since it's purely cosmetic.
      * 
      * @param {Creature} creature - The creature to check
+     * @param {boolean} wholeBody - Fingerprint every block (crossover and structural
+     *                              mutations change more than the last block)
      * @returns {boolean} True if this is a NEW (untried) creature, false if duplicate
      */
-    tryRegisterCreature(creature) {
+    tryRegisterCreature(creature, wholeBody = false) {
         // Use behavioral fingerprint - excludes color, includes everything else
-        const fingerprint = creature.getBehavioralFingerprint();
+        const fingerprint = creature.getBehavioralFingerprint(wholeBody);
         if (this.isDNASegmentTried(fingerprint)) {
             return false; // Already tried this configuration
         }
@@ -242,7 +462,10 @@ class EvolutionManager {
             'jump': 'Jump Height',
             'area': 'Area Coverage',
             'outcast': 'Outcast',
-            'spartan': 'Spartan'
+            'spartan': 'Spartan',
+            'economy': 'Economy',
+            'race': 'Race',
+            'forage': 'Forage'
         };
         return descriptions[this.currentActiveMode] || 'Distance';
     }
@@ -260,9 +483,14 @@ class EvolutionManager {
      * @param {number} tilesLit - Number of tiles lit up
      * @param {number} jumpHeight - Max jump height after landing
      * @param {string} mode - The fitness mode to calculate for
+     * @param {number} energy - Motor energy used (J), only needed for 'economy'
+     * @param {number} raceProgress - Forward progress (m), only needed for 'race'
+     * @param {number} raceFinishTime - Finish time (s, 0 = didn't finish), only needed for 'race'
+     * @param {number} foodCollected - Food pieces eaten, only needed for 'forage'
+     * @param {number} foodTime - When the last piece was eaten (s), only needed for 'forage'
      * @returns {number} The calculated fitness value
      */
-    calculateFitnessFromMetrics(distance, height, tilesLit, jumpHeight, mode) {
+    calculateFitnessFromMetrics(distance, height, tilesLit, jumpHeight, mode, energy = 0, raceProgress = 0, raceFinishTime = 0, foodCollected = 0, foodTime = 0) {
         switch(mode) {
             case 'distance':
                 return distance * 2.0 + height * 0.5;
@@ -290,6 +518,22 @@ class EvolutionManager {
                 // based on typical good values (distance ~30m, height ~5m, tiles ~50, jump ~3m)
                 return distance * 1.0 + height * 2.0 + tilesLit * 0.2 + jumpHeight * 3.0;
                 
+            case 'economy':
+                // Distance per kJ of motor work; the floor keeps creatures that
+                // barely move from dividing by almost nothing
+                return calculateEconomyFitness(distance, energy, height);
+                
+            case 'race':
+                // Same formula as Creature.calculateFitness
+                return raceProgress +
+                    (raceFinishTime > 0 ? RACE_SPEED_BONUS * RACE_FINISH_DISTANCE / raceFinishTime : 0);
+                
+            case 'forage':
+                // Same formula as Creature.calculateFitness
+                return foodCollected * FORAGE_FOOD_SCORE +
+                    FORAGE_SPEED_BONUS * foodCollected / Math.max(foodTime, FORAGE_MIN_TIME) +
+                    distance * 0.1;
+                
             default:
                 return distance * 2.0 + height * 0.5;
         }
@@ -320,7 +564,12 @@ class EvolutionManager {
             this.targetHeight,
             this.targetTilesLit,
             this.targetJumpHeight,
-            evaluationMode
+            evaluationMode,
+            this.targetEnergy,
+            this.targetRaceProgress,
+            this.targetRaceFinishTime,
+            this.targetFoodCollected,
+            this.targetFoodTime
         );
         
         // Check if best creature beats the target
@@ -373,9 +622,22 @@ class EvolutionManager {
         this.targetHeight = 0;
         this.targetTilesLit = 0;
         this.targetJumpHeight = 0;
+        this.targetEnergy = 0;
+        this.targetRaceProgress = 0;
+        this.targetRaceFinishTime = 0;
+        this.targetFoodCollected = 0;
+        this.targetFoodTime = 0;
+        this.targetCourse = null;
+        
+        // Restart the run's random stream - everything below draws from it
+        this.runSeed = this.fixedRunSeed !== null ? this.fixedRunSeed : RunRandom.randomSeed();
+        this.rng = new RunRandom(this.runSeed);
+        console.log(`[SEED] Run seed: ${this.runSeed}`);
         
         // If in random mode, pick the mode for generation 1
+        // (from all modes - whatever setFitnessMode picked came from the previous stream)
         if (this.isRandomMode) {
+            this.currentActiveMode = null;
             this.currentActiveMode = this.pickRandomMode();
         }
         
@@ -387,7 +649,13 @@ class EvolutionManager {
             blocksPerGeneration: this.blocksPerGeneration,
             maxBlocks: this.maxBlocks,
             randomizeBlockCount: this.randomizeBlockCount,
-            enableLimbGeneration: this.enableLimbGeneration
+            enableLimbGeneration: this.enableLimbGeneration,
+            controllerType: this.controllerType,
+            blockShapes: this.blockShapes,
+            jointTypes: this.jointTypes,
+            bodySymmetry: this.bodySymmetry,
+            course: this.course,
+            runSeed: this.runSeed
         });
         
         // Generation 1: Create different 2-block configurations
@@ -410,7 +678,7 @@ class EvolutionManager {
         // Create configurations, each with multiple movement variants
         for (let configIndex = 0; configIndex < numConfigurations; configIndex++) {
             // Use a consistent seed for the body structure
-            const structureSeed = Math.floor(Math.random() * 1000000);
+            const structureSeed = this.rng.nextSeed();
             
             // Create multiple instances of this configuration with different movements
             for (let variantIndex = 0; variantIndex < this.instancesPerBlockConfig; variantIndex++) {
@@ -427,9 +695,15 @@ class EvolutionManager {
                 }
                 
                 // Generate unique movement patterns for this variant
-                const movementSeed = Math.floor(Math.random() * 1000000);
+                const movementSeed = this.rng.nextSeed();
                 creature.generateMovementsFromSeed(movementSeed);
                 
+                // Neural controller - each joint's neuron gene comes from its DNA,
+                // so the variants differ just like their action lists do
+                if (this.controllerType === 'neural') {
+                    creature.setControllerType('neural');
+                }
+                
                 // Create a combined seed for identification
                 creature.seed = `s${structureSeed}_m${movementSeed}`;
                 creature.structureSeed = structureSeed;
@@ -466,7 +740,8 @@ class EvolutionManager {
         // Calculate expected block count (base blocks + any sensors in 'start' mode)
         let sensorCount = 0;
         if (typeof SensorConfig !== 'undefined' && SensorConfig.getStartTypes().length > 0) {
-            sensorCount = SensorConfig.getStartTypes().length;
+            // Joint senses don't add blocks
+            sensorCount = SensorConfig.getStartTypes().filter(type => !isProprioceptiveType(type)).length;
             console.log(`Base blocks: ${numBlocks}, Sensor blocks: ${sensorCount}`);
         }
         const expectedTotal = numBlocks + sensorCount;
@@ -478,6 +753,9 @@ class EvolutionManager {
             if (creature.blocks.length < numBlocks || creature.blocks.length > expectedTotal) {
                 console.error(`[VALIDATION ERROR] ${creature.name} has ${creature.blocks.length} blocks, expected ${expectedTotal}`);
                 invalidCount++;
+            } else if (!creature.roundTripsThroughDNA()) {
+                console.error(`[VALIDATION ERROR] ${creature.name} doesn't rebuild from its DNA`);
+                invalidCount++;
             }
         }
         
@@ -486,9 +764,9 @@ class EvolutionManager {
         console.log(`Variants per config: ${this.instancesPerBlockConfig} movement patterns`);
         
         if (invalidCount > 0) {
-            console.error(`[VALIDATION FAILED] ${invalidCount} creatures have incorrect block counts!`);
+            console.error(`[VALIDATION FAILED] ${invalidCount} creatures have incorrect block counts or DNA!`);
         } else {
-            console.log(`[VALIDATION PASSED] All creatures have correct block counts`);
+            console.log(`[VALIDATION PASSED] All creatures have correct block counts and DNA`);
         }
         console.log(`========================================\n`);
     }
@@ -585,7 +863,12 @@ class EvolutionManager {
             this.targetHeight,
             this.targetTilesLit,
             this.targetJumpHeight,
-            evaluationMode
+            evaluationMode,
+            this.targetEnergy,
+            this.targetRaceProgress,
+            this.targetRaceFinishTime,
+            this.targetFoodCollected,
+            this.targetFoodTime
         );
         
         const modeDisplay = this.isRandomMode 
@@ -615,6 +898,12 @@ class EvolutionManager {
             this.targetHeight = actualBest.maxHeight;
             this.targetTilesLit = actualBest.getTileCount ? actualBest.getTileCount() : 0;
             this.targetJumpHeight = actualBest.maxJumpHeight || 0;
+            this.targetEnergy = actualBest.energyUsed || 0;
+            this.targetRaceProgress = actualBest.raceProgress || 0;
+            this.targetRaceFinishTime = actualBest.raceFinishTime || 0;
+            this.targetFoodCollected = actualBest.foodCollected || 0;
+            this.targetFoodTime = actualBest.foodTime || 0;
+            this.targetCourse = this.course;
             
             // Save to history
             this.saveGenerationToHistory(rankedPopulation, actualBestFitness);
@@ -636,6 +925,11 @@ class EvolutionManager {
                 height: actualBest.maxHeight,
                 tilesLit: actualBest.getTileCount ? actualBest.getTileCount() : 0,
                 jumpHeight: actualBest.maxJumpHeight || 0,
+                energyUsed: actualBest.energyUsed || 0,
+                raceProgress: actualBest.raceProgress || 0,
+                raceFinishTime: actualBest.raceFinishTime || 0,
+                foodCollected: actualBest.foodCollected || 0,
+                foodTime: actualBest.foodTime || 0,
                 fitnessMode: this.currentActiveMode
             });
             
@@ -650,7 +944,7 @@ class EvolutionManager {
                 this.selectNextRandomMode();
                 console.log(`   Next generation will use mode: ${this.currentActiveMode}`);
             }
-            this.createNextGeneration(this.champion);
+            this.createNextGeneration(this.champion, rankedPopulation);
             return;
         }
         
@@ -713,6 +1007,11 @@ class EvolutionManager {
                 height: actualBest.maxHeight,
                 tilesLit: actualBest.getTileCount ? actualBest.getTileCount() : 0,
                 jumpHeight: actualBest.maxJumpHeight || 0,
+                energyUsed: actualBest.energyUsed || 0,
+                raceProgress: actualBest.raceProgress || 0,
+                raceFinishTime: actualBest.raceFinishTime || 0,
+                foodCollected: actualBest.foodCollected || 0,
+                foodTime: actualBest.foodTime || 0,
                 fitnessMode: this.currentActiveMode,
                 isOutcastWin: isOutcastMode  // Flag for outcast mode (no target comparison)
             });
@@ -727,6 +1026,12 @@ class EvolutionManager {
             this.targetHeight = actualBest.maxHeight;
             this.targetTilesLit = actualBest.getTileCount ? actualBest.getTileCount() : 0;
             this.targetJumpHeight = actualBest.maxJumpHeight || 0;
+            this.targetEnergy = actualBest.energyUsed || 0;
+            this.targetRaceProgress = actualBest.raceProgress || 0;
+            this.targetRaceFinishTime = actualBest.raceFinishTime || 0;
+            this.targetFoodCollected = actualBest.foodCollected || 0;
+            this.targetFoodTime = actualBest.foodTime || 0;
+            this.targetCourse = this.course;
             
             console.log(`   New champion: "${this.champion.name}" with ${this.champion.blocks.length} blocks`);
             console.log(`   Champion was defending: ${actualBest.isDefendingChampion || false}`);
@@ -745,11 +1050,11 @@ class EvolutionManager {
             // === CHECK FOR MAX BLOCKS LIMIT ===
             // If max blocks is set and champion has reached or exceeded the limit,
             // this genetic line is complete - backtrack to explore other paths
-            if (this.maxBlocks > 0 && this.champion.blocks.length >= this.maxBlocks) {
+            if (this.maxBlocks > 0 && this.champion.getGenotypeBlockCount() >= this.maxBlocks) {
                 this.completedLineCount++;
                 
                 console.log(`\n[COMPLETE] Genetic line reached max blocks limit (${this.maxBlocks})!`);
-                console.log(`   Champion "${this.champion.name}" has ${this.champion.blocks.length} blocks`);
+                console.log(`   Champion "${this.champion.name}" has ${this.champion.getGenotypeBlockCount()} blocks`);
                 console.log(`   This line is marked as COMPLETE - backtracking to explore other paths`);
                 
                 // Log the completion event
@@ -763,6 +1068,11 @@ class EvolutionManager {
                     height: this.champion.maxHeight,
                     tilesLit: this.champion.getTileCount ? this.champion.getTileCount() : 0,
                     jumpHeight: this.champion.maxJumpHeight || 0,
+                    energyUsed: this.champion.energyUsed || 0,
+                    raceProgress: this.champion.raceProgress || 0,
+                    raceFinishTime: this.champion.raceFinishTime || 0,
+                    foodCollected: this.champion.foodCollected || 0,
+                    foodTime: this.champion.foodTime || 0,
                     fitnessMode: this.currentActiveMode,
                     totalCompleted: this.completedLineCount
                 });
@@ -797,7 +1107,7 @@ class EvolutionManager {
             if (this.isRandomMode) {
                 this.selectNextRandomMode();
             }
-            this.createNextGeneration(this.champion);
+            this.createNextGeneration(this.champion, rankedPopulation);
             
         } else {
             // === DEAD END ===
@@ -833,6 +1143,18 @@ class EvolutionManager {
             // Save this generation to history before backtracking
             this.saveGenerationToHistory(rankedPopulation, actualBestFitness);
             
+            // GA mode doesn't backtrack - the next generation breeds from this
+            // one's ranked population, with the champion still defending
+            if (this.selectionMethod !== 'champion') {
+                console.log(`[GA] Breeding from the ranked population instead of backtracking`);
+                this.generation++;
+                if (this.isRandomMode) {
+                    this.selectNextRandomMode();
+                }
+                this.createNextGeneration(this.champion, rankedPopulation);
+                return;
+            }
+            
             // === ATTEMPT BACKTRACKING ===
             console.log(`[BACKTRACK] Attempting to find alternative evolutionary path...`);
             const backtrackResult = this.handleDeadEnd(rankedPopulation);
@@ -1038,6 +1360,7 @@ class EvolutionManager {
             const node = {
                 id: nodeId,
                 name: creature.name || `G${this.generation}_Unknown`,
+                seed: creature.seed || null,  // Identifies the creature (see isNodeCreature)
                 generation: this.generation,
                 fitness: creature.fitness,
                 blocks: creature.blocks.length,
@@ -1047,6 +1370,11 @@ class EvolutionManager {
                 height: creature.maxHeight || 0,
                 tilesLit: creature.getTileCount ? creature.getTileCount() : 0,
                 jumpHeight: creature.maxJumpHeight || 0,
+                energyUsed: creature.energyUsed || 0,
+                raceProgress: creature.raceProgress || 0,
+                raceFinishTime: creature.raceFinishTime || 0,
+                foodCollected: creature.foodCollected || 0,
+                foodTime: creature.foodTime || 0,
                 // Parent relationship - all creatures in a gen share the same parent
                 parentId: parentNodeId,
                 parentName: creature.parentName || null,
@@ -1054,6 +1382,8 @@ class EvolutionManager {
                 children: [],
                 // Track which fitness mode was being used when this creature was evaluated
                 fitnessMode: this.currentActiveMode,
+                // ...and which course it was evaluated on
+                course: this.course,
                 // Was this the defending champion (unchanged from previous gen)?
                 isDefendingChampion: creature.isDefendingChampion || false,
                 // Store a clone for tournaments (only for champions and potential backtracks)
@@ -1110,6 +1440,8 @@ class EvolutionManager {
             // Full DNA segment as the creature's name/identifier
             // This is the last block descriptor, showing exactly what was added
             name: creature.name || `Gen${this.generation}_Unknown`,
+            // Names can repeat within a generation - the seed is what identifies the creature
+            seed: creature.seed || null,
             generation: this.generation,
             fitness: creature.fitness,
             blocks: creature.blocks.length,
@@ -1118,6 +1450,11 @@ class EvolutionManager {
             height: creature.maxHeight,
             tilesLit: creature.getTileCount ? creature.getTileCount() : 0,
             jumpHeight: creature.maxJumpHeight || 0,
+            energyUsed: creature.energyUsed || 0,
+            raceProgress: creature.raceProgress || 0,
+            raceFinishTime: creature.raceFinishTime || 0,
+            foodCollected: creature.foodCollected || 0,
+            foodTime: creature.foodTime || 0,
             parentId: this.currentBranchId,
             parentName: creature.parentName || null,
             status: status,
@@ -1125,6 +1462,7 @@ class EvolutionManager {
             // Track which fitness mode was being used when this node was evaluated
             // Especially useful for dead ends to show what mode they failed in
             fitnessMode: this.currentActiveMode,
+            course: this.course,
             // Store a clone of the creature so we can recreate it for tournaments
             // This ensures we can always access the champion regardless of generation history
             creatureClone: creature.clone(),
@@ -1158,6 +1496,20 @@ class EvolutionManager {
         return nodeId;
     }
     
+    /**
+     * Whether a creature is the one a tree node was made from. Matched on
+     * the creature's seed, which is unique within a generation (names aren't -
+     * a variant can share its last DNA segment with its parent). Nodes saved
+     * before seeds were recorded fall back to the name.
+     * @param {Object} node - Evolution tree node
+     * @param {Creature|null} creature - Creature to check
+     * @returns {boolean}
+     */
+    isNodeCreature(node, creature) {
+        if (!creature) return false;
+        return node.seed ? creature.seed === node.seed : creature.name === node.name;
+    }
+    
     /**
      * Mark a node as backtrack source (we're branching from here)
      */
@@ -1290,7 +1642,7 @@ class EvolutionManager {
                 if (historyEntry && historyEntry.rankedPopulation && historyEntry.rankedPopulation.length > 0) {
                     // Look for a creature matching this node's name
                     for (let ranked of historyEntry.rankedPopulation) {
-                        if (ranked.creature.name === node.name) {
+                        if (this.isNodeCreature(node, ranked.creature)) {
                             creature = ranked.creature.clone();
                             console.log(`   - Gen ${node.generation}: ${node.name} - Found in history by name`);
                             break;
@@ -1306,7 +1658,7 @@ class EvolutionManager {
             }
             
             // Last resort: check if it's the current champion
-            if (!creature && this.champion && this.champion.name === node.name) {
+            if (!creature && this.isNodeCreature(node, this.champion)) {
                 creature = this.champion.clone();
                 console.log(`   - Gen ${node.generation}: ${node.name} - Using current champion`);
             }
@@ -1405,7 +1757,13 @@ class EvolutionManager {
             championHeight: championCreature.maxHeight || 0,
             championTilesLit: championCreature.getTileCount ? championCreature.getTileCount() : 0,
             championJumpHeight: championCreature.maxJumpHeight || 0,
-            fitnessMode: this.currentActiveMode  // Mode used to calculate this fitness
+            championEnergy: championCreature.energyUsed || 0,
+            championRaceProgress: championCreature.raceProgress || 0,
+            championRaceFinishTime: championCreature.raceFinishTime || 0,
+            championFoodCollected: championCreature.foodCollected || 0,
+            championFoodTime: championCreature.foodTime || 0,
+            fitnessMode: this.currentActiveMode,  // Mode used to calculate this fitness
+            course: this.course
         };
         
         // If we're overwriting due to backtracking, replace the entry
@@ -1464,7 +1822,12 @@ class EvolutionManager {
             this.targetHeight,
             this.targetTilesLit,
             this.targetJumpHeight,
-            this.currentActiveMode
+            this.currentActiveMode,
+            this.targetEnergy,
+            this.targetRaceProgress,
+            this.targetRaceFinishTime,
+            this.targetFoodCollected,
+            this.targetFoodTime
         );
         
         console.log(`\n--- BACKTRACK ATTEMPT #${this.backtrackCount} ---`);
@@ -1571,6 +1934,13 @@ class EvolutionManager {
                     this.targetHeight = historyEntry.championHeight;
                     this.targetTilesLit = historyEntry.championTilesLit;
                     this.targetJumpHeight = historyEntry.championJumpHeight;
+                    this.targetEnergy = historyEntry.championEnergy || 0;
+                    this.targetRaceProgress = historyEntry.championRaceProgress || 0;
+                    this.targetRaceFinishTime = historyEntry.championRaceFinishTime || 0;
+                    this.targetFoodCollected = historyEntry.championFoodCollected || 0;
+                    this.targetFoodTime = historyEntry.championFoodTime || 0;
+                    this.targetCourse = historyEntry.course || this.course;
+                    this.clearTargetFromOtherCourse();
                     restoredFromGen = targetGeneration;
                     
                     console.log(`   [TARGET RESTORED] From generation ${targetGeneration} champion:`);
@@ -1583,7 +1953,12 @@ class EvolutionManager {
                         this.targetHeight,
                         this.targetTilesLit,
                         this.targetJumpHeight,
-                        this.currentActiveMode
+                        this.currentActiveMode,
+                        this.targetEnergy,
+                        this.targetRaceProgress,
+                        this.targetRaceFinishTime,
+                        this.targetFoodCollected,
+                        this.targetFoodTime
                     );
                     console.log(`      Effective target for ${this.currentActiveMode} mode: ${newEffectiveTarget.toFixed(2)}`);
                     
@@ -1597,6 +1972,11 @@ class EvolutionManager {
                     this.targetHeight = 0;
                     this.targetTilesLit = 0;
                     this.targetJumpHeight = 0;
+                    this.targetEnergy = 0;
+                    this.targetRaceProgress = 0;
+                    this.targetRaceFinishTime = 0;
+                    this.targetFoodCollected = 0;
+                    this.targetFoodTime = 0;
                     restoredFromGen = 1;
                     newEffectiveTarget = this.targetFitness;
                     
@@ -1668,8 +2048,8 @@ class EvolutionManager {
                 }
                 
                 // Skip creatures already at max blocks - can't evolve them further
-                if (this.maxBlocks > 0 && creature && creature.blocks.length >= this.maxBlocks) {
-                    console.log(`   Skipping rank ${rank} (${creature.name}) - already at max blocks (${creature.blocks.length}/${this.maxBlocks})`);
+                if (this.maxBlocks > 0 && creature && creature.getGenotypeBlockCount() >= this.maxBlocks) {
+                    console.log(`   Skipping rank ${rank} (${creature.name}) - already at max blocks (${creature.getGenotypeBlockCount()}/${this.maxBlocks})`);
                     continue;
                 }
                 
@@ -1765,8 +2145,15 @@ class EvolutionManager {
                     this.targetHeight = historyEntry.championHeight;
                     this.targetTilesLit = historyEntry.championTilesLit;
                     this.targetJumpHeight = historyEntry.championJumpHeight;
+                    this.targetEnergy = historyEntry.championEnergy || 0;
+                    this.targetRaceProgress = historyEntry.championRaceProgress || 0;
+                    this.targetRaceFinishTime = historyEntry.championRaceFinishTime || 0;
+                    this.targetFoodCollected = historyEntry.championFoodCollected || 0;
+                    this.targetFoodTime = historyEntry.championFoodTime || 0;
+                    this.targetCourse = historyEntry.course || this.course;
                     
                     console.log(`   [TARGET RESTORED] From generation ${targetGeneration} champion`);
+                    this.clearTargetFromOtherCourse();
                 }
                 
                 // Log backtrack event
@@ -1808,6 +2195,201 @@ class EvolutionManager {
         return { success: false, rankTried: -1 };
     }
     
+    // ========================================================================
+    // GENETIC ALGORITHM - PARENT SELECTION AND CROSSOVER
+    // ========================================================================
+    // In GA mode a generation breeds from several parents instead of just the
+    // champion, so limbs found on different branches can end up on one body.
+    // The champion is always the first parent - the crown, the tree and dead
+    // end tracking all still follow it.
+    
+    /**
+     * Choose the parents for the next generation
+     * - elitism:    the next best creatures by rank
+     * - tournament: best of tournamentSize random picks, repeated
+     * - roulette:   picked with probability proportional to fitness
+     * 
+     * @param {Creature} championCreature - Always parent #1
+     * @param {Array} rankedPopulation - [{creature, fitness}] best first, or null
+     * @returns {Creature[]} Distinct parents, champion first
+     */
+    selectParents(championCreature, rankedPopulation) {
+        if (this.selectionMethod === 'champion' || this.parentCount <= 1 || !rankedPopulation) {
+            return [championCreature];
+        }
+        
+        // Candidates in rank order, one per DNA (the defending champion is a copy of the champion)
+        const seen = new Set([championCreature.dna]);
+        const candidates = [];
+        for (const entry of rankedPopulation) {
+            if (!entry.creature || seen.has(entry.creature.dna)) continue;
+            seen.add(entry.creature.dna);
+            candidates.push(entry);
+        }
+        
+        const parents = [championCreature];
+        const wanted = Math.min(this.parentCount - 1, candidates.length);
+        while (parents.length - 1 < wanted) {
+            let index = 0;  // elitism - next best
+            if (this.selectionMethod === 'tournament') {
+                index = this.tournamentSelect(candidates);
+            } else if (this.selectionMethod === 'roulette') {
+                index = this.rouletteSelect(candidates);
+            }
+            parents.push(candidates[index].creature);
+            candidates.splice(index, 1);  // No parent is picked twice
+        }
+        
+        return parents;
+    }
+    
+    /**
+     * Tournament selection - the best of a few random candidates wins.
+     * Candidates are ranked best first, so the lowest index is the best.
+     * @param {Array} candidates - Ranked candidates
+     * @returns {number} Index of the winner
+     */
+    tournamentSelect(candidates) {
+        let best = this.rng.randomInt(0, candidates.length);
+        for (let i = 1; i < this.tournamentSize; i++) {
+            best = Math.min(best, this.rng.randomInt(0, candidates.length));
+        }
+        return best;
+    }
+    
+    /**
+     * Roulette (fitness proportional) selection.
+     * Fitness is shifted so the worst candidate sits at zero - some modes
+     * (outcast) aren't on an absolute scale.
+     * @param {Array} candidates - Ranked candidates
+     * @returns {number} Index of the picked candidate
+     */
+    rouletteSelect(candidates) {
+        const minFitness = Math.min(...candidates.map(c => c.fitness));
+        const weights = candidates.map(c => c.fitness - minFitness + 1e-6);
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        
+        let pick = this.rng.random() * total;
+        for (let i = 0; i < weights.length; i++) {
+            pick -= weights[i];
+            if (pick < 0) return i;
+        }
+        return weights.length - 1;
+    }
+    
+    /**
+     * Share the configuration budget out between the parents' attachment points.
+     * Points are taken round-robin (champion first) so every parent gets a go.
+     * With a single parent this is exactly the old behavior: shuffle only if
+     * there are more points than configurations.
+     * 
+     * @param {Creature[]} parents - Parents, champion first
+     * @param {number} maxConfigurations - How many points to return at most
+     * @returns {Array} [{parentIndex, face, base}] where base is the parent creature
+     */
+    collectAttachmentPoints(parents, maxConfigurations) {
+        const perParent = parents.map(parent => {
+            // Parents already at the block limit can only take part in crossover
+            if (this.maxBlocks > 0 && parent.getGenotypeBlockCount() >= this.maxBlocks) {
+                return [];
+            }
+            let points = parent.getAvailableAttachmentPoints().map(p => ({ ...p, base: parent }));
+            if (parents.length > 1 || points.length > maxConfigurations) {
+                points = this.shuffleArray(points);
+            }
+            return points;
+        });
+        
+        const points = [];
+        for (let round = 0; points.length < maxConfigurations; round++) {
+            let added = false;
+            for (const list of perParent) {
+                if (round < list.length && points.length < maxConfigurations) {
+                    points.push(list[round]);
+                    added = true;
+                }
+            }
+            if (!added) break;
+        }
+        return points;
+    }
+    
+    /**
+     * Add crossover children to the population (see Creature.crossover)
+     * @param {Creature[]} parents - At least two parents
+     * @param {number} variantBudget - Number of new creatures this generation aims for
+     * @returns {number} How many children were added
+     */
+    addCrossoverChildren(parents, variantBudget) {
+        const target = Math.round(variantBudget * this.crossoverRate);
+        const firstConfigIndex = this.population.reduce((max, c) => Math.max(max, c.configIndex), -1) + 1;
+        let added = 0;
+        
+        // Grafts can fail to fit or repeat a tried DNA - give up after a few tries each
+        for (let attempt = 0; attempt < target * 4 && added < target; attempt++) {
+            const a = this.rng.randomInt(0, parents.length);
+            let b = this.rng.randomInt(0, parents.length - 1);
+            if (b >= a) b++;
+            
+            const child = Creature.crossover(parents[a], parents[b], this.rng, this.maxBlocks);
+            if (!child) continue;
+            
+            child.seed = parents[a].seed + '_gen' + this.generation + '_x' + added;
+            child.configIndex = firstConfigIndex + added;
+            child.variantIndex = 0;
+            // The last segment comes from a parent - the suffix keeps the name unique
+            child.name = `${child.getLastDNASegment()}_g${this.generation}x${added}`;
+            child.parentName = parents[a].name;
+            child.isDefendingChampion = false;
+            
+            if (this.tryRegisterCreature(child, true)) {
+                this.population.push(child);
+                added++;
+                console.log(`  [GA] Crossover: ${parents[a].name} x ${parents[b].name} -> ${child.name} (${child.blocks.length} blocks)`);
+            }
+        }
+        
+        return added;
+    }
+    
+    /**
+     * Add structural mutants of the parents to the population (see Creature.mutateStructure).
+     * In champion mode the only parent is the champion.
+     * @param {Creature[]} parents - Parents, champion first
+     * @param {number} variantBudget - Number of new creatures this generation aims for
+     * @returns {number} How many mutants were added
+     */
+    addStructuralMutants(parents, variantBudget) {
+        const target = Math.round(variantBudget * this.structuralMutationRate);
+        const firstConfigIndex = this.population.reduce((max, c) => Math.max(max, c.configIndex), -1) + 1;
+        let added = 0;
+        
+        for (let attempt = 0; attempt < target * 4 && added < target; attempt++) {
+            const parent = parents[this.rng.randomInt(0, parents.length)];
+            const result = parent.mutateStructure(this.rng);
+            if (!result) continue;
+            
+            const mutant = result.creature;
+            if (this.maxBlocks > 0 && mutant.getGenotypeBlockCount() > this.maxBlocks) continue;
+            
+            mutant.seed = parent.seed + '_gen' + this.generation + '_s' + added;
+            mutant.configIndex = firstConfigIndex + added;
+            mutant.variantIndex = 0;
+            // Edits can leave the parent's last segment in place - same suffix as crossover children
+            mutant.name = `${mutant.getLastDNASegment()}_g${this.generation}s${added}`;
+            mutant.parentName = parent.name;
+            mutant.isDefendingChampion = false;
+            
+            if (this.tryRegisterCreature(mutant, true)) {
+                this.population.push(mutant);
+                added++;
+                console.log(`  [MUTATE] ${result.operation}: ${parent.name} -> ${mutant.name} (${mutant.blocks.length} blocks)`);
+            }
+        }
+        
+        return added;
+    }
+    
     /**
      * Create next generation population by adding a block to the champion
      * 
@@ -1818,9 +2400,16 @@ class EvolutionManager {
      * - This builds upon successful movement strategies rather than disrupting them
      * - Total population: 1 (champion) + 5 x 4 variants = 21 creatures
      * 
+     * GENETIC ALGORITHM MODE (selectionMethod other than 'champion'):
+     * - Several parents are picked from the ranked population (see selectParents)
+     * - The configurations are shared out between the parents' attachment points
+     * - Some of the variants are crossover children that merge two parents' limbs
+     * 
+     * @param {Creature} championCreature - The champion (always the first parent)
+     * @param {Array} rankedPopulation - Last generation ranked best first (needed for GA selection)
      * @returns {boolean} True if generation was created, false if champion is already at max blocks
      */
-    createNextGeneration(championCreature) {
+    createNextGeneration(championCreature, rankedPopulation = null) {
         this.population = [];
         
         // Get the parent name for all creatures in this generation
@@ -1833,9 +2422,9 @@ class EvolutionManager {
         // === EARLY EXIT: Check if champion is already at max blocks ===
         // If the champion already has maxBlocks, we can't add more blocks.
         // This line should be marked as complete and we should backtrack.
-        if (this.maxBlocks > 0 && championCreature.blocks.length >= this.maxBlocks) {
+        if (this.maxBlocks > 0 && championCreature.getGenotypeBlockCount() >= this.maxBlocks) {
             console.log(`\n=== Cannot Create Generation ${this.generation} ===`);
-            console.log(`Champion "${parentName}" already has ${championCreature.blocks.length} blocks (max: ${this.maxBlocks})`);
+            console.log(`Champion "${parentName}" already has ${championCreature.getGenotypeBlockCount()} blocks (max: ${this.maxBlocks})`);
             console.log(`This genetic line is COMPLETE - returning false to trigger backtracking`);
             return false;  // Signal that we couldn't create a generation
         }
@@ -1858,6 +2447,11 @@ class EvolutionManager {
         championClone.maxHeight = 0;
         championClone.tilesLit = [];
         championClone.maxJumpHeight = 0;
+        championClone.energyUsed = 0;
+        championClone.raceProgress = 0;
+        championClone.raceFinishTime = 0;
+        championClone.foodCollected = 0;
+        championClone.foodTime = 0;
         championClone.hasLandedAfterSpawn = false;
         championClone.groundedY = 0;
         
@@ -1873,23 +2467,29 @@ class EvolutionManager {
         console.log(`Including previous champion "${championCreature.name}" (${championCreature.blocks.length} blocks) as defending baseline`);
         console.log(`   -> Defending champion: ${championClone.name}`);
         
-        // Get all available attachment points from the champion
-        let attachmentPoints = championCreature.getAvailableAttachmentPoints();
+        // Pick the parents that breed this generation (just the champion unless GA mode is on)
+        const parents = this.selectParents(championCreature, rankedPopulation);
         
         // Limit configurations to user's setting (stored from startEvolution)
         // This ensures subsequent generations respect the original configuration count
         const maxConfigurations = this.numConfigurations || 5;  // Fall back to 5 if not set
-        if (attachmentPoints.length > maxConfigurations) {
-            // Shuffle and take the configured number to get variety
-            attachmentPoints = this.shuffleArray([...attachmentPoints]).slice(0, maxConfigurations);
-        }
+        
+        // Get available attachment points from the parents, shared out between them
+        // Each point remembers which parent it belongs to (point.base)
+        const attachmentPoints = this.collectAttachmentPoints(parents, maxConfigurations);
+        
+        // Block count each new creature started from, for the validation below
+        const baseBlockCounts = new Map();
         
         // Remember how many blocks the original champion has (for non-limb mode)
         const originalBlockCount = championCreature.blocks.length;
         
         console.log(`Champion has ${originalBlockCount} blocks`);
         console.log(`Max configurations setting: ${this.numConfigurations || 5}`);
-        console.log(`Using ${attachmentPoints.length} initial attachment points (of ${championCreature.getAvailableAttachmentPoints().length} available)`);
+        console.log(`Using ${attachmentPoints.length} initial attachment points (of ${championCreature.getAvailableAttachmentPoints().length} available on the champion)`);
+        if (parents.length > 1) {
+            console.log(`[GA] ${this.selectionMethod} selection: ${parents.length} parents - ${parents.map(p => p.name).join(', ')}`);
+        }
         console.log(`Creating ${this.instancesPerBlockConfig} movement variants per configuration`);
         console.log(`Expected total: 1 (champion) + ${attachmentPoints.length} configs x ${this.instancesPerBlockConfig} variants = ${1 + attachmentPoints.length * this.instancesPerBlockConfig} creatures`);
         console.log(`Champion's ${championCreature.joints.length} existing joint movements are PRESERVED`);
@@ -1907,14 +2507,19 @@ class EvolutionManager {
         // For each attachment point (block position), create multiple movement variants
         for (let pointIndex = 0; pointIndex < attachmentPoints.length; pointIndex++) {
             const point = attachmentPoints[pointIndex];
+            const base = point.base;  // The champion, or another GA parent
+            const baseName = base.name || parentName;
+            const baseBlockCount = base.blocks.length;
+            // Max blocks and limb growth go by the blocks the DNA lists, not symmetry copies
+            const baseGenotypeCount = base.getGenotypeBlockCount();
             
             // Create multiple variants - each gets different movement patterns for the NEW blocks
             for (let variantIndex = 0; variantIndex < this.instancesPerBlockConfig; variantIndex++) {
                 // Each variant gets a unique RNG seed so the new blocks' movements differ
-                const rng = new SeededRandom(Date.now() + Math.random() * 100000 + pointIndex * 1000 + variantIndex);
+                const rng = new SeededRandom(this.rng.nextSeed());
                 
-                // Clone the champion - this preserves ALL existing blocks and movements exactly
-                const newCreature = championCreature.clone();
+                // Clone the parent - this preserves ALL existing blocks and movements exactly
+                const newCreature = base.clone();
                 
                 // Reset ALL fitness tracking for new creature (will be evaluated fresh)
                 newCreature.fitness = 0;
@@ -1922,6 +2527,11 @@ class EvolutionManager {
                 newCreature.maxHeight = 0;
                 newCreature.tilesLit = [];
                 newCreature.maxJumpHeight = 0;
+                newCreature.energyUsed = 0;
+                newCreature.raceProgress = 0;
+                newCreature.raceFinishTime = 0;
+                newCreature.foodCollected = 0;
+                newCreature.foodTime = 0;
                 newCreature.hasLandedAfterSpawn = false;
                 newCreature.groundedY = 0;
                 
@@ -1939,7 +2549,7 @@ class EvolutionManager {
                 // If maxBlocks is set, limit how many blocks we can add
                 // This prevents creating creatures that exceed the configured maximum
                 if (this.maxBlocks > 0) {
-                    const currentBlocks = championCreature.blocks.length;
+                    const currentBlocks = baseGenotypeCount;
                     const maxCanAdd = this.maxBlocks - currentBlocks;
                     
                     if (maxCanAdd <= 0) {
@@ -1966,7 +2576,7 @@ class EvolutionManager {
                 let success = newCreature.addBlockAtFace(point.parentIndex, point.face, rng);
                 if (success) {
                     blocksAdded++;
-                    lastAddedBlockIndex = newCreature.blocks.length - 1;
+                    lastAddedBlockIndex = newCreature.getGenotypeBlockCount() - 1;
                 }
                 
                 // Additional blocks - behavior depends on limb generation setting
@@ -1977,7 +2587,7 @@ class EvolutionManager {
                     // If limb generation is DISABLED, only allow attaching to original body blocks
                     // (not to blocks that were added this round)
                     if (!this.enableLimbGeneration) {
-                        currentPoints = currentPoints.filter(p => p.parentIndex < originalBlockCount);
+                        currentPoints = currentPoints.filter(p => p.parentIndex < baseGenotypeCount);
                     }
                     
                     if (currentPoints.length === 0) {
@@ -2007,7 +2617,7 @@ class EvolutionManager {
                     success = newCreature.addBlockAtFace(attachPoint.parentIndex, attachPoint.face, rng);
                     if (success) {
                         blocksAdded++;
-                        lastAddedBlockIndex = newCreature.blocks.length - 1;
+                        lastAddedBlockIndex = newCreature.getGenotypeBlockCount() - 1;
                     } else {
                         // Try a few more random points before giving up
                         let retrySuccess = false;
@@ -2015,7 +2625,7 @@ class EvolutionManager {
                             const retryPoint = currentPoints[rng.randomInt(0, currentPoints.length)];
                             if (newCreature.addBlockAtFace(retryPoint.parentIndex, retryPoint.face, rng)) {
                                 blocksAdded++;
-                                lastAddedBlockIndex = newCreature.blocks.length - 1;
+                                lastAddedBlockIndex = newCreature.getGenotypeBlockCount() - 1;
                                 retrySuccess = true;
                             }
                         }
@@ -2025,20 +2635,35 @@ class EvolutionManager {
                     }
                 }
                 
+                // Neural controllers: the inherited weights drift a little too, from
+                // the variant's own RNG (action lists are never touched - see above)
+                if (blocksAdded > 0 && newCreature.controllerType === 'neural') {
+                    newCreature.mutateNeuralGenes(rng, this.neuralMutationRate);
+                }
+                
+                // Sensor blocks retune their parameters the same way, and so do
+                // joints and their signal pipelines
+                if (blocksAdded > 0) {
+                    newCreature.mutateSensorGenes(rng);
+                    newCreature.mutateJointGenes(rng);
+                    newCreature.mutateSignalGenes(rng);
+                }
+                
                 // Only add creature to population if we added at least one block
                 if (blocksAdded > 0) {
                     // Update identification
-                    newCreature.seed = championCreature.seed + '_gen' + this.generation + '_p' + pointIndex + '_v' + variantIndex;
+                    newCreature.seed = base.seed + '_gen' + this.generation + '_p' + pointIndex + '_v' + variantIndex;
                     newCreature.configIndex = pointIndex;
                     newCreature.variantIndex = variantIndex;
                     // Use last DNA segment as name - unique per evolutionary step
                     newCreature.name = newCreature.getLastDNASegment();
-                    newCreature.parentName = parentName;
+                    newCreature.parentName = baseName;
                     newCreature.isDefendingChampion = false;  // Explicitly mark as NOT defending champion
                     
                     // Check DNA uniqueness - only add if this is a new configuration
                     if (this.tryRegisterCreature(newCreature)) {
                         this.population.push(newCreature);
+                        baseBlockCounts.set(newCreature, baseBlockCount);
                         
                         // Log first variant of each config for debugging
                         if (variantIndex === 0) {
@@ -2053,9 +2678,9 @@ class EvolutionManager {
                     
                     // Try a completely different starting point as fallback
                     for (let retry = 0; retry < 5; retry++) {
-                        const randomPointIndex = Math.floor(Math.random() * attachmentPoints.length);
+                        const randomPointIndex = this.rng.randomInt(0, attachmentPoints.length);
                         const randomPoint = attachmentPoints[randomPointIndex];
-                        const retryCreature = championCreature.clone();
+                        const retryCreature = randomPoint.base.clone();
                         
                         // Reset ALL fitness tracking for retry creature
                         retryCreature.fitness = 0;
@@ -2063,23 +2688,33 @@ class EvolutionManager {
                         retryCreature.maxHeight = 0;
                         retryCreature.tilesLit = [];
                         retryCreature.maxJumpHeight = 0;
+                        retryCreature.energyUsed = 0;
+                        retryCreature.raceProgress = 0;
+                        retryCreature.raceFinishTime = 0;
+                        retryCreature.foodCollected = 0;
+                        retryCreature.foodTime = 0;
                         retryCreature.hasLandedAfterSpawn = false;
                         retryCreature.groundedY = 0;
                         
-                        const retryRng = new SeededRandom(Date.now() + Math.random() * 100000 + retry * 500);
+                        const retryRng = new SeededRandom(this.rng.nextSeed());
                         
                         // Try to add at least one block
                         if (retryCreature.addBlockAtFace(randomPoint.parentIndex, randomPoint.face, retryRng)) {
-                            retryCreature.seed = championCreature.seed + '_gen' + this.generation + '_p' + randomPointIndex + '_v' + variantIndex + '_r';
+                            retryCreature.mutateNeuralGenes(retryRng, this.neuralMutationRate);
+                            retryCreature.mutateSensorGenes(retryRng);
+                            retryCreature.mutateJointGenes(retryRng);
+                            retryCreature.mutateSignalGenes(retryRng);
+                            retryCreature.seed = randomPoint.base.seed + '_gen' + this.generation + '_p' + randomPointIndex + '_v' + variantIndex + '_r';
                             retryCreature.configIndex = randomPointIndex;
                             retryCreature.variantIndex = variantIndex;
                             // Use last DNA segment as name - unique per evolutionary step
                             retryCreature.name = retryCreature.getLastDNASegment();
-                            retryCreature.parentName = parentName;
+                            retryCreature.parentName = randomPoint.base.name || parentName;
                             
                             // Check DNA uniqueness before adding
                             if (this.tryRegisterCreature(retryCreature)) {
                                 this.population.push(retryCreature);
+                                baseBlockCounts.set(retryCreature, randomPoint.base.blocks.length);
                                 break;
                             }
                             // If duplicate, continue trying
@@ -2089,6 +2724,15 @@ class EvolutionManager {
             }
         }
         
+        // GA mode: add crossover children that merge two parents' limbs
+        let crossoverCount = 0;
+        if (parents.length > 1) {
+            crossoverCount = this.addCrossoverChildren(parents, maxConfigurations * this.instancesPerBlockConfig);
+        }
+        
+        // Structural mutants - the parents with a limb removed, moved or re-sided, or a sensor changed
+        const structuralCount = this.addStructuralMutants(parents, maxConfigurations * this.instancesPerBlockConfig);
+        
         // VALIDATION: Check block counts for entire population
         const championBlocks = championCreature.blocks.length;
         // With randomization, creatures may have different block counts
@@ -2106,18 +2750,26 @@ class EvolutionManager {
                     console.error(`[VALIDATION ERROR] Defending champion has ${creature.blocks.length} blocks, expected ${championBlocks}`);
                     invalidCount++;
                 }
-            } else {
+            } else if (baseBlockCounts.has(creature)) {
                 newVariantCount++;
+                // Compare against the parent it was grown from (always the champion outside GA mode)
+                const baseBlocks = baseBlockCounts.get(creature);
+                const expectedBlocks = baseBlocks + maxBlocksToAdd;
                 // Allow creatures that couldn't add all blocks (ran out of attachment points)
-                // or got fewer due to randomization - but they should have more than champion
-                if (creature.blocks.length <= championBlocks) {
-                    console.error(`[VALIDATION ERROR] ${creature.name} has ${creature.blocks.length} blocks, expected more than ${championBlocks}`);
+                // or got fewer due to randomization - but they should have more than their parent
+                if (creature.blocks.length <= baseBlocks) {
+                    console.error(`[VALIDATION ERROR] ${creature.name} has ${creature.blocks.length} blocks, expected more than ${baseBlocks}`);
                     invalidCount++;
-                } else if (creature.blocks.length < expectedMaxBlocks && !this.randomizeBlockCount) {
+                } else if (creature.blocks.length < expectedBlocks && !this.randomizeBlockCount) {
                     // This is just a warning - creature may have run out of attachment points
-                    console.log(`[VALIDATION NOTE] ${creature.name} has ${creature.blocks.length} blocks, target was ${expectedMaxBlocks} (may have run out of attachment points)`);
+                    console.log(`[VALIDATION NOTE] ${creature.name} has ${creature.blocks.length} blocks, target was ${expectedBlocks} (may have run out of attachment points)`);
                 }
             }
+            // Crossover children and structural mutants can be any size - only their DNA is checked
+            if (!creature.roundTripsThroughDNA()) {
+                console.error(`[VALIDATION ERROR] ${creature.name} doesn't rebuild from its DNA`);
+                invalidCount++;
+            }
         }
         
         console.log(`\n=== Generation ${this.generation} Population Summary ===`);
@@ -2128,12 +2780,18 @@ class EvolutionManager {
         } else {
             console.log(`New block variants: ${newVariantCount} (target: ${expectedMaxBlocks} blocks each)`);
         }
+        if (crossoverCount > 0) {
+            console.log(`Crossover children: ${crossoverCount}`);
+        }
+        if (structuralCount > 0) {
+            console.log(`Structural mutants: ${structuralCount}`);
+        }
         console.log(`Total population: ${this.population.length}`);
         
         if (invalidCount > 0) {
-            console.error(`[VALIDATION FAILED] ${invalidCount} creatures have incorrect block counts!`);
+            console.error(`[VALIDATION FAILED] ${invalidCount} creatures have incorrect block counts or DNA!`);
         } else {
-            console.log(`[VALIDATION PASSED] All creatures have acceptable block counts`);
+            console.log(`[VALIDATION PASSED] All creatures have acceptable block counts and DNA`);
         }
         console.log(`========================================\n`);
         
@@ -2181,7 +2839,12 @@ class EvolutionManager {
             this.targetHeight,
             this.targetTilesLit,
             this.targetJumpHeight,
-            this.currentActiveMode
+            this.currentActiveMode,
+            this.targetEnergy,
+            this.targetRaceProgress,
+            this.targetRaceFinishTime,
+            this.targetFoodCollected,
+            this.targetFoodTime
         );
         
         return {
@@ -2199,6 +2862,11 @@ class EvolutionManager {
             targetHeight: this.targetHeight,
             targetTilesLit: this.targetTilesLit,
             targetJumpHeight: this.targetJumpHeight,
+            targetEnergy: this.targetEnergy,
+            targetRaceProgress: this.targetRaceProgress,
+            targetRaceFinishTime: this.targetRaceFinishTime,
+            targetFoodCollected: this.targetFoodCollected,
+            targetFoodTime: this.targetFoodTime,
             maxBlocks: this.maxBlocks                       // Max blocks limit (0 = unlimited)
         };
     }
@@ -2237,11 +2905,11 @@ class EvolutionManager {
     
     /**
      * Shuffle an array using Fisher-Yates algorithm
-     * Used to randomize which attachment points are selected
+     * Used to randomize which attachment points are selected (draws from the run seed)
      */
     shuffleArray(array) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.rng.randomInt(0, i + 1);
             [array[i], array[j]] = [array[j], array[i]];
         }
         return array;
@@ -2258,6 +2926,8 @@ class EvolutionManager {
      * Save creatures to localStorage
      */
     persistSavedCreatures() {
+        // No localStorage when running headless under Node
+        if (typeof localStorage === 'undefined') return;
         try {
             localStorage.setItem('evolutionCreatures', JSON.stringify(this.savedCreatures));
         } catch (e) {
@@ -2269,6 +2939,7 @@ class EvolutionManager {
      * Load creatures from localStorage
      */
     loadSavedCreatures() {
+        if (typeof localStorage === 'undefined') return;
         try {
             const saved = localStorage.getItem('evolutionCreatures');
             if (saved) {
@@ -2373,7 +3044,7 @@ class EvolutionManager {
             if (historyEntry && historyEntry.rankedPopulation) {
                 // Look for creature by name
                 for (let ranked of historyEntry.rankedPopulation) {
-                    if (ranked.creature.name === node.name) {
+                    if (this.isNodeCreature(node, ranked.creature)) {
                         creature = ranked.creature.clone();
                         console.log(`[SPAWN] Found ${node.name} in generation history`);
                         break;
@@ -2383,7 +3054,7 @@ class EvolutionManager {
         }
         
         // Check if this is the current champion
-        if (!creature && this.champion && this.champion.name === node.name) {
+        if (!creature && this.isNodeCreature(node, this.champion)) {
             creature = this.champion.clone();
             console.log(`[SPAWN] Using current champion for ${node.name}`);
         }
@@ -2417,6 +3088,13 @@ class EvolutionManager {
         this.targetHeight = node.height || 0;
         this.targetTilesLit = node.tilesLit || 0;
         this.targetJumpHeight = node.jumpHeight || 0;
+        this.targetEnergy = node.energyUsed || 0;
+        this.targetRaceProgress = node.raceProgress || 0;
+        this.targetRaceFinishTime = node.raceFinishTime || 0;
+        this.targetFoodCollected = node.foodCollected || 0;
+        this.targetFoodTime = node.foodTime || 0;
+        this.targetCourse = node.course || this.course;
+        this.clearTargetFromOtherCourse();
         
         // Update current branch ID to this node
         this.currentBranchId = nodeId;
@@ -2578,14 +3256,21 @@ class EvolutionManager {
             return {
                 id: node.id,
                 name: node.name,  // Full DNA segment
+                seed: node.seed || null,
                 generation: node.generation,
                 fitness: node.fitness,
                 fitnessMode: node.fitnessMode,
+                course: node.course || null,
                 blocks: node.blocks,
                 distance: node.distance,
                 height: node.height,
                 tilesLit: node.tilesLit,
                 jumpHeight: node.jumpHeight,
+                energyUsed: node.energyUsed,
+                raceProgress: node.raceProgress,
+                raceFinishTime: node.raceFinishTime,
+                foodCollected: node.foodCollected,
+                foodTime: node.foodTime,
                 parentId: node.parentId,
                 parentName: node.parentName || null,
                 status: node.status,
@@ -2609,6 +3294,7 @@ class EvolutionManager {
                 generation: entry.generation,
                 triedIndices: [...entry.triedIndices],
                 championFitness: entry.championFitness,
+                course: entry.course || null,
                 // Serialize ranked population (creatures with their ranking data)
                 rankedPopulation: entry.rankedPopulation ? entry.rankedPopulation.map(ranked => ({
                     fitness: ranked.fitness,
@@ -2644,6 +3330,25 @@ class EvolutionManager {
             currentActiveMode: this.currentActiveMode,
             isRandomMode: this.isRandomMode,
             
+            // Parent selection (GA mode)
+            selectionMethod: this.selectionMethod,
+            parentCount: this.parentCount,
+            crossoverRate: this.crossoverRate,
+            structuralMutationRate: this.structuralMutationRate,
+            
+            // Joint controller for new runs (creatures carry their own in their DNA)
+            controllerType: this.controllerType,
+            neuralMutationRate: this.neuralMutationRate,
+            blockShapes: this.blockShapes,
+            jointTypes: this.jointTypes,
+            bodySymmetry: this.bodySymmetry,
+            course: this.course,
+            
+            // Run seed and where its random stream is up to, so a loaded run
+            // carries on exactly as it would have without the save/load
+            runSeed: this.runSeed,
+            rngState: this.rng.state,
+            
             // Evolution history and tree
             generationHistory: serializedHistory,
             evolutionTree: serializedTree,
@@ -2664,6 +3369,12 @@ class EvolutionManager {
             targetHeight: this.targetHeight,
             targetTilesLit: this.targetTilesLit,
             targetJumpHeight: this.targetJumpHeight,
+            targetEnergy: this.targetEnergy,
+            targetRaceProgress: this.targetRaceProgress,
+            targetRaceFinishTime: this.targetRaceFinishTime,
+            targetFoodCollected: this.targetFoodCollected,
+            targetFoodTime: this.targetFoodTime,
+            targetCourse: this.targetCourse,
             
             // DNA tracking (prevents re-exploring identical paths)
             triedDNASegments: Array.from(this.triedDNASegments.entries())
@@ -2717,11 +3428,34 @@ class EvolutionManager {
             this.currentActiveMode = state.currentActiveMode;
             this.isRandomMode = state.isRandomMode;
             
+            // Restore parent selection (older saves predate GA mode)
+            this.selectionMethod = state.selectionMethod || 'champion';
+            this.parentCount = state.parentCount || 3;
+            this.crossoverRate = state.crossoverRate !== undefined ? state.crossoverRate : 0.25;
+            this.structuralMutationRate = state.structuralMutationRate !== undefined ? state.structuralMutationRate : 0;
+            this.controllerType = state.controllerType || 'actions';
+            this.neuralMutationRate = state.neuralMutationRate !== undefined ? state.neuralMutationRate : NEURAL_DEFAULT_MUTATION_RATE;
+            this.setBlockShapes(state.blockShapes || 'cubes');
+            this.setJointTypes(state.jointTypes || 'hinges');
+            this.setBodySymmetry(state.bodySymmetry || 'off');
+            // Older saves predate courses - they were all on the open arena
+            this.course = state.course || 'Open Arena';
+            
+            // Restore the run seed (older saves have none - they keep a fresh random stream)
+            if (typeof state.runSeed === 'number') {
+                this.runSeed = state.runSeed;
+                this.rng = new RunRandom(this.runSeed);
+                if (typeof state.rngState === 'number') {
+                    this.rng.state = state.rngState >>> 0;
+                }
+            }
+            
             // Restore generation history
             this.generationHistory = state.generationHistory.map(entry => ({
                 generation: entry.generation,
                 triedIndices: [...entry.triedIndices],  // Keep as array (uses .includes, .push, .join)
                 championFitness: entry.championFitness,
+                course: entry.course || null,
                 rankedPopulation: entry.rankedPopulation ? entry.rankedPopulation.map(ranked => ({
                     fitness: ranked.fitness,
                     creature: ranked.creature ? Creature.fromJSON(ranked.creature) : null
@@ -2732,14 +3466,21 @@ class EvolutionManager {
             this.evolutionTree = state.evolutionTree.map(node => ({
                 id: node.id,
                 name: node.name,  // Full DNA segment
+                seed: node.seed || null,
                 generation: node.generation,
                 fitness: node.fitness,
                 fitnessMode: node.fitnessMode,
+                course: node.course || null,
                 blocks: node.blocks,
                 distance: node.distance,
                 height: node.height,
                 tilesLit: node.tilesLit,
                 jumpHeight: node.jumpHeight,
+                energyUsed: node.energyUsed,
+                raceProgress: node.raceProgress,
+                raceFinishTime: node.raceFinishTime,
+                foodCollected: node.foodCollected,
+                foodTime: node.foodTime,
                 parentId: node.parentId,
                 parentName: node.parentName || null,
                 status: node.status,
@@ -2771,6 +3512,12 @@ class EvolutionManager {
             this.targetHeight = state.targetHeight;
             this.targetTilesLit = state.targetTilesLit;
             this.targetJumpHeight = state.targetJumpHeight;
+            this.targetEnergy = state.targetEnergy || 0;
+            this.targetRaceProgress = state.targetRaceProgress || 0;
+            this.targetRaceFinishTime = state.targetRaceFinishTime || 0;
+            this.targetFoodCollected = state.targetFoodCollected || 0;
+            this.targetFoodTime = state.targetFoodTime || 0;
+            this.targetCourse = state.targetCourse || this.course;
             
             // Restore DNA tracking (prevents re-exploring identical paths)
             if (state.triedDNASegments && Array.isArray(state.triedDNASegments)) {
@@ -0,0 +1,1915 @@
+// headless-evaluator.js - Physics-only creature evaluation
+// Runs evolution rounds without Three.js, a renderer, or a browser.
+//
+// The top half of this file holds the physics/metric helpers that BOTH the
+// on-screen Simulation and the HeadlessEvaluator call. Keeping one copy of
+// this code is what guarantees that a creature scores the same whether it
+// was evaluated in a browser tab or on a server overnight.
+//
+// The bottom half is the HeadlessEvaluator class plus a small Node entry
+// point for running whole evolution sessions from the command line:
+//
+//   npm install cannon@0.6.2
+//   node headless-evaluator.js --generations 500 --mode distance --out run.json
+//
+// The resulting file can be loaded in the browser with the Load button.
+
+// ============================================================================
+// NODE BOOTSTRAP
+// ============================================================================
+// In the browser every script shares one global scope, so Creature,
+// INFLUENCE_TYPES, EvolutionManager, etc. are simply there. Under Node we
+// recreate that by running the same script files in the global context
+// (no copies, no wrappers - the exact files index.html loads).
+
+if (typeof module !== 'undefined' && module.exports && typeof Creature === 'undefined') {
+    const fs = require('fs');
+    const path = require('path');
+    const vm = require('vm');
+
+    try {
+        global.CANNON = require('cannon');
+    } catch (error) {
+        console.error('[HEADLESS] cannon.js not found. Install it with: npm install cannon@0.6.2');
+        throw error;
+    }
+
+    // Some scripts announce themselves as they load. That's a diagnostic, so
+    // send it to stderr, where it can't end up in anything piped from stdout.
+    const consoleLog = console.log;
+    console.log = console.error;
+    try {
+        for (const file of ['creature.js', 'influence-system.js', 'neural-controller.js', 'terrain.js', 'course.js', 'water.js', 'evolution.js']) {
+            const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+            vm.runInThisContext(source, { filename: file });
+        }
+    } finally {
+        console.log = consoleLog;
+    }
+}
+
+// ============================================================================
+// SHARED PHYSICS CONSTANTS
+// ============================================================================
+
+const PHYSICS_FIXED_TIME_STEP = 1.0 / 60.0;
+const PHYSICS_MAX_SUB_STEPS = 3;
+const PHYSICS_BASE_GRAVITY = 9.82;          // Earth gravity (m/s^2)
+const TILE_WORLD_SIZE = 0.1;                // Lit tile edge length (world units)
+// The cannon.js release every script loads (index.html, physics-worker.js and
+// the npm install above). CreatureSolver is a fork of its solver.
+const CANNON_VERSION = '0.6.2';
+
+// ============================================================================
+// SHARED PHYSICS HELPERS (used by Simulation and HeadlessEvaluator)
+// ============================================================================
+
+// Cannon materials - one per block material, plus the ground. Created once
+// and shared by every world, because a world's contact table is keyed by them.
+const PHYSICS_MATERIALS = {};
+
+/**
+ * Get the Cannon material for a block material (or 'ground')
+ * @param {string} name - One of MATERIAL_TYPES, or 'ground'
+ * @returns {CANNON.Material} Shared material
+ */
+function getPhysicsMaterial(name) {
+    if (!PHYSICS_MATERIALS[name]) {
+        PHYSICS_MATERIALS[name] = new CANNON.Material(name);
+    }
+    return PHYSICS_MATERIALS[name];
+}
+
+/**
+ * Give a world its contact table from MATERIAL_PROPERTIES: every block
+ * material against the ground uses that material's own friction, restitution
+ * and stiffness; two block materials meet at the geometric mean of their
+ * friction and restitution, and the softer one's stiffness.
+ * @param {CANNON.World} world - World to add the contact materials to
+ */
+function addMaterialContacts(world) {
+    const ground = getPhysicsMaterial('ground');
+    MATERIAL_TYPES.forEach((typeA, i) => {
+        const a = getMaterialProperties(typeA);
+        world.addContactMaterial(new CANNON.ContactMaterial(ground, getPhysicsMaterial(typeA), {
+            friction: a.friction,
+            restitution: a.restitution,
+            contactEquationStiffness: a.stiffness
+        }));
+        for (const typeB of MATERIAL_TYPES.slice(i)) {
+            const b = getMaterialProperties(typeB);
+            world.addContactMaterial(new CANNON.ContactMaterial(getPhysicsMaterial(typeA), getPhysicsMaterial(typeB), {
+                friction: Math.sqrt(a.friction * b.friction),
+                restitution: Math.sqrt(a.restitution * b.restitution),
+                contactEquationStiffness: Math.min(a.stiffness, b.stiffness)
+            }));
+        }
+    });
+}
+
+/**
+ * Cannon's naive broadphase plus a per-pair filter: a body never collides
+ * with the bodies in its userData.noCollide set. Collision groups can only
+ * switch a body off against whole groups, and a constraint's collideConnected
+ * only covers the two bodies it joins (see buildCreaturePhysics).
+ */
+class CreatureBroadphase extends CANNON.NaiveBroadphase {
+    needBroadphaseCollision(bodyA, bodyB) {
+        // Pairs are always added both ways round, so one side is enough
+        const skip = bodyA.userData && bodyA.userData.noCollide;
+        if (skip && skip.has(bodyB)) return false;
+        return super.needBroadphaseCollision(bodyA, bodyB);
+    }
+}
+
+/**
+ * A FORK of GSSolver.solve from cannon 0.6.2 (CANNON_VERSION), plus what
+ * later cannon versions do after the solve: leave each equation's solved
+ * force in equation.multiplier, so multiplier x dt is the impulse it applied
+ * that step. The motor work in updateCreatureEnergyMetrics is read from it.
+ * 0.6.2 keeps its lambdas in a private array, so there's nothing to read back
+ * after super.solve. The solve itself is step for step 0.6.2's, so the
+ * physics is unchanged - but only with that cannon, so createPhysicsWorld
+ * falls back to cannon's own solver with any other. Upgrading cannon means
+ * re-forking this from the new solver, or dropping it if the new release
+ * sets multiplier itself.
+ */
+class CreatureSolver extends CANNON.GSSolver {
+    solve(dt, world) {
+        const equations = this.equations;
+        const bodies = world.bodies;
+        const lambda = [];
+        const Bs = [];
+        const invCs = [];
+        let iter = 0;
+        if (equations.length === 0) return iter;
+
+        for (const body of bodies) body.updateSolveMassProperties();
+        for (const eq of equations) {
+            lambda.push(0);
+            Bs.push(eq.computeB(dt));
+            invCs.push(1 / eq.computeC());
+        }
+        for (const body of bodies) {
+            body.vlambda.set(0, 0, 0);
+            if (body.wlambda) body.wlambda.set(0, 0, 0);
+        }
+
+        const tolSquared = this.tolerance * this.tolerance;
+        for (iter = 0; iter !== this.iterations; iter++) {
+            let deltalambdaTot = 0;
+            for (let j = 0; j !== equations.length; j++) {
+                const eq = equations[j];
+                let deltalambda = invCs[j] * (Bs[j] - eq.computeGWlambda() - eq.eps * lambda[j]);
+                if (lambda[j] + deltalambda < eq.minForce) {
+                    deltalambda = eq.minForce - lambda[j];
+                } else if (lambda[j] + deltalambda > eq.maxForce) {
+                    deltalambda = eq.maxForce - lambda[j];
+                }
+                lambda[j] += deltalambda;
+                deltalambdaTot += Math.abs(deltalambda);
+                eq.addToWlambda(deltalambda);
+            }
+            if (deltalambdaTot * deltalambdaTot < tolSquared) break;
+        }
+
+        for (const body of bodies) {
+            body.velocity.vadd(body.vlambda, body.velocity);
+            if (body.wlambda) body.angularVelocity.vadd(body.wlambda, body.angularVelocity);
+        }
+        for (let j = 0; j !== equations.length; j++) {
+            equations[j].multiplier = lambda[j] / dt;
+        }
+        return iter;
+    }
+}
+
+if (CANNON.version !== CANNON_VERSION) {
+    console.error(`[PHYSICS] Expected cannon.js ${CANNON_VERSION} but found ${CANNON.version} - ` +
+        `using its own solver, so motor work (Economy) isn't measured`);
+}
+
+/**
+ * Create a Cannon world configured exactly like the on-screen simulation,
+ * with the infinite ground plane, the terrain (if any) and the material
+ * contact table already added.
+ *
+ * @param {number} gravityMultiplier - 1.0 = Earth gravity
+ * @param {Terrain|null} terrain - Terrain to lay over the plane (null = flat)
+ * @returns {{world: CANNON.World, groundBody: CANNON.Body}}
+ */
+function createPhysicsWorld(gravityMultiplier = 1.0, terrain = null) {
+    const world = new CANNON.World();
+    world.gravity.set(0, -PHYSICS_BASE_GRAVITY * gravityMultiplier, 0);
+    world.broadphase = new CreatureBroadphase();
+    if (CANNON.version === CANNON_VERSION) {
+        world.solver = new CreatureSolver();
+    }
+    world.solver.iterations = 10;
+    // Always run every solver iteration. The early-out tolerance is checked
+    // against the error summed over ALL bodies, so with it on, a creature's
+    // motion would depend on who else shares the world (and results would
+    // change when the population is split across workers)
+    world.solver.tolerance = 0;
+    // Anything without a material of its own (there shouldn't be much) acts like plastic on the ground
+    world.defaultContactMaterial.friction = getMaterialProperties('plastic').friction;
+    addMaterialContacts(world);
+
+    const groundBody = new CANNON.Body({
+        mass: 0,
+        material: getPhysicsMaterial('ground'),
+        collisionFilterGroup: COLLISION_GROUP_GROUND,
+        collisionFilterMask: 0xFFFFFFFF
+    });
+    groundBody.addShape(new CANNON.Plane());
+    groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+    world.addBody(groundBody);
+    setWorldTerrain(world, terrain);
+
+    return { world, groundBody };
+}
+
+/**
+ * Give a world its terrain, replacing any it had. The heightfield sits on top
+ * of the ground plane, which still catches anything that leaves it. Flat
+ * terrain adds no body at all. world.terrain is what getGroundHeight reads.
+ *
+ * @param {CANNON.World} world - World to change
+ * @param {Terrain|null} terrain - New terrain (null = flat)
+ */
+function setWorldTerrain(world, terrain) {
+    if (world.terrainBody) {
+        world.removeBody(world.terrainBody);
+        world.terrainBody = null;
+    }
+    world.terrain = terrain && !terrain.isFlat() ? terrain : null;
+    if (!world.terrain) return;
+
+    // Heightfields are built in their own XY plane with Z up - turn it onto XZ
+    const terrainBody = new CANNON.Body({
+        mass: 0,
+        material: getPhysicsMaterial('ground'),
+        collisionFilterGroup: COLLISION_GROUP_GROUND,
+        collisionFilterMask: 0xFFFFFFFF
+    });
+    terrainBody.addShape(terrain.getShape());
+    terrainBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+    terrainBody.position.set(terrain.originX, 0, terrain.originZ);
+    world.addBody(terrainBody);
+    world.terrainBody = terrainBody;
+}
+
+/**
+ * Lay a course around the given spawn points, replacing any the world had.
+ * Each spawn point gets one static body holding all of its blocks, so the
+ * broadphase only sees one extra body per creature. world.courseLanes is
+ * what getGroundHeight reads. Call after setWorldTerrain - the blocks stand
+ * on the terrain.
+ *
+ * Physics workers only simulate some of the creatures, but still get every
+ * spawn point, so a creature that wanders off meets the same obstacles
+ * wherever it's simulated.
+ *
+ * @param {CANNON.World} world - World to change
+ * @param {Course|null} course - Course to lay out (null = open arena)
+ * @param {Array} positions - Every spawn point of the round, as [x, y, z]
+ */
+function setWorldCourse(world, course, positions) {
+    for (const body of world.courseBodies || []) world.removeBody(body);
+    world.courseBodies = [];
+    world.courseLanes = buildCourseLanes(course, positions, world.terrain);
+    world.courseTop = 0;
+
+    for (const lane of world.courseLanes) {
+        const body = new CANNON.Body({
+            mass: 0,
+            material: getPhysicsMaterial('ground'),
+            collisionFilterGroup: COLLISION_GROUP_GROUND,
+            collisionFilterMask: 0xFFFFFFFF
+        });
+        for (const box of lane.boxes) {
+            const halfExtents = new CANNON.Vec3(
+                (box.maxX - box.minX) / 2, (box.top - box.bottom) / 2, (box.maxZ - box.minZ) / 2
+            );
+            const offset = new CANNON.Vec3(
+                (box.minX + box.maxX) / 2 - lane.x, (box.bottom + box.top) / 2, (box.minZ + box.maxZ) / 2 - lane.z
+            );
+            body.addShape(new CANNON.Box(halfExtents), offset);
+            world.courseTop = Math.max(world.courseTop, box.top);
+        }
+        body.position.set(lane.x, 0, lane.z);
+        world.addBody(body);
+        world.courseBodies.push(body);
+    }
+}
+
+/**
+ * Flood a world, replacing any water it had. Water has no body - it's just
+ * the surface getWaterLevel reads and applyCreatureWaterForces pushes with.
+ * Pools are laid around every spawn point, like courses.
+ *
+ * @param {CANNON.World} world - World to change
+ * @param {Water|null} water - Water to add (null or dry = none)
+ * @param {Array} positions - Every spawn point of the round, as [x, y, z]
+ */
+function setWorldWater(world, water, positions) {
+    world.water = water && !water.isDry() ? water : null;
+    world.waterPools = world.water && !world.water.isArenaWide()
+        ? positions.map(position => ({ x: position[0], z: position[2] }))
+        : [];
+}
+
+/**
+ * Lay out a population on the arena grid: one row per block configuration,
+ * one column per movement variant. Spawn positions matter for determinism
+ * (e.g. rhythm sensors derive their phase from where the body starts), so
+ * every evaluator must use this same layout.
+ *
+ * @param {Creature[]} creatures - Population in evaluation order
+ * @returns {Array} Array of {creature, position: [x, y, z]} in spawn order
+ */
+function computeSpawnLayout(creatures) {
+    const configGroups = {};
+    for (let c of creatures) {
+        const idx = c.configIndex || 0;
+        if (!configGroups[idx]) configGroups[idx] = [];
+        configGroups[idx].push(c);
+    }
+
+    const rowSpacing = 25, colSpacing = 20;
+    const indices = Object.keys(configGroups).map(k => parseInt(k)).sort((a,b) => a-b);
+    const startZ = -((indices.length - 1) * rowSpacing) / 2;
+
+    const layout = [];
+    for (let row = 0; row < indices.length; row++) {
+        const variants = configGroups[indices[row]];
+        const startX = -((variants.length - 1) * colSpacing) / 2;
+        for (let col = 0; col < variants.length; col++) {
+            layout.push({
+                creature: variants[col],
+                position: [startX + col * colSpacing, 3, startZ + row * rowSpacing]
+            });
+        }
+    }
+    return layout;
+}
+
+/**
+ * Get a creature ready for a new round without touching any physics world:
+ * works out its start position (lowest block just above the ground), resets
+ * fitness tracking and finds its influence providers.
+ *
+ * @param {Creature} creature - Creature about to be spawned
+ * @param {number[]} basePosition - [x, y, z] spawn point (y is recalculated)
+ * @param {Terrain|null} terrain - Terrain it spawns on (null = flat)
+ * @param {Array|null} courseLanes - The round's course (see buildCourseLanes)
+ */
+function prepareCreatureForRound(creature, basePosition, terrain = null, courseLanes = null) {
+    // Calculate the creature's bounding box to find lowest point
+    // This ensures creatures don't spawn intersecting the ground
+    let lowestPoint = Infinity;
+    for (const block of creature.blocks) {
+        // Block's lowest point = block center Y - half of block height
+        const blockBottom = block.position[1] - block.size[1] / 2;
+        if (blockBottom < lowestPoint) {
+            lowestPoint = blockBottom;
+        }
+    }
+
+    // Calculate spawn height so the lowest block is just above ground
+    // lowestPoint is relative to creature origin, so we need to offset
+    // to make the absolute lowest point sit at groundClearance height
+    const groundClearance = 0.1;
+    let spawnHeight = groundClearance - lowestPoint;
+
+    // On terrain or a course, clear the highest ground anywhere under the body
+    const hasCourse = courseLanes && courseLanes.length > 0;
+    if ((terrain && !terrain.isFlat()) || hasCourse) {
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        for (const block of creature.blocks) {
+            minX = Math.min(minX, basePosition[0] + block.position[0] - block.size[0] / 2);
+            maxX = Math.max(maxX, basePosition[0] + block.position[0] + block.size[0] / 2);
+            minZ = Math.min(minZ, basePosition[2] + block.position[2] - block.size[2] / 2);
+            maxZ = Math.max(maxZ, basePosition[2] + block.position[2] + block.size[2] / 2);
+        }
+        spawnHeight += Math.max(
+            terrain ? terrain.getMaxHeightIn(minX, minZ, maxX, maxZ) : 0,
+            hasCourse ? getCourseMaxHeightIn(courseLanes, minX, minZ, maxX, maxZ) : 0
+        );
+    }
+
+    creature.startPosition = [
+        basePosition[0],
+        spawnHeight,
+        basePosition[2]
+    ];
+
+    if (creature.resetFitnessTracking) {
+        creature.resetFitnessTracking();
+    } else {
+        creature.maxDistance = 0;
+        creature.maxHeight = 0;
+        creature.tilesLit = [];
+        creature.maxJumpHeight = 0;
+        creature.hasLandedAfterSpawn = false;
+        creature.groundedY = 0;
+        creature.energyUsed = 0;
+        creature.raceProgress = 0;
+        creature.raceFinishTime = 0;
+        creature.raceStalled = false;
+        creature.raceStartX = null;
+        creature.foodCollected = 0;
+        creature.foodTime = 0;
+        creature.food = [];
+        creature.foodEaten = [];
+    }
+
+    // Every round starts at the beginning of each joint's action cycle
+    // (and with a neural controller's state cleared)
+    for (let joint of creature.joints) {
+        joint.resetState();
+    }
+    if (creature.brain) {
+        creature.brain.reset();
+    }
+
+    // Initialize influence system - find blocks that provide influences
+    creature.influenceProviders = findInfluenceProviders(creature);
+    creature.influences = {};
+}
+
+/**
+ * Give a block's body its collision shape. Boxes and spheres are single
+ * shapes; cylinders are turned from cannon's Z axis onto the block's long
+ * axis, and capsules are a cylinder with a sphere on each end.
+ *
+ * @param {CANNON.Body} body - Body without shapes
+ * @param {Block} block - Block with shape, shapeAxis and size
+ */
+function addBlockShapes(body, block) {
+    const axis = block.shapeAxis;
+    const radius = block.size[(axis + 1) % 3] / 2;
+    const length = block.size[axis];
+
+    // Cylinder orientation: cannon's cylinders lie along their local Z
+    const orientation = new CANNON.Quaternion();
+    if (axis === 0) orientation.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), Math.PI / 2);
+    if (axis === 1) orientation.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+
+    switch (block.shape) {
+        case 'sphere':
+            body.addShape(new CANNON.Sphere(radius));
+            break;
+        case 'cylinder':
+            body.addShape(new CANNON.Cylinder(radius, radius, length, 12), new CANNON.Vec3(), orientation);
+            break;
+        case 'capsule': {
+            const core = length - 2 * radius;
+            if (core > 0.01) {
+                body.addShape(new CANNON.Cylinder(radius, radius, core, 12), new CANNON.Vec3(), orientation);
+            }
+            for (const sign of [-1, 1]) {
+                const offset = new CANNON.Vec3();
+                offset[['x', 'y', 'z'][axis]] = sign * Math.max(0, core) / 2;
+                body.addShape(new CANNON.Sphere(radius), offset);
+            }
+            break;
+        }
+        default:
+            body.addShape(new CANNON.Box(new CANNON.Vec3(block.size[0]/2, block.size[1]/2, block.size[2]/2)));
+    }
+}
+
+/**
+ * Hinge pivot on a block's face, in the block's local space
+ * @param {number} face - Face index (0=+X, 1=-X, 2=+Y, 3=-Y, 4=+Z, 5=-Z)
+ * @param {number[]} size - The block's size
+ * @returns {CANNON.Vec3} Centre of that face
+ */
+function getFacePivot(face, size) {
+    const pivot = new CANNON.Vec3(0, 0, 0);
+    if (face >= 0 && face < 6) {
+        const axis = getFaceAxis(face);
+        pivot[['x', 'y', 'z'][axis]] = (face % 2 === 0 ? 1 : -1) * size[axis] / 2;
+    }
+    return pivot;
+}
+
+/**
+ * Create the physics bodies and joint constraints for a creature and add them
+ * to the world (after prepareCreatureForRound).
+ * Meshes are NOT created here - that's the renderer's job.
+ *
+ * @param {CANNON.World} world - World to add bodies to
+ * @param {Creature} creature - Creature to build
+ * @param {number[]} basePosition - [x, y, z] spawn point (y is recalculated)
+ * @param {number} collisionGroup - This creature's collision group bit
+ */
+function buildCreaturePhysics(world, creature, basePosition, collisionGroup) {
+    prepareCreatureForRound(creature, basePosition, world.terrain, world.courseLanes);
+
+    // Creatures only collide with the ground and themselves
+    const creatureMask = COLLISION_GROUP_GROUND | collisionGroup;
+
+    creature.bodies = [];
+    for (let i = 0; i < creature.blocks.length; i++) {
+        const block = creature.blocks[i];
+
+        // Mass scales with the block's volume, so a unit cube weighs what it always did
+        const body = new CANNON.Body({
+            mass: getMaterialMass(block.materialType) * getBlockVolume(block),
+            material: getPhysicsMaterial(block.materialType),
+            position: new CANNON.Vec3(
+                creature.startPosition[0] + block.position[0],
+                creature.startPosition[1] + block.position[1],
+                creature.startPosition[2] + block.position[2]
+            ),
+            collisionFilterGroup: collisionGroup,
+            collisionFilterMask: creatureMask
+        });
+        addBlockShapes(body, block);
+        world.addBody(body);
+        creature.bodies.push(body);
+
+        body.userData = {
+            prevY: body.position.y - getGroundHeight(world, body.position.x, body.position.z),
+            wasGrounded: false,
+            touchNeighbours: [],
+            halfExtents: new CANNON.Vec3(block.size[0]/2, block.size[1]/2, block.size[2]/2),
+            volume: getBlockVolume(block)
+        };
+    }
+
+    // Blocks whose spawn boxes share a face, edge or corner (or come within
+    // half a unit of it) are always in contact in the spawn pose - touch
+    // sensors don't count those contacts
+    for (let i = 0; i < creature.blocks.length; i++) {
+        for (let j = i + 1; j < creature.blocks.length; j++) {
+            const a = creature.blocks[i];
+            const b = creature.blocks[j];
+            let gap = -Infinity;
+            for (let axis = 0; axis < 3; axis++) {
+                const d = Math.abs(a.position[axis] - b.position[axis]) - (a.size[axis] + b.size[axis]) / 2;
+                gap = Math.max(gap, d);
+            }
+            if (gap < 0.5) {
+                creature.bodies[i].userData.touchNeighbours.push(creature.bodies[j]);
+                creature.bodies[j].userData.touchNeighbours.push(creature.bodies[i]);
+            }
+        }
+    }
+
+    creature.constraints = [];
+    for (let joint of creature.joints) {
+        const constraint = createJointConstraint(creature, joint);
+        world.addConstraint(constraint);
+        creature.constraints.push(constraint);
+        joint.constraint = constraint;
+
+        // Ball and swing joints tip block B into the blocks around its pivot.
+        // Pushing against them, the joint and the contacts fight and fling the
+        // creature about, so block B doesn't collide with block A or with any
+        // block it touched in the spawn pose - it still collides with the
+        // rest of its body and the ground
+        if (joint.params.type === 'ball' || joint.params.type === 'swing') {
+            constraint.collideConnected = false;
+            const bodyB = creature.bodies[joint.blockIndexB];
+            for (const neighbour of bodyB.userData.touchNeighbours) {
+                for (const [body, other] of [[bodyB, neighbour], [neighbour, bodyB]]) {
+                    if (!body.userData.noCollide) body.userData.noCollide = new Set();
+                    body.userData.noCollide.add(other);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Build the constraint for one joint, by its type (see JOINT GENES in
+ * creature.js). Blocks spawn unrotated, so a joint's axes are the same in
+ * both blocks' frames.
+ *
+ * @param {Creature} creature - Creature whose bodies are built
+ * @param {Joint} joint - Joint to build
+ * @returns {CANNON.Constraint} The constraint (not yet added to the world)
+ */
+function createJointConstraint(creature, joint) {
+    const bodyA = creature.bodies[joint.blockIndexA];
+    const bodyB = creature.bodies[joint.blockIndexB];
+    const pivotA = getFacePivot(joint.faceA, creature.blocks[joint.blockIndexA].size);
+    const pivotB = getFacePivot(joint.faceB, creature.blocks[joint.blockIndexB].size);
+    const toVec3 = (axis) => new CANNON.Vec3(axis[0], axis[1], axis[2]);
+
+    switch (joint.params.type) {
+        case 'fixed':
+            return new CANNON.LockConstraint(bodyA, bodyB, { maxForce: 100 });
+        case 'ball':
+            return new BallJointConstraint(bodyA, pivotA, bodyB, pivotB, joint.motorAxes.map(toVec3), 100);
+        default:
+            return new CANNON.HingeConstraint(bodyA, bodyB, {
+                pivotA: pivotA,
+                axisA: toVec3(joint.motorAxes[0]),
+                pivotB: pivotB,
+                axisB: toVec3(joint.motorAxes[0]),
+                maxForce: 100
+            });
+    }
+}
+
+/**
+ * Ball-and-socket joint with two motors. The blocks are pinned at one point
+ * and free to turn any way; the motors push about two axes fixed in block A,
+ * both lying in the attachment face.
+ * Exposes the same motor methods as CANNON.HingeConstraint, except that
+ * setMotorSpeed takes a speed for each motor.
+ */
+class BallJointConstraint extends CANNON.PointToPointConstraint {
+    /**
+     * @param {CANNON.Body} bodyA - Parent block's body
+     * @param {CANNON.Vec3} pivotA - Pivot in bodyA's frame
+     * @param {CANNON.Body} bodyB - Child block's body
+     * @param {CANNON.Vec3} pivotB - Pivot in bodyB's frame
+     * @param {CANNON.Vec3[]} axes - The two motor axes in bodyA's frame
+     * @param {number} maxForce - Max force holding the pivot together
+     */
+    constructor(bodyA, pivotA, bodyB, pivotB, axes, maxForce) {
+        super(bodyA, pivotA, bodyB, pivotB, maxForce);
+        this.motorAxes = axes;
+        this.motorEquations = axes.map(() => {
+            const motor = new CANNON.RotationalMotorEquation(bodyA, bodyB, maxForce);
+            motor.enabled = false;
+            return motor;
+        });
+        this.equations.push(...this.motorEquations);
+    }
+
+    enableMotor() {
+        for (const motor of this.motorEquations) motor.enabled = true;
+    }
+
+    disableMotor() {
+        for (const motor of this.motorEquations) motor.enabled = false;
+    }
+
+    /**
+     * @param {number} first - Target speed about the first axis
+     * @param {number} second - Target speed about the second axis
+     */
+    setMotorSpeed(first, second = 0) {
+        this.motorEquations[0].targetVelocity = first;
+        this.motorEquations[1].targetVelocity = second;
+    }
+
+    setMotorMaxForce(maxForce) {
+        for (const motor of this.motorEquations) {
+            motor.maxForce = maxForce;
+            motor.minForce = -maxForce;
+        }
+    }
+
+    update() {
+        super.update();
+        this.motorEquations.forEach((motor, i) => {
+            this.bodyA.quaternion.vmult(this.motorAxes[i], motor.axisA);
+            motor.axisB.copy(motor.axisA);
+        });
+    }
+}
+
+/**
+ * The motor equations of a joint's constraint: one for a hinge, two for a
+ * ball joint, none for a fixed joint.
+ *
+ * @param {CANNON.Constraint} constraint - Joint constraint
+ * @returns {CANNON.Equation[]} Its motor equations
+ */
+function getJointMotorEquations(constraint) {
+    if (constraint.motorEquations) return constraint.motorEquations;
+    return constraint.motorEquation ? [constraint.motorEquation] : [];
+}
+
+/**
+ * Remove a creature's bodies and constraints from the world.
+ *
+ * @param {CANNON.World} world - World the creature lives in
+ * @param {Creature} creature - Creature to remove
+ */
+function removeCreaturePhysics(world, creature) {
+    for (let b of creature.bodies || []) world.removeBody(b);
+    for (let c of creature.constraints || []) world.removeConstraint(c);
+    creature.bodies = [];
+    creature.constraints = [];
+}
+
+/**
+ * Calculate the sun's position in the sky for a point in the day.
+ * Must match the lighting in Simulation.updateDayNightCycle() since light
+ * sensors read the sun direction.
+ *
+ * Map dayProgress to sun angle:
+ *   progress 0.20 -> angle 0 deg (sunrise, horizon east)
+ *   progress 0.50 -> angle 90 deg (noon, zenith)
+ *   progress 0.80 -> angle 180 deg (sunset, horizon west)
+ *
+ * @param {number} dayProgress - 0 (start of round) to 1 (end of round)
+ * @returns {{x: number, y: number, z: number, angle: number}} Sun position and orbit angle
+ */
+function calculateSunPosition(dayProgress) {
+    const sunAngle = ((dayProgress - 0.20) / 0.60) * Math.PI;
+
+    // Sun orbit parameters
+    const orbitRadius = 300;  // East-west travel distance
+    const maxHeight = 200;    // Peak height at noon
+    const southOffset = 80;   // Sun stays in southern sky
+
+    // Negate X so sun rotates same direction as star spheres (east to west)
+    // sin gives 0 at horizons, 1 at noon for height
+    // cos gives 1 at sunrise, -1 at sunset - negate to match star rotation direction
+    return {
+        x: -Math.cos(sunAngle) * orbitRadius,
+        y: Math.sin(sunAngle) * maxHeight,
+        z: southOffset,
+        angle: sunAngle
+    };
+}
+
+/**
+ * Build the context object for influence calculations.
+ *
+ * @param {Object} sunPosition - Current sun position {x, y, z} (or null)
+ * @param {number} timeElapsed - Seconds since the round started
+ * @param {number} maxTime - Round duration in seconds
+ * @returns {Object} Context with sunDirection, dayProgress, simulationTime
+ */
+function buildInfluenceContextFor(sunPosition, timeElapsed, maxTime) {
+    const context = {};
+
+    // Sun direction (normalized) for light sensors
+    if (sunPosition) {
+        const pos = sunPosition;
+        const length = Math.sqrt(pos.x * pos.x + pos.y * pos.y + pos.z * pos.z);
+        if (length > 0) {
+            context.sunDirection = {
+                x: pos.x / length,
+                y: pos.y / length,
+                z: pos.z / length
+            };
+        }
+    }
+
+    // Day progress (0 to 1) for potential time-based influences
+    context.dayProgress = maxTime > 0 ? timeElapsed / maxTime : 0;
+
+    // Simulation time in seconds for oscillator/rhythm sensors
+    context.simulationTime = timeElapsed;
+
+    return context;
+}
+
+/**
+ * Find pairs of unconnected blocks that are touching (or nearly) - closer
+ * than the sum of the balls that fit inside them.
+ *
+ * @param {Creature} creature - Creature with spawned bodies
+ * @returns {Array} Array of [i, j] block index pairs
+ */
+function detectCreatureBlockCollisions(creature) {
+    const collisions = [];
+    const bodies = creature.bodies;
+    if (!bodies || bodies.length < 2) return collisions;
+
+    for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+            const dx = bodies[i].position.x - bodies[j].position.x;
+            const dy = bodies[i].position.y - bodies[j].position.y;
+            const dz = bodies[i].position.z - bodies[j].position.z;
+            const dist = Math.sqrt(dx*dx + dy*dy + dz*dz);
+
+            const connected = creature.joints.some(jt =>
+                (jt.blockIndexA === i && jt.blockIndexB === j) ||
+                (jt.blockIndexA === j && jt.blockIndexB === i)
+            );
+
+            const reach = (Math.min(...creature.blocks[i].size) + Math.min(...creature.blocks[j].size)) / 2;
+            if (!connected && dist < reach) collisions.push([i, j]);
+        }
+    }
+    return collisions;
+}
+
+/**
+ * Average position of all of a creature's bodies.
+ *
+ * @param {Creature} creature - Creature with spawned bodies
+ * @returns {{x: number, y: number, z: number}} Center of mass
+ */
+function computeCreatureCenterOfMass(creature) {
+    if (!creature?.bodies?.length) return { x: 0, y: 0, z: 0 };
+    let x = 0, y = 0, z = 0;
+    for (let b of creature.bodies) { x += b.position.x; y += b.position.y; z += b.position.z; }
+    return { x: x / creature.bodies.length, y: y / creature.bodies.length, z: z / creature.bodies.length };
+}
+
+/**
+ * Run one control step for a creature: read sensors, advance joint actions
+ * (or the neural controller), drive the joint motors and apply collision feedback.
+ * Must be called exactly once per fixed physics step - joint timers advance
+ * by PHYSICS_FIXED_TIME_STEP, so gaits never depend on the frame rate.
+ *
+ * @param {Creature} creature - Creature with spawned bodies
+ * @param {Object} context - Influence context (see buildInfluenceContextFor)
+ * @returns {{collisions: Array, jointDeltas: number[]}} Per-step data callers can use for effects
+ */
+function stepCreatureControl(creature, context) {
+    // Update influence channels if creature has any influence providers
+    if (creature.influenceProviders && creature.influenceProviders.length > 0) {
+        creature.influences = updateCreatureInfluences(creature, context);
+    }
+
+    const collisions = detectCreatureBlockCollisions(creature);
+    const jointDeltas = [];
+
+    // Neural controller creatures get every motor command from their network,
+    // which already reads the sensors - the action lists are ignored
+    const controllerSpeeds = creature.brain ? creature.brain.step(creature, PHYSICS_FIXED_TIME_STEP) : null;
+
+    creature.joints.forEach((joint, jointIndex) => {
+        // Pass influences to joint update (will be ignored if joint has no responses)
+        const delta = controllerSpeeds
+            ? joint.updateFromController(controllerSpeeds[jointIndex])
+            : joint.update(creature.influences, PHYSICS_FIXED_TIME_STEP);
+        if (joint.constraint) {
+            driveJointMotor(joint, delta * 10, creature.bodies);
+        }
+
+        let hasCollision = collisions.some(c => c.includes(joint.blockIndexA) || c.includes(joint.blockIndexB));
+        joint.handleFeedback(hasCollision);
+        jointDeltas.push(delta);
+    });
+
+    return { collisions, jointDeltas };
+}
+
+// How hard a hinge's motor pushes back past one of its angle limits
+// (motor speed per radian over the limit)
+const JOINT_LIMIT_STIFFNESS = 10;
+
+/**
+ * Drive a joint's motor at the speed its actions (or network) ask for, with
+ * the force its gene allows. Hinges are held inside their angle limits by
+ * the motor itself; a ball joint's second motor replays the first one's
+ * speed from a moment ago; fixed joints have no motor.
+ *
+ * @param {Joint} joint - Joint with its constraint built
+ * @param {number} speed - Motor speed for this step
+ * @param {CANNON.Body[]} bodies - The creature's bodies
+ */
+function driveJointMotor(joint, speed, bodies) {
+    const params = joint.params;
+    if (params.type === 'fixed') return;
+
+    joint.constraint.enableMotor();
+    if (params.type === 'ball') {
+        joint.motorHistory.push(speed);
+        const lagSteps = Math.round(params.lag / PHYSICS_FIXED_TIME_STEP);
+        const lagged = joint.motorHistory.length > lagSteps ? joint.motorHistory.shift() : 0;
+        joint.constraint.setMotorSpeed(speed, lagged);
+    } else {
+        if (params.limits) {
+            // A positive motor speed turns block B backwards about the axis
+            const angle = getHingeAngle(joint, bodies);
+            if (angle > params.limits.upper) {
+                speed = Math.max(speed, (angle - params.limits.upper) * JOINT_LIMIT_STIFFNESS);
+            } else if (angle < params.limits.lower) {
+                speed = Math.min(speed, (angle - params.limits.lower) * JOINT_LIMIT_STIFFNESS);
+            }
+        }
+        joint.constraint.setMotorSpeed(speed);
+    }
+    joint.constraint.setMotorMaxForce(params.strength);
+}
+
+/**
+ * Update the max distance (XZ from the start point) and max height metrics.
+ *
+ * @param {Creature} creature - Creature with spawned bodies
+ */
+function updateCreatureMotionMetrics(creature) {
+    const com = computeCreatureCenterOfMass(creature);
+    const dx = com.x - creature.startPosition[0];
+    const dz = com.z - creature.startPosition[2];
+    creature.maxDistance = Math.max(creature.maxDistance, Math.sqrt(dx*dx + dz*dz));
+    creature.maxHeight = Math.max(creature.maxHeight, com.y);
+}
+
+// A racer that hasn't gained RACE_STALL_MIN_GAIN on its best progress for
+// RACE_STALL_TIME seconds has stalled. Whether everyone is done is only
+// checked every RACE_CHECK_STEPS steps, so worker batches can stop on
+// exactly the same steps as a single-threaded round.
+const RACE_STALL_TIME = 10;
+const RACE_STALL_MIN_GAIN = 0.25;
+const RACE_CHECK_STEPS = 60;
+
+/**
+ * Track a creature's race along +X: signed progress of its center of mass
+ * from where it started, the time it crossed the finish line, and whether
+ * it has stalled. Finishing or stalling freezes the result, so the round
+ * can run on a few steps without changing anyone's score. Call once after
+ * every world step, always (like the other metrics) - only 'race' scores it.
+ *
+ * @param {Creature} creature - Creature with spawned bodies
+ * @param {number} time - Round time at the end of the step (s)
+ */
+function updateCreatureRaceMetrics(creature, time) {
+    if (creature.raceFinishTime > 0 || creature.raceStalled) return;
+
+    const com = computeCreatureCenterOfMass(creature);
+    if (creature.raceStartX === null) {
+        creature.raceStartX = com.x;
+        creature.raceBestProgress = 0;
+        creature.raceLastGainTime = time;
+    }
+
+    creature.raceProgress = Math.min(com.x - creature.raceStartX, RACE_FINISH_DISTANCE);
+    if (creature.raceProgress >= RACE_FINISH_DISTANCE) {
+        creature.raceFinishTime = time;
+        return;
+    }
+
+    if (creature.raceProgress >= creature.raceBestProgress + RACE_STALL_MIN_GAIN) {
+        creature.raceBestProgress = creature.raceProgress;
+        creature.raceLastGainTime = time;
+    } else if (time - creature.raceLastGainTime >= RACE_STALL_TIME) {
+        creature.raceStalled = true;
+    }
+}
+
+/**
+ * Is this a step the race can be called on? (See RACE_CHECK_STEPS.)
+ * @param {number} time - Round time at the end of the step (s)
+ */
+function isRaceCheckTime(time) {
+    return Math.round(time / PHYSICS_FIXED_TIME_STEP) % RACE_CHECK_STEPS === 0;
+}
+
+/**
+ * A race is over once every creature still in it has finished or stalled.
+ * @param {Creature[]} creatures - Creatures still in the round
+ * @returns {boolean}
+ */
+function isRaceDecided(creatures) {
+    return creatures.length > 0 && creatures.every(c => c.raceFinishTime > 0 || c.raceStalled);
+}
+
+// Every creature gets its own pieces of food, laid out the same way around
+// its spawn point, and only ever eats its own - like a course, the patch is
+// the same for everyone. Pieces land between FOOD_MIN_DISTANCE and
+// FOOD_MAX_DISTANCE from the spawn point, inside half the spawn grid
+// spacing, so neighbouring patches never mix.
+const FOOD_COUNT = 6;
+const FOOD_MIN_DISTANCE = 2;
+const FOOD_MAX_DISTANCE = 9;
+const FOOD_RADIUS = 0.3;            // Drawn size - food has no physics body
+const FOOD_PICKUP_DISTANCE = 1.0;   // A block centre this close to a piece eats it
+
+/**
+ * Scatter a round's food around a spawn point at (0, 0). The round seed
+ * alone decides where it goes, so the main thread and every worker agree.
+ *
+ * @param {number} roundSeed - Seed for the round (see EvolutionManager.getRoundSeed)
+ * @returns {Array} Offsets from the spawn point as {x, z}
+ */
+function generateFoodLayout(roundSeed) {
+    const rng = new RunRandom(roundSeed);
+    const layout = [];
+    for (let i = 0; i < FOOD_COUNT; i++) {
+        const angle = rng.random() * Math.PI * 2;
+        const distance = rng.randomFloat(FOOD_MIN_DISTANCE, FOOD_MAX_DISTANCE);
+        layout.push({ x: Math.cos(angle) * distance, z: Math.sin(angle) * distance });
+    }
+    return layout;
+}
+
+/**
+ * Put a creature's own food around its spawn point, resting on the ground
+ * (terrain or course). Call after buildCreaturePhysics, which resets the
+ * creature's fitness tracking.
+ *
+ * @param {Creature} creature - Spawned creature
+ * @param {Array} basePosition - Its spawn point [x, y, z]
+ * @param {Array|null} layout - From generateFoodLayout (null = no food this round)
+ * @param {CANNON.World} world - World the creature is in
+ */
+function placeCreatureFood(creature, basePosition, layout, world) {
+    creature.food = (layout || []).map(offset => {
+        const x = basePosition[0] + offset.x;
+        const z = basePosition[2] + offset.z;
+        return { x: x, y: getGroundHeight(world, x, z) + FOOD_RADIUS, z: z, eaten: false };
+    });
+    creature.foodEaten = [];
+}
+
+/**
+ * Eat any of a creature's food one of its blocks has reached. Call once
+ * after every world step, always - only 'forage' scores it.
+ *
+ * @param {Creature} creature - Creature with spawned bodies
+ * @param {number} time - Round time at the end of the step (s)
+ * @returns {number[]} Indices (into creature.food) of the pieces eaten this step
+ */
+function updateCreatureFoodMetrics(creature, time) {
+    const eaten = [];
+    if (!creature.food || creature.food.length === 0) return eaten;
+
+    const reachSquared = FOOD_PICKUP_DISTANCE * FOOD_PICKUP_DISTANCE;
+    creature.food.forEach((piece, index) => {
+        if (piece.eaten) return;
+        const reached = creature.bodies.some(body => {
+            const dx = body.position.x - piece.x;
+            const dy = body.position.y - piece.y;
+            const dz = body.position.z - piece.z;
+            return dx*dx + dy*dy + dz*dz <= reachSquared;
+        });
+        if (!reached) return;
+
+        piece.eaten = true;
+        creature.foodEaten.push(index);
+        creature.foodCollected++;
+        creature.foodTime = time;
+        eaten.push(index);
+    });
+    return eaten;
+}
+
+/**
+ * Add the mechanical work the joint motors did in the last step to
+ * creature.energyUsed. Work is |torque x angular velocity| x dt per motor;
+ * the solved impulse (multiplier x dt, see CreatureSolver) is already
+ * torque x dt, so it's |impulse x relative angular velocity about the motor
+ * axis|. Call once after every world step.
+ *
+ * @param {Creature} creature - Creature with spawned bodies
+ */
+function updateCreatureEnergyMetrics(creature) {
+    for (const constraint of creature.constraints || []) {
+        for (const motor of getJointMotorEquations(constraint)) {
+            if (!motor.multiplier) continue;
+            const impulse = motor.multiplier * PHYSICS_FIXED_TIME_STEP;
+            const speed = motor.axisA.dot(motor.bi.angularVelocity) - motor.axisB.dot(motor.bj.angularVelocity);
+            creature.energyUsed += Math.abs(impulse * speed);
+            // A disabled motor is left out of the solve, so don't count this step twice
+            motor.multiplier = 0;
+        }
+    }
+}
+
+/**
+ * Push a creature's blocks with the water they're in (see water.js) - the
+ * forces act during the next world step, so call once after every step.
+ * Blocks are treated as their bounding boxes:
+ *   - the share under the surface is the share of the box's (rotated) height
+ *     below it, and that share of the block's volume is displaced
+ *   - drag faces the box's shadow along its velocity (sum of |direction|
+ *     x the area of the faces across it), times the share under water
+ * Drag is capped at what would stop the block dead in one step, so small
+ * fast blocks can't be flung backwards by it.
+ *
+ * @param {Creature} creature - Creature with spawned bodies
+ * @param {CANNON.World} world - World the creature is in
+ */
+function applyCreatureWaterForces(creature, world) {
+    if (!world || !world.water) return;
+    const gravity = Math.abs(world.gravity.y);
+    const direction = new CANNON.Vec3();
+
+    for (const body of creature.bodies || []) {
+        const level = getWaterLevel(world, body.position.x, body.position.z);
+        const half = body.userData.halfExtents;
+        const q = body.quaternion;
+
+        // How far the rotated box reaches above and below its centre
+        const reach = Math.abs(2 * (q.x * q.y + q.w * q.z)) * half.x +
+            Math.abs(1 - 2 * (q.x * q.x + q.z * q.z)) * half.y +
+            Math.abs(2 * (q.y * q.z - q.w * q.x)) * half.z;
+        const submerged = Math.max(0, Math.min(1, (level - (body.position.y - reach)) / (2 * reach)));
+        if (submerged === 0) continue;
+
+        body.force.y += WATER_DENSITY * gravity * body.userData.volume * submerged;
+
+        const speed = body.velocity.length();
+        if (speed < 1e-6) continue;
+        body.vectorToLocalFrame(body.velocity, direction);
+        const area = (Math.abs(direction.x) * half.y * half.z +
+            Math.abs(direction.y) * half.x * half.z +
+            Math.abs(direction.z) * half.x * half.y) * 4 / speed;
+        const drag = Math.min(
+            submerged * area * (WATER_LINEAR_DRAG * speed + WATER_QUADRATIC_DRAG * speed * speed),
+            body.mass * speed / PHYSICS_FIXED_TIME_STEP
+        );
+        body.force.x -= body.velocity.x / speed * drag;
+        body.force.y -= body.velocity.y / speed * drag;
+        body.force.z -= body.velocity.z / speed * drag;
+    }
+}
+
+/**
+ * Rotate a local point by a quaternion and translate it into world space.
+ * Same arithmetic as THREE.Vector3.applyQuaternion + add, so tiles come out
+ * identical with or without Three.js loaded.
+ */
+function transformLocalPoint(lx, ly, lz, q, p, out) {
+    const qx = q.x, qy = q.y, qz = q.z, qw = q.w;
+
+    // quat * vector
+    const ix = qw * lx + qy * lz - qz * ly;
+    const iy = qw * ly + qz * lx - qx * lz;
+    const iz = qw * lz + qx * ly - qy * lx;
+    const iw = - qx * lx - qy * ly - qz * lz;
+
+    // result * inverse quat
+    out.x = ix * qw + iw * - qx + iy * - qz - iz * - qy + p.x;
+    out.y = iy * qw + iw * - qy + iz * - qx - ix * - qz + p.y;
+    out.z = iz * qw + iw * - qz + ix * - qy - iy * - qx + p.z;
+    return out;
+}
+
+/**
+ * Sample every face of every block near the ground and report the points
+ * that are touching it. Used to light up the trail tiles.
+ *
+ * @param {Creature} creature - Creature with spawned bodies
+ * @param {number} tileSize - Lit tile edge length
+ * @param {Function} onContact - Called as onContact(worldX, worldZ) per touching sample
+ */
+function sampleCreatureGroundContacts(creature, tileSize, onContact) {
+    if (!creature || !creature.bodies || !creature.blocks) return;
+
+    const groundTolerance = 0.03;
+    const sampleSpacing = tileSize / 2;
+    const world = creature.bodies[0] && creature.bodies[0].world;
+    const groundTop = getGroundTop(world);
+    const point = { x: 0, y: 0, z: 0 };
+    const surface = { x: 0, y: 0, z: 0 };
+
+    for (let i = 0; i < creature.bodies.length; i++) {
+        const body = creature.bodies[i];
+        const block = creature.blocks[i];
+
+        if (!body || !block) continue;
+
+        const halfW = block.size[0] / 2;
+        const halfH = block.size[1] / 2;
+        const halfD = block.size[2] / 2;
+
+        const maxExtent = Math.sqrt(halfW*halfW + halfH*halfH + halfD*halfD);
+        if (body.position.y > groundTop + maxExtent + groundTolerance) continue;
+
+        const q = body.quaternion;
+        const p = body.position;
+
+        // Samples are laid out on the bounding box, then moved onto round shapes
+        const check = (lx, ly, lz) => {
+            projectOntoBlockSurface(block, lx, ly, lz, surface);
+            transformLocalPoint(surface.x, surface.y, surface.z, q, p, point);
+            const clearance = point.y - getGroundHeight(world, point.x, point.z);
+            if (clearance <= groundTolerance && clearance >= -groundTolerance) {
+                onContact(point.x, point.z);
+            }
+        };
+
+        // -X and +X faces
+        for (let ly = -halfH; ly <= halfH; ly += sampleSpacing) {
+            for (let lz = -halfD; lz <= halfD; lz += sampleSpacing) {
+                check(-halfW, ly, lz);
+            }
+        }
+        for (let ly = -halfH; ly <= halfH; ly += sampleSpacing) {
+            for (let lz = -halfD; lz <= halfD; lz += sampleSpacing) {
+                check(halfW, ly, lz);
+            }
+        }
+
+        // -Y and +Y faces
+        for (let lx = -halfW; lx <= halfW; lx += sampleSpacing) {
+            for (let lz = -halfD; lz <= halfD; lz += sampleSpacing) {
+                check(lx, -halfH, lz);
+            }
+        }
+        for (let lx = -halfW; lx <= halfW; lx += sampleSpacing) {
+            for (let lz = -halfD; lz <= halfD; lz += sampleSpacing) {
+                check(lx, halfH, lz);
+            }
+        }
+
+        // -Z and +Z faces
+        for (let lx = -halfW; lx <= halfW; lx += sampleSpacing) {
+            for (let ly = -halfH; ly <= halfH; ly += sampleSpacing) {
+                check(lx, ly, -halfD);
+            }
+        }
+        for (let lx = -halfW; lx <= halfW; lx += sampleSpacing) {
+            for (let ly = -halfH; ly <= halfH; ly += sampleSpacing) {
+                check(lx, ly, halfD);
+            }
+        }
+    }
+}
+
+/**
+ * Add the tile under a world point to the creature's visited tile list.
+ *
+ * @param {Creature} creature - Creature that touched the tile
+ * @param {number} worldX - World X of the contact
+ * @param {number} worldZ - World Z of the contact
+ * @param {number} tileSize - Lit tile edge length
+ * @returns {string} Tile key "x,z"
+ */
+function recordCreatureTile(creature, worldX, worldZ, tileSize) {
+    const tileX = Math.floor(worldX / tileSize);
+    const tileZ = Math.floor(worldZ / tileSize);
+    const tileKey = `${tileX},${tileZ}`;
+
+    // Track tile for creature (array preserves visitation order)
+    if (creature && creature.tilesLit) {
+        if (!creature.tilesLit.includes(tileKey)) {
+            creature.tilesLit.push(tileKey);
+        }
+    }
+    return tileKey;
+}
+
+/**
+ * Track jump height: once the creature has landed after spawning, record how
+ * far its center of mass rises above the landing height while airborne.
+ * Heights are measured from the ground under each block, so walking up a
+ * slope isn't a jump.
+ *
+ * @param {Creature} creature - Creature with spawned bodies
+ */
+function updateCreatureJumpMetrics(creature) {
+    if (!creature || !creature.bodies || creature.bodies.length === 0) return;
+
+    const world = creature.bodies[0].world;
+    const clearances = creature.bodies.map(body =>
+        body.position.y - getGroundHeight(world, body.position.x, body.position.z)
+    );
+
+    let lowestY = Infinity;
+    for (let clearance of clearances) {
+        lowestY = Math.min(lowestY, clearance);
+    }
+
+    const groundThreshold = 0.7;
+    const isGrounded = lowestY < groundThreshold;
+
+    if (!creature.hasLandedAfterSpawn && isGrounded) {
+        creature.hasLandedAfterSpawn = true;
+        creature.groundedY = lowestY;
+        creature.maxJumpHeight = 0;
+    }
+
+    if (creature.hasLandedAfterSpawn) {
+        let comY = 0;
+        for (let clearance of clearances) {
+            comY += clearance;
+        }
+        comY /= creature.bodies.length;
+
+        const heightAboveGround = comY - creature.groundedY;
+
+        if (!isGrounded && heightAboveGround > 0) {
+            creature.maxJumpHeight = Math.max(creature.maxJumpHeight, heightAboveGround);
+        }
+    }
+}
+
+/**
+ * Calculate "outcast" fitness for a group of creatures - how far each one's
+ * metrics deviate from the group average. Sets .fitness on every creature.
+ *
+ * @param {Creature[]} creatures - Creatures to score against each other
+ * @returns {Object} Object with bestCreature and worstCreature references
+ */
+function calculateOutcastFitness(creatures) {
+    if (!creatures || creatures.length === 0) {
+        return { bestCreature: null, worstCreature: null };
+    }
+
+    // First pass: gather all metrics and find ranges for normalization
+    const metrics = creatures.map(creature => {
+        const tilesCount = creature.tilesLit ? creature.tilesLit.length : 0;
+        return {
+            creature: creature,
+            distance: creature.maxDistance || 0,
+            height: creature.maxHeight || 0,
+            tiles: tilesCount,
+            jump: creature.maxJumpHeight || 0
+        };
+    });
+
+    // Find max values for normalization (avoid division by zero)
+    const maxDistance = Math.max(0.001, ...metrics.map(m => m.distance));
+    const maxHeight = Math.max(0.001, ...metrics.map(m => m.height));
+    const maxTiles = Math.max(1, ...metrics.map(m => m.tiles));
+    const maxJump = Math.max(0.001, ...metrics.map(m => m.jump));
+
+    // Calculate population averages (normalized 0-1)
+    let avgDistance = 0, avgHeight = 0, avgTiles = 0, avgJump = 0;
+    for (let m of metrics) {
+        avgDistance += m.distance / maxDistance;
+        avgHeight += m.height / maxHeight;
+        avgTiles += m.tiles / maxTiles;
+        avgJump += m.jump / maxJump;
+    }
+    const count = metrics.length;
+    avgDistance /= count;
+    avgHeight /= count;
+    avgTiles /= count;
+    avgJump /= count;
+
+    // Second pass: calculate "outcast score" (deviation from average)
+    let bestCreature = null;
+    let worstCreature = null;
+    let bestFitness = -Infinity;
+    let worstFitness = Infinity;
+
+    for (let m of metrics) {
+        // Normalize this creature's metrics
+        const normDist = m.distance / maxDistance;
+        const normHeight = m.height / maxHeight;
+        const normTiles = m.tiles / maxTiles;
+        const normJump = m.jump / maxJump;
+
+        // Calculate absolute deviation from average for each metric
+        const devDist = Math.abs(normDist - avgDistance);
+        const devHeight = Math.abs(normHeight - avgHeight);
+        const devTiles = Math.abs(normTiles - avgTiles);
+        const devJump = Math.abs(normJump - avgJump);
+
+        // Total deviation = outcast score (sum of all deviations)
+        // Scale up for more readable numbers
+        const outcastScore = (devDist + devHeight + devTiles + devJump) * 100;
+
+        // Store the fitness on the creature
+        m.creature.fitness = outcastScore;
+
+        // Track best and worst
+        if (outcastScore > bestFitness) {
+            bestFitness = outcastScore;
+            bestCreature = m.creature;
+        }
+        if (outcastScore < worstFitness) {
+            worstFitness = outcastScore;
+            worstCreature = m.creature;
+        }
+    }
+
+    return { bestCreature, worstCreature };
+}
+
+// ============================================================================
+// HEADLESS EVALUATOR
+// ============================================================================
+
+/**
+ * Evaluates creatures in a Cannon world with no rendering at all.
+ *
+ * Steps the world the same way Simulation.stepSimulation() does (one fixed
+ * physics step at a time), runs the same control and metric helpers, and
+ * supports the same round settings: duration, gravity, fitness mode and
+ * sudden death.
+ *
+ * Usage:
+ *   const evaluator = new HeadlessEvaluator({ roundDuration: 60, fitnessMode: 'distance' });
+ *   const results = evaluator.evaluate(evolution.population);   // or DNA strings
+ */
+class HeadlessEvaluator {
+    /**
+     * @param {Object} options - Round configuration
+     * @param {number} options.roundDuration - Round length in simulated seconds (default 60)
+     * @param {number} options.gravityMultiplier - 1.0 = Earth gravity (default 1.0)
+     * @param {string} options.fitnessMode - Concrete fitness mode used for scoring and sudden death
+     * @param {boolean} options.suddenDeath - Eliminate the worst performers during the round
+     * @param {string} options.terrain - Terrain preset (default 'flat', see TERRAIN_PRESETS)
+     * @param {number} options.terrainSeed - Terrain seed (default 1)
+     * @param {Course} options.course - Obstacle course (default the open arena)
+     * @param {string} options.water - Water preset (default 'dry', see WATER_PRESETS)
+     * @param {Array} options.foodLayout - Food around every spawn point (default none, see generateFoodLayout)
+     */
+    constructor(options = {}) {
+        this.maxTime = options.roundDuration || 60;
+        this.gravityMultiplier = options.gravityMultiplier || 1.0;
+        this.terrain = new Terrain(options.terrain || 'flat', options.terrainSeed || 1);
+        this.course = options.course || Course.fromPreset('open');
+        this.water = new Water(options.water || 'dry');
+        this.foodLayout = options.foodLayout || null;
+        this.fitnessMode = options.fitnessMode || 'distance';
+        this.fixedTimeStep = PHYSICS_FIXED_TIME_STEP;
+        this.tileWorldSize = TILE_WORLD_SIZE;
+
+        // Sudden death settings - same defaults as Simulation
+        this.suddenDeathMode = options.suddenDeath || false;
+        this.suddenDeathStartTime = 10;
+        this.suddenDeathPercent = 0.75;
+        this.suddenDeathCooldown = 0.3;
+        this.eliminatedCreatures = new Set();
+        this.lastEliminationTime = 0;
+
+        this.world = null;
+        this.activeCreatures = [];
+        this.timeElapsed = 0;
+        this.raceDecided = false;       // Race mode: everyone has finished or stalled
+        this.nextCreatureCollisionGroup = 2;
+        this.sunPosition = calculateSunPosition(0);
+    }
+
+    /**
+     * Set the gravity multiplier (clamped to the same 10%-200% range as the UI)
+     * @param {number} multiplier - Gravity multiplier
+     */
+    setGravity(multiplier) {
+        this.gravityMultiplier = Math.max(0.1, Math.min(2.0, multiplier));
+        if (this.world) {
+            this.world.gravity.set(0, -PHYSICS_BASE_GRAVITY * this.gravityMultiplier, 0);
+        }
+    }
+
+    /**
+     * Set the terrain used from the next round on. The heights are only
+     * generated again when the preset or seed actually changes.
+     * @param {string} preset - Terrain preset (see TERRAIN_PRESETS)
+     * @param {number} seed - Terrain seed
+     */
+    setTerrain(preset, seed) {
+        if (this.terrain.preset === preset && this.terrain.seed === ((parseInt(seed) || 0) >>> 0)) return;
+        this.terrain = new Terrain(preset, seed);
+    }
+
+    /**
+     * Set the obstacle course used from the next round on.
+     * @param {Course} course - Course to lay around every spawn point
+     */
+    setCourse(course) {
+        this.course = course;
+    }
+
+    /**
+     * Set the water used from the next round on.
+     * @param {string} preset - Water preset (see WATER_PRESETS)
+     */
+    setWater(preset) {
+        this.water = new Water(preset);
+    }
+
+    /**
+     * Set the food laid around every spawn point from the next round on.
+     * @param {Array|null} layout - From generateFoodLayout (null = no food)
+     */
+    setFoodLayout(layout) {
+        this.foodLayout = layout;
+    }
+
+    /**
+     * Create a fresh world and spawn the given creatures into it.
+     *
+     * @param {Array<Creature|string>} creaturesOrDNA - Creatures or DNA strings
+     * @returns {Creature[]} The spawned creatures
+     */
+    spawnCreatures(creaturesOrDNA) {
+        const creatures = creaturesOrDNA.map(entry =>
+            typeof entry === 'string' ? Creature.fromDNA(entry) : entry
+        );
+
+        // Keep population order - sudden death breaks fitness ties by it
+        this.spawnLayout(computeSpawnLayout(creatures), creatures);
+        return creatures;
+    }
+
+    /**
+     * Create a fresh world and spawn creatures at explicit positions.
+     * Used by physics workers, which each get a slice of the main thread's
+     * layout (and must keep the collision groups it picked).
+     *
+     * @param {Array} layout - Array of {creature, position, collisionGroup?} in spawn order
+     * @param {Creature[]} creatures - Order for activeCreatures (default: layout order)
+     * @param {Array} coursePositions - Every spawn point in the round, for the course (default: the layout's)
+     */
+    spawnLayout(layout, creatures = null, coursePositions = null) {
+        this.removeAllCreatures();
+
+        // Every shard sizes the ground from the whole round, so they all get the same heightfield
+        const positions = coursePositions || layout.map(entry => entry.position);
+        this.terrain = this.terrain.sizedFor(positions);
+        this.world = createPhysicsWorld(this.gravityMultiplier, this.terrain).world;
+        setWorldCourse(this.world, this.course, positions);
+        setWorldWater(this.world, this.water, positions);
+        this.eliminatedCreatures.clear();
+        this.lastEliminationTime = 0;
+        this.raceDecided = false;
+        this.activeCreatures = creatures || layout.map(entry => entry.creature);
+
+        for (const { creature, position, collisionGroup } of layout) {
+            let creatureGroup = collisionGroup;
+            if (!creatureGroup) {
+                creatureGroup = this.nextCreatureCollisionGroup;
+                this.nextCreatureCollisionGroup = this.nextCreatureCollisionGroup << 1;
+                if (this.nextCreatureCollisionGroup > 0x40000000) this.nextCreatureCollisionGroup = 2;
+            }
+
+            buildCreaturePhysics(this.world, creature, position, creatureGroup);
+            placeCreatureFood(creature, position, this.foodLayout, this.world);
+        }
+
+        // Round starts at sunrise
+        this.setTimeElapsed(0);
+    }
+
+    /**
+     * Jump the round clock (sensors read the time and sun position from it).
+     * @param {number} seconds - Simulated seconds since the round started
+     */
+    setTimeElapsed(seconds) {
+        this.timeElapsed = seconds;
+        this.sunPosition = calculateSunPosition(this.timeElapsed / this.maxTime);
+    }
+
+    /**
+     * Take a creature out of the round: its bodies leave the world and its
+     * metrics stop changing.
+     * @param {Creature} creature - Creature to eliminate
+     */
+    eliminateCreature(creature) {
+        this.eliminatedCreatures.add(creature);
+        if (this.world) removeCreaturePhysics(this.world, creature);
+    }
+
+    /**
+     * Remove all creatures and drop the world.
+     */
+    removeAllCreatures() {
+        if (this.world) {
+            for (let c of this.activeCreatures) removeCreaturePhysics(this.world, c);
+        }
+        this.activeCreatures = [];
+        this.nextCreatureCollisionGroup = 2;
+        this.world = null;
+    }
+
+    /**
+     * Advance the round by one fixed physics step.
+     * Mirrors Simulation.stepSimulation() minus the visuals.
+     */
+    update() {
+        this.world.step(this.fixedTimeStep);
+
+        const context = buildInfluenceContextFor(this.sunPosition, this.timeElapsed, this.maxTime);
+
+        for (let c of this.activeCreatures) {
+            if (!c?.bodies?.length) continue;
+            stepCreatureControl(c, context);
+            updateCreatureMotionMetrics(c);
+            updateCreatureEnergyMetrics(c);
+            updateCreatureRaceMetrics(c, this.timeElapsed + this.fixedTimeStep);
+            updateCreatureFoodMetrics(c, this.timeElapsed + this.fixedTimeStep);
+            applyCreatureWaterForces(c, this.world);
+        }
+
+        for (let c of this.activeCreatures) {
+            sampleCreatureGroundContacts(c, this.tileWorldSize, (x, z) => {
+                recordCreatureTile(c, x, z, this.tileWorldSize);
+            });
+            updateCreatureJumpMetrics(c);
+        }
+
+        this.updateSuddenDeath();
+
+        this.timeElapsed += this.fixedTimeStep;
+        this.sunPosition = calculateSunPosition(this.timeElapsed / this.maxTime);
+
+        // Races end early once nobody is still running
+        if (this.fitnessMode === 'race' && isRaceCheckTime(this.timeElapsed)) {
+            this.raceDecided = isRaceDecided(this.activeCreatures.filter(c => c?.bodies?.length));
+        }
+    }
+
+    isTimeUp() { return this.timeElapsed >= this.maxTime || this.raceDecided; }
+
+    /**
+     * Eliminate the worst performer when it's time to (see Simulation.updateSuddenDeath)
+     */
+    updateSuddenDeath() {
+        if (!this.suddenDeathMode || this.timeElapsed < this.suddenDeathStartTime) {
+            return;
+        }
+
+        // Wait for the previous elimination to "finish"
+        if (this.eliminatedCreatures.size > 0 &&
+            this.timeElapsed - this.lastEliminationTime < this.suddenDeathCooldown) {
+            return;
+        }
+
+        const aliveCreatures = this.activeCreatures.filter(c =>
+            c && c.bodies && c.bodies.length > 0 && !this.eliminatedCreatures.has(c)
+        );
+
+        if (aliveCreatures.length <= 1) {
+            return;
+        }
+
+        const totalToEliminate = Math.floor(this.activeCreatures.length * this.suddenDeathPercent);
+
+        const eliminationWindow = this.maxTime - this.suddenDeathStartTime;
+        const timeIntoWindow = this.timeElapsed - this.suddenDeathStartTime;
+        const progress = Math.min(1, timeIntoWindow / eliminationWindow);
+        const shouldHaveEliminated = Math.floor(totalToEliminate * progress);
+
+        if (this.eliminatedCreatures.size >= shouldHaveEliminated) {
+            return;
+        }
+
+        if (this.fitnessMode === 'outcast') {
+            calculateOutcastFitness(aliveCreatures);
+        } else {
+            for (let creature of aliveCreatures) {
+                creature.calculateFitness(this.fitnessMode);
+            }
+        }
+
+        // Lowest fitness goes first
+        aliveCreatures.sort((a, b) => a.fitness - b.fitness);
+        const victim = aliveCreatures[0];
+
+        this.lastEliminationTime = this.timeElapsed;
+        this.eliminateCreature(victim);
+    }
+
+    /**
+     * Run a full round and score every creature.
+     *
+     * @param {Array<Creature|string>} creaturesOrDNA - Creatures or DNA strings
+     * @returns {Creature[]} The evaluated creatures with maxDistance, maxHeight,
+     *                       maxJumpHeight, tilesLit and fitness filled in
+     */
+    evaluate(creaturesOrDNA) {
+        const creatures = this.spawnCreatures(creaturesOrDNA);
+
+        while (!this.isTimeUp()) {
+            this.update();
+        }
+
+        // Score the whole population (outcast needs everyone at once)
+        if (this.fitnessMode === 'outcast') {
+            calculateOutcastFitness(creatures);
+        } else {
+            for (let creature of creatures) {
+                creature.calculateFitness(this.fitnessMode);
+            }
+        }
+
+        this.removeAllCreatures();
+        return creatures;
+    }
+
+    /**
+     * Evaluate the current population of an EvolutionManager and report the
+     * result back to it, exactly like Application.completeGeneration() does
+     * (minus the celebration animations).
+     *
+     * @param {EvolutionManager} evolution - Evolution manager with a population
+     * @returns {Object} Summary {generation, mode, bestName, bestFitness, populationSize}
+     */
+    evaluateGeneration(evolution) {
+        const generation = evolution.generation;
+        const mode = evolution.getActiveMode();
+        this.fitnessMode = mode;
+        // A fresh food patch every generation - foragers have to find it, not remember it
+        this.setFoodLayout(mode === 'forage' ? generateFoodLayout(evolution.getRoundSeed()) : null);
+
+        const population = this.evaluate(evolution.population);
+
+        // Pick the winner the same way the evolution manager will rank it
+        const ranked = evolution.rankPopulationWithMode(mode);
+        const bestCreature = population[ranked[0].index];
+
+        const summary = {
+            generation: generation,
+            mode: mode,
+            bestName: bestCreature.name,
+            bestFitness: ranked[0].fitness,
+            populationSize: population.length
+        };
+
+        evolution.onCreatureEvaluated(bestCreature, bestCreature.maxDistance, bestCreature.maxHeight);
+        return summary;
+    }
+}
+
+// ============================================================================
+// NODE COMMAND LINE
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HeadlessEvaluator,
+        createPhysicsWorld,
+        computeSpawnLayout,
+        prepareCreatureForRound,
+        buildCreaturePhysics,
+        calculateOutcastFitness
+    };
+
+    if (require.main === module) {
+        runHeadlessCommandLine(process.argv.slice(2));
+    }
+}
+
+/**
+ * Run an evolution session from the command line and write a save file that
+ * the browser's Load button understands.
+ *
+ * Options (all optional):
+ *   --generations N     Generations to run (default 100)
+ *   --mode MODE         Fitness mode, including 'random' (default distance)
+ *   --duration S        Round duration in seconds (default 60)
+ *   --gravity PCT       Gravity percentage (default 100)
+ *   --variants N        Variants per configuration (default 4)
+ *   --configs N         Configurations per generation (default 5)
+ *   --blocks-per-gen N  Blocks added per generation (default 1)
+ *   --max-blocks N      Max blocks, 0 = unlimited (default 0)
+ *   --random-blocks     Randomize the number of blocks added
+ *   --limbs             Enable limb generation
+ *   --selection METHOD  Parent selection: champion, elitism, tournament, roulette (default champion)
+ *   --parents N         Parents per generation for GA selection (default 3)
+ *   --structural R      Share of new creatures made by structural mutation, 0-1 (default 0, off)
+ *   --controller TYPE   Joint controller: actions or neural (default actions)
+ *   --shapes MODE       Block shapes: cubes or evolve (default cubes)
+ *   --joints MODE       Joint types: hinges or evolve (default hinges)
+ *   --symmetry MODE     Body symmetry: off or evolve (default off)
+ *   --terrain PRESET    Ground: flat, hills, rubble or ramp (default flat)
+ *   --terrain-seed N    Seed the terrain is generated from (default 1)
+ *   --course NAME|FILE  Obstacle course: open, steps, walls, gaps, stairs or a course JSON file (default open)
+ *   --water PRESET      Water: dry, shallows, pond or pools (default dry)
+ *   --sudden-death      Enable sudden death
+ *   --seed N            Run seed - the same seed and flags replay the same run (default random)
+ *   --load FILE         Continue from a save file, with its settings (flags given here win)
+ *   --out FILE          Where to write the save file (default headless-run.json, /dev/stdout to pipe it)
+ *   --save-every N      Also write the save file every N generations
+ *   --verbose           Keep the evolution manager's detailed logging
+ */
+function runHeadlessCommandLine(args) {
+    const fs = require('fs');
+
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) continue;
+        const key = args[i].slice(2);
+        const next = args[i + 1];
+        if (next !== undefined && !next.startsWith('--')) {
+            flags[key] = next;
+            i++;
+        } else {
+            flags[key] = true;
+        }
+    }
+
+    const generations = parseInt(flags['generations']) || 100;
+    const outFile = flags['out'] || 'headless-run.json';
+    const saveEvery = parseInt(flags['save-every']) || 0;
+    const settings = {
+        fitnessMode: flags['mode'] || 'distance',
+        instancesPerConfig: parseInt(flags['variants']) || 4,
+        configurations: parseInt(flags['configs']) || 5,
+        blocksPerGen: parseInt(flags['blocks-per-gen']) || 1,
+        maxBlocks: parseInt(flags['max-blocks']) || 0,
+        roundDuration: parseInt(flags['duration']) || 60,
+        randomBlocks: !!flags['random-blocks'],
+        limbGen: !!flags['limbs'],
+        selectionMethod: flags['selection'] || 'champion',
+        parentCount: parseInt(flags['parents']) || 3,
+        structuralRate: parseFloat(flags['structural']) || 0,
+        controllerType: flags['controller'] || 'actions',
+        blockShapes: flags['shapes'] || 'cubes',
+        jointTypes: flags['joints'] || 'hinges',
+        bodySymmetry: flags['symmetry'] || 'off',
+        terrain: flags['terrain'] || 'flat',
+        terrainSeed: parseInt(flags['terrain-seed']) || 1,
+        water: flags['water'] || 'dry',
+        course: null
+    };
+    if (flags['course']) {
+        settings.course = COURSE_PRESETS[flags['course']]
+            ? Course.fromPreset(flags['course']).toJSON()
+            : new Course(JSON.parse(fs.readFileSync(flags['course'], 'utf8'))).toJSON();
+    }
+    let gravityPercent = parseInt(flags['gravity']) || 100;
+    let suddenDeath = !!flags['sudden-death'];
+
+    // The setting each flag sets. With --load, the save file's settings are
+    // applied first and the flags given on the command line on top of them.
+    const settingFlags = {
+        'mode': 'fitnessMode', 'variants': 'instancesPerConfig', 'configs': 'configurations',
+        'blocks-per-gen': 'blocksPerGen', 'max-blocks': 'maxBlocks', 'duration': 'roundDuration',
+        'random-blocks': 'randomBlocks', 'limbs': 'limbGen', 'selection': 'selectionMethod',
+        'parents': 'parentCount', 'structural': 'structuralRate', 'controller': 'controllerType',
+        'shapes': 'blockShapes', 'joints': 'jointTypes', 'symmetry': 'bodySymmetry',
+        'terrain': 'terrain', 'terrain-seed': 'terrainSeed', 'water': 'water', 'course': 'course'
+    };
+
+    // The evolution manager logs every step; keep the console readable unless
+    // asked. Progress and diagnostics all go to stderr, so stdout carries
+    // nothing but the save file when it's piped (--out /dev/stdout).
+    const consoleLog = console.log;
+    const log = console.error.bind(console);
+    console.log = flags['verbose'] ? log : () => {};
+    try {
+        const evolution = new EvolutionManager();
+        if (flags['seed'] !== undefined) {
+            evolution.setRunSeed(flags['seed']);
+        }
+
+        if (flags['load']) {
+            const saved = JSON.parse(fs.readFileSync(flags['load'], 'utf8'));
+            if (!evolution.importFullState(saved.evolution)) {
+                throw new Error(`Could not load ${flags['load']}`);
+            }
+            const fromFlags = {};
+            for (const [flag, key] of Object.entries(settingFlags)) {
+                if (flags[flag] !== undefined) fromFlags[key] = settings[key];
+            }
+            Object.assign(settings, saved.ui || {}, fromFlags);
+            const simulation = saved.simulation || {};
+            if (flags['gravity'] === undefined && simulation.gravityPercent !== undefined) {
+                gravityPercent = simulation.gravityPercent;
+            }
+            if (flags['sudden-death'] === undefined && simulation.suddenDeathEnabled !== undefined) {
+                suddenDeath = simulation.suddenDeathEnabled;
+            }
+            log(`[HEADLESS] Loaded ${flags['load']} at generation ${evolution.generation}`);
+        }
+
+        evolution.setFitnessMode(settings.fitnessMode);
+        evolution.setSelectionMode(settings.selectionMethod || 'champion', settings.parentCount);
+        evolution.setControllerType(settings.controllerType || 'actions');
+        evolution.setBlockShapes(settings.blockShapes || 'cubes');
+        evolution.setJointTypes(settings.jointTypes || 'hinges');
+        evolution.setBodySymmetry(settings.bodySymmetry || 'off');
+        evolution.setStructuralMutationRate(settings.structuralRate);
+
+        const evaluator = new HeadlessEvaluator({
+            roundDuration: settings.roundDuration,
+            suddenDeath: suddenDeath,
+            terrain: settings.terrain || 'flat',
+            terrainSeed: settings.terrainSeed || 1,
+            water: settings.water || 'dry',
+            course: Course.fromJSON(settings.course)
+        });
+        evolution.setCourse(evaluator.course.name);
+        evaluator.setGravity(gravityPercent / 100);
+
+        const startArgs = [
+            settings.instancesPerConfig, settings.configurations, settings.blocksPerGen,
+            settings.randomBlocks, settings.limbGen, settings.maxBlocks
+        ];
+        if (evolution.hasExistingPopulation()) {
+            evolution.continueEvolution(...startArgs);
+        } else {
+            evolution.startEvolution(...startArgs);
+        }
+        log(`[HEADLESS] Run seed ${evolution.runSeed}, terrain ${evaluator.terrain.getDescription()}, course ${evaluator.course.getDescription()}, water ${evaluator.water.getDescription()}`);
+
+        const writeSave = () => {
+            const fullState = {
+                evolution: evolution.exportFullState(),
+                simulation: {
+                    roundDuration: settings.roundDuration,
+                    gravityPercent: gravityPercent,
+                    suddenDeathEnabled: suddenDeath
+                },
+                ui: Object.assign({}, settings, { runSeed: evolution.runSeed, course: evaluator.course.toJSON() })
+            };
+            fs.writeFileSync(outFile, JSON.stringify(fullState, null, 2));
+        };
+
+        const startedAt = Date.now();
+        for (let i = 0; i < generations; i++) {
+            if (!evolution.population || evolution.population.length === 0) {
+                log('[HEADLESS] Population is empty - stopping');
+                break;
+            }
+
+            const summary = evaluator.evaluateGeneration(evolution);
+            log(`[HEADLESS] Gen ${summary.generation} (${summary.mode}): ` +
+                `best ${summary.bestName} fitness ${summary.bestFitness.toFixed(2)} ` +
+                `from ${summary.populationSize} creatures`);
+
+            if (saveEvery > 0 && (i + 1) % saveEvery === 0) {
+                writeSave();
+            }
+        }
+
+        writeSave();
+        log(`[HEADLESS] Done in ${((Date.now() - startedAt) / 1000).toFixed(1)}s - saved to ${outFile}`);
+    } finally {
+        console.log = consoleLog;
+    }
+}
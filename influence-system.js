@@ -7,7 +7,10 @@
 // Key concepts:
 // - Influence Channels: Named signals with values from -1 to +1
 // - Influence Providers: Blocks that calculate and provide channel values
+//   (or, for proprioceptive types, hinges - see 'jointAngle' / 'jointVelocity')
 // - Joint Responses: Weights that determine how joints react to channels
+// - Sensor Genes: Per-block parameters (tempo, gain, threshold, axis,
+//   smoothing) that tune a sensor block - see SENSOR PARAMETER GENES
 
 // ============================================================================
 // INFLUENCE TYPE REGISTRY
@@ -21,7 +24,12 @@
  *   - description: What this influence represents
  *   - color: Visual indicator color (hex)
  *   - weight: Relative probability during mutation (higher = more common)
- *   - calculate: Function(body, context) => number (-1 to +1)
+ *   - calculate: Function(body, context, params) => number (-1 to +1)
+ *     params are the sensor block's decoded gene (see decodeSensorGene)
+ * 
+ * Proprioceptive types (proprioceptive: true) aren't sensor blocks. They read
+ * every hinge of a creature whose DNA switches them on (the ~P extension), so
+ * they have calculateJoint: Function(joint, bodies) => number (-1 to +1) instead.
  */
 const INFLUENCE_TYPES = {
     
@@ -118,9 +126,10 @@ const INFLUENCE_TYPES = {
          * 
          * @param {CANNON.Body} body - The physics body for this block
          * @param {Object} context - Environmental context (unused)
+         * @param {Object} params - Sensor gene; gain scales the full-speed point
          * @returns {number} -1 to +1 (0 = stopped, 1 = fast)
          */
-        calculate: function(body, context) {
+        calculate: function(body, context, params) {
             if (!body) return 0;
             
             // Get the velocity magnitude (speed)
@@ -129,8 +138,8 @@ const INFLUENCE_TYPES = {
             
             // Map speed to -1 to +1 range
             // Typical creature speeds range from 0 to ~10 units/sec
-            // We'll use 5 as "full speed" for good sensitivity
-            const maxSpeed = 5.0;
+            // 5 is "full speed" at gain 1 - a sensitive sensor saturates sooner
+            const maxSpeed = 5.0 / params.gain;
             const normalized = Math.min(speed / maxSpeed, 1.0);
             
             // Map from 0..1 to -1..+1 (stopped = -1, fast = +1)
@@ -159,17 +168,24 @@ const INFLUENCE_TYPES = {
          * 
          * @param {CANNON.Body} body - The physics body for this block
          * @param {Object} context - Environmental context (unused)
+         * @param {Object} params - Sensor gene; threshold is the grounded height
          * @returns {number} -1 (airborne) to +1 (grounded)
          */
-        calculate: function(body, context) {
+        calculate: function(body, context, params) {
             if (!body) return 0;
             
             // Ground threshold - below this Y position is considered "on ground"
-            // Blocks are 1.0 units, so ~0.7 means bottom of block is near ground
-            const groundThreshold = 1.0;
-            const airThreshold = 3.0;  // Above this is definitely airborne
+            // Blocks are 1.0 units, so the default of 1.0 means the bottom of
+            // the block is within half a block of the ground
+            const groundThreshold = params.threshold;
+            const airThreshold = groundThreshold + 2.0;  // Above this is definitely airborne
             
-            const height = body.position.y;
+            // Taller or flatter blocks are measured as if they were unit cubes
+            // resting on the same bottom face. Height is above the ground
+            // under the block, so it works on terrain too
+            const halfExtents = body.userData && body.userData.halfExtents;
+            const groundY = getGroundHeight(body.world, body.position.x, body.position.z);
+            const height = body.position.y - groundY - (halfExtents ? halfExtents.y - 0.5 : 0);
             const verticalVelocity = body.velocity.y;
             
             // Base value from height
@@ -207,40 +223,26 @@ const INFLUENCE_TYPES = {
         // Can also modulate speed for pulsing intensity
         modulationMethods: ['speed', 'direction'],
         
-        // Each oscillator block has its own phase, stored on the body
-        // This allows different blocks to have different rhythms
+        // Each oscillator block's tempo and phase come from its sensor gene,
+        // so two oscillators on one creature can run at different tempos and
+        // a creature keeps its rhythm wherever it's spawned
         
         /**
          * Calculate oscillator influence using a sine wave.
-         * The frequency is based on the block's position for variety.
          * 
          * @param {CANNON.Body} body - The physics body for this block
          * @param {Object} context - Must contain simulationTime (seconds)
+         * @param {Object} params - Sensor gene; frequency (rad/s) and phase (rad)
          * @returns {number} -1 to +1 (smooth oscillation)
          */
-        calculate: function(body, context) {
+        calculate: function(body, context, params) {
             if (!body) return 0;
             
-            // Get or initialize the oscillator phase for this body
-            // We use the body's initial position to create unique phases
-            if (body.oscillatorPhase === undefined) {
-                // Create a unique phase based on body ID or position
-                // This makes each oscillator block have a slightly different rhythm
-                const px = body.position.x || 0;
-                const py = body.position.y || 0;
-                const pz = body.position.z || 0;
-                body.oscillatorPhase = (px + py * 1.3 + pz * 1.7) % (Math.PI * 2);
-            }
-            
             // Get simulation time from context, default to 0
             const time = context.simulationTime || 0;
             
-            // Base frequency: one full cycle every 2 seconds
-            // This gives a nice rhythmic movement speed
-            const frequency = Math.PI;  // radians per second (0.5 Hz)
-            
             // Calculate the sine wave value
-            const angle = (time * frequency) + body.oscillatorPhase;
+            const angle = (time * params.frequency) + params.phase;
             return Math.sin(angle);
         }
     },
@@ -336,7 +338,7 @@ const INFLUENCE_TYPES = {
     'tracking': {
         type: 'tracking',
         name: 'Tracking Sensor',
-        description: 'Detects position vs start: -1 behind start, +1 ahead of start (X axis)',
+        description: 'Detects position vs start: -1 behind start, +1 ahead of start (along its axis, usually X)',
         color: 0xffff44,      // Yellow (GPS/location)
         glowColor: 0x444411,
         weight: 1.0,
@@ -347,20 +349,22 @@ const INFLUENCE_TYPES = {
         
         /**
          * Calculate tracking influence based on displacement from starting position.
-         * Measures how far the block has moved along the X axis from where it started.
-         * This correlates with distance-based fitness modes.
+         * Measures how far the block has moved along its gene's axis (X for
+         * most genes) from where it started. Along X this correlates with
+         * distance-based fitness modes.
          * 
          * The starting position is stored on the body the first time this is called,
          * ensuring deterministic behavior across simulation runs.
          * 
          * @param {CANNON.Body} body - The physics body for this block
          * @param {Object} context - Environmental context (unused)
+         * @param {Object} params - Sensor gene; axis ('x', 'y', 'z') and gain
          * @returns {number} -1 (far behind start) to +1 (far ahead of start)
          */
-        calculate: function(body, context) {
+        calculate: function(body, context, params) {
             if (!body) return 0;
             
-            // Store starting position on first calculation (like oscillator stores phase)
+            // Store starting position on first calculation
             if (body.trackingStartPos === undefined) {
                 body.trackingStartPos = {
                     x: body.position.x,
@@ -369,19 +373,201 @@ const INFLUENCE_TYPES = {
                 };
             }
             
-            // Calculate X displacement from start
+            // Calculate displacement from start along the sensor's axis
             // Positive X is typically the "forward" direction for distance fitness
-            const displacement = body.position.x - body.trackingStartPos.x;
+            const axis = params.axis;
+            const displacement = body.position[axis] - body.trackingStartPos[axis];
             
             // Map displacement to -1 to +1 range
-            // Use 10 units as "full scale" - creatures moving more than 10 units
-            // from start in either direction will saturate the sensor
-            const scale = 10.0;
+            // At gain 1, 10 units is "full scale" - creatures moving more than
+            // that from start in either direction will saturate the sensor
+            const scale = 10.0 / params.gain;
             const normalized = displacement / scale;
             
             // Clamp to -1 to +1
             return Math.max(-1.0, Math.min(1.0, normalized));
         }
+    },
+    
+    // ========================================================================
+    // TOUCH SENSOR - detects real contact from the physics engine
+    // ========================================================================
+    'touch': {
+        type: 'touch',
+        name: 'Touch Sensor',
+        description: 'Detects contact: +1 while touching the ground or another block, -1 otherwise',
+        color: 0xe8e8e8,      // Chalk white (skin)
+        glowColor: 0x444444,
+        weight: 1.0,
+        
+        // Footfall timing - push while the foot is down, swing while it's up
+        modulationMethods: ['speed', 'direction'],
+        
+        /**
+         * Calculate touch influence from the world's contact equations.
+         * Unlike the ground sensor's height guess, this sees a block resting
+         * on another block, on a slope, or on its side.
+         * 
+         * @param {CANNON.Body} body - The physics body for this block
+         * @param {Object} context - Environmental context (unused)
+         * @returns {number} +1 (touching) or -1 (not touching)
+         */
+        calculate: function(body, context) {
+            if (!body || !body.world) return 0;
+            return getTouchingBodies(body.world).has(body) ? 1.0 : -1.0;
+        }
+    },
+
+    // ========================================================================
+    // RANGE FINDER - a ray cast straight out of the block
+    // ========================================================================
+    'range': {
+        type: 'range',
+        name: 'Range Finder',
+        description: 'Distance ahead: +1 when something is right in front, -1 when nothing is in range',
+        color: 0xff3322,      // Scarlet (laser)
+        glowColor: 0x441108,
+        weight: 1.0,
+
+        // Slow down or turn away as a wall (or the ground) comes closer
+        modulationMethods: ['speed', 'direction'],
+
+        // How far the ray reaches past the block's face, in world units (a block is 1)
+        maxRange: 10.0,
+
+        /**
+         * Calculate range influence by casting a ray along the block's local
+         * forward axis (positive Z, like the compass) and mapping the distance
+         * to the first thing it hits - ground, obstacle or another creature -
+         * onto -1..+1. The creature's own blocks are invisible to it.
+         *
+         * @param {CANNON.Body} body - The physics body for this block
+         * @param {Object} context - Environmental context (unused)
+         * @returns {number} +1 (touching) to -1 (nothing within maxRange)
+         */
+        calculate: function(body, context) {
+            if (!body || !body.world) return 0;
+            const distance = castRangeFinder(body, this.maxRange);
+            if (distance === null) return -1.0;
+            return 1.0 - 2.0 * distance / this.maxRange;
+        }
+    },
+
+    // ========================================================================
+    // TARGET SENSOR - bearing and distance to the nearest food
+    // ========================================================================
+    'target': {
+        type: 'target',
+        name: 'Target Sensor',
+        description: 'Nearest food: bearing from the forward axis (-1..+1), or how near it is (+1 on top of it, -1 far away or none left)',
+        color: 0xb8e04a,      // Lime (food)
+        glowColor: 0x2e3812,
+        weight: 1.0,
+        
+        // Steer towards the food, speed up as it gets close
+        modulationMethods: ['speed', 'direction'],
+        
+        // Distance (world units, at gain 1) that reads as -1 on the nearness reading
+        senseRange: 20.0,
+        
+        /**
+         * Calculate target influence from the creature's nearest uneaten food
+         * (context.food - see updateCreatureInfluences). The gene's axis picks
+         * the reading, like the tracking sensor's:
+         *   X (most genes) - bearing: the angle from the block's forward axis
+         *                    to the food in the XZ plane, over PI. 0 dead ahead,
+         *                    positive anticlockwise seen from above, +/-1 behind.
+         *   Y or Z         - nearness: +1 at the food, falling to -1 at
+         *                    senseRange / gain units away.
+         * With no food left (or none this round) bearing reads 0 and nearness -1.
+         * 
+         * @param {CANNON.Body} body - The physics body for this block
+         * @param {Object} context - Environmental context; food is this creature's pieces
+         * @param {Object} params - Sensor gene; axis picks the reading, gain scales senseRange
+         * @returns {number} -1 to +1
+         */
+        calculate: function(body, context, params) {
+            const bearing = params.axis === 'x';
+            if (!body) return 0;
+            
+            const piece = findNearestFood(context.food, body.position.x, body.position.z);
+            if (!piece) return bearing ? 0 : -1.0;
+            
+            const toX = piece.x - body.position.x;
+            const toZ = piece.z - body.position.z;
+            
+            if (bearing) {
+                const forward = body.quaternion.vmult(new CANNON.Vec3(0, 0, 1));
+                // Signed angle about +Y from forward to the food
+                const cross = forward.z * toX - forward.x * toZ;
+                const dot = forward.x * toX + forward.z * toZ;
+                if (cross === 0 && dot === 0) return 0;
+                return Math.atan2(cross, dot) / Math.PI;
+            }
+            
+            const scale = this.senseRange / params.gain;
+            const nearness = 1.0 - 2.0 * Math.sqrt(toX * toX + toZ * toZ) / scale;
+            return Math.max(-1.0, Math.min(1.0, nearness));
+        }
+    },
+    
+    // ========================================================================
+    // JOINT ANGLE (proprioception) - how far each hinge is bent
+    // ========================================================================
+    'jointAngle': {
+        type: 'jointAngle',
+        name: 'Joint Angle Sense',
+        description: 'Hinge angle: 0 when straight, -1/+1 when bent half a turn either way',
+        color: 0xff8866,      // Coral (body awareness)
+        glowColor: 0x442218,
+        weight: 1.0,
+        
+        // Knowing where a limb is lets a joint reverse at the end of its swing
+        modulationMethods: ['speed', 'direction'],
+        
+        // Read from the hinge between two blocks, not from a sensor block
+        proprioceptive: true,
+        
+        /**
+         * Calculate the hinge's current angle, normalized by half a turn.
+         * 
+         * @param {Joint} joint - The hinge to read
+         * @param {CANNON.Body[]} bodies - The creature's bodies
+         * @returns {number} -1 to +1
+         */
+        calculateJoint: function(joint, bodies) {
+            return getHingeAngle(joint, bodies) / Math.PI;
+        }
+    },
+    
+    // ========================================================================
+    // JOINT VELOCITY (proprioception) - how fast each hinge is turning
+    // ========================================================================
+    'jointVelocity': {
+        type: 'jointVelocity',
+        name: 'Joint Velocity Sense',
+        description: 'Hinge angular velocity: 0 when still, -1/+1 at full speed either way',
+        color: 0xffcc88,      // Peach (body awareness, in motion)
+        glowColor: 0x443322,
+        weight: 1.0,
+        
+        // A joint that feels itself stall (blocked by the ground) can push harder or give up
+        modulationMethods: ['speed', 'direction'],
+        
+        proprioceptive: true,
+        
+        /**
+         * Calculate the hinge's angular velocity, clamped at
+         * JOINT_VELOCITY_FULL_SCALE radians per second.
+         * 
+         * @param {Joint} joint - The hinge to read
+         * @param {CANNON.Body[]} bodies - The creature's bodies
+         * @returns {number} -1 to +1
+         */
+        calculateJoint: function(joint, bodies) {
+            const normalized = getHingeAngularVelocity(joint, bodies) / JOINT_VELOCITY_FULL_SCALE;
+            return Math.max(-1.0, Math.min(1.0, normalized));
+        }
     }
     
     // ========================================================================
@@ -395,10 +581,196 @@ const INFLUENCE_TYPES = {
 };
 
 
+// ============================================================================
+// SENSOR PARAMETER GENES
+// ============================================================================
+//
+// Every sensor block carries a small gene that tunes its sensor. Genes live in
+// the DNA extension "~S" (see splitDNA in creature.js), one per block in block
+// order starting at block 0, separated by dots. Blocks without a sensor have
+// an empty gene:
+//
+//   A85F3C01-00B00S0V00C12M34X00-01B00S1V2AC34M56X05~S.6A3F80C28040
+//
+// Gene layout - one byte (2 hex digits) per field:
+//   frequency  rhythm tempo, 1/8 to 2 Hz (80 = 0.5 Hz)
+//   phase      rhythm phase at the start of the round, 0 to 2 PI
+//   gain       sensitivity, x0.25 to x4 (80 = x1) - divides velocity's
+//              full-scale speed and tracking's full-scale distance
+//   threshold  ground's grounded height, 0.5 to 2 units (80 = 1)
+//   axis       tracking axis: X for 40-BF, Z below, Y above
+//   smoothing  low-pass time constant for any sensor: none up to 80,
+//              rising to SENSOR_SMOOTHING_MAX at FF
+// A type simply ignores the fields it doesn't use. They still evolve, so they
+// matter again if a mutation turns the block into another sensor type.
+// Missing bytes read as 80, which gives the fixed constants sensors used
+// before they had genes. A sensor block with no gene at all (DNA written
+// before the ~S extension) gets the all-80 gene, so it behaves as it did;
+// only blocks that newly become sensors draw a random gene.
+
+// Fields of a sensor gene, in order
+const SENSOR_GENE_FIELDS = ['frequency', 'phase', 'gain', 'threshold', 'axis', 'smoothing'];
+
+// Byte that decodes to the old fixed constant (and a missing field's value)
+const SENSOR_GENE_NEUTRAL = 0x80;
+
+// Gene of all neutral bytes - a sensor block's gene when its DNA has none
+const SENSOR_GENE_NEUTRAL_GENE = SENSOR_GENE_FIELDS.map(() => toHex(SENSOR_GENE_NEUTRAL, 2)).join('');
+
+// Longest smoothing time constant, in seconds
+const SENSOR_SMOOTHING_MAX = 1.0;
+
+// Largest change a single gene mutation makes to one byte
+const SENSOR_GENE_MUTATION_STEP = 32;
+
+// Chance that each gene byte mutates when a creature is mutated or grows
+const SENSOR_GENE_MUTATION_RATE = 0.1;
+
+/**
+ * Read a sensor gene's bytes, padding missing fields with the neutral byte
+ * @param {string|null} gene - Hex gene string (may be empty, short or null)
+ * @param {number} fieldCount - Bytes to read (signal genes have their own count)
+ * @returns {number[]} One byte per SENSOR_GENE_FIELDS entry
+ */
+function sensorGeneToBytes(gene, fieldCount = SENSOR_GENE_FIELDS.length) {
+    const bytes = [];
+    for (let i = 0; i < fieldCount; i++) {
+        const pair = (gene || '').slice(i * 2, i * 2 + 2);
+        bytes.push(pair.length === 2 ? fromHex(pair) : SENSOR_GENE_NEUTRAL);
+    }
+    return bytes;
+}
+
+/**
+ * Decode a sensor gene into the parameters passed to calculate()
+ * @param {string|null} gene - Hex gene string
+ * @returns {Object} {frequency (rad/s), phase (rad), gain, threshold, axis, smoothing (s)}
+ */
+function decodeSensorGene(gene) {
+    const bytes = sensorGeneToBytes(gene);
+    // -1..+1 around the neutral byte, for the doubling/halving scales
+    const octaves = (b) => (b - SENSOR_GENE_NEUTRAL) / SENSOR_GENE_NEUTRAL;
+
+    return {
+        frequency: Math.PI * Math.pow(2, 2 * octaves(bytes[0])),
+        phase: bytes[1] / 256 * Math.PI * 2,
+        gain: Math.pow(2, 2 * octaves(bytes[2])),
+        threshold: Math.pow(2, octaves(bytes[3])),
+        axis: bytes[4] < 0x40 ? 'z' : (bytes[4] < 0xC0 ? 'x' : 'y'),
+        smoothing: Math.max(0, bytes[5] - SENSOR_GENE_NEUTRAL) / (255 - SENSOR_GENE_NEUTRAL) * SENSOR_SMOOTHING_MAX
+    };
+}
+
+/**
+ * Generate the gene for a sensor block deterministically from its DNA prefix,
+ * the same way its joint's action list is generated
+ *
+ * @param {string} bodyDNA - Creature DNA without extensions
+ * @param {number} blockIndex - The sensor block
+ * @param {number} variation - The block's variation field
+ * @returns {string} Hex gene string
+ */
+function generateSensorGeneFromDNA(bodyDNA, blockIndex, variation = 0) {
+    // Different seed offset from actions, influence responses and neural genes
+    let seed = dnaToSeed(getDNAForBlock(bodyDNA, blockIndex) + 'sensor');
+    seed = ((seed ^ (variation * 16777259)) >>> 0);
+    const rng = new SeededRandom(seed);
+    return SENSOR_GENE_FIELDS.map(() => toHex(rng.randomInt(0, 256), 2)).join('');
+}
+
+/**
+ * Mutate a sensor gene: each byte has `rate` chance of moving by up to
+ * SENSOR_GENE_MUTATION_STEP. All draws come from the caller's RNG.
+ *
+ * @param {string} gene - Hex gene string
+ * @param {SeededRandom|RunRandom} rng - Random source
+ * @param {number} rate - Per-byte mutation probability (0-1)
+ * @param {number} fieldCount - Gene length in bytes (signal genes have their own count)
+ * @returns {string} Mutated gene (always full length)
+ */
+function mutateSensorGene(gene, rng, rate = SENSOR_GENE_MUTATION_RATE, fieldCount = SENSOR_GENE_FIELDS.length) {
+    const bytes = sensorGeneToBytes(gene, fieldCount);
+    for (let i = 0; i < bytes.length; i++) {
+        if (rng.random() < rate) {
+            const delta = rng.randomInt(-SENSOR_GENE_MUTATION_STEP, SENSOR_GENE_MUTATION_STEP + 1);
+            bytes[i] = Math.max(0, Math.min(255, bytes[i] + delta));
+        }
+    }
+    return bytes.map(b => toHex(b, 2)).join('');
+}
+
+/**
+ * Low-pass filter a sensor block's reading with its gene's time constant.
+ * The filter state lives on the body (like the tracking sensor's start
+ * position), so it starts fresh every round.
+ *
+ * @param {CANNON.Body} body - The sensor block's body
+ * @param {number} value - This step's raw reading
+ * @param {number} timeConstant - Seconds (0 = no smoothing)
+ * @param {number} time - Simulation time in seconds
+ * @returns {number} The smoothed reading
+ */
+function smoothSensorValue(body, value, timeConstant, time) {
+    if (timeConstant <= 0) return value;
+
+    if (body.sensorSmoothTime === undefined) {
+        body.sensorSmoothed = value;
+        body.sensorSmoothTime = time;
+        return value;
+    }
+
+    const dt = time - body.sensorSmoothTime;
+    if (dt > 0) {
+        body.sensorSmoothed += (value - body.sensorSmoothed) * dt / (timeConstant + dt);
+        body.sensorSmoothTime = time;
+    }
+    return body.sensorSmoothed;
+}
+
+// Parameters of a block without a gene - the pre-gene fixed constants
+const DEFAULT_SENSOR_PARAMS = decodeSensorGene('');
+
+
 // ============================================================================
 // INFLUENCE SYSTEM HELPER FUNCTIONS
 // ============================================================================
 
+/**
+ * Channel name for one sensor block. Every sensor block is its own channel,
+ * named after its type and block index (e.g. 'light#3'), so a creature with
+ * a left and a right light sensor gets two independent signals.
+ * 
+ * @param {string} type - The influence type name
+ * @param {number} blockIndex - The sensor block's index
+ * @returns {string} Channel name like 'light#3'
+ */
+function getSensorChannelName(type, blockIndex) {
+    return `${type}#${blockIndex}`;
+}
+
+/**
+ * Influence type of a channel ('light#3' -> 'light').
+ * Plain type names (responses saved before per-block channels) pass through.
+ * 
+ * @param {string} channel - Channel name
+ * @returns {string} The influence type name
+ */
+function getSensorChannelType(channel) {
+    const hash = channel.indexOf('#');
+    return hash === -1 ? channel : channel.slice(0, hash);
+}
+
+/**
+ * Check whether an influence type reads hinges instead of a sensor block.
+ * Only block types can be a block's influenceType (and special code).
+ * 
+ * @param {string} type - The influence type name
+ * @returns {boolean} True for proprioceptive types like 'jointAngle'
+ */
+function isProprioceptiveType(type) {
+    return !!(INFLUENCE_TYPES[type] && INFLUENCE_TYPES[type].proprioceptive);
+}
+
 /**
  * Get an array of all registered influence type names.
  * 
@@ -424,23 +796,39 @@ function getInfluenceType(type) {
  * @param {string} type - The influence type name
  * @param {CANNON.Body} body - The physics body
  * @param {Object} context - Environmental context
+ * @param {Object} params - The block's decoded sensor gene (defaults reproduce
+ *                          the fixed constants sensors used before genes)
  * @returns {number} The influence value (-1 to +1) or 0 if type not found
  */
-function calculateInfluence(type, body, context) {
+function calculateInfluence(type, body, context, params = DEFAULT_SENSOR_PARAMS) {
     const config = INFLUENCE_TYPES[type];
     if (!config || !config.calculate) return 0;
-    return config.calculate(body, context);
+    return config.calculate(body, context, params);
+}
+
+/**
+ * Calculate a proprioceptive influence value for one hinge.
+ * 
+ * @param {string} type - A proprioceptive influence type name
+ * @param {Joint} joint - The hinge to read
+ * @param {CANNON.Body[]} bodies - The creature's bodies
+ * @returns {number} The influence value (-1 to +1) or 0 if type not found
+ */
+function calculateJointInfluence(type, joint, bodies) {
+    const config = INFLUENCE_TYPES[type];
+    if (!config || !config.calculateJoint) return 0;
+    return config.calculateJoint(joint, bodies);
 }
 
 /**
- * Pick a random influence type for mutation.
+ * Pick a random sensor block type for mutation.
  * Uses the weight values to determine probability.
  * 
  * @param {SeededRandom} rng - Seeded random number generator
  * @returns {string} The selected influence type name
  */
 function pickRandomInfluenceType(rng) {
-    const types = Object.values(INFLUENCE_TYPES);
+    const types = Object.values(INFLUENCE_TYPES).filter(t => !t.proprioceptive);
     const totalWeight = types.reduce((sum, t) => sum + t.weight, 0);
     
     let roll = rng.random() * totalWeight;
@@ -470,6 +858,190 @@ function maybeAssignInfluenceType(rng, probability = 0.05) {
 }
 
 
+// ============================================================================
+// TOUCH HELPERS
+// ============================================================================
+
+/**
+ * Get every body that's touching something this step, from the contacts the
+ * world generated in its last step. Built once per world step and shared by
+ * all touch sensors, so each sensor is a single lookup.
+ *
+ * Neighbouring blocks always touch along their shared face or edge, so
+ * contacts between a body and the blocks that were next to it at spawn
+ * (body.userData.touchNeighbours, set when the creature's physics is built)
+ * don't count. A limb folding onto a block further away does.
+ *
+ * @param {CANNON.World} world - The physics world
+ * @returns {Set<CANNON.Body>} Bodies in contact
+ */
+function getTouchingBodies(world) {
+    if (world.touchingBodies && world.touchingStep === world.stepnumber) {
+        return world.touchingBodies;
+    }
+    
+    const touching = new Set();
+    for (const contact of world.contacts) {
+        const neighbours = contact.bi.userData && contact.bi.userData.touchNeighbours;
+        if (neighbours && neighbours.includes(contact.bj)) continue;
+        touching.add(contact.bi);
+        touching.add(contact.bj);
+    }
+    
+    world.touchingBodies = touching;
+    world.touchingStep = world.stepnumber;
+    return touching;
+}
+
+
+// ============================================================================
+// RANGE FINDER HELPERS
+// ============================================================================
+
+/**
+ * Direction a range finder looks: the block's local forward axis (0,0,1)
+ * in world space. Works on worker proxy bodies too (only reads the quaternion).
+ *
+ * @param {CANNON.Body} body - The sensor block's body
+ * @returns {CANNON.Vec3} Unit vector
+ */
+function getRangeFinderDirection(body) {
+    return body.quaternion.vmult(new CANNON.Vec3(0, 0, 1));
+}
+
+/**
+ * Cast a range finder's ray and measure how far away the first hit is.
+ * The ray starts at the block's centre so nothing squeezed against its face
+ * is missed, and skips the creature's own collision group so it never sees
+ * its own body. It sees the ground, the course and every other creature in
+ * the same world - with workers that's only the creatures in the same share
+ * of the population. Distances are measured from the block's forward face.
+ *
+ * @param {CANNON.Body} body - The sensor block's body (must be in a world)
+ * @param {number} maxRange - How far past the face to look
+ * @returns {number|null} Distance to the hit, or null if nothing is in range
+ */
+function castRangeFinder(body, maxRange) {
+    const halfExtents = body.userData && body.userData.halfExtents;
+    const halfDepth = halfExtents ? halfExtents.z : 0.5;
+    const direction = getRangeFinderDirection(body);
+    const from = body.position;
+    const to = from.vadd(direction.scale(halfDepth + maxRange));
+
+    const result = new CANNON.RaycastResult();
+    body.world.raycastClosest(from, to, {
+        collisionFilterMask: ~body.collisionFilterGroup,
+        skipBackfaces: true
+    }, result);
+
+    if (!result.hasHit) return null;
+    return Math.max(0, result.distance - halfDepth);
+}
+
+/**
+ * Turn a range finder's channel value back into a distance - lets the
+ * renderer draw what the sensor saw from the influences alone, which is all
+ * the main thread gets when physics runs in workers.
+ *
+ * @param {number} value - Range influence value, face flip already undone
+ * @returns {number|null} Distance past the face, or null if nothing was in range
+ */
+function rangeInfluenceToDistance(value) {
+    if (value <= -1.0) return null;
+    return (1.0 - value) / 2.0 * INFLUENCE_TYPES.range.maxRange;
+}
+
+
+// ============================================================================
+// TARGET SENSOR HELPERS
+// ============================================================================
+
+/**
+ * The nearest piece of food a creature hasn't eaten yet, measured in the
+ * XZ plane. Food is laid out per creature (see placeCreatureFood in
+ * headless-evaluator.js).
+ *
+ * @param {Array} food - The creature's pieces {x, y, z, eaten} (may be undefined)
+ * @param {number} x - World X to measure from
+ * @param {number} z - World Z to measure from
+ * @returns {Object|null} The nearest uneaten piece, or null if there are none
+ */
+function findNearestFood(food, x, z) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const piece of food || []) {
+        if (piece.eaten) continue;
+        const dx = piece.x - x, dz = piece.z - z;
+        const distance = dx * dx + dz * dz;
+        if (distance < nearestDistance) {
+            nearest = piece;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+}
+
+
+// ============================================================================
+// PROPRIOCEPTION HELPERS
+// ============================================================================
+
+// Hinge angular velocity (radians per second) that reads as +1/-1 on the
+// jointVelocity channel. Motor-driven limbs rarely swing faster than this.
+const JOINT_VELOCITY_FULL_SCALE = 10.0;
+
+/**
+ * Angle of a hinge - the rotation of block B relative to block A about the
+ * joint's (first) motor axis, from the bodies' quaternions.
+ * Blocks spawn unrotated, so the axis is the same in both local frames.
+ *
+ * @param {Joint} joint - Joint with its blocks spawned
+ * @param {CANNON.Body[]} bodies - The creature's bodies
+ * @returns {number} Angle in radians (-PI to PI)
+ */
+function getHingeAngle(joint, bodies) {
+    const a = bodies[joint.blockIndexA]?.quaternion;
+    const b = bodies[joint.blockIndexB]?.quaternion;
+    if (!a || !b) return 0;
+
+    // Relative rotation: conjugate(a) * b
+    const w = a.w * b.w + a.x * b.x + a.y * b.y + a.z * b.z;
+    const x = a.w * b.x - a.x * b.w - a.y * b.z + a.z * b.y;
+    const y = a.w * b.y + a.x * b.z - a.y * b.w - a.z * b.x;
+    const z = a.w * b.z - a.x * b.y + a.y * b.x - a.z * b.w;
+
+    const axis = joint.motorAxes[0];
+    const component = x * axis[0] + y * axis[1] + z * axis[2];
+    let angle = 2 * Math.atan2(component, w);
+    if (angle > Math.PI) angle -= 2 * Math.PI;
+    if (angle < -Math.PI) angle += 2 * Math.PI;
+    return angle;
+}
+
+/**
+ * Angular velocity of a hinge - how fast block B turns relative to block A
+ * about the joint axis. Same sign convention as getHingeAngle.
+ *
+ * @param {Joint} joint - Joint with its blocks spawned
+ * @param {CANNON.Body[]} bodies - The creature's bodies
+ * @returns {number} Radians per second
+ */
+function getHingeAngularVelocity(joint, bodies) {
+    const a = bodies[joint.blockIndexA];
+    const b = bodies[joint.blockIndexB];
+    if (!a || !b || !a.angularVelocity || !b.angularVelocity) return 0;
+
+    // The hinge axis in world space (it's fixed in block A's frame)
+    const localAxis = new CANNON.Vec3(joint.motorAxes[0][0], joint.motorAxes[0][1], joint.motorAxes[0][2]);
+    const axis = a.quaternion.vmult(localAxis);
+
+    const wx = b.angularVelocity.x - a.angularVelocity.x;
+    const wy = b.angularVelocity.y - a.angularVelocity.y;
+    const wz = b.angularVelocity.z - a.angularVelocity.z;
+    return wx * axis.x + wy * axis.y + wz * axis.z;
+}
+
+
 // ============================================================================
 // JOINT RESPONSE MUTATION HELPERS
 // ============================================================================
@@ -478,7 +1050,9 @@ function maybeAssignInfluenceType(rng, probability = 0.05) {
  * Mutate a joint's influence responses.
  * Called during creature mutation to evolve how joints react to influences.
  * 
- * Handles both legacy format {channel: weight} and new format {channel: {method: weight}}
+ * Handles both legacy format {channel: weight} and new format {channel: {method: weight}}.
+ * A response's signal pipeline (response.signal) is kept as it is - pipelines
+ * evolve through the joint's signal gene instead (see SIGNAL PIPELINE).
  * 
  * @param {Object} responses - The joint's influenceResponses object
  * @param {SeededRandom} rng - Seeded random number generator
@@ -508,7 +1082,7 @@ function mutateInfluenceResponses(responses, rng, availableChannels, mutationCha
     if (action < 0.4 && availableChannels.length > 0) {
         // Add or modify a response to an available channel
         const channel = availableChannels[rng.randomInt(0, availableChannels.length)];
-        const sensorType = INFLUENCE_TYPES[channel];
+        const sensorType = INFLUENCE_TYPES[getSensorChannelType(channel)];
         const methods = sensorType?.modulationMethods || ['speed'];
         
         // Pick a random method this sensor supports
@@ -527,7 +1101,7 @@ function mutateInfluenceResponses(responses, rng, availableChannels, mutationCha
             // Remove very weak method responses
             delete mutated[channel][method];
             // Remove channel if no methods left
-            if (Object.keys(mutated[channel]).length === 0) {
+            if (getResponseMethods(mutated[channel]).length === 0) {
                 delete mutated[channel];
             }
         } else {
@@ -538,7 +1112,7 @@ function mutateInfluenceResponses(responses, rng, availableChannels, mutationCha
         // Modify an existing response
         const channels = Object.keys(mutated);
         const channel = channels[rng.randomInt(0, channels.length)];
-        const methods = Object.keys(mutated[channel]);
+        const methods = getResponseMethods(mutated[channel]);
         
         if (methods.length > 0) {
             const method = methods[rng.randomInt(0, methods.length)];
@@ -548,7 +1122,7 @@ function mutateInfluenceResponses(responses, rng, availableChannels, mutationCha
             
             if (Math.abs(newValue) < 0.1) {
                 delete mutated[channel][method];
-                if (Object.keys(mutated[channel]).length === 0) {
+                if (getResponseMethods(mutated[channel]).length === 0) {
                     delete mutated[channel];
                 }
             } else {
@@ -566,6 +1140,199 @@ function mutateInfluenceResponses(responses, rng, availableChannels, mutationCha
     return mutated;
 }
 
+/**
+ * Modulation methods a response has weights for (everything but its signal pipeline)
+ * @param {Object} response - {speed?, direction?, signal?}
+ * @returns {string[]} Method names
+ */
+function getResponseMethods(response) {
+    return Object.keys(response).filter(key => key !== 'signal');
+}
+
+
+// ============================================================================
+// SIGNAL PIPELINE
+// ============================================================================
+//
+// A joint's response to a channel can run the sensor value through a small
+// signal pipeline before it modulates the joint. Every stage is optional (a
+// missing field skips it), and they run in this order:
+//   lowPass     time constant (s) - smooths out jitter
+//   delay       seconds - reacts to what the sensor read a moment ago
+//   derivative  scale (s) - reacts to the trend instead of the value
+//   leak        integrator leak rate (1/s) - accumulates the signal and
+//               slowly forgets it
+//   threshold   with hysteresis - snaps to +1/-1 with a dead band, so a value
+//               hovering at the threshold can't make the joint jitter
+// Pipelines are part of the joint's influence genes: they're drawn from the
+// block's DNA like the response weights, but from their own seed, so the
+// weights stayed the same when pipelines were added.
+//
+// Those draws never change once a joint exists, so each joint also has a
+// signal gene (the ~F extension, one per block after block 0 like ~J) that
+// tunes all of its pipelines and drifts whenever the creature grows. One
+// byte per parameter, 80 = as drawn:
+//   lowPass, delay, derivative, leak, hysteresis   x0.25 to x4
+//   threshold                                      moved by up to +-0.5
+// Stages stay in or out of a pipeline as drawn. Joints without a pipeline
+// have no gene.
+//
+// Pipelines only shape action-list joints (Joint.update). The neural
+// controller reads the raw channels.
+
+// Chance that a response gets a pipeline at all, then that each stage is in it
+const SIGNAL_PIPELINE_CHANCE = 0.3;
+const SIGNAL_STAGE_CHANCE = 0.4;
+
+/**
+ * Generate the signal pipeline for one response.
+ * Always makes the same number of draws, so each channel's pipeline only
+ * depends on its position in the channel list.
+ *
+ * @param {SeededRandom} rng - The joint's signal RNG
+ * @returns {Object|null} {lowPass?, delay?, derivative?, leak?, threshold?, hysteresis?} or null for none
+ */
+function generateSignalPipeline(rng) {
+    const enabled = rng.random() < SIGNAL_PIPELINE_CHANCE;
+    const stages = {
+        lowPass: [rng.random() < SIGNAL_STAGE_CHANCE, rng.randomFloat(0.05, 1.0)],
+        delay: [rng.random() < SIGNAL_STAGE_CHANCE, rng.randomFloat(0.05, 1.0)],
+        derivative: [rng.random() < SIGNAL_STAGE_CHANCE, rng.randomFloat(0.05, 0.5)],
+        leak: [rng.random() < SIGNAL_STAGE_CHANCE, rng.randomFloat(0.2, 2.0)],
+        threshold: [rng.random() < SIGNAL_STAGE_CHANCE, rng.randomFloat(-0.5, 0.5)]
+    };
+    const hysteresis = rng.randomFloat(0.05, 0.5);
+
+    if (!enabled) return null;
+
+    const signal = {};
+    for (const [stage, [used, value]] of Object.entries(stages)) {
+        if (used) signal[stage] = value;
+    }
+    if (signal.threshold !== undefined) {
+        signal.hysteresis = hysteresis;
+    }
+    return Object.keys(signal).length > 0 ? signal : null;
+}
+
+// Fields of a signal gene, in order (pipeline parameters it scales or moves)
+const SIGNAL_GENE_FIELDS = ['lowPass', 'delay', 'derivative', 'leak', 'threshold', 'hysteresis'];
+
+// Chance that each signal gene byte mutates when a creature grows
+const SIGNAL_GENE_MUTATION_RATE = 0.1;
+
+/**
+ * Apply a joint's signal gene to a pipeline drawn from the DNA.
+ *
+ * @param {Object} signal - Pipeline from generateSignalPipeline
+ * @param {string|null} gene - The joint's signal gene (null = as drawn)
+ * @returns {Object} The tuned pipeline (a new object)
+ */
+function tuneSignalPipeline(signal, gene) {
+    const bytes = sensorGeneToBytes(gene, SIGNAL_GENE_FIELDS.length);
+    // -1..+1 around the neutral byte, like decodeSensorGene
+    const octaves = (b) => (b - SENSOR_GENE_NEUTRAL) / SENSOR_GENE_NEUTRAL;
+
+    const tuned = { ...signal };
+    SIGNAL_GENE_FIELDS.forEach((field, i) => {
+        if (tuned[field] === undefined) return;
+        tuned[field] = field === 'threshold'
+            ? Math.max(-1, Math.min(1, tuned[field] + 0.5 * octaves(bytes[i])))
+            : tuned[field] * Math.pow(2, 2 * octaves(bytes[i]));
+    });
+    return tuned;
+}
+
+/**
+ * Mutate a joint's signal gene, the same way as a sensor gene
+ * @param {string|null} gene - Hex gene string (null = all neutral)
+ * @param {SeededRandom|RunRandom} rng - Random source
+ * @param {number} rate - Per-byte mutation probability (0-1)
+ * @returns {string} Mutated gene (always full length)
+ */
+function mutateSignalGene(gene, rng, rate = SIGNAL_GENE_MUTATION_RATE) {
+    return mutateSensorGene(gene, rng, rate, SIGNAL_GENE_FIELDS.length);
+}
+
+/**
+ * Run one step of a response's signal pipeline.
+ *
+ * @param {Object} signal - The response's pipeline (see generateSignalPipeline)
+ * @param {Object} state - Per-response filter state, empty at round start
+ * @param {number} value - This step's raw channel value
+ * @param {number} deltaTime - Simulated seconds (one physics step)
+ * @returns {number} Processed value (-1 to +1)
+ */
+function processSignal(signal, state, value, deltaTime) {
+    const clamp = (v) => Math.max(-1.0, Math.min(1.0, v));
+    let x = value;
+
+    if (signal.lowPass !== undefined) {
+        state.lowPass = state.lowPass === undefined
+            ? x
+            : state.lowPass + (x - state.lowPass) * deltaTime / (signal.lowPass + deltaTime);
+        x = state.lowPass;
+    }
+
+    if (signal.delay !== undefined) {
+        // Until the buffer fills, repeat the first value read
+        const steps = Math.max(1, Math.round(signal.delay / deltaTime));
+        if (!state.history) state.history = [];
+        state.history.push(x);
+        x = state.history.length > steps ? state.history.shift() : state.history[0];
+    }
+
+    if (signal.derivative !== undefined) {
+        const previous = state.previous === undefined ? x : state.previous;
+        state.previous = x;
+        x = clamp((x - previous) / deltaTime * signal.derivative);
+    }
+
+    if (signal.leak !== undefined) {
+        const integral = state.integral || 0;
+        // Clamped so a long push can't wind it up past the channel range
+        state.integral = clamp(integral + (x - signal.leak * integral) * deltaTime);
+        x = state.integral;
+    }
+
+    if (signal.threshold !== undefined) {
+        if (state.switched === undefined) {
+            state.switched = x >= signal.threshold ? 1 : -1;
+        } else if (x > signal.threshold + signal.hysteresis / 2) {
+            state.switched = 1;
+        } else if (x < signal.threshold - signal.hysteresis / 2) {
+            state.switched = -1;
+        }
+        x = state.switched;
+    }
+
+    return x;
+}
+
+/**
+ * Run a joint's signal pipelines over the current channel values.
+ * Channels without a pipeline pass through unchanged.
+ *
+ * @param {Object} responses - The joint's influenceResponses
+ * @param {Object} influences - Raw channel values {channelName: value}
+ * @param {Object} states - The joint's pipeline state {channelName: state}
+ * @param {number} deltaTime - Simulated seconds (one physics step)
+ * @param {Object} processed - Filled with {channelName: processed value} for display
+ * @returns {Object} Channel values to modulate the joint with
+ */
+function processInfluenceSignals(responses, influences, states, deltaTime, processed) {
+    let inputs = influences;
+    for (const [channel, response] of Object.entries(responses)) {
+        if (!response.signal || !(channel in influences)) continue;
+        if (inputs === influences) inputs = { ...influences };
+
+        if (!states[channel]) states[channel] = {};
+        inputs[channel] = processSignal(response.signal, states[channel], influences[channel], deltaTime);
+        processed[channel] = inputs[channel];
+    }
+    return inputs;
+}
+
 /**
  * Apply influence modulation to a base rotation value.
  * This is the core formula that determines how influences affect joint movement.
@@ -643,8 +1410,12 @@ function applyInfluenceModulation(baseRotation, influences, responses) {
  * Find all influence-providing blocks in a creature.
  * Call this after the creature's blocks are set up.
  * 
+ * Sensor blocks carry their decoded sensor gene as params. Proprioceptive
+ * senses the creature has switched on add one provider per hinge, keyed by
+ * the hinge's child block and carrying the joint.
+ * 
  * @param {Creature} creature - The creature to scan
- * @returns {Array} Array of {blockIndex, channelName, block} objects
+ * @returns {Array} Array of {blockIndex, type, channelName, block, params?, joint?} objects
  */
 function findInfluenceProviders(creature) {
     const providers = [];
@@ -654,8 +1425,22 @@ function findInfluenceProviders(creature) {
         if (block.influenceType && INFLUENCE_TYPES[block.influenceType]) {
             providers.push({
                 blockIndex: i,
-                channelName: block.influenceType,
-                block: block
+                type: block.influenceType,
+                channelName: getSensorChannelName(block.influenceType, i),
+                block: block,
+                params: decodeSensorGene(block.sensorGene)
+            });
+        }
+    }
+    
+    for (const type of creature.proprioception || []) {
+        for (const joint of creature.joints) {
+            providers.push({
+                blockIndex: joint.blockIndexB,
+                type: type,
+                channelName: getSensorChannelName(type, joint.blockIndexB),
+                block: creature.blocks[joint.blockIndexB],
+                joint: joint
             });
         }
     }
@@ -672,6 +1457,9 @@ function findInfluenceProviders(creature) {
  * odd faces (1, 3, 5) flip the sign. This allows sensors on opposite sides
  * of a creature to produce complementary responses.
  * 
+ * Each sensor block writes its own channel (see getSensorChannelName), so
+ * two sensors of the same type never overwrite each other.
+ * 
  * @param {Creature} creature - The creature to update
  * @param {Object} context - Environmental context {sunDirection, dayProgress, etc.}
  * @returns {Object} The updated influences map {channelName: value}
@@ -683,34 +1471,51 @@ function updateCreatureInfluences(creature, context) {
         return influences;
     }
     
+    // Food belongs to the creature, not the world - target sensors read their own creature's
+    const sensorContext = creature.food && creature.food.length > 0
+        ? Object.assign({}, context, { food: creature.food })
+        : context;
+    
     for (const provider of creature.influenceProviders) {
+        // Joint senses read the hinge itself - the sign already says which way it bends
+        if (provider.joint) {
+            influences[provider.channelName] = calculateJointInfluence(provider.type, provider.joint, creature.bodies);
+            continue;
+        }
+        
         const body = creature.bodies[provider.blockIndex];
         if (!body) continue;
         
-        // Calculate influence using the registered type's function
-        let value = calculateInfluence(provider.channelName, body, context);
-        
-        // Find the joint that connects this sensor block to its parent
-        // to determine which face it's attached by
-        const blockIndex = provider.blockIndex;
-        if (blockIndex > 0) {  // Block 0 has no parent/joint
-            const joint = creature.joints.find(j => j.blockIndexB === blockIndex);
-            if (joint) {
-                // faceB is the face on this block that connects to the parent
-                // Odd faces (1, 3, 5) flip the influence value
-                if (joint.faceB % 2 === 1) {
-                    value = -value;
-                }
-            }
-        }
-        
-        // Store the value (if multiple blocks provide same channel, last wins)
-        influences[provider.channelName] = value;
+        // Calculate influence using the registered type's function and the
+        // block's gene, then smooth it if the gene asks for that
+        let value = calculateInfluence(provider.type, body, sensorContext, provider.params);
+        value = smoothSensorValue(body, value, provider.params.smoothing, context.simulationTime || 0);
+
+        influences[provider.channelName] = value * getSensorFaceSign(creature, provider.blockIndex);
     }
-    
+
     return influences;
 }
 
+/**
+ * Sign applied to a sensor block's value, from the face it's attached by.
+ * Multiplying a channel value by it again gives back the raw reading.
+ *
+ * @param {Creature} creature - The creature the block belongs to
+ * @param {number} blockIndex - The sensor block
+ * @returns {number} +1 or -1
+ */
+function getSensorFaceSign(creature, blockIndex) {
+    if (blockIndex === 0) return 1;  // Block 0 has no parent/joint
+
+    // Find the joint that connects this sensor block to its parent
+    const joint = creature.joints.find(j => j.blockIndexB === blockIndex);
+
+    // faceB is the face on this block that connects to the parent
+    // Odd faces (1, 3, 5) flip the influence value
+    return joint && joint.faceB % 2 === 1 ? -1 : 1;
+}
+
 /**
  * Get the list of influence channels a creature provides.
  * Useful for mutation to know which channels joints could respond to.
@@ -771,7 +1576,12 @@ const SensorConfig = {
         'rhythm': 'off',
         'tilt': 'off',
         'compass': 'off',
-        'tracking': 'off'
+        'tracking': 'off',
+        'touch': 'off',
+        'range': 'off',
+        'target': 'off',
+        'jointAngle': 'off',
+        'jointVelocity': 'off'
     },
     
     /**
@@ -885,7 +1695,7 @@ const SensorConfig = {
 
 /**
  * Get which influence types a creature already has.
- * Used to enforce the "one of each type" rule.
+ * Used to give every evolvable type its first sensor before any doubles up.
  * 
  * @param {Creature} creature - The creature to check
  * @returns {string[]} Array of influence types the creature has
@@ -903,15 +1713,16 @@ function getCreatureInfluenceTypes(creature) {
 }
 
 /**
- * Get which influence types can still be added to a creature through evolution.
- * Only considers types set to 'evolve' mode that the creature doesn't already have.
+ * Get the evolvable types a creature doesn't have a sensor of yet.
+ * Only considers types set to 'evolve' mode. (More sensors of a type the
+ * creature already has can still be added - see determineBlockInfluenceType.)
  * 
  * @param {Creature} creature - The creature to check
  * @returns {string[]} Array of influence types that can be evolved
  */
 function getAvailableInfluenceTypes(creature) {
-    // Get types that are set to 'evolve' mode
-    const evolveTypes = SensorConfig.getEvolveTypes();
+    // Get block sensor types that are set to 'evolve' mode
+    const evolveTypes = SensorConfig.getEvolveTypes().filter(type => !isProprioceptiveType(type));
     const existingTypes = getCreatureInfluenceTypes(creature);
     
     // Return evolve types that the creature doesn't already have
@@ -945,6 +1756,12 @@ function pickNextSensorType(creature, rng) {
     return available[rng.randomInt(0, available.length)];
 }
 
+/**
+ * Chance that a new block becomes another sensor once the creature already
+ * has one of every evolvable type (e.g. a second light sensor for steering)
+ */
+const EXTRA_SENSOR_CHANCE = 0.1;
+
 /**
  * Determine what influence type (if any) a new block should have.
  * This is the main function called during block creation/evolution.
@@ -965,13 +1782,38 @@ function determineBlockInfluenceType(creature, rng) {
         return available[rng.randomInt(0, available.length)];
     }
     
+    // Every evolvable type is present - occasionally add another instance
+    const evolveTypes = SensorConfig.getEvolveTypes().filter(type => !isProprioceptiveType(type));
+    if (evolveTypes.length > 0 && rng.random() < EXTRA_SENSOR_CHANCE) {
+        return evolveTypes[rng.randomInt(0, evolveTypes.length)];
+    }
+    
     // No sensor needed
     return null;
 }
 
+/**
+ * Determine which joint sense (if any) a growing creature switches on.
+ * Like sensor blocks, an evolvable sense the creature is missing is gained
+ * with its next new block. Draws nothing when no sense is missing, so runs
+ * without proprioception keep their exact random sequence.
+ * 
+ * @param {Creature} creature - The creature that just grew a block
+ * @param {SeededRandom|RunRandom} rng - Random number generator
+ * @returns {string|null} The proprioceptive type to switch on, or null
+ */
+function determineProprioceptionGain(creature, rng) {
+    const have = creature.proprioception || [];
+    const missing = SensorConfig.getEvolveTypes()
+        .filter(type => isProprioceptiveType(type) && !have.includes(type));
+    if (missing.length === 0) return null;
+    return missing[rng.randomInt(0, missing.length)];
+}
+
 /**
  * Add all "start" mode sensor blocks to a creature.
  * Used at creature creation to give creatures their starting sensors.
+ * Joint senses set to 'start' are switched on without adding a block.
  * 
  * @param {Creature} creature - The creature to add sensors to
  * @param {SeededRandom} rng - Random number generator
@@ -979,8 +1821,13 @@ function determineBlockInfluenceType(creature, rng) {
  */
 function addAllEnabledSensors(creature, rng) {
     // Get only sensors set to 'start' mode
-    const typesToAdd = SensorConfig.getStartTypes();
-    if (typesToAdd.length === 0) return 0;
+    const startTypes = SensorConfig.getStartTypes();
+    const typesToAdd = startTypes.filter(type => !isProprioceptiveType(type));
+    
+    const senses = startTypes.filter(type => isProprioceptiveType(type));
+    if (senses.length > 0) {
+        creature.setProprioception(senses);
+    }
     
     let added = 0;
     
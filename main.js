@@ -35,6 +35,9 @@ class Application {
         // Graphical evolution tree renderer
         this.treeRenderer = null;
         
+        // Course from a loaded save that isn't one of the presets (Course JSON)
+        this.customCourse = null;
+        
         this.init();
     }
     
@@ -99,6 +102,7 @@ class Application {
         // Calculate and display efficiency (distance per tile)
         const efficiency = tileCount > 0 ? (creature.maxDistance / tileCount) : 0;
         document.getElementById('sel-efficiency').textContent = efficiency.toFixed(3);
+        document.getElementById('sel-energy').textContent = (creature.energyUsed || 0).toFixed(0) + 'J';
         
         // Show mode-specific score breakdown
         this.updateModeScoreDisplay(creature, activeMode);
@@ -128,10 +132,14 @@ class Application {
             }
             configInfo = `Position ${position}, Variant ${variation}`;
         }
+        if (creature.controllerType === 'neural') {
+            configInfo += ' (neural)';
+        }
         document.getElementById('sel-config').textContent = configInfo;
         
         // Update special blocks (sensors) display
         this.updateSelectedCreatureSensors(creature);
+        this.updateSelectedCreatureSignals(creature);
         
         // Update hint text based on whether this is a followed or selected creature
         const hintElements = document.querySelectorAll('#selected-creature-panel .hint-text');
@@ -180,7 +188,12 @@ class Application {
                 'rhythm': 'Rhy',
                 'tilt': 'Tilt',
                 'compass': 'Cmp',
-                'tracking': 'Trk'
+                'tracking': 'Trk',
+                'touch': 'Tch',
+                'range': 'Rng',
+                'target': 'Tgt',
+                'jointAngle': 'JAng',
+                'jointVelocity': 'JVel'
             };
             return abbrevMap[sensor.type] || sensor.type.substring(0, 3);
         });
@@ -198,7 +211,12 @@ class Application {
                 'rhythm': 'Rhy',
                 'tilt': 'Tilt',
                 'compass': 'Cmp',
-                'tracking': 'Trk'
+                'tracking': 'Trk',
+                'touch': 'Tch',
+                'range': 'Rng',
+                'target': 'Tgt',
+                'jointAngle': 'JAng',
+                'jointVelocity': 'JVel'
             };
             sensorAddedType.textContent = abbrevMap[creature.lastAddedSensor] || creature.lastAddedSensor;
         } else {
@@ -206,6 +224,39 @@ class Application {
         }
     }
     
+    /**
+     * Show each sensor channel's raw value and, for joints that run it through
+     * a signal pipeline, the processed value that joint actually uses
+     * e.g. "light#3  +0.42 > J4 +1.00". Neural creatures skip pipelines, so
+     * they only get the raw values and a note saying so.
+     * @param {Creature} creature - The creature to display signals for
+     */
+    updateSelectedCreatureSignals(creature) {
+        const section = document.getElementById('sel-signals-section');
+        const list = document.getElementById('sel-signals-list');
+        if (!section || !list) return;
+        
+        const channels = Object.keys(creature.influences || {});
+        if (channels.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+        
+        const format = (v) => (v >= 0 ? '+' : '') + v.toFixed(2);
+        const note = creature.controllerType === 'neural' ? 'raw only - pipelines apply to action lists\n' : '';
+        list.textContent = note + channels.map(channel => {
+            let line = `${channel.padEnd(16)} ${format(creature.influences[channel])}`;
+            for (const joint of creature.joints) {
+                const processed = joint.processedInfluences && joint.processedInfluences[channel];
+                if (processed !== undefined) {
+                    line += ` > J${joint.blockIndexB} ${format(processed)}`;
+                }
+            }
+            return line;
+        }).join('\n');
+    }
+    
     /**
      * Update the mode-specific score display showing how fitness is calculated
      * Also updates the "all modes" comparison display
@@ -224,6 +275,11 @@ class Application {
         const tiles = creature.getTileCount ? creature.getTileCount() : 0;
         const jump = creature.maxJumpHeight || 0;
         const efficiency = tiles > 0 ? (dist / tiles) : 0;
+        const energyKJ = Math.max((creature.energyUsed || 0) / 1000, ECONOMY_MIN_ENERGY_KJ);
+        const raceProgress = creature.raceProgress || 0;
+        const raceFinishTime = creature.raceFinishTime || 0;
+        const food = creature.foodCollected || 0;
+        const foodTime = creature.foodTime || 0;
         
         let modeName = '';
         let formula = '';
@@ -238,6 +294,14 @@ class Application {
         const outcastScore = dist + height * 2 + tiles * 0.5 + jump * 5;
         // Spartan: balanced combination of all metrics
         const spartanScore = dist * 1.0 + height * 2.0 + tiles * 0.2 + jump * 3.0;
+        // Economy: distance per kJ of motor work
+        const economyScore = calculateEconomyFitness(dist, creature.energyUsed || 0, height);
+        // Race: forward progress plus a speed bonus for finishing
+        const raceBonus = raceFinishTime > 0 ? RACE_SPEED_BONUS * RACE_FINISH_DISTANCE / raceFinishTime : 0;
+        const raceScore = raceProgress + raceBonus;
+        // Forage: food eaten plus a speed bonus for eating it fast
+        const foodBonus = FORAGE_SPEED_BONUS * food / Math.max(foodTime, FORAGE_MIN_TIME);
+        const forageScore = food * FORAGE_FOOD_SCORE + foodBonus + dist * 0.1;
         
         // Update all-modes display
         const distEl = document.getElementById('sel-score-distance');
@@ -246,6 +310,9 @@ class Application {
         const areaEl = document.getElementById('sel-score-area');
         const outcastEl = document.getElementById('sel-score-outcast');
         const spartanEl = document.getElementById('sel-score-spartan');
+        const economyEl = document.getElementById('sel-score-economy');
+        const raceEl = document.getElementById('sel-score-race');
+        const forageEl = document.getElementById('sel-score-forage');
         
         if (distEl) distEl.textContent = distanceScore.toFixed(1);
         if (effEl) effEl.textContent = efficiencyScore.toFixed(1);
@@ -253,6 +320,9 @@ class Application {
         if (areaEl) areaEl.textContent = areaScore.toFixed(1);
         if (outcastEl) outcastEl.textContent = outcastScore.toFixed(1);
         if (spartanEl) spartanEl.textContent = spartanScore.toFixed(1);
+        if (economyEl) economyEl.textContent = economyScore.toFixed(1);
+        if (raceEl) raceEl.textContent = raceScore.toFixed(1);
+        if (forageEl) forageEl.textContent = forageScore.toFixed(1);
         
         // Highlight the current mode's score
         const modeToElement = {
@@ -261,11 +331,14 @@ class Application {
             'jump': jumpEl,
             'area': areaEl,
             'outcast': outcastEl,
-            'spartan': spartanEl
+            'spartan': spartanEl,
+            'economy': economyEl,
+            'race': raceEl,
+            'forage': forageEl
         };
         
         // Reset all to normal color, then highlight current mode
-        [distEl, effEl, jumpEl, areaEl, outcastEl, spartanEl].forEach(el => {
+        [distEl, effEl, jumpEl, areaEl, outcastEl, spartanEl, economyEl, raceEl, forageEl].forEach(el => {
             if (el) el.style.color = '#64ffda';
         });
         if (modeToElement[mode]) {
@@ -311,6 +384,26 @@ class Application {
                 formula = `D*1 + H*2 + T*0.2 + J*3 = ${score.toFixed(1)}`;
                 break;
                 
+            case 'economy':
+                modeName = '\u{1F50B} Economy';  // Battery emoji
+                score = economyScore;
+                formula = `${dist.toFixed(1)}/${energyKJ.toFixed(2)}kJ + ${height.toFixed(1)}x0.2 = ${score.toFixed(1)}`;
+                break;
+                
+            case 'race':
+                modeName = '\u{1F3C1} Race';  // Chequered flag emoji
+                score = raceScore;
+                formula = raceFinishTime > 0
+                    ? `${raceProgress.toFixed(1)}m + ${raceBonus.toFixed(1)} (${raceFinishTime.toFixed(1)}s) = ${score.toFixed(1)}`
+                    : `${raceProgress.toFixed(1)}m (not finished) = ${score.toFixed(1)}`;
+                break;
+                
+            case 'forage':
+                modeName = '\u{1F34E} Forage';  // Apple emoji
+                score = forageScore;
+                formula = `${food}x10 + ${foodBonus.toFixed(1)} (${foodTime.toFixed(1)}s) + ${dist.toFixed(1)}x0.1 = ${score.toFixed(1)}`;
+                break;
+                
             default:
                 modeName = 'Fitness';
                 score = creature.fitness;
@@ -488,6 +581,9 @@ class Application {
             'jump': 'Max height after landing from spawn',
             'area': 'Total tiles lit up (coverage)',
             'outcast': 'Most different from the crowd wins',
+            'economy': 'Distance per unit of motor energy (frugal movers win)',
+            'race': 'Race down a lane to a finish line (faster finishers win)',
+            'forage': 'Eat the food scattered around each creature (faster foragers win)',
             'random': 'Randomly changes each generation'
         };
         
@@ -515,6 +611,18 @@ class Application {
             }
         });
         
+        // Simulation speed - can be changed at any time
+        // Rounds always run on fixed physics steps, so results don't depend on speed
+        document.getElementById('sim-speed').addEventListener('change', (e) => {
+            const value = e.target.value;
+            this.simulation.setSimulationSpeed(value === 'max' ? Infinity : parseFloat(value));
+        });
+        
+        // Physics workers - takes effect when the next round starts
+        document.getElementById('workers-input').addEventListener('change', (e) => {
+            this.simulation.setWorkerCount(parseInt(e.target.value) || 0);
+        });
+        
         // Tournament of Champions button
         document.getElementById('tournament-btn').addEventListener('click', () => {
             // Get the tournament size from the input (default to 10)
@@ -573,7 +681,7 @@ class Application {
         });
         
         // Per-sensor mode dropdowns - each sensor can be Off/Start/Evolve
-        const sensorTypes = ['gravity', 'light', 'velocity', 'ground', 'rhythm', 'tilt', 'compass', 'tracking'];
+        const sensorTypes = ['gravity', 'light', 'velocity', 'ground', 'rhythm', 'tilt', 'compass', 'tracking', 'touch', 'range', 'target', 'jointAngle', 'jointVelocity'];
         for (const type of sensorTypes) {
             const selectEl = document.getElementById(`sensor-${type}`);
             if (selectEl) {
@@ -592,7 +700,7 @@ class Application {
         // Initialize sensor modes from HTML dropdown defaults
         // This ensures SensorConfig matches the HTML even before Start is clicked
         if (typeof SensorConfig !== 'undefined') {
-            const sensorTypes = ['gravity', 'light', 'velocity', 'ground', 'rhythm', 'tilt', 'compass', 'tracking'];
+            const sensorTypes = ['gravity', 'light', 'velocity', 'ground', 'rhythm', 'tilt', 'compass', 'tracking', 'touch', 'range', 'target', 'jointAngle', 'jointVelocity'];
             for (const type of sensorTypes) {
                 const selectEl = document.getElementById(`sensor-${type}`);
                 if (selectEl) {
@@ -611,6 +719,12 @@ class Application {
             desc.style.color = '#ff6666';
         }
         
+        // Initialize worker count (browsers may restore the input after a reload)
+        const initialWorkers = parseInt(document.getElementById('workers-input').value) || 0;
+        if (initialWorkers > 0) {
+            this.simulation.setWorkerCount(initialWorkers);
+        }
+        
         // Set up callback so simulation can notify us when camera mode changes (e.g., from panning)
         this.simulation.onFollowLeaderChanged = () => {
             this.updateCameraButtonStates();
@@ -626,7 +740,7 @@ class Application {
         if (!descEl) return;
         
         // Read mode from each sensor dropdown
-        const sensorTypes = ['gravity', 'light', 'velocity', 'ground', 'rhythm', 'tilt', 'compass', 'tracking'];
+        const sensorTypes = ['gravity', 'light', 'velocity', 'ground', 'rhythm', 'tilt', 'compass', 'tracking', 'touch', 'range', 'target', 'jointAngle', 'jointVelocity'];
         let startCount = 0;
         let evolveCount = 0;
         
@@ -706,7 +820,7 @@ class Application {
         
         // Configure sensor settings from per-sensor dropdowns
         if (typeof SensorConfig !== 'undefined') {
-            const sensorTypes = ['gravity', 'light', 'velocity', 'ground', 'rhythm', 'tilt', 'compass', 'tracking'];
+            const sensorTypes = ['gravity', 'light', 'velocity', 'ground', 'rhythm', 'tilt', 'compass', 'tracking', 'touch', 'range', 'target', 'jointAngle', 'jointVelocity'];
             for (const type of sensorTypes) {
                 const selectEl = document.getElementById(`sensor-${type}`);
                 if (selectEl) {
@@ -723,12 +837,51 @@ class Application {
         // Set gravity (convert percentage to multiplier: 100% -> 1.0)
         this.simulation.setGravity(gravityPercent / 100);
         
+        // Terrain - rebuilt before anything spawns so spawn heights account for it
+        this.simulation.setTerrain(
+            document.getElementById('terrain-preset').value,
+            parseInt(document.getElementById('terrain-seed-input').value) || 1
+        );
+        
+        // Water - pools are laid around the spawn points when the round starts
+        this.simulation.setWater(document.getElementById('water-preset').value);
+        
+        // Obstacle course - tree nodes record it so scores from different courses aren't mixed up
+        const course = this.getSelectedCourse();
+        this.simulation.setCourse(course);
+        this.evolution.setCourse(course.name);
+        
         // Get the selected fitness mode
         const fitnessMode = document.getElementById('fitness-mode').value;
         this.evolution.setFitnessMode(fitnessMode);
         // Simulation uses the active mode (actual mode being used)
         this.simulation.fitnessMode = this.evolution.getActiveMode();
         
+        // Parent selection - 'champion' is the classic single-champion mode
+        this.evolution.setSelectionMode(
+            document.getElementById('selection-method').value,
+            parseInt(document.getElementById('parents-input').value) || 3
+        );
+        
+        // Share of new creatures made by structural mutation (the input is a percentage)
+        this.evolution.setStructuralMutationRate((parseInt(document.getElementById('structural-input').value) || 0) / 100);
+        
+        // Joint controller for new creatures - action lists or a neural network
+        this.evolution.setControllerType(document.getElementById('controller-type').value);
+        
+        // Block shapes - unit cubes, or evolvable shapes and sizes
+        this.evolution.setBlockShapes(document.getElementById('block-shapes').value);
+        
+        // Joint types - classic hinges, or evolvable types, limits and strength
+        this.evolution.setJointTypes(document.getElementById('joint-types').value);
+        
+        // Body symmetry - off, or evolvable mirrored and repeated limbs
+        this.evolution.setBodySymmetry(document.getElementById('body-symmetry').value);
+        
+        // Run seed - empty picks a random one (shown afterwards so it can be shared)
+        const runSeedInput = document.getElementById('run-seed-input');
+        this.evolution.setRunSeed(runSeedInput.value.trim());
+        
         // Check if we have an existing population (e.g., from a loaded save file)
         // If so, continue from where we left off instead of starting fresh
         if (this.evolution.hasExistingPopulation()) {
@@ -738,6 +891,7 @@ class Application {
             console.log('[START] Starting fresh evolution...');
             this.evolution.startEvolution(instancesPerConfig, numConfigurations, blocksPerGeneration, randomizeBlockCount, enableLimbGeneration, maxBlocks);
         }
+        runSeedInput.value = this.evolution.runSeed;
         
         this.isEvaluating = true;
         this.isTransitioning = false;
@@ -757,15 +911,64 @@ class Application {
         document.getElementById('random-blocks-checkbox').disabled = true;
         document.getElementById('limb-gen-checkbox').disabled = true;
         document.getElementById('round-duration-input').disabled = true;
+        runSeedInput.disabled = true;
+        document.getElementById('selection-method').disabled = true;
+        document.getElementById('parents-input').disabled = true;
+        document.getElementById('structural-input').disabled = true;
+        document.getElementById('controller-type').disabled = true;
+        document.getElementById('block-shapes').disabled = true;
+        document.getElementById('joint-types').disabled = true;
+        document.getElementById('body-symmetry').disabled = true;
+        document.getElementById('terrain-preset').disabled = true;
+        document.getElementById('terrain-seed-input').disabled = true;
+        document.getElementById('water-preset').disabled = true;
+        document.getElementById('course-preset').disabled = true;
         
         // Disable sensor dropdowns during evolution
-        const sensorTypes = ['gravity', 'light', 'velocity', 'ground', 'rhythm', 'tilt', 'compass', 'tracking'];
+        const sensorTypes = ['gravity', 'light', 'velocity', 'ground', 'rhythm', 'tilt', 'compass', 'tracking', 'touch', 'range', 'target', 'jointAngle', 'jointVelocity'];
         for (const type of sensorTypes) {
             const selectEl = document.getElementById(`sensor-${type}`);
             if (selectEl) selectEl.disabled = true;
         }
     }
     
+    /**
+     * The course picked in the settings panel. 'custom' is a course that came
+     * from a loaded save file rather than one of the presets.
+     * @returns {Course}
+     */
+    getSelectedCourse() {
+        const key = document.getElementById('course-preset').value;
+        if (key === 'custom' && this.customCourse) {
+            return Course.fromJSON(this.customCourse);
+        }
+        return Course.fromPreset(key);
+    }
+    
+    /**
+     * Select a saved course in the settings panel (adding a 'custom' entry
+     * for courses that aren't presets) and use it for the next round.
+     * @param {Object|null} data - Course saved with Course.toJSON() (null = open arena)
+     */
+    restoreCourseSelection(data) {
+        const select = document.getElementById('course-preset');
+        const course = Course.fromJSON(data);
+        if (COURSE_PRESETS[course.key]) {
+            select.value = course.key;
+        } else {
+            this.customCourse = course.toJSON();
+            let option = select.querySelector('option[value="custom"]');
+            if (!option) {
+                option = document.createElement('option');
+                option.value = 'custom';
+                select.appendChild(option);
+            }
+            option.textContent = course.name;
+            select.value = 'custom';
+        }
+        this.simulation.setCourse(course);
+    }
+    
     evaluateGeneration() {
         const population = this.evolution.population;
         
@@ -777,6 +980,9 @@ class Application {
         
         this.simulation.removeAllCreatures();
         this.simulation.timeElapsed = 0;
+        // Set before spawning - race lanes and food are laid out at spawn time
+        this.simulation.fitnessMode = this.evolution.getActiveMode();
+        this.simulation.setRoundSeed(this.evolution.getRoundSeed());
         this.simulation.spawnMultipleCreatures(population);
         this.simulation.start();
         
@@ -826,48 +1032,53 @@ class Application {
         // Check if this generation will make progress or hit a dead end
         const progressCheck = this.evolution.willMakeProgress(bestCreature, activeMode);
         
+        // Turbo mode: skip the celebration/death animations entirely
+        if (this.simulation.isTurbo()) {
+            console.log(`   -> ${progressCheck.willProgress ? 'PROGRESS' : 'DEAD END'} (turbo - no animation)`);
+            this.advanceToNextGeneration(bestCreature);
+            return;
+        }
+        
         // Choose animation based on whether progress will be made
         if (progressCheck.willProgress) {
             // Progress! Start celebration - winner gets spotlight, losers explode
             console.log(`   -> PROGRESS: Starting celebration sequence`);
             this.simulation.startCelebration(bestCreature, () => {
                 // This callback fires after 5 second celebration
-                
-                // Report to evolution manager
-                this.evolution.onCreatureEvaluated(bestCreature, bestCreature.maxDistance, bestCreature.maxHeight);
-                
-                if (!this.evolution.population || this.evolution.population.length === 0) {
-                    this.isEvaluating = false;
-                    this.isTransitioning = false;
-                    return;
-                }
-                
-                // Start next generation
-                this.evaluateGeneration();
-                this.isTransitioning = false;
+                this.advanceToNextGeneration(bestCreature);
             });
         } else {
             // Dead end! Start death sequence instead
             console.log(`   -> DEAD END: Starting death sequence (fitness ${progressCheck.bestFitness.toFixed(2)} < target ${progressCheck.targetFitness.toFixed(2)})`);
             this.simulation.startDeathSequence(bestCreature, () => {
                 // This callback fires after death sequence
-                
-                // Report to evolution manager (will handle backtracking)
-                this.evolution.onCreatureEvaluated(bestCreature, bestCreature.maxDistance, bestCreature.maxHeight);
-                
-                if (!this.evolution.population || this.evolution.population.length === 0) {
-                    this.isEvaluating = false;
-                    this.isTransitioning = false;
-                    return;
-                }
-                
-                // Start next generation (evolution manager may have backtracked)
-                this.evaluateGeneration();
-                this.isTransitioning = false;
+                this.advanceToNextGeneration(bestCreature);
             });
         }
     }
     
+    /**
+     * Report the round winner to the evolution manager and start the next
+     * generation. Called after the celebration/death animation, or straight
+     * away in turbo mode.
+     * 
+     * @param {Creature} bestCreature - Winner of the round that just finished
+     */
+    advanceToNextGeneration(bestCreature) {
+        // Report to evolution manager (will handle backtracking on a dead end)
+        this.evolution.onCreatureEvaluated(bestCreature, bestCreature.maxDistance, bestCreature.maxHeight);
+        
+        if (!this.evolution.population || this.evolution.population.length === 0) {
+            this.isEvaluating = false;
+            this.isTransitioning = false;
+            return;
+        }
+        
+        // Start next generation (evolution manager may have backtracked)
+        this.evaluateGeneration();
+        this.isTransitioning = false;
+    }
+    
     // =========================================================================
     // TOURNAMENT OF CHAMPIONS
     // All historical champions compete against each other to find the best
@@ -921,7 +1132,9 @@ class Application {
         
         console.log(`Tournament contestants: ${this.tournamentChampions.length} champions`);
         
-        // Show the tournament leaderboard panel (not the modal)
+        // Show the tournament leaderboard panel (not the modal) - it ranks
+        // races too, so the race leaderboard isn't needed
+        this.hideRaceLeaderboard();
         this.showTournamentLeaderboard();
         
         // Create the tournament population (just the creatures)
@@ -936,6 +1149,7 @@ class Application {
         // Clear the simulation and spawn all champions
         this.simulation.removeAllCreatures();
         this.simulation.timeElapsed = 0;
+        this.simulation.setRoundSeed(this.evolution.getRoundSeed());
         this.simulation.spawnMultipleCreatures(tournamentPopulation);
         this.simulation.start();
         
@@ -1088,6 +1302,66 @@ class Application {
     }
 
     
+    /**
+     * Show the race leaderboard panel (bottom right, clear of the creature panel)
+     */
+    showRaceLeaderboard() {
+        document.getElementById('race-leaderboard').classList.add('active');
+    }
+    
+    /**
+     * Hide the race leaderboard panel
+     */
+    hideRaceLeaderboard() {
+        document.getElementById('race-leaderboard').classList.remove('active');
+    }
+    
+    /**
+     * Update the race leaderboard: finishers first by finish time, then
+     * everyone still out on the course by how far down their lane they are.
+     */
+    updateRaceLeaderboard() {
+        const creatures = (this.simulation.activeCreatures || []).filter(c => c?.bodies?.length);
+        
+        const rankings = creatures.map(creature => ({
+            name: creature.name,
+            progress: creature.raceProgress || 0,
+            finishTime: creature.raceFinishTime || 0,
+            stalled: creature.raceStalled
+        }));
+        rankings.sort((a, b) => {
+            if (a.finishTime > 0 && b.finishTime > 0) return a.finishTime - b.finishTime;
+            if (a.finishTime > 0 || b.finishTime > 0) return a.finishTime > 0 ? -1 : 1;
+            return b.progress - a.progress;
+        });
+        
+        const container = document.getElementById('race-rankings');
+        let html = '';
+        
+        for (let i = 0; i < rankings.length; i++) {
+            const r = rankings[i];
+            const isLeader = i === 0;
+            const rankDisplay = i < 3 ? ['\u{1F947}', '\u{1F948}', '\u{1F949}'][i] : `#${i + 1}`;
+            let result;
+            if (r.finishTime > 0) {
+                result = `\u{1F3C1} ${r.finishTime.toFixed(1)}s`;  // Chequered flag
+            } else {
+                result = `${r.progress.toFixed(1)}m${r.stalled ? ' \u{1F4A4}' : ''}`;  // Zzz when stalled
+            }
+            
+            html += `<div class="leaderboard-entry${isLeader ? ' leader' : ''}">`;
+            html += `<span class="leaderboard-rank">${rankDisplay}</span>`;
+            html += `<span class="leaderboard-name">${r.name}</span>`;
+            html += `<span class="leaderboard-fitness">${result}</span>`;
+            html += `</div>`;
+        }
+        
+        container.innerHTML = html;
+        
+        const finished = rankings.filter(r => r.finishTime > 0).length;
+        document.getElementById('race-finished').textContent = `${finished}/${rankings.length}`;
+    }
+    
     /**
      * Complete the Tournament of Champions
      * 
@@ -1490,6 +1764,7 @@ class Application {
         // Show lineage panel, hide others
         document.getElementById('selected-creature-panel').style.display = 'none';
         document.getElementById('tournament-leaderboard').classList.remove('active');
+        this.hideRaceLeaderboard();
         document.getElementById('lineage-playback-panel').style.display = 'block';
         
         // Disable evolution controls
@@ -1519,6 +1794,7 @@ class Application {
         this.simulation.spawnMultipleCreatures([creature]);
         this.simulation.timeElapsed = 0;
         this.simulation.maxTime = 999999; // No time limit in lineage mode
+        this.simulation.raceEndsEarly = false;
         this.simulation.start();
         
         // Follow this creature
@@ -1623,6 +1899,7 @@ class Application {
         // Restore normal time limit
         const roundDuration = parseInt(document.getElementById('round-duration-input').value) || 60;
         this.simulation.maxTime = roundDuration;
+        this.simulation.raceEndsEarly = true;
         
         // Update UI
         document.getElementById('generation').textContent = this.evolution.generation;
@@ -1718,6 +1995,7 @@ class Application {
         // Show terrarium panel, hide others
         document.getElementById('selected-creature-panel').style.display = 'none';
         document.getElementById('tournament-leaderboard').classList.remove('active');
+        this.hideRaceLeaderboard();
         document.getElementById('terrarium-panel').style.display = 'block';
         
         // Disable evolution controls
@@ -1744,6 +2022,7 @@ class Application {
         this.simulation.spawnMultipleCreatures([creature]);
         this.simulation.timeElapsed = 0;
         this.simulation.maxTime = 999999; // No time limit in terrarium mode
+        this.simulation.raceEndsEarly = false;
         this.simulation.start();
         
         // Follow this creature
@@ -1811,6 +2090,7 @@ class Application {
         // Restore normal time limit
         const roundDuration = parseInt(document.getElementById('round-duration-input').value) || 60;
         this.simulation.maxTime = roundDuration;
+        this.simulation.raceEndsEarly = true;
         
         // Update UI
         document.getElementById('generation').textContent = this.evolution.generation;
@@ -1876,6 +2156,14 @@ class Application {
             document.getElementById('current-height').textContent = bestCreature.maxHeight.toFixed(2) + 'm';
         }
         
+        // Race standings (hidden in every other mode)
+        if (activeMode === 'race') {
+            this.showRaceLeaderboard();
+            this.updateRaceLeaderboard();
+        } else {
+            this.hideRaceLeaderboard();
+        }
+        
         // Time
         const timeRemaining = this.simulation.getRemainingTime();
         document.getElementById('time-remaining').textContent = timeRemaining.toFixed(0) + 's';
@@ -1945,6 +2233,7 @@ class Application {
             // Calculate and display champion efficiency (distance per tile)
             const champEfficiency = champTiles > 0 ? (champion.maxDistance / champTiles) : 0;
             document.getElementById('champ-efficiency').textContent = champEfficiency.toFixed(3);
+            document.getElementById('champ-energy').textContent = (champion.energyUsed || 0).toFixed(0) + 'J';
         }
         
         // Selected creature or followed creature stats
@@ -2139,7 +2428,11 @@ class Application {
         message += `Generation: ${nodeInfo.generation}\n`;
         message += `Status: ${nodeInfo.status}\n`;
         message += `Blocks: ${nodeInfo.blocks}\n`;
-        message += `Original Fitness: ${nodeInfo.fitness.toFixed(2)} (${nodeInfo.fitnessMode || 'N/A'} mode)\n\n`;
+        message += `Original Fitness: ${nodeInfo.fitness.toFixed(2)} (${nodeInfo.fitnessMode || 'N/A'} mode)\n`;
+        if (nodeInfo.course && nodeInfo.course !== this.evolution.course) {
+            message += `Course: ${nodeInfo.course} (now ${this.evolution.course} - its score won't be the target)\n`;
+        }
+        message += `\n`;
         message += `This will:\n`;
         message += `- Stop the current evolution round\n`;
         message += `- Set this creature as the new champion\n`;
@@ -2313,7 +2606,19 @@ class Application {
                     maxBlocks: parseInt(document.getElementById('max-blocks-input').value) || 0,
                     roundDuration: parseInt(document.getElementById('round-duration-input').value) || 60,
                     randomBlocks: document.getElementById('random-blocks-checkbox').checked,
-                    limbGen: document.getElementById('limb-gen-checkbox').checked
+                    limbGen: document.getElementById('limb-gen-checkbox').checked,
+                    selectionMethod: document.getElementById('selection-method').value,
+                    parentCount: parseInt(document.getElementById('parents-input').value) || 3,
+                    structuralRate: (parseInt(document.getElementById('structural-input').value) || 0) / 100,
+                    controllerType: document.getElementById('controller-type').value,
+                    blockShapes: document.getElementById('block-shapes').value,
+                    jointTypes: document.getElementById('joint-types').value,
+                    bodySymmetry: document.getElementById('body-symmetry').value,
+                    terrain: document.getElementById('terrain-preset').value,
+                    terrainSeed: parseInt(document.getElementById('terrain-seed-input').value) || 1,
+                    water: document.getElementById('water-preset').value,
+                    course: this.getSelectedCourse().toJSON(),
+                    runSeed: this.evolution.runSeed
                 }
             };
             
@@ -2436,6 +2741,21 @@ class Application {
                     document.getElementById('round-duration-input').value = fullState.ui.roundDuration || 60;
                     document.getElementById('random-blocks-checkbox').checked = fullState.ui.randomBlocks || false;
                     document.getElementById('limb-gen-checkbox').checked = fullState.ui.limbGen || false;
+                    document.getElementById('selection-method').value = fullState.ui.selectionMethod || 'champion';
+                    document.getElementById('parents-input').value = fullState.ui.parentCount || 3;
+                    document.getElementById('structural-input').value = Math.round(this.evolution.structuralMutationRate * 100);
+                    document.getElementById('controller-type').value = fullState.ui.controllerType || 'actions';
+                    document.getElementById('block-shapes').value = fullState.ui.blockShapes || 'cubes';
+                    document.getElementById('joint-types').value = fullState.ui.jointTypes || 'hinges';
+                    document.getElementById('body-symmetry').value = fullState.ui.bodySymmetry || 'off';
+                    document.getElementById('run-seed-input').value = fullState.ui.runSeed !== undefined ? fullState.ui.runSeed : '';
+                    document.getElementById('terrain-preset').value = fullState.ui.terrain || 'flat';
+                    document.getElementById('terrain-seed-input').value = fullState.ui.terrainSeed || 1;
+                    // Loaded creatures are spawned right below, so they need the ground now
+                    this.simulation.setTerrain(fullState.ui.terrain || 'flat', fullState.ui.terrainSeed || 1);
+                    document.getElementById('water-preset').value = fullState.ui.water || 'dry';
+                    this.simulation.setWater(fullState.ui.water || 'dry');
+                    this.restoreCourseSelection(fullState.ui.course);
                 }
                 
                 // Spawn the loaded population into the simulation
@@ -2449,8 +2769,9 @@ class Application {
                     }
                     
                     // Spawn all creatures in the simulation
-                    this.simulation.spawnMultipleCreatures(this.evolution.population);
                     this.simulation.fitnessMode = this.evolution.getActiveMode();
+                    this.simulation.setRoundSeed(this.evolution.getRoundSeed());
+                    this.simulation.spawnMultipleCreatures(this.evolution.population);
                 }
                 
                 // Update all UI elements
@@ -0,0 +1,282 @@
+// neural-controller.js - Evolvable neural network that drives a creature's hinges
+// An alternative to the joints' fixed action lists. With the action-list
+// controller a joint plays the same cyclic dance whatever happens, and sensors
+// can only scale its speed or flip its direction. With the neural controller
+// each hinge is driven by one neuron of a small continuous-time recurrent
+// network (CTRNN) that reads the sensor channels and the joint angles every
+// physics step, so creatures can evolve behaviour that reacts to the world.
+// A neuron has one weight per sensor TYPE and reads the mean of that type's
+// sensor blocks. Sensors on odd faces are sign-flipped, so a left and a right
+// light sensor average to their difference - a ready-made steering signal.
+//
+// Genes live in the DNA extension "~N" (see splitDNA in creature.js), one gene
+// per block after block 0, in block order, separated by dots:
+//
+//   A85F3C01-00B00S0V00C12M34X00-01B00S1V2AC34M56X00~N8A40C2...
+//
+// Each gene belongs to the block whose joint its neuron drives, and its
+// connections are relative (own joint, parent joint, child joints), so a gene
+// keeps its meaning when the block is renumbered, moved or grafted onto
+// another body by crossover.
+//
+// Gene layout - one byte (2 hex digits) per field:
+//   tau          time constant, 0.05 - 1.0 seconds
+//   bias         -2 to +2
+//   self         recurrent weight from the neuron's own output
+//   parent       weight from the parent joint's neuron
+//   children     weight from the mean of the child joints' neurons
+//   angle        weight from this hinge's angle
+//   parentAngle  weight from the parent hinge's angle
+//   then one weight per sensor type, in special code order (gravity, light, ...)
+// Weights map 00-FF to -4..+4 with 80 = 0. Missing trailing bytes read as 80,
+// so genes written before a sensor type existed simply ignore it.
+
+// ============================================================================
+// GENE LAYOUT
+// ============================================================================
+
+// Fixed fields at the start of every gene, before the sensor weights
+const NEURAL_GENE_FIELDS = ['tau', 'bias', 'self', 'parent', 'children', 'angle', 'parentAngle'];
+
+// Sensor channels a neuron can read, in special code order (code 1 first)
+const NEURAL_SENSOR_CHANNELS = Object.keys(SPECIAL_TYPE_NAMES)
+    .map(Number)
+    .filter(code => code > 0)
+    .sort((a, b) => a - b)
+    .map(code => SPECIAL_TYPE_NAMES[code]);
+
+// Bytes in a complete gene
+const NEURAL_GENE_LENGTH = NEURAL_GENE_FIELDS.length + NEURAL_SENSOR_CHANNELS.length;
+
+// Byte that decodes to a zero weight (and a missing field's value)
+const NEURAL_GENE_NEUTRAL = 0x80;
+
+const NEURAL_TAU_MIN = 0.05;        // Seconds - keeps Euler steps of 1/60 s stable
+const NEURAL_TAU_MAX = 1.0;
+const NEURAL_BIAS_RANGE = 2.0;
+const NEURAL_WEIGHT_RANGE = 4.0;
+
+// A neuron output of +/-1 turns into this rotation per step - the top of the
+// range the action lists use, so both controllers move at comparable speeds
+const NEURAL_MAX_ROTATION_SPEED = 0.35;
+
+// Largest change a single gene mutation makes to one byte
+const NEURAL_MUTATION_STEP = 32;
+
+// Default chance that each gene byte mutates (EvolutionManager.neuralMutationRate)
+const NEURAL_DEFAULT_MUTATION_RATE = 0.05;
+
+// ============================================================================
+// GENE HELPERS
+// ============================================================================
+
+/**
+ * Read a gene's bytes, padding missing fields with the neutral byte
+ * @param {string} gene - Hex gene string (may be empty or short)
+ * @returns {number[]} NEURAL_GENE_LENGTH bytes
+ */
+function neuralGeneToBytes(gene) {
+    const bytes = [];
+    for (let i = 0; i < NEURAL_GENE_LENGTH; i++) {
+        const pair = (gene || '').slice(i * 2, i * 2 + 2);
+        bytes.push(pair.length === 2 ? fromHex(pair) : NEURAL_GENE_NEUTRAL);
+    }
+    return bytes;
+}
+
+/**
+ * Write bytes back into a gene string
+ * @param {number[]} bytes - Gene bytes (0-255)
+ * @returns {string} Hex gene string
+ */
+function neuralBytesToGene(bytes) {
+    return bytes.map(b => toHex(b, 2)).join('');
+}
+
+/**
+ * Decode a gene into the neuron's parameters
+ * @param {string} gene - Hex gene string
+ * @returns {Object} {tau, bias, self, parent, children, angle, parentAngle, sensors: number[]}
+ */
+function decodeNeuralGene(gene) {
+    const bytes = neuralGeneToBytes(gene);
+    const weight = (b) => (b - NEURAL_GENE_NEUTRAL) / NEURAL_GENE_NEUTRAL * NEURAL_WEIGHT_RANGE;
+
+    return {
+        tau: NEURAL_TAU_MIN + (bytes[0] / 255) * (NEURAL_TAU_MAX - NEURAL_TAU_MIN),
+        bias: (bytes[1] - NEURAL_GENE_NEUTRAL) / NEURAL_GENE_NEUTRAL * NEURAL_BIAS_RANGE,
+        self: weight(bytes[2]),
+        parent: weight(bytes[3]),
+        children: weight(bytes[4]),
+        angle: weight(bytes[5]),
+        parentAngle: weight(bytes[6]),
+        sensors: bytes.slice(NEURAL_GENE_FIELDS.length).map(weight)
+    };
+}
+
+/**
+ * Generate a fresh random gene
+ * Every fixed field gets a random byte; each sensor weight is only switched
+ * on 40% of the time (like influence responses), so new neurons start out
+ * listening to a few senses rather than all of them.
+ *
+ * @param {SeededRandom} rng - Random number generator
+ * @returns {string} Hex gene string
+ */
+function generateNeuralGene(rng) {
+    const bytes = [];
+    for (let i = 0; i < NEURAL_GENE_FIELDS.length; i++) {
+        bytes.push(rng.randomInt(0, 256));
+    }
+    for (let i = 0; i < NEURAL_SENSOR_CHANNELS.length; i++) {
+        bytes.push(rng.random() < 0.4 ? rng.randomInt(0, 256) : NEURAL_GENE_NEUTRAL);
+    }
+    return neuralBytesToGene(bytes);
+}
+
+/**
+ * Generate the gene for a block deterministically from its DNA prefix,
+ * the same way its action list is generated (generateActionsFromDNA)
+ *
+ * @param {string} bodyDNA - Creature DNA without extensions
+ * @param {number} blockIndex - Block whose joint the neuron drives
+ * @param {number} variation - The block's variation field
+ * @returns {string} Hex gene string
+ */
+function generateNeuralGeneFromDNA(bodyDNA, blockIndex, variation = 0) {
+    // Different seed offset from actions and influence responses
+    let seed = dnaToSeed(getDNAForBlock(bodyDNA, blockIndex) + 'neural');
+    seed = ((seed ^ (variation * 16777259)) >>> 0);
+    return generateNeuralGene(new SeededRandom(seed));
+}
+
+/**
+ * Mutate a gene: each byte has `rate` chance of moving by up to
+ * NEURAL_MUTATION_STEP. All draws come from the caller's RNG, so a run seed
+ * replays the same mutations.
+ *
+ * @param {string} gene - Hex gene string
+ * @param {SeededRandom|RunRandom} rng - Random source
+ * @param {number} rate - Per-byte mutation probability (0-1)
+ * @returns {string} Mutated gene (always full length)
+ */
+function mutateNeuralGene(gene, rng, rate) {
+    const bytes = neuralGeneToBytes(gene);
+    for (let i = 0; i < bytes.length; i++) {
+        if (rng.random() < rate) {
+            const delta = rng.randomInt(-NEURAL_MUTATION_STEP, NEURAL_MUTATION_STEP + 1);
+            bytes[i] = Math.max(0, Math.min(255, bytes[i] + delta));
+        }
+    }
+    return neuralBytesToGene(bytes);
+}
+
+// ============================================================================
+// NEURAL CONTROLLER
+// ============================================================================
+
+class NeuralController {
+    /**
+     * Build the network for a creature from its blocks' genes.
+     * One neuron per joint, in joint order.
+     *
+     * @param {Creature} creature - Creature whose blocks carry neuralGene strings
+     */
+    constructor(creature) {
+        this.neurons = creature.joints.map(joint => decodeNeuralGene(creature.blocks[joint.blockIndexB]?.neuralGene));
+
+        // Wiring follows the body: a joint's parent neuron drives the joint its block hangs from
+        const jointByBlock = new Map(creature.joints.map((joint, i) => [joint.blockIndexB, i]));
+        this.parentNeuron = creature.joints.map(joint =>
+            jointByBlock.has(joint.blockIndexA) ? jointByBlock.get(joint.blockIndexA) : -1);
+        this.childNeurons = creature.joints.map(() => []);
+        this.parentNeuron.forEach((parent, i) => {
+            if (parent >= 0) this.childNeurons[parent].push(i);
+        });
+
+        // Symmetry copies start part way through their cycle (Joint.phase)
+        this.phases = creature.joints.map(joint => joint.phase || 0);
+
+        this.state = new Array(this.neurons.length).fill(0);
+        this.output = new Array(this.neurons.length).fill(0);
+        this.reset();
+    }
+
+    /**
+     * Clear the network's state - called before every round, like Joint.resetState.
+     * A phase-shifted neuron (a mirrored limb's) starts with its output turned
+     * by its phase, so half a cycle starts it pushing the other way.
+     */
+    reset() {
+        for (let i = 0; i < this.neurons.length; i++) {
+            const rest = Math.tanh(this.neurons[i].bias);
+            if (this.phases[i] > 0) {
+                this.output[i] = Math.max(-0.99, Math.min(0.99, rest * Math.cos(2 * Math.PI * this.phases[i])));
+                this.state[i] = Math.atanh(this.output[i]) - this.neurons[i].bias;
+            } else {
+                this.state[i] = 0;
+                this.output[i] = rest;
+            }
+        }
+    }
+
+    /**
+     * Average each sensor type's channels ('light#2', 'light#5' -> light)
+     * @param {Object} influences - Current channel values {channelName: value}
+     * @returns {number[]} One value per NEURAL_SENSOR_CHANNELS entry
+     */
+    getSensorInputs(influences) {
+        const sums = {};
+        const counts = {};
+        for (const [channel, value] of Object.entries(influences)) {
+            const type = getSensorChannelType(channel);
+            sums[type] = (sums[type] || 0) + value;
+            counts[type] = (counts[type] || 0) + 1;
+        }
+        return NEURAL_SENSOR_CHANNELS.map(type => counts[type] ? sums[type] / counts[type] : 0);
+    }
+    
+    /**
+     * Advance the network one physics step (forward Euler) and return the
+     * motor command for every joint
+     *
+     * @param {Creature} creature - Creature with spawned bodies and current influences
+     * @param {number} deltaTime - Simulated seconds (one physics step)
+     * @returns {number[]} Rotation per step for each joint, in joint order
+     */
+    step(creature, deltaTime) {
+        const sensorValues = this.getSensorInputs(creature.influences || {});
+        const angles = creature.joints.map(joint => getHingeAngle(joint, creature.bodies) / Math.PI);
+
+        // Every neuron reads the previous step's outputs, so update order doesn't matter
+        const previous = this.output.slice();
+        const speeds = [];
+
+        for (let i = 0; i < this.neurons.length; i++) {
+            const n = this.neurons[i];
+            let input = n.self * previous[i] + n.angle * angles[i];
+
+            const parent = this.parentNeuron[i];
+            if (parent >= 0) {
+                input += n.parent * previous[parent] + n.parentAngle * angles[parent];
+            }
+
+            const children = this.childNeurons[i];
+            if (children.length > 0) {
+                let sum = 0;
+                for (const c of children) sum += previous[c];
+                input += n.children * sum / children.length;
+            }
+
+            for (let s = 0; s < sensorValues.length; s++) {
+                input += n.sensors[s] * sensorValues[s];
+            }
+
+            this.state[i] += deltaTime / n.tau * (input - this.state[i]);
+            this.output[i] = Math.tanh(this.state[i] + n.bias);
+            speeds.push(this.output[i] * NEURAL_MAX_ROTATION_SPEED);
+        }
+
+        return speeds;
+    }
+}
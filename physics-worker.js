@@ -0,0 +1,119 @@
+// physics-worker.js - Runs one shard of the population's physics off the main thread
+// Started by PhysicsWorkerPool (worker-pool.js), one copy per worker.
+//
+// Each worker owns its own Cannon world holding a slice of the population and
+// steps it with the exact same helpers as the on-screen Simulation (through a
+// HeadlessEvaluator). Everything that needs the WHOLE population - sudden death
+// ranking, outcast scoring, the crown - stays on the main thread, which is why
+// this worker never eliminates anyone on its own.
+//
+// Messages in (all carry the main thread's roundId):
+//   spawn      {creatures: [{data, position, collisionGroup}], gravityMultiplier, terrain: {preset, seed},
+//               course (Course JSON), coursePositions (every spawn point in the round),
+//               water (preset), foodLayout (see generateFoodLayout, null = no food)}
+//   step       {steps, timeElapsed, maxTime, sendTransforms}
+//   eliminate  {index}   - shard-local creature index
+//   setGravity {multiplier}
+//   clear      {}
+//
+// Message out:
+//   stepped    {roundId, metrics: [...], transforms: Float32Array|null}
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/cannon@0.6.2/build/cannon.min.js',
+    'creature.js',
+    'influence-system.js',
+    'neural-controller.js',
+    'terrain.js',
+    'course.js',
+    'water.js',
+    'headless-evaluator.js',
+    'worker-pool.js'          // Transforms buffer format
+);
+
+const shard = new HeadlessEvaluator();
+let roundId = 0;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'spawn': {
+            roundId = message.roundId;
+            shard.setGravity(message.gravityMultiplier);
+            shard.setTerrain(message.terrain.preset, message.terrain.seed);
+            shard.setCourse(Course.fromJSON(message.course));
+            shard.setWater(message.water || 'dry');
+            shard.setFoodLayout(message.foodLayout || null);
+
+            // Rebuild from the same JSON a save file uses - DNA is authoritative,
+            // so the worker's copy moves exactly like the main thread's would
+            shard.spawnLayout(message.creatures.map(entry => ({
+                creature: Creature.fromJSON(entry.data),
+                position: entry.position,
+                collisionGroup: entry.collisionGroup
+            })), null, message.coursePositions);
+            break;
+        }
+
+        case 'step': {
+            // Always answer - the pool counts replies to know when a batch is done
+            if (message.roundId !== roundId || !shard.world) {
+                self.postMessage({ type: 'stepped', roundId: message.roundId, metrics: [], transforms: null });
+                return;
+            }
+
+            shard.maxTime = message.maxTime;
+            shard.setTimeElapsed(message.timeElapsed);
+
+            const creatures = shard.activeCreatures;
+            const tileCounts = creatures.map(c => c.tilesLit.length);
+            const foodCounts = creatures.map(c => c.foodEaten.length);
+
+            for (let i = 0; i < message.steps; i++) {
+                shard.update();
+            }
+
+            const metrics = creatures.map((c, i) => ({
+                maxDistance: c.maxDistance,
+                maxHeight: c.maxHeight,
+                maxJumpHeight: c.maxJumpHeight,
+                hasLandedAfterSpawn: c.hasLandedAfterSpawn,
+                groundedY: c.groundedY,
+                energyUsed: c.energyUsed,
+                raceProgress: c.raceProgress,
+                raceFinishTime: c.raceFinishTime,
+                raceStalled: c.raceStalled,
+                foodCollected: c.foodCollected,
+                foodTime: c.foodTime,
+                newFood: c.foodEaten.slice(foodCounts[i]),
+                newTiles: c.tilesLit.slice(tileCounts[i]),
+                influences: c.influences,
+                signals: c.joints.map(j => j.processedInfluences)
+            }));
+
+            const transforms = message.sendTransforms ? packCreatureTransforms(creatures) : null;
+            self.postMessage(
+                { type: 'stepped', roundId, metrics, transforms },
+                transforms ? [transforms.buffer] : []
+            );
+            break;
+        }
+
+        case 'eliminate': {
+            if (message.roundId !== roundId) return;
+            const creature = shard.activeCreatures[message.index];
+            if (creature) shard.eliminateCreature(creature);
+            break;
+        }
+
+        case 'setGravity':
+            shard.setGravity(message.multiplier);
+            break;
+
+        case 'clear':
+            shard.removeAllCreatures();
+            break;
+    }
+};
+
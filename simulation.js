@@ -14,16 +14,55 @@ class Simulation {
         this.isPaused = false;
         this.timeElapsed = 0;
         this.maxTime = 60; // Default duration in seconds, configurable via setMaxTime()
-        this.fixedTimeStep = 1.0 / 60.0;
-        this.maxSubSteps = 3;
+        this.fixedTimeStep = PHYSICS_FIXED_TIME_STEP;
+        this.maxSubSteps = PHYSICS_MAX_SUB_STEPS;
+        
+        // Simulation speed ("turbo") - how many simulated seconds pass per real second
+        // 1 = real time, 10 = ten fixed physics steps per frame, Infinity = as fast as possible
+        // Every speed runs the exact same fixed steps, so results don't depend on it
+        this.simulationSpeed = 1;
+        this.stepAccumulator = 0;      // Real time not yet turned into physics steps
+        this.turboFrameBudget = 14;    // ms of physics per frame at "Max" speed (keeps the UI responsive)
+        
+        // Parallel physics - rounds can be split across Web Workers (see worker-pool.js)
+        // The pool is (re)built when a round starts, so changing the count never
+        // interrupts a round in progress
+        this.workerCount = 0;          // 0 = everything runs on the main thread
+        this.workerPool = null;
+        this.workerRoundActive = false; // True when the current round's physics lives in the workers
+        this.workersUnavailable = false; // Set after a worker fails - stay on the main thread
+        this.workerBatchSteps = 30;    // Steps per worker batch at "Max" speed
         
         // Gravity settings - base value is Earth gravity (9.82 m/s^2)
         // Multiplier can be adjusted from 0.1 (10%) to 2.0 (200%)
-        this.baseGravity = 9.82;
+        this.baseGravity = PHYSICS_BASE_GRAVITY;
         this.gravityMultiplier = 1.0;
         
+        // Ground shape - flat, or a heightfield preset (see terrain.js)
+        this.terrain = new Terrain('flat', 1);
+        this.terrainMesh = null;
+        
+        // Obstacle course laid around every spawn point (see course.js)
+        this.course = Course.fromPreset('open');
+        this.courseMesh = null;
+        
+        // Water over the arena or around every spawn point (see water.js)
+        this.water = new Water('dry');
+        this.waterMesh = null;
+        
         this.fitnessMode = 'distance';
         
+        // Race mode (see updateCreatureRaceMetrics in headless-evaluator.js)
+        this.raceDecided = false;      // Everyone has finished or stalled
+        this.raceEndsEarly = true;     // Off for open-ended rounds (lineage, terrarium)
+        this.raceLaneMesh = null;
+        
+        // Forage mode (see generateFoodLayout in headless-evaluator.js)
+        this.roundSeed = 1;            // Picks the round's food layout
+        this.foodLayout = null;
+        this.foodMesh = null;          // One instance per food piece, for every creature
+        this.foodOwners = new Map();   // creature -> index of its first instance
+        
         this.currentCreature = null;
         this.activeCreatures = [];
         this.creatureStartPosition = [0, 3, 0];
@@ -90,7 +129,7 @@ class Simulation {
         this.eliminatedCreatures = new Set();
         this.lastEliminationTime = 0;
         this.eliminationQueue = [];
-        this.isEliminatingCreature = false;
+        this.suddenDeathCooldown = 0.3;  // Simulated seconds between eliminations (explosion time)
         
         this.groundCanvas = null;
         this.groundCtx = null;
@@ -99,7 +138,7 @@ class Simulation {
         this.tileResolution = 2048;
         this.litTiles = new Set();
         
-        this.COLLISION_GROUP_GROUND = 1;
+        this.COLLISION_GROUP_GROUND = COLLISION_GROUP_GROUND;
         this.nextCreatureCollisionGroup = 2;
         
         this.init();
@@ -180,15 +219,15 @@ class Simulation {
         // Create visual sky elements (sun and clouds)
         this.createSkyElements();
         
-        this.world = new CANNON.World();
-        this.world.gravity.set(0, -this.baseGravity * this.gravityMultiplier, 0);
-        this.world.broadphase = new CANNON.NaiveBroadphase();
-        this.world.solver.iterations = 10;
-        this.world.defaultContactMaterial.friction = 0.4;
+        // Physics world setup is shared with the headless evaluator
+        const physics = createPhysicsWorld(this.gravityMultiplier, this.terrain);
+        this.world = physics.world;
+        this.groundBody = physics.groundBody;
         
         this.createGround();
         this.initTileInstances();
         this.createCrownIndicator();
+        this.createSensorRays();
         this.currentBestCreature = null;
         
         this.raycaster = new THREE.Raycaster();
@@ -203,6 +242,7 @@ class Simulation {
         this.renderer.domElement.addEventListener('click', (e) => this.onMouseClick(e), false);
         
         this.visualEffects = new VisualEffects(this.scene);
+        this.visualEffects.groundHeight = (x, z) => getGroundHeight(this.world, x, z);
     }
     
     /**
@@ -493,6 +533,9 @@ class Simulation {
         // Update the physics world gravity
         const gravityValue = -this.baseGravity * this.gravityMultiplier;
         this.world.gravity.set(0, gravityValue, 0);
+        if (this.workerPool) {
+            this.workerPool.setGravity(this.gravityMultiplier);
+        }
         
         // Wake up all physics bodies so they respond to the new gravity
         for (let creature of this.activeCreatures) {
@@ -507,6 +550,54 @@ class Simulation {
         console.log(`Gravity set to ${percentDisplay}% (${Math.abs(gravityValue).toFixed(2)} m/s^2)`);
     }
     
+    /**
+     * Switch the arena's ground to a terrain preset. Takes effect for the next
+     * round, so call it between rounds (the physics workers pick it up when
+     * the round is spawned).
+     * @param {string} preset - Terrain preset (see TERRAIN_PRESETS)
+     * @param {number} seed - Terrain seed
+     */
+    setTerrain(preset, seed) {
+        this.terrain = new Terrain(preset, seed);
+        setWorldTerrain(this.world, this.terrain);
+        this.createTerrainMesh();
+        console.log(`[TERRAIN] Ground set to ${this.terrain.getDescription()}`);
+    }
+    
+    /**
+     * Grow the heightfield if a round's spawn grid reaches past it (the
+     * physics workers do the same from the same spawn points).
+     * @param {Array} positions - Every spawn point of the round, as [x, y, z]
+     */
+    fitTerrainTo(positions) {
+        const terrain = this.terrain.sizedFor(positions);
+        if (terrain === this.terrain) return;
+        this.terrain = terrain;
+        setWorldTerrain(this.world, this.terrain);
+        this.createTerrainMesh();
+    }
+    
+    /**
+     * Switch the obstacle course. Like the terrain it takes effect for the
+     * next round - the course is laid out when creatures are spawned, since
+     * that's when the spawn points are known.
+     * @param {Course} course - Course to lay around every spawn point
+     */
+    setCourse(course) {
+        this.course = course;
+        console.log(`[COURSE] Course set to ${this.course.getDescription()}`);
+    }
+    
+    /**
+     * Switch the water. Like the course it takes effect for the next round -
+     * pools go around the spawn points, which are only known at spawn time.
+     * @param {string} preset - Water preset (see WATER_PRESETS)
+     */
+    setWater(preset) {
+        this.water = new Water(preset);
+        console.log(`[WATER] Water set to ${this.water.getDescription()}`);
+    }
+    
     /**
      * Get current gravity as a percentage (for UI display)
      * @returns {number} Gravity percentage (10-200)
@@ -553,20 +644,12 @@ class Simulation {
         //   progress 0.50 -> angle 90 deg (noon, zenith)
         //   progress 0.80 -> angle 180 deg (sunset, horizon west)
         
-        const sunAngle = ((dayProgress - 0.20) / 0.60) * Math.PI;
-        
-        // Sun orbit parameters
-        const orbitRadius = 300;  // East-west travel distance
-        const maxHeight = 200;    // Peak height at noon
-        const southOffset = 80;   // Sun stays in southern sky
-        
-        // Calculate sun position
-        // Negate X so sun rotates same direction as star spheres (east to west)
-        // sin gives 0 at horizons, 1 at noon for height
-        // cos gives 1 at sunrise, -1 at sunset - negate to match star rotation direction
-        const sunX = -Math.cos(sunAngle) * orbitRadius;
-        const sunY = Math.sin(sunAngle) * maxHeight;
-        const sunZ = southOffset;
+        // Sun orbit math is shared with the headless evaluator (light sensors read it)
+        const sun = calculateSunPosition(dayProgress);
+        const sunAngle = sun.angle;
+        const sunX = sun.x;
+        const sunY = sun.y;
+        const sunZ = sun.z;
         
         // Update directional light position to match sun mesh exactly
         // This ensures shadows are cast from the correct direction
@@ -823,16 +906,272 @@ class Simulation {
         groundMesh.receiveShadow = true;
         this.scene.add(groundMesh);
         
-        const groundBody = new CANNON.Body({ 
-            mass: 0,
-            collisionFilterGroup: this.COLLISION_GROUP_GROUND,
-            collisionFilterMask: 0xFFFFFFFF
+        // Ground physics body was created along with the world (createPhysicsWorld)
+        this.ground = { mesh: groundMesh, body: this.groundBody };
+        this.createTerrainMesh();
+    }
+    
+    /**
+     * Lay the current course around a round's spawn points: its static
+     * bodies go into the world (workers build their own) and its blocks are
+     * drawn as one instanced mesh.
+     * @param {Array} positions - Every spawn point in the round, as [x, y, z]
+     */
+    layOutCourse(positions) {
+        setWorldCourse(this.world, this.course, positions);
+        
+        if (this.courseMesh) {
+            this.scene.remove(this.courseMesh);
+            this.courseMesh.geometry.dispose();
+            this.courseMesh.material.dispose();
+            this.courseMesh = null;
+        }
+        
+        const boxes = [];
+        for (const lane of this.world.courseLanes) boxes.push(...lane.boxes);
+        if (boxes.length === 0) return;
+        
+        this.courseMesh = new THREE.InstancedMesh(
+            new THREE.BoxGeometry(1, 1, 1),
+            new THREE.MeshLambertMaterial({ color: 0x8c8f96 }),
+            boxes.length
+        );
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        boxes.forEach((box, i) => {
+            position.set((box.minX + box.maxX) / 2, (box.bottom + box.top) / 2, (box.minZ + box.maxZ) / 2);
+            scale.set(box.maxX - box.minX, box.top - box.bottom, box.maxZ - box.minZ);
+            this.courseMesh.setMatrixAt(i, matrix.compose(position, rotation, scale));
         });
-        groundBody.addShape(new CANNON.Plane());
-        groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
-        this.world.addBody(groundBody);
+        this.courseMesh.instanceMatrix.needsUpdate = true;
+        this.courseMesh.castShadow = true;
+        this.courseMesh.receiveShadow = true;
+        this.scene.add(this.courseMesh);
+    }
+    
+    /**
+     * Flood the world for a round (workers flood their own) and draw the
+     * water's surface: one translucent plane over the whole arena, or one
+     * per pool.
+     * @param {Array} positions - Every spawn point in the round, as [x, y, z]
+     */
+    layOutWater(positions) {
+        setWorldWater(this.world, this.water, positions);
         
-        this.ground = { mesh: groundMesh, body: groundBody };
+        if (this.waterMesh) {
+            this.scene.remove(this.waterMesh);
+            this.waterMesh.geometry.dispose();
+            this.waterMesh.material.dispose();
+            this.waterMesh = null;
+        }
+        if (!this.world.water) return;
+        
+        const material = new THREE.MeshPhongMaterial({
+            color: 0x2f86c9,
+            specular: 0x99ccff,
+            shininess: 80,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        const water = this.world.water;
+        
+        if (water.isArenaWide()) {
+            this.waterMesh = new THREE.Mesh(new THREE.PlaneGeometry(this.groundSize * 2, this.groundSize * 2), material);
+            this.waterMesh.rotation.x = -Math.PI / 2;
+            this.waterMesh.position.y = water.level;
+        } else {
+            const geometry = new THREE.PlaneGeometry(water.extent * 2, water.extent * 2);
+            geometry.rotateX(-Math.PI / 2);
+            this.waterMesh = new THREE.InstancedMesh(geometry, material, this.world.waterPools.length);
+            const matrix = new THREE.Matrix4();
+            this.world.waterPools.forEach((pool, i) => {
+                this.waterMesh.setMatrixAt(i, matrix.makeTranslation(pool.x, water.level, pool.z));
+            });
+            this.waterMesh.instanceMatrix.needsUpdate = true;
+        }
+        this.scene.add(this.waterMesh);
+    }
+    
+    /**
+     * Paint race lanes on the ground: side lines, a start line through each
+     * spawn point and a checkered finish line RACE_FINISH_DISTANCE along +X.
+     * The lines follow the ground (terrain and course blocks) just above it.
+     * @param {Array} positions - Spawn points as [x, y, z] (empty removes the lanes)
+     */
+    drawRaceLanes(positions) {
+        if (this.raceLaneMesh) {
+            this.scene.remove(this.raceLaneMesh);
+            this.raceLaneMesh.geometry.dispose();
+            this.raceLaneMesh.material.dispose();
+            this.raceLaneMesh = null;
+        }
+        if (positions.length === 0) return;
+        
+        const vertices = [];
+        const colors = [];
+        const white = [1, 1, 1], black = [0.1, 0.1, 0.1];
+        const segment = 0.5;
+        const addLine = (x0, z0, x1, z1, colorAt) => {
+            const count = Math.max(1, Math.ceil(Math.hypot(x1 - x0, z1 - z0) / segment));
+            for (let k = 0; k < count; k++) {
+                for (const t of [k / count, (k + 1) / count]) {
+                    const x = x0 + (x1 - x0) * t, z = z0 + (z1 - z0) * t;
+                    vertices.push(x, getGroundHeight(this.world, x, z) + 0.02, z);
+                    colors.push(...colorAt(k));
+                }
+            }
+        };
+        
+        for (const [x, , z] of positions) {
+            const finishX = x + RACE_FINISH_DISTANCE;
+            addLine(x, z - RACE_LANE_HALF_WIDTH, finishX, z - RACE_LANE_HALF_WIDTH, () => white);
+            addLine(x, z + RACE_LANE_HALF_WIDTH, finishX, z + RACE_LANE_HALF_WIDTH, () => white);
+            addLine(x, z - RACE_LANE_HALF_WIDTH, x, z + RACE_LANE_HALF_WIDTH, () => white);
+            addLine(finishX, z - RACE_LANE_HALF_WIDTH, finishX, z + RACE_LANE_HALF_WIDTH, k => k % 2 ? black : white);
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        this.raceLaneMesh = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+        this.scene.add(this.raceLaneMesh);
+    }
+    
+    /**
+     * Choose the seed the next round's food is laid out from
+     * (see EvolutionManager.getRoundSeed).
+     * @param {number} seed - Round seed
+     */
+    setRoundSeed(seed) {
+        this.roundSeed = seed;
+    }
+    
+    /**
+     * Show every creature's food as small glowing spheres, one instanced
+     * mesh for the lot. Eaten pieces are hidden by scaling their instance to
+     * nothing (see showFoodEaten).
+     * @param {Array} creatures - Creatures whose food was just placed (none removes the food)
+     */
+    drawFood(creatures) {
+        if (this.foodMesh) {
+            this.scene.remove(this.foodMesh);
+            this.foodMesh.geometry.dispose();
+            this.foodMesh.material.dispose();
+            this.foodMesh = null;
+        }
+        this.foodOwners.clear();
+        
+        const total = creatures.reduce((sum, creature) => sum + creature.food.length, 0);
+        if (total === 0) return;
+        
+        const geometry = new THREE.SphereGeometry(FOOD_RADIUS, 12, 8);
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xb8e04a,
+            emissive: 0x4a6a10,
+            roughness: 0.5
+        });
+        this.foodMesh = new THREE.InstancedMesh(geometry, material, total);
+        this.foodMesh.castShadow = true;
+        
+        const matrix = new THREE.Matrix4();
+        let offset = 0;
+        for (const creature of creatures) {
+            this.foodOwners.set(creature, offset);
+            for (const piece of creature.food) {
+                matrix.makeTranslation(piece.x, piece.y, piece.z);
+                this.foodMesh.setMatrixAt(offset++, matrix);
+            }
+        }
+        this.foodMesh.instanceMatrix.needsUpdate = true;
+        this.scene.add(this.foodMesh);
+    }
+    
+    /**
+     * Hide a food piece a creature just ate, with a star burst where it was.
+     * @param {Creature} creature - Creature that ate it
+     * @param {number} index - Index into creature.food
+     * @param {boolean} showEffects - False in turbo mode
+     */
+    showFoodEaten(creature, index, showEffects) {
+        const offset = this.foodOwners.get(creature);
+        if (!this.foodMesh || offset === undefined) return;
+        
+        const piece = creature.food[index];
+        const matrix = new THREE.Matrix4().makeScale(0, 0, 0);
+        this.foodMesh.setMatrixAt(offset + index, matrix);
+        this.foodMesh.instanceMatrix.needsUpdate = true;
+        
+        if (showEffects) {
+            this.visualEffects.spawnStarBurst(new THREE.Vector3(piece.x, piece.y, piece.z), 15);
+        }
+    }
+    
+    /**
+     * Build the visible surface of the current terrain (removing the old one).
+     * Uses the physics heightfield's own grid and triangle split, so what you
+     * see is what the blocks collide with, and the ground plane's texture
+     * mapping, so the grid lines carry on across it.
+     */
+    createTerrainMesh() {
+        if (this.terrainMesh) {
+            this.scene.remove(this.terrainMesh);
+            this.terrainMesh.geometry.dispose();
+            this.terrainMesh.material.dispose();
+            this.terrainMesh = null;
+        }
+        if (this.terrain.isFlat()) return;
+        
+        const data = this.terrain.data;
+        const count = data.length;
+        const size = this.terrain.elementSize;
+        const groundWorldSize = this.groundSize * 2;
+        const positions = new Float32Array(count * count * 3);
+        const uvs = new Float32Array(count * count * 2);
+        const vertex = (i, j) => i * count + j;
+        
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < count; j++) {
+                const x = this.terrain.originX + i * size;
+                const z = this.terrain.originZ - j * size;
+                const v = vertex(i, j);
+                positions[v * 3] = x;
+                positions[v * 3 + 1] = data[i][j];
+                positions[v * 3 + 2] = z;
+                uvs[v * 2] = (x + this.groundSize) / groundWorldSize;
+                uvs[v * 2 + 1] = (this.groundSize - z) / groundWorldSize;
+            }
+        }
+        
+        // Same two triangles per cell as cannon's Heightfield, wound to face up
+        const indices = new Uint32Array((count - 1) * (count - 1) * 6);
+        let n = 0;
+        for (let i = 0; i < count - 1; i++) {
+            for (let j = 0; j < count - 1; j++) {
+                indices[n++] = vertex(i, j);
+                indices[n++] = vertex(i + 1, j);
+                indices[n++] = vertex(i, j + 1);
+                indices[n++] = vertex(i + 1, j + 1);
+                indices[n++] = vertex(i, j + 1);
+                indices[n++] = vertex(i + 1, j);
+            }
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        geometry.computeVertexNormals();
+        
+        this.terrainMesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({
+            map: this.groundTexture,
+            side: THREE.DoubleSide
+        }));
+        this.terrainMesh.receiveShadow = true;
+        this.scene.add(this.terrainMesh);
     }
     
     /**
@@ -897,7 +1236,7 @@ class Simulation {
     }
     
     initTileInstances() {
-        this.tileWorldSize = 0.1;
+        this.tileWorldSize = TILE_WORLD_SIZE;
         // Increased from 100,000 - complex creature movements can easily exceed that
         // especially with area-coverage fitness mode or many creatures
         this.maxTileInstances = 300000;
@@ -941,17 +1280,25 @@ class Simulation {
     lightTile(worldX, worldZ, creature = null) {
         const tileX = Math.floor(worldX / this.tileWorldSize);
         const tileZ = Math.floor(worldZ / this.tileWorldSize);
-        const tileKey = `${tileX},${tileZ}`;
         
         // Track tile for creature (array preserves visitation order)
-        if (creature && creature.tilesLit) {
-            if (!creature.tilesLit.includes(tileKey)) {
-                creature.tilesLit.push(tileKey);
-            }
-        }
+        const tileKey = recordCreatureTile(creature, worldX, worldZ, this.tileWorldSize);
         
+        this.showLitTile(tileKey, tileX, tileZ);
+        return tileKey;
+    }
+    
+    /**
+     * Draw a lit tile on the ground (once - repeat visits are ignored).
+     * Purely visual: the creature's own tile list is kept by recordCreatureTile.
+     * 
+     * @param {string} tileKey - Tile key "x,z"
+     * @param {number} tileX - Tile column
+     * @param {number} tileZ - Tile row
+     */
+    showLitTile(tileKey, tileX, tileZ) {
         if (this.litTiles.has(tileKey)) {
-            return tileKey;
+            return;
         }
         
         this.litTiles.add(tileKey);
@@ -964,13 +1311,14 @@ class Simulation {
                     `New creature paths won't show visual trails until next generation.`);
                 this.tileLimitWarned = true;
             }
-            return tileKey;
+            return;
         }
         
         const tileCenterX = (tileX + 0.5) * this.tileWorldSize;
         const tileCenterZ = (tileZ + 0.5) * this.tileWorldSize;
         
-        this.tileTranslationMatrix.makeTranslation(tileCenterX, 0.03, tileCenterZ);
+        const tileY = getGroundHeight(this.world, tileCenterX, tileCenterZ) + 0.03;
+        this.tileTranslationMatrix.makeTranslation(tileCenterX, tileY, tileCenterZ);
         this.tileMatrix.multiplyMatrices(this.tileTranslationMatrix, this.tileRotationMatrix);
         
         const instanceIndex = this.nextTileIndex;
@@ -981,128 +1329,21 @@ class Simulation {
         this.tileInstanceMesh.instanceMatrix.needsUpdate = true;
         
         this.tileKeyToIndex.set(tileKey, instanceIndex);
-        
-        return tileKey;
     }
     
     updateCreatureTracks(creature) {
         if (!creature || !creature.bodies || !creature.blocks) return;
         
-        const tileSize = this.tileWorldSize;
-        const groundTolerance = 0.03;
-        const sampleSpacing = tileSize / 2;
-        
-        if (!this._samplePoint) {
-            this._samplePoint = new THREE.Vector3();
-            this._trackingQuat = new THREE.Quaternion();
-            this._trackingPos = new THREE.Vector3();
-        }
-        
-        for (let i = 0; i < creature.bodies.length; i++) {
-            const body = creature.bodies[i];
-            const block = creature.blocks[i];
-            
-            if (!body || !block) continue;
-            
-            const halfW = block.size[0] / 2;
-            const halfH = block.size[1] / 2;
-            const halfD = block.size[2] / 2;
-            
-            const maxExtent = Math.sqrt(halfW*halfW + halfH*halfH + halfD*halfD);
-            if (body.position.y > maxExtent + groundTolerance) continue;
-            
-            this._trackingQuat.set(
-                body.quaternion.x,
-                body.quaternion.y,
-                body.quaternion.z,
-                body.quaternion.w
-            );
-            this._trackingPos.set(
-                body.position.x,
-                body.position.y,
-                body.position.z
-            );
-            
-            for (let ly = -halfH; ly <= halfH; ly += sampleSpacing) {
-                for (let lz = -halfD; lz <= halfD; lz += sampleSpacing) {
-                    this._checkGroundContact(-halfW, ly, lz, groundTolerance, creature);
-                }
-            }
-            
-            for (let ly = -halfH; ly <= halfH; ly += sampleSpacing) {
-                for (let lz = -halfD; lz <= halfD; lz += sampleSpacing) {
-                    this._checkGroundContact(halfW, ly, lz, groundTolerance, creature);
-                }
-            }
-            
-            for (let lx = -halfW; lx <= halfW; lx += sampleSpacing) {
-                for (let lz = -halfD; lz <= halfD; lz += sampleSpacing) {
-                    this._checkGroundContact(lx, -halfH, lz, groundTolerance, creature);
-                }
-            }
-            
-            for (let lx = -halfW; lx <= halfW; lx += sampleSpacing) {
-                for (let lz = -halfD; lz <= halfD; lz += sampleSpacing) {
-                    this._checkGroundContact(lx, halfH, lz, groundTolerance, creature);
-                }
-            }
-            
-            for (let lx = -halfW; lx <= halfW; lx += sampleSpacing) {
-                for (let ly = -halfH; ly <= halfH; ly += sampleSpacing) {
-                    this._checkGroundContact(lx, ly, -halfD, groundTolerance, creature);
-                }
-            }
-            
-            for (let lx = -halfW; lx <= halfW; lx += sampleSpacing) {
-                for (let ly = -halfH; ly <= halfH; ly += sampleSpacing) {
-                    this._checkGroundContact(lx, ly, halfD, groundTolerance, creature);
-                }
-            }
-        }
+        // Face sampling is shared with the headless evaluator so tile counts match
+        sampleCreatureGroundContacts(creature, this.tileWorldSize, (x, z) => {
+            this.lightTile(x, z, creature);
+        });
         
         this.updateCreatureJumpTracking(creature);
     }
     
-    _checkGroundContact(lx, ly, lz, tolerance, creature) {
-        this._samplePoint.set(lx, ly, lz);
-        this._samplePoint.applyQuaternion(this._trackingQuat);
-        this._samplePoint.add(this._trackingPos);
-        
-        if (this._samplePoint.y <= tolerance && this._samplePoint.y >= -tolerance) {
-            this.lightTile(this._samplePoint.x, this._samplePoint.z, creature);
-        }
-    }
-    
     updateCreatureJumpTracking(creature) {
-        if (!creature || !creature.bodies || creature.bodies.length === 0) return;
-        
-        let lowestY = Infinity;
-        for (let body of creature.bodies) {
-            lowestY = Math.min(lowestY, body.position.y);
-        }
-        
-        const groundThreshold = 0.7;
-        const isGrounded = lowestY < groundThreshold;
-        
-        if (!creature.hasLandedAfterSpawn && isGrounded) {
-            creature.hasLandedAfterSpawn = true;
-            creature.groundedY = lowestY;
-            creature.maxJumpHeight = 0;
-        }
-        
-        if (creature.hasLandedAfterSpawn) {
-            let comY = 0;
-            for (let body of creature.bodies) {
-                comY += body.position.y;
-            }
-            comY /= creature.bodies.length;
-            
-            const heightAboveGround = comY - creature.groundedY;
-            
-            if (!isGrounded && heightAboveGround > 0) {
-                creature.maxJumpHeight = Math.max(creature.maxJumpHeight, heightAboveGround);
-            }
-        }
+        updateCreatureJumpMetrics(creature);
     }
     
     clearTracks() {
@@ -1201,6 +1442,69 @@ class Simulation {
         }
     }
     
+    createSensorRays() {
+        // Range finder rays of the selected creature - one pooled line per sensor
+        this.sensorRayGroup = new THREE.Group();
+        this.sensorRayHitMaterial = new THREE.LineBasicMaterial({ color: INFLUENCE_TYPES.range.color });
+        this.sensorRayMissMaterial = new THREE.LineBasicMaterial({
+            color: INFLUENCE_TYPES.range.color, transparent: true, opacity: 0.25
+        });
+        this.sensorRayGroup.visible = false;
+        this.scene.add(this.sensorRayGroup);
+    }
+    
+    /**
+     * Draw what the selected creature's range finders see: a line from each
+     * sensor's face along its forward axis, ending where the ray hit - or a
+     * faint line over the full range when nothing is in range.
+     * Rebuilt from the influences rather than re-casting the ray, so it works
+     * the same whether the creature's physics runs here or in a worker.
+     */
+    updateSensorRays() {
+        const creature = this.selectedCreature;
+        const providers = (creature && creature.bodies && creature.bodies.length > 0 && creature.influenceProviders)
+            ? creature.influenceProviders.filter(p => p.type === 'range')
+            : [];
+        
+        this.sensorRayGroup.visible = providers.length > 0;
+        if (providers.length === 0) return;
+        
+        while (this.sensorRayGroup.children.length < providers.length) {
+            const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+            const line = new THREE.Line(geometry, this.sensorRayMissMaterial);
+            line.frustumCulled = false;  // Endpoints move every frame
+            this.sensorRayGroup.add(line);
+        }
+        
+        this.sensorRayGroup.children.forEach((line, i) => {
+            const provider = providers[i];
+            const body = provider && creature.bodies[provider.blockIndex];
+            const value = provider && creature.influences ? creature.influences[provider.channelName] : undefined;
+            line.visible = !!body && value !== undefined;
+            if (!line.visible) return;
+            
+            // Undo the face flip to get the raw reading back
+            const distance = rangeInfluenceToDistance(value * getSensorFaceSign(creature, provider.blockIndex));
+            const length = distance === null ? INFLUENCE_TYPES.range.maxRange : distance;
+            line.material = distance === null ? this.sensorRayMissMaterial : this.sensorRayHitMaterial;
+            
+            const direction = getRangeFinderDirection(body);
+            const halfDepth = creature.blocks[provider.blockIndex].size[2] / 2;
+            const start = halfDepth;
+            const end = halfDepth + length;
+            const positions = line.geometry.attributes.position;
+            positions.setXYZ(0,
+                body.position.x + direction.x * start,
+                body.position.y + direction.y * start,
+                body.position.z + direction.z * start);
+            positions.setXYZ(1,
+                body.position.x + direction.x * end,
+                body.position.y + direction.y * end,
+                body.position.z + direction.z * end);
+            positions.needsUpdate = true;
+        });
+    }
+    
     /**
      * Calculate outcast fitness for all active creatures.
      * Outcast mode requires population-level analysis - we need to find the average
@@ -1212,114 +1516,33 @@ class Simulation {
      * @returns {Object} Object with bestCreature and worstCreature references
      */
     calculateOutcastFitnessForPopulation(creatures) {
-        if (!creatures || creatures.length === 0) {
-            return { bestCreature: null, worstCreature: null };
-        }
-        
-        // First pass: gather all metrics and find ranges for normalization
-        const metrics = creatures.map(creature => {
-            const tilesCount = creature.tilesLit ? creature.tilesLit.length : 0;
-            return {
-                creature: creature,
-                distance: creature.maxDistance || 0,
-                height: creature.maxHeight || 0,
-                tiles: tilesCount,
-                jump: creature.maxJumpHeight || 0
-            };
-        });
-        
-        // Find max values for normalization (avoid division by zero)
-        const maxDistance = Math.max(0.001, ...metrics.map(m => m.distance));
-        const maxHeight = Math.max(0.001, ...metrics.map(m => m.height));
-        const maxTiles = Math.max(1, ...metrics.map(m => m.tiles));
-        const maxJump = Math.max(0.001, ...metrics.map(m => m.jump));
-        
-        // Calculate population averages (normalized 0-1)
-        let avgDistance = 0, avgHeight = 0, avgTiles = 0, avgJump = 0;
-        for (let m of metrics) {
-            avgDistance += m.distance / maxDistance;
-            avgHeight += m.height / maxHeight;
-            avgTiles += m.tiles / maxTiles;
-            avgJump += m.jump / maxJump;
-        }
-        const count = metrics.length;
-        avgDistance /= count;
-        avgHeight /= count;
-        avgTiles /= count;
-        avgJump /= count;
-        
-        // Second pass: calculate "outcast score" (deviation from average)
-        let bestCreature = null;
-        let worstCreature = null;
-        let bestFitness = -Infinity;
-        let worstFitness = Infinity;
-        
-        for (let m of metrics) {
-            // Normalize this creature's metrics
-            const normDist = m.distance / maxDistance;
-            const normHeight = m.height / maxHeight;
-            const normTiles = m.tiles / maxTiles;
-            const normJump = m.jump / maxJump;
-            
-            // Calculate absolute deviation from average for each metric
-            const devDist = Math.abs(normDist - avgDistance);
-            const devHeight = Math.abs(normHeight - avgHeight);
-            const devTiles = Math.abs(normTiles - avgTiles);
-            const devJump = Math.abs(normJump - avgJump);
-            
-            // Total deviation = outcast score (sum of all deviations)
-            // Scale up for more readable numbers
-            const outcastScore = (devDist + devHeight + devTiles + devJump) * 100;
-            
-            // Store the fitness on the creature
-            m.creature.fitness = outcastScore;
-            
-            // Track best and worst
-            if (outcastScore > bestFitness) {
-                bestFitness = outcastScore;
-                bestCreature = m.creature;
-            }
-            if (outcastScore < worstFitness) {
-                worstFitness = outcastScore;
-                worstCreature = m.creature;
-            }
-        }
-        
-        return { bestCreature, worstCreature };
+        return calculateOutcastFitness(creatures);
     }
     
-    spawnCreature(creature, startPosition = null) {
-        // Calculate the creature's bounding box to find lowest point
-        // This ensures creatures don't spawn intersecting the ground
-        let lowestPoint = Infinity;
-        for (const block of creature.blocks) {
-            // Block's lowest point = block center Y - half of block height
-            const blockBottom = block.position[1] - block.size[1] / 2;
-            if (blockBottom < lowestPoint) {
-                lowestPoint = blockBottom;
-            }
-        }
-        
-        // Calculate spawn height so the lowest block is just above ground
-        // lowestPoint is relative to creature origin, so we need to offset
-        // to make the absolute lowest point sit at groundClearance height
-        const groundClearance = 0.1;
-        const spawnHeight = groundClearance - lowestPoint;
-        
-        // Set start position with calculated Y to keep creature above ground
+    /**
+     * Spawn a creature's physics and meshes.
+     * 
+     * @param {Creature} creature - Creature to spawn
+     * @param {number[]} startPosition - [x, y, z] spawn point (default: arena center)
+     * @param {boolean} physicsInWorker - Real bodies live in a physics worker; only create proxies here
+     * @returns {number} The collision group the creature was given
+     */
+    spawnCreature(creature, startPosition = null, physicsInWorker = false) {
         const basePosition = startPosition ? [...startPosition] : [...this.creatureStartPosition];
-        creature.startPosition = [
-            basePosition[0],
-            spawnHeight,
-            basePosition[2]
-        ];
         
         const creatureGroup = this.nextCreatureCollisionGroup;
         this.nextCreatureCollisionGroup = this.nextCreatureCollisionGroup << 1;
         if (this.nextCreatureCollisionGroup > 0x40000000) this.nextCreatureCollisionGroup = 2;
-        const creatureMask = this.COLLISION_GROUP_GROUND | creatureGroup;
         
-        creature.bodies = [];
+        // Bodies, constraints, spawn height and fitness reset are shared with
+        // the headless evaluator - this method only adds the visuals on top
+        if (physicsInWorker) {
+            prepareCreatureForRound(creature, basePosition, this.terrain, this.world.courseLanes);
+            createProxyBodies(creature);
+        } else {
+            buildCreaturePhysics(this.world, creature, basePosition, creatureGroup);
+        }
+        
         creature.meshes = [];
         
         for (let i = 0; i < creature.blocks.length; i++) {
@@ -1327,10 +1550,7 @@ class Simulation {
             
             const material = this.visualEffects.createBlockMaterial(block.materialType, block.color);
             
-            const mesh = new THREE.Mesh(
-                new THREE.BoxGeometry(block.size[0], block.size[1], block.size[2]),
-                material
-            );
+            const mesh = new THREE.Mesh(this.createBlockGeometry(block), material);
             mesh.castShadow = true;
             mesh.receiveShadow = true;
             mesh.userData.creature = creature;
@@ -1351,86 +1571,84 @@ class Simulation {
                     lastParticleTime: 0
                 });
             }
-            
-            const blockMass = this.visualEffects.getMaterialMass(block.materialType);
-            const body = new CANNON.Body({
-                mass: blockMass,
-                shape: new CANNON.Box(new CANNON.Vec3(block.size[0]/2, block.size[1]/2, block.size[2]/2)),
-                position: new CANNON.Vec3(
-                    creature.startPosition[0] + block.position[0],
-                    creature.startPosition[1] + block.position[1],
-                    creature.startPosition[2] + block.position[2]
-                ),
-                collisionFilterGroup: creatureGroup,
-                collisionFilterMask: creatureMask
-            });
-            this.world.addBody(body);
-            creature.bodies.push(body);
-            
-            body.userData = { prevY: body.position.y, wasGrounded: false };
-        }
-        
-        creature.constraints = [];
-        for (let joint of creature.joints) {
-            const bodyA = creature.bodies[joint.blockIndexA];
-            const bodyB = creature.bodies[joint.blockIndexB];
-            
-            const getPivot = (face) => {
-                switch(face) {
-                    case 0: return new CANNON.Vec3(0.5, 0, 0);
-                    case 1: return new CANNON.Vec3(-0.5, 0, 0);
-                    case 2: return new CANNON.Vec3(0, 0.5, 0);
-                    case 3: return new CANNON.Vec3(0, -0.5, 0);
-                    case 4: return new CANNON.Vec3(0, 0, 0.5);
-                    case 5: return new CANNON.Vec3(0, 0, -0.5);
-                    default: return new CANNON.Vec3(0, 0, 0);
-                }
-            };
-            
-            const getAxis = (axis) => {
-                switch(axis) {
-                    case 'x': return new CANNON.Vec3(1, 0, 0);
-                    case 'y': return new CANNON.Vec3(0, 1, 0);
-                    case 'z': return new CANNON.Vec3(0, 0, 1);
-                    default: return new CANNON.Vec3(1, 0, 0);
-                }
-            };
-            
-            const constraint = new CANNON.HingeConstraint(bodyA, bodyB, {
-                pivotA: getPivot(joint.faceA),
-                axisA: getAxis(joint.axis),
-                pivotB: getPivot(joint.faceB),
-                axisB: getAxis(joint.axis),
-                maxForce: 100
-            });
-            
-            this.world.addConstraint(constraint);
-            creature.constraints.push(constraint);
-            joint.constraint = constraint;
-        }
-        
-        if (creature.resetFitnessTracking) {
-            creature.resetFitnessTracking();
-        } else {
-            creature.maxDistance = 0;
-            creature.maxHeight = 0;
-            creature.tilesLit = [];
-            creature.maxJumpHeight = 0;
-            creature.hasLandedAfterSpawn = false;
-            creature.groundedY = 0;
         }
         
-        // Initialize influence system - find blocks that provide influences
-        creature.influenceProviders = findInfluenceProviders(creature);
-        creature.influences = {};
-        
         // Add visual indicators for influence-providing blocks
+        // (joint senses live in the hinges - their blocks aren't sensors)
         for (const provider of creature.influenceProviders) {
+            if (provider.joint) continue;
             const mesh = creature.meshes[provider.blockIndex];
             if (mesh) {
-                this.addInfluenceBlockVisual(mesh, provider.channelName);
+                const firstChild = mesh.children.length;
+                this.addInfluenceBlockVisual(mesh, provider.type);
+                this.fitInfluenceVisualToBlock(mesh, firstChild, creature.blocks[provider.blockIndex].size);
             }
         }
+        
+        return creatureGroup;
+    }
+    
+    /**
+     * Build the mesh geometry for a block's shape. Three's cylinders and
+     * lathes stand along Y, so they're turned onto the block's long axis.
+     * @param {Block} block - Block with shape, shapeAxis and size
+     * @returns {THREE.BufferGeometry} Geometry centred on the block
+     */
+    createBlockGeometry(block) {
+        const axis = block.shapeAxis;
+        const radius = block.size[(axis + 1) % 3] / 2;
+        const length = block.size[axis];
+        let geometry;
+        
+        switch (block.shape) {
+            case 'sphere':
+                return new THREE.SphereGeometry(radius, 16, 12);
+            case 'cylinder':
+                geometry = new THREE.CylinderGeometry(radius, radius, length, 16);
+                break;
+            case 'capsule': {
+                // Profile of a half capsule, swept round the Y axis
+                const core = Math.max(0, length / 2 - radius);
+                const points = [];
+                const segments = 6;
+                for (let i = 0; i <= segments; i++) {
+                    const angle = -Math.PI / 2 + (i / segments) * (Math.PI / 2);
+                    points.push(new THREE.Vector2(radius * Math.cos(angle), -core + radius * Math.sin(angle)));
+                }
+                for (let i = 0; i <= segments; i++) {
+                    const angle = (i / segments) * (Math.PI / 2);
+                    points.push(new THREE.Vector2(radius * Math.cos(angle), core + radius * Math.sin(angle)));
+                }
+                geometry = new THREE.LatheGeometry(points, 16);
+                break;
+            }
+            default:
+                return new THREE.BoxGeometry(block.size[0], block.size[1], block.size[2]);
+        }
+        
+        if (axis === 0) geometry.rotateZ(-Math.PI / 2);
+        if (axis === 2) geometry.rotateX(Math.PI / 2);
+        return geometry;
+    }
+    
+    /**
+     * Sensor decorations are modelled on a unit cube, sitting just outside
+     * its faces at +/-0.5. Move the ones that sit on a face out (or in) to
+     * this block's face so they stay on its surface.
+     * @param {THREE.Mesh} mesh - The block's mesh
+     * @param {number} firstChild - Index of the first decoration in mesh.children
+     * @param {number[]} size - The block's size
+     */
+    fitInfluenceVisualToBlock(mesh, firstChild, size) {
+        const axes = ['x', 'y', 'z'];
+        for (let i = firstChild; i < mesh.children.length; i++) {
+            const position = mesh.children[i].position;
+            axes.forEach((axis, k) => {
+                if (Math.abs(position[axis]) >= 0.45) {
+                    position[axis] += Math.sign(position[axis]) * (size[k] / 2 - 0.5);
+                }
+            });
+        }
     }
     
     /**
@@ -1682,10 +1900,11 @@ class Simulation {
         const smoothing = 0.15;
         
         for (const provider of creature.influenceProviders) {
+            if (provider.joint) continue;
             const mesh = creature.meshes[provider.blockIndex];
             if (!mesh || !mesh.userData.isSensor) continue;
             
-            // Get the current sensor output value (-1 to +1)
+            // Get this sensor block's own output value (-1 to +1)
             const sensorValue = creature.influences[provider.channelName] || 0;
             
             // Calculate target glow intensity from the value
@@ -1734,29 +1953,40 @@ class Simulation {
             this.lookAtVelocity.set(0, 0, 0);
         }
         
-        const configGroups = {};
-        for (let c of creatures) {
-            const idx = c.configIndex || 0;
-            if (!configGroups[idx]) configGroups[idx] = [];
-            configGroups[idx].push(c);
-        }
+        // Single creatures (lineage, terrarium) aren't worth a worker round trip
+        const useWorkers = creatures.length > 1 && this.ensureWorkerPool();
+        const workerEntries = [];
         
-        const rowSpacing = 25, colSpacing = 20;
-        const indices = Object.keys(configGroups).map(k => parseInt(k)).sort((a,b) => a-b);
-        const startZ = -((indices.length - 1) * rowSpacing) / 2;
+        // Grid layout (rows = configurations, columns = variants) is shared
+        // with the headless evaluator since spawn positions affect some sensors
+        const layout = computeSpawnLayout(creatures);
+        this.fitTerrainTo(layout.map(entry => entry.position));
+        this.layOutCourse(layout.map(entry => entry.position));
+        this.layOutWater(layout.map(entry => entry.position));
+        this.drawRaceLanes(this.fitnessMode === 'race' ? layout.map(entry => entry.position) : []);
+        this.foodLayout = this.fitnessMode === 'forage' ? generateFoodLayout(this.roundSeed) : null;
+        for (const { creature, position } of layout) {
+            const collisionGroup = this.spawnCreature(creature, position, useWorkers);
+            placeCreatureFood(creature, position, this.foodLayout, this.world);
+            workerEntries.push({ creature, position, collisionGroup });
+        }
+        this.drawFood(creatures);
         
-        for (let row = 0; row < indices.length; row++) {
-            const variants = configGroups[indices[row]];
-            const startX = -((variants.length - 1) * colSpacing) / 2;
-            for (let col = 0; col < variants.length; col++) {
-                this.spawnCreature(variants[col], [startX + col * colSpacing, 3, startZ + row * rowSpacing]);
-            }
+        if (useWorkers) {
+            this.workerPool.spawn(workerEntries, this.gravityMultiplier, this.terrain, this.course, this.water, this.foodLayout);
+            this.workerRoundActive = true;
         }
         
         this.timeElapsed = 0;
+        this.stepAccumulator = 0;
+        this.raceDecided = false;
     }
     
     removeAllCreatures() {
+        if (this.workerRoundActive) {
+            if (this.workerPool) this.workerPool.clear();
+            this.workerRoundActive = false;
+        }
         for (let c of this.activeCreatures || []) this.removeCreature(c);
         this.activeCreatures = [];
         this.selectedCreature = null;
@@ -1785,11 +2015,8 @@ class Simulation {
             this.visualEffects.emissiveBlocks = this.visualEffects.emissiveBlocks.filter(eb => !creature.meshes.includes(eb.mesh));
         }
         for (let m of creature.meshes) { this.scene.remove(m); m.geometry.dispose(); m.material.dispose(); }
-        for (let b of creature.bodies) this.world.removeBody(b);
-        for (let c of creature.constraints) this.world.removeConstraint(c);
         creature.meshes = [];
-        creature.bodies = [];
-        creature.constraints = [];
+        removeCreaturePhysics(this.world, creature);
     }
     
     startCelebration(champion, onComplete) {
@@ -1915,6 +2142,9 @@ class Simulation {
         for (let c of creature.constraints) {
             this.world.removeConstraint(c);
         }
+        if (this.workerRoundActive) {
+            this.workerPool.eliminate(creature);
+        }
         
         creature.meshes = [];
         creature.bodies = [];
@@ -2200,6 +2430,9 @@ class Simulation {
         for (let c of creature.constraints) {
             this.world.removeConstraint(c);
         }
+        if (this.workerRoundActive) {
+            this.workerPool.eliminate(creature);
+        }
         
         creature.meshes = [];
         creature.bodies = [];
@@ -2214,47 +2447,62 @@ class Simulation {
         this.eliminatedCreatures.clear();
         this.eliminationQueue = [];
         this.lastEliminationTime = 0;
-        this.isEliminatingCreature = false;
         this.suddenDeathDebris = [];
     }
     
     updateSuddenDeath() {
-        if (!this.suddenDeathMode || !this.isRunning || this.isPaused || this.isCelebrating) {
+        if (!this.isRunning || this.isPaused || this.isCelebrating) {
             return;
         }
         
-        if (this.timeElapsed < this.suddenDeathStartTime) {
-            return;
+        if (this.isSuddenDeathDue(this.timeElapsed)) {
+            this.eliminateWorstCreature();
         }
-        
-        if (this.isEliminatingCreature) {
-            return;
+    }
+    
+    /**
+     * Would sudden death eliminate someone at this point in the round?
+     * Depends only on the clock and who is already gone, which lets worker
+     * rounds stop a batch exactly on the step where an elimination happens.
+     * 
+     * @param {number} time - Round time (seconds) to check
+     * @returns {boolean} True if the worst creature should be eliminated now
+     */
+    isSuddenDeathDue(time) {
+        if (!this.suddenDeathMode || time < this.suddenDeathStartTime) {
+            return false;
         }
         
-        const aliveCreatures = this.activeCreatures.filter(c => 
-            c && c.bodies && c.bodies.length > 0 && !this.eliminatedCreatures.has(c)
-        );
+        // Wait for the previous explosion - measured in simulated time so the
+        // elimination order is the same at every simulation speed
+        if (this.eliminatedCreatures.size > 0 &&
+            time - this.lastEliminationTime < this.suddenDeathCooldown) {
+            return false;
+        }
         
-        if (aliveCreatures.length <= 1) {
-            return;
+        if (this.getAliveCreatureCount() <= 1) {
+            return false;
         }
         
         const totalCreatures = this.activeCreatures.length;
         const totalToEliminate = Math.floor(totalCreatures * this.suddenDeathPercent);
         
         const eliminationWindow = this.maxTime - this.suddenDeathStartTime;
-        const timeIntoWindow = this.timeElapsed - this.suddenDeathStartTime;
+        const timeIntoWindow = time - this.suddenDeathStartTime;
         const progress = Math.min(1, timeIntoWindow / eliminationWindow);
         const shouldHaveEliminated = Math.floor(totalToEliminate * progress);
         
-        const currentlyEliminated = this.eliminatedCreatures.size;
-        if (currentlyEliminated >= shouldHaveEliminated) {
-            return;
-        }
-        
-        if (aliveCreatures.length <= 1) {
-            return;
-        }
+        return this.eliminatedCreatures.size < shouldHaveEliminated;
+    }
+    
+    /**
+     * Rank every creature still in the round and eliminate the worst one.
+     * Always runs on the main thread so it sees the whole population.
+     */
+    eliminateWorstCreature() {
+        const aliveCreatures = this.activeCreatures.filter(c => 
+            c && c.bodies && c.bodies.length > 0 && !this.eliminatedCreatures.has(c)
+        );
         
         // Calculate fitness for all alive creatures
         // Outcast mode requires population-level analysis
@@ -2282,14 +2530,16 @@ class Simulation {
         }
         
         this.eliminatedCreatures.add(creature);
-        this.isEliminatingCreature = true;
         this.lastEliminationTime = this.timeElapsed;
         
         const center = this.getCreatureCenterOfMass(creature);
         
-        this.visualEffects.spawnFireworkBurst(center, new THREE.Color(0xff4400), 60);
-        this.visualEffects.spawnDustParticles(center, 2.5);
-        this.visualEffects.spawnEnergyRing(center, new THREE.Color(0xff6600));
+        // Skip the burst particles in turbo mode (the debris still flies off)
+        if (!this.isTurbo()) {
+            this.visualEffects.spawnFireworkBurst(center, new THREE.Color(0xff4400), 60);
+            this.visualEffects.spawnDustParticles(center, 2.5);
+            this.visualEffects.spawnEnergyRing(center, new THREE.Color(0xff6600));
+        }
         
         if (creature.meshes) {
             this.visualEffects.emissiveBlocks = this.visualEffects.emissiveBlocks.filter(eb => !creature.meshes.includes(eb.mesh));
@@ -2338,6 +2588,9 @@ class Simulation {
         for (let c of creature.constraints) {
             this.world.removeConstraint(c);
         }
+        if (this.workerRoundActive) {
+            this.workerPool.eliminate(creature);
+        }
         
         creature.meshes = [];
         creature.bodies = [];
@@ -2346,10 +2599,6 @@ class Simulation {
         if (this.selectedCreature === creature) {
             this.deselectCreature();
         }
-        
-        setTimeout(() => {
-            this.isEliminatingCreature = false;
-        }, 300);
     }
     
     updateSuddenDeathDebris(deltaTime) {
@@ -2381,8 +2630,9 @@ class Simulation {
             debris.mesh.rotation.y += debris.angularVelocity.y * deltaTime;
             debris.mesh.rotation.z += debris.angularVelocity.z * deltaTime;
             
-            if (debris.mesh.position.y < 0.5) {
-                debris.mesh.position.y = 0.5;
+            const debrisFloor = getGroundHeight(this.world, debris.mesh.position.x, debris.mesh.position.z) + 0.5;
+            if (debris.mesh.position.y < debrisFloor) {
+                debris.mesh.position.y = debrisFloor;
                 debris.velocity.y = Math.abs(debris.velocity.y) * 0.3;
                 debris.velocity.x *= 0.7;
                 debris.velocity.z *= 0.7;
@@ -2726,8 +2976,9 @@ class Simulation {
                 
                 debris.velocity.y += gravity * deltaTime;
                 
-                if (debris.mesh.position.y < 0.5) {
-                    debris.mesh.position.y = 0.5;
+                const debrisFloor = getGroundHeight(this.world, debris.mesh.position.x, debris.mesh.position.z) + 0.5;
+                if (debris.mesh.position.y < debrisFloor) {
+                    debris.mesh.position.y = debrisFloor;
                     
                     if (Math.abs(debris.velocity.y) > 3) {
                         this.visualEffects.spawnDustParticles(debris.mesh.position, 1.5);
@@ -3035,9 +3286,19 @@ class Simulation {
         if (this.isCelebrating) {
             this.updateCelebration(deltaTime);
             if (this.spotlightTarget) {
-                this.world.step(this.fixedTimeStep, deltaTime, this.maxSubSteps);
-                this.updateCreature(this.spotlightTarget);
+                if (this.workerRoundActive) {
+                    // The champion's physics still lives in a worker - keep it moving
+                    this.updateWorkerCelebration(deltaTime);
+                } else {
+                    // Fixed steps here too, so joint timers always tick in simulated time
+                    const steps = this.getCelebrationSteps(deltaTime);
+                    for (let i = 0; i < steps; i++) {
+                        this.world.step(this.fixedTimeStep);
+                        this.updateCreature(this.spotlightTarget);
+                    }
+                }
             }
+            this.updateSensorRays();
             this.updateCamera();
             this.visualEffects.updateParticles(deltaTime);
             return;
@@ -3048,27 +3309,47 @@ class Simulation {
         if (!this.isRunning || this.isPaused) {
             // Update camera so user can still pan/rotate/zoom while paused
             this.updateCamera();
+            // Keep showing what the selected creature's range finders see
+            this.updateSensorRays();
             // Keep visual effects animating (particles, glows)
             this.visualEffects.updateParticles(deltaTime);
             this.visualEffects.updateEmissiveGlow();
             return;
         }
         
-        this.world.step(this.fixedTimeStep, deltaTime, this.maxSubSteps);
-        
-        for (let c of this.activeCreatures) this.updateCreature(c);
-        
-        for (let c of this.activeCreatures) this.updateCreatureTracks(c);
+        // Turn this frame's real time into whole fixed physics steps
+        const turbo = this.isTurbo();
+        if (this.workerRoundActive) {
+            // Physics runs in the workers - this only sends the next batch
+            this.updateWorkerRound(deltaTime);
+        } else if (this.simulationSpeed === Infinity) {
+            // "Max" speed: step until this frame's time budget is used up
+            const frameStart = performance.now();
+            while (!this.isTimeUp() && performance.now() - frameStart < this.turboFrameBudget) {
+                this.stepSimulation(false);
+            }
+        } else {
+            this.stepAccumulator += deltaTime * this.simulationSpeed;
+            const maxStepsThisFrame = this.maxSubSteps * this.simulationSpeed;
+            let steps = 0;
+            while (this.stepAccumulator >= this.fixedTimeStep && steps < maxStepsThisFrame && !this.isTimeUp()) {
+                this.stepSimulation(!turbo);
+                this.stepAccumulator -= this.fixedTimeStep;
+                steps++;
+            }
+            // Can't keep up (slow machine or long frame) - drop the backlog
+            // instead of spiralling; the round just takes longer in real time
+            if (steps >= maxStepsThisFrame) {
+                this.stepAccumulator = 0;
+            }
+        }
         
-        this.checkGroundImpacts();
-        this.visualEffects.updateEmissiveGlow();
+        if (!turbo) {
+            this.visualEffects.updateEmissiveGlow();
+        }
         this.visualEffects.updateParticles(deltaTime);
-        
-        this.updateSuddenDeath();
         this.updateSuddenDeathDebris(deltaTime);
         
-        this.timeElapsed += deltaTime;
-        
         // Update day/night cycle
         this.updateDayNightCycle();
         
@@ -3076,10 +3357,259 @@ class Simulation {
         this.updateClouds(deltaTime);
         
         this.updateCrownPosition();
+        this.updateSensorRays();
         this.updateCamera();
     }
     
-    checkGroundImpacts() {
+    /**
+     * Advance the round by exactly one fixed physics step.
+     * This is the only place round time moves forward, which is what makes
+     * results identical at every simulation speed (and in the headless evaluator).
+     * 
+     * @param {boolean} showEffects - Spawn particles and update sensor glow (off in turbo)
+     */
+    stepSimulation(showEffects = true) {
+        this.world.step(this.fixedTimeStep);
+        
+        for (let c of this.activeCreatures) this.updateCreature(c, showEffects);
+        
+        for (let c of this.activeCreatures) this.updateCreatureTracks(c);
+        
+        this.checkGroundImpacts(showEffects);
+        
+        this.updateSuddenDeath();
+        
+        this.timeElapsed += this.fixedTimeStep;
+        this.checkRaceDecided();
+    }
+    
+    /**
+     * Race mode: call the round once every racer has finished or stalled.
+     * Only on RACE_CHECK_STEPS boundaries, which worker batches stop on too,
+     * so the round ends on the same step however it's run.
+     */
+    checkRaceDecided() {
+        if (this.fitnessMode !== 'race' || !this.raceEndsEarly || !isRaceCheckTime(this.timeElapsed)) return;
+        this.raceDecided = isRaceDecided(this.activeCreatures.filter(c => c?.bodies?.length));
+        if (this.raceDecided) {
+            console.log(`[RACE] Everyone has finished or stalled at ${this.timeElapsed.toFixed(1)}s - ending the round`);
+        }
+    }
+    
+    /**
+     * Set how fast rounds run compared to real time.
+     * @param {number} speed - 1 = real time, N = N times faster, Infinity = as fast as possible
+     */
+    setSimulationSpeed(speed) {
+        this.simulationSpeed = speed > 0 ? speed : 1;
+        this.stepAccumulator = 0;
+        const label = this.simulationSpeed === Infinity ? 'max' : `${this.simulationSpeed}x`;
+        console.log(`Simulation speed set to ${label}`);
+    }
+    
+    /**
+     * Fixed steps to run this frame while the champion is celebrating.
+     * Roughly real time; exactness doesn't matter once the round is scored.
+     */
+    getCelebrationSteps(deltaTime) {
+        return Math.min(this.maxSubSteps, Math.max(1, Math.round(deltaTime / this.fixedTimeStep)));
+    }
+    
+    /**
+     * True when running faster than real time (effects and camera smoothing are skipped)
+     */
+    isTurbo() {
+        return this.simulationSpeed !== 1;
+    }
+    
+    // =========================================================================
+    // PARALLEL PHYSICS (WEB WORKERS)
+    // The population is split across a PhysicsWorkerPool. Workers run the
+    // fixed steps and send back metrics + body transforms; this side renders
+    // and makes every decision that needs the whole population.
+    // =========================================================================
+    
+    /**
+     * Set how many physics workers to use. Takes effect from the next round.
+     * @param {number} count - 0 = run physics on the main thread
+     */
+    setWorkerCount(count) {
+        this.workerCount = Math.max(0, Math.floor(count) || 0);
+        this.workersUnavailable = false;
+        console.log(this.workerCount > 0
+            ? `[WORKERS] ${this.workerCount} physics workers from next round`
+            : '[WORKERS] Physics back on the main thread from next round');
+    }
+    
+    /**
+     * Make sure the worker pool matches workerCount before a round starts.
+     * @returns {boolean} True if the round can run in workers
+     */
+    ensureWorkerPool() {
+        if (this.workerPool && this.workerPool.size !== this.workerCount) {
+            this.workerPool.terminate();
+            this.workerPool = null;
+        }
+        
+        if (this.workerCount === 0 || this.workersUnavailable || typeof Worker === 'undefined') {
+            return false;
+        }
+        
+        if (!this.workerPool) {
+            try {
+                this.workerPool = new PhysicsWorkerPool(this.workerCount);
+                this.workerPool.onError = () => this.onWorkerPoolError();
+            } catch (error) {
+                // Browsers block workers on file:// pages - serve the folder over http to use them
+                console.warn('[WORKERS] Could not start physics workers, using the main thread:', error.message);
+                this.workersUnavailable = true;
+                this.workerPool = null;
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * A worker crashed or couldn't load its scripts. Drop the pool and restart
+     * the current round on the main thread so the generation still counts.
+     */
+    onWorkerPoolError() {
+        console.warn('[WORKERS] Falling back to main thread physics');
+        this.workersUnavailable = true;
+        if (this.workerPool) {
+            this.workerPool.terminate();
+            this.workerPool = null;
+        }
+        
+        if (this.workerRoundActive) {
+            this.workerRoundActive = false;
+            if (this.isRunning) {
+                this.spawnMultipleCreatures(this.activeCreatures);
+            }
+        }
+    }
+    
+    /**
+     * Worker round equivalent of the fixed-step loop in update(): turn this
+     * frame's real time into steps and send them to the workers as one batch.
+     * Results arrive a frame or so later in applyWorkerResults.
+     */
+    updateWorkerRound(deltaTime) {
+        let steps;
+        if (this.simulationSpeed === Infinity) {
+            if (this.workerPool.isBusy()) return;
+            steps = this.limitWorkerBatch(this.workerBatchSteps);
+        } else {
+            this.stepAccumulator += deltaTime * this.simulationSpeed;
+            if (this.workerPool.isBusy()) return;
+            
+            const maxStepsThisFrame = this.maxSubSteps * this.simulationSpeed;
+            const wantedSteps = Math.min(Math.floor(this.stepAccumulator / this.fixedTimeStep), maxStepsThisFrame);
+            steps = this.limitWorkerBatch(wantedSteps);
+            this.stepAccumulator -= steps * this.fixedTimeStep;
+            // Same backlog rule as the main thread loop
+            if (wantedSteps >= maxStepsThisFrame) {
+                this.stepAccumulator = 0;
+            }
+        }
+        
+        if (steps <= 0) return;
+        
+        this.workerPool.step(steps, {
+            timeElapsed: this.timeElapsed,
+            maxTime: this.maxTime,
+            sendTransforms: true
+        }, (results) => this.applyWorkerResults(results, steps));
+    }
+    
+    /**
+     * Shorten a batch so it never runs past the end of the round, and ends
+     * exactly on the step where sudden death will eliminate someone - the
+     * main thread has to rank everyone right then, like stepSimulation() does.
+     * Race batches also end on every step the race could be called on.
+     * 
+     * @param {number} steps - Steps wanted
+     * @returns {number} Steps to actually run
+     */
+    limitWorkerBatch(steps) {
+        let time = this.timeElapsed;
+        for (let i = 1; i <= steps; i++) {
+            if (time >= this.maxTime) return i - 1;
+            if (this.isSuddenDeathDue(time)) return i;
+            time += this.fixedTimeStep;
+            if (this.fitnessMode === 'race' && isRaceCheckTime(time)) return i;
+        }
+        return steps;
+    }
+    
+    /**
+     * Take in a finished batch: copy metrics and transforms onto the creatures,
+     * light the new tiles, then advance the round clock (running sudden death
+     * on the batch's last step, which is the only step it could fire on).
+     * 
+     * @param {Array} results - From PhysicsWorkerPool.step
+     * @param {number} steps - Steps the batch ran
+     */
+    applyWorkerResults(results, steps) {
+        const showEffects = !this.isTurbo();
+        
+        for (const { creature, metrics, transforms, offset } of results) {
+            // Eliminated or exploded - nothing left to update
+            if (!creature.bodies || creature.bodies.length === 0) continue;
+            
+            if (transforms) {
+                unpackCreatureTransforms(creature, transforms, offset);
+                this.syncCreatureMeshes(creature);
+            }
+            
+            // Round is over (celebration) - the champion just keeps moving
+            if (!this.isRunning) continue;
+            
+            applyWorkerMetrics(creature, metrics);
+            for (const tileKey of metrics.newTiles) {
+                const [tileX, tileZ] = tileKey.split(',').map(Number);
+                this.showLitTile(tileKey, tileX, tileZ);
+            }
+            for (const index of metrics.newFood) {
+                this.showFoodEaten(creature, index, showEffects);
+            }
+            
+            if (showEffects) {
+                this.updateSensorGlowThrottled(creature);
+            }
+        }
+        
+        if (!this.isRunning) return;
+        
+        this.checkGroundImpacts(showEffects);
+        
+        // Same clock arithmetic as stepSimulation() so sudden death fires at identical times
+        for (let i = 0; i < steps - 1; i++) {
+            this.timeElapsed += this.fixedTimeStep;
+        }
+        if (this.isSuddenDeathDue(this.timeElapsed)) {
+            this.eliminateWorstCreature();
+        }
+        this.timeElapsed += this.fixedTimeStep;
+        this.checkRaceDecided();
+    }
+    
+    /**
+     * Keep the spotlighted champion moving during the celebration of a worker
+     * round - roughly real time, like the main thread celebration step.
+     */
+    updateWorkerCelebration(deltaTime) {
+        if (this.workerPool.isBusy()) return;
+        const steps = this.getCelebrationSteps(deltaTime);
+        this.workerPool.step(steps, {
+            timeElapsed: this.timeElapsed,
+            maxTime: this.maxTime,
+            sendTransforms: true
+        }, (results) => this.applyWorkerResults(results, steps));
+    }
+    
+    checkGroundImpacts(showEffects = true) {
         for (let creature of this.activeCreatures) {
             if (!creature.bodies) continue;
             
@@ -3087,7 +3617,10 @@ class Simulation {
                 const body = creature.bodies[i];
                 if (!body.userData) continue;
                 
-                const currentY = body.position.y;
+                // Heights above the ground under the block (worker proxies
+                // aren't in a world, so ask the arena's world directly)
+                const groundY = getGroundHeight(this.world, body.position.x, body.position.z);
+                const currentY = body.position.y - groundY;
                 const prevY = body.userData.prevY;
                 const velocity = body.velocity;
                 
@@ -3095,13 +3628,13 @@ class Simulation {
                 const isGrounded = currentY <= groundLevel;
                 const wasAbove = prevY > groundLevel;
                 
-                if (isGrounded && wasAbove) {
+                if (showEffects && isGrounded && wasAbove) {
                     const impactVelocity = Math.abs(velocity.y);
                     if (impactVelocity > 1.0) {
                         const intensity = Math.min(3, impactVelocity / 3);
                         const impactPos = new THREE.Vector3(
                             body.position.x,
-                            0.1,
+                            groundY + 0.1,
                             body.position.z
                         );
                         
@@ -3113,10 +3646,10 @@ class Simulation {
                     }
                 }
                 
-                if (isGrounded) {
+                if (showEffects && isGrounded) {
                     const horizontalSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
                     if (horizontalSpeed > 8 && Math.random() < 0.1) {
-                        const sparkPos = new THREE.Vector3(body.position.x, 0.15, body.position.z);
+                        const sparkPos = new THREE.Vector3(body.position.x, groundY + 0.15, body.position.z);
                         this.visualEffects.spawnSparkParticles(sparkPos, new THREE.Color(0xffcc00));
                         this.visualEffects.spawnDustParticles(sparkPos, 0.5);
                     }
@@ -3128,38 +3661,49 @@ class Simulation {
         }
     }
     
-    updateCreature(creature) {
+    updateCreature(creature, showEffects = true) {
         if (!creature?.bodies?.length) return;
         
-        // Update influence channels if creature has any influence providers
-        if (creature.influenceProviders && creature.influenceProviders.length > 0) {
-            const context = this.buildInfluenceContext();
-            creature.influences = updateCreatureInfluences(creature, context);
-            
-            // Update sensor block glow - throttled for performance
-            // Each creature tracks its own last update time
-            // The smoothing in updateSensorGlow makes infrequent updates look continuous
-            const now = performance.now();
-            const lastUpdate = creature.lastSensorGlowUpdate || 0;
-            if (now - lastUpdate > 50) {  // Update roughly 20 times per second
-                creature.lastSensorGlowUpdate = now;
-                this.updateSensorGlow(creature);
-            }
+        // Sensors, joint actions, motors and collision feedback are shared with
+        // the headless evaluator (stepCreatureControl) - everything else here is visual
+        const { collisions, jointDeltas } = stepCreatureControl(creature, this.buildInfluenceContext());
+        
+        if (showEffects) {
+            this.spawnCreatureEffects(creature, collisions, jointDeltas);
         }
         
-        const collisions = this.detectBlockCollisions(creature);
+        this.syncCreatureMeshes(creature);
         
-        for (let joint of creature.joints) {
-            // Pass influences to joint update (will be ignored if joint has no responses)
-            const delta = joint.update(creature.influences);
-            if (joint.constraint) {
-                joint.constraint.enableMotor();
-                joint.constraint.setMotorSpeed(delta * 10);
-                joint.constraint.setMotorMaxForce(50);
-            }
-            
-            let hasCollision = collisions.some(c => c.includes(joint.blockIndexA) || c.includes(joint.blockIndexB));
-            joint.handleFeedback(hasCollision);
+        updateCreatureMotionMetrics(creature);
+        updateCreatureEnergyMetrics(creature);
+        updateCreatureRaceMetrics(creature, this.timeElapsed + this.fixedTimeStep);
+        for (const index of updateCreatureFoodMetrics(creature, this.timeElapsed + this.fixedTimeStep)) {
+            this.showFoodEaten(creature, index, showEffects);
+        }
+        applyCreatureWaterForces(creature, this.world);
+    }
+    
+    /**
+     * Move a creature's meshes to where its bodies are.
+     */
+    syncCreatureMeshes(creature) {
+        for (let i = 0; i < creature.bodies.length; i++) {
+            creature.meshes[i].position.copy(creature.bodies[i].position);
+            creature.meshes[i].quaternion.copy(creature.bodies[i].quaternion);
+        }
+    }
+    
+    /**
+     * Sensor glow, joint sparks and speed trails for one creature.
+     * Purely visual - skipped in turbo mode.
+     */
+    spawnCreatureEffects(creature, collisions, jointDeltas) {
+        this.updateSensorGlowThrottled(creature);
+        
+        for (let j = 0; j < creature.joints.length; j++) {
+            const joint = creature.joints[j];
+            const delta = jointDeltas[j];
+            const hasCollision = collisions.some(c => c.includes(joint.blockIndexA) || c.includes(joint.blockIndexB));
             
             if (hasCollision && Math.random() < 0.35) {
                 const bodyA = creature.bodies[joint.blockIndexA];
@@ -3210,47 +3754,31 @@ class Simulation {
                 this.visualEffects.spawnTrailParticle(trailPos, trailColor, trailVel);
             }
         }
+    }
+    
+    /**
+     * Update sensor block glow - throttled for performance.
+     * Each creature tracks its own last update time; the smoothing in
+     * updateSensorGlow makes infrequent updates look continuous.
+     */
+    updateSensorGlowThrottled(creature) {
+        if (!creature.influenceProviders || creature.influenceProviders.length === 0) return;
         
-        for (let i = 0; i < creature.bodies.length; i++) {
-            creature.meshes[i].position.copy(creature.bodies[i].position);
-            creature.meshes[i].quaternion.copy(creature.bodies[i].quaternion);
+        const now = performance.now();
+        const lastUpdate = creature.lastSensorGlowUpdate || 0;
+        if (now - lastUpdate > 50) {  // Update roughly 20 times per second
+            creature.lastSensorGlowUpdate = now;
+            this.updateSensorGlow(creature);
         }
-        
-        const com = this.getCreatureCenterOfMass(creature);
-        const dx = com.x - creature.startPosition[0];
-        const dz = com.z - creature.startPosition[2];
-        creature.maxDistance = Math.max(creature.maxDistance, Math.sqrt(dx*dx + dz*dz));
-        creature.maxHeight = Math.max(creature.maxHeight, com.y);
     }
     
     detectBlockCollisions(creature) {
-        const collisions = [];
-        const bodies = creature.bodies;
-        if (!bodies || bodies.length < 2) return collisions;
-        
-        for (let i = 0; i < bodies.length; i++) {
-            for (let j = i + 1; j < bodies.length; j++) {
-                const dx = bodies[i].position.x - bodies[j].position.x;
-                const dy = bodies[i].position.y - bodies[j].position.y;
-                const dz = bodies[i].position.z - bodies[j].position.z;
-                const dist = Math.sqrt(dx*dx + dy*dy + dz*dz);
-                
-                const connected = creature.joints.some(jt => 
-                    (jt.blockIndexA === i && jt.blockIndexB === j) ||
-                    (jt.blockIndexA === j && jt.blockIndexB === i)
-                );
-                
-                if (!connected && dist < 1.0) collisions.push([i, j]);
-            }
-        }
-        return collisions;
+        return detectCreatureBlockCollisions(creature);
     }
     
     getCreatureCenterOfMass(creature) {
-        if (!creature?.bodies?.length) return new THREE.Vector3(0, 0, 0);
-        let x = 0, y = 0, z = 0;
-        for (let b of creature.bodies) { x += b.position.x; y += b.position.y; z += b.position.z; }
-        return new THREE.Vector3(x / creature.bodies.length, y / creature.bodies.length, z / creature.bodies.length);
+        const com = computeCreatureCenterOfMass(creature);
+        return new THREE.Vector3(com.x, com.y, com.z);
     }
     
     /**
@@ -3259,35 +3787,23 @@ class Simulation {
      * @returns {Object} Context with sunDirection, dayProgress, simulationTime, etc.
      */
     buildInfluenceContext() {
-        const context = {};
-        
-        // Sun direction (normalized) for light sensors
-        if (this.sunLight) {
-            const pos = this.sunLight.position;
-            const length = Math.sqrt(pos.x * pos.x + pos.y * pos.y + pos.z * pos.z);
-            if (length > 0) {
-                context.sunDirection = {
-                    x: pos.x / length,
-                    y: pos.y / length,
-                    z: pos.z / length
-                };
-            }
-        }
-        
-        // Day progress (0 to 1) for potential time-based influences
-        context.dayProgress = this.maxTime > 0 ? this.timeElapsed / this.maxTime : 0;
-        
-        // Simulation time in seconds for oscillator/rhythm sensors
-        context.simulationTime = this.timeElapsed;
-        
-        // Add more context here as needed for future influence types
-        // context.temperature = ...
-        // context.windDirection = ...
-        
-        return context;
+        // Sun position is computed from the step's own time rather than read from
+        // the light, which only moves once per frame (several steps in turbo mode)
+        const dayProgress = this.overrideDayProgress >= 0
+            ? this.overrideDayProgress
+            : this.timeElapsed / this.maxTime;
+        return buildInfluenceContextFor(
+            calculateSunPosition(dayProgress),
+            this.timeElapsed,
+            this.maxTime
+        );
     }
     
     smoothDamp(current, target, velocity, smoothTime, deltaTime) {
+        // Turbo mode: creatures move too fast for smoothing to keep up - just snap
+        if (this.isTurbo() && this.isRunning) {
+            return { value: target, velocity: 0 };
+        }
         const omega = 2.0 / smoothTime;
         const x = omega * deltaTime;
         const exp = 1.0 / (1.0 + x + 0.48 * x * x + 0.235 * x * x * x);
@@ -3689,7 +4205,7 @@ class Simulation {
     pause() { this.isPaused = true; }
     resume() { this.isPaused = false; }
     stop() { this.isRunning = false; this.isPaused = false; }
-    isTimeUp() { return this.timeElapsed >= this.maxTime; }
+    isTimeUp() { return this.timeElapsed >= this.maxTime || this.raceDecided; }
     getRemainingTime() { return Math.max(0, this.maxTime - this.timeElapsed); }
     
     setCameraMode(mode) {
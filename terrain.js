@@ -0,0 +1,327 @@
+// terrain.js - Procedural ground for the arena
+// The arena used to be a single infinite plane at y = 0. A terrain adds a
+// CANNON.Heightfield on top of that plane, generated from a preset (hills,
+// rubble, a ramp...) and a terrain seed, so the same preset and seed always
+// give the same ground.
+//
+// Every preset repeats on a tile of TERRAIN_TILE_X x TERRAIN_TILE_Z - half the
+// spawn grid spacing in computeSpawnLayout (headless-evaluator.js). Spawn
+// points are always a whole number of tiles apart, so every creature in a
+// round starts on exactly the same patch of ground, and only its body and
+// brain decide how it copes.
+//
+// Anything that used to assume the ground is at y = 0 (tile lighting, jump
+// tracking, the ground sensor, landing dust) asks getGroundHeight() instead.
+// That includes the tops of obstacle course blocks (see course.js).
+// Flat terrain adds no body at all, so flat rounds are exactly what they were.
+//
+// The heightfield is TERRAIN_HALF_SIZE each way from the centre unless a
+// round's spawn grid needs more: many configurations (plus crossover children
+// and structural mutants) add rows 25 units apart, so spawnLayout sizes it
+// from the spawn points first (see sizedFor).
+
+// ============================================================================
+// TERRAIN CONSTANTS
+// ============================================================================
+
+const TERRAIN_TILE_X = 10;          // Pattern repeat along X (half the spawn column spacing)
+const TERRAIN_TILE_Z = 12.5;        // Pattern repeat along Z (half the spawn row spacing)
+const TERRAIN_HALF_SIZE = 150;      // Smallest heightfield: covers -150..150 on X and Z
+const TERRAIN_EDGE_FADE = 10;       // Last 10 units fade down to the plane, so there's no cliff at the edge
+const TERRAIN_SPAWN_MARGIN = 50;    // Full-height ground kept past the outermost spawn point
+const TERRAIN_SIZE_STEP = 50;       // Bigger heightfields grow in steps of this, so one extra row rarely rebuilds it
+// Every height is lifted this far above the plane underneath, which would
+// otherwise add a second set of contacts wherever the terrain is at zero
+const TERRAIN_BASE_HEIGHT = 0.05;
+// Collision group of everything creatures stand on - the plane, the terrain
+// and course blocks. Each creature gets a group of its own (see spawnLayout).
+const COLLISION_GROUP_GROUND = 1;
+
+/**
+ * Terrain presets. elementSize is the heightfield's grid spacing - rubble
+ * needs a fine grid for its small bumps, smooth presets don't.
+ */
+const TERRAIN_PRESETS = {
+    'flat':   { name: 'Flat',         elementSize: 0,   description: 'Level ground everywhere' },
+    'hills':  { name: 'Gentle Hills', elementSize: 1.0, description: 'Rolling hills about a metre high' },
+    'rubble': { name: 'Rough Rubble', elementSize: 0.5, description: 'Lumpy ground strewn with small bumps' },
+    'ramp':   { name: 'Ramp',         elementSize: 1.0, description: 'Each creature starts in a trough between two ramps' }
+};
+
+const TERRAIN_PRESET_NAMES = Object.keys(TERRAIN_PRESETS);
+
+// ============================================================================
+// TERRAIN CLASS
+// ============================================================================
+
+class Terrain {
+    /**
+     * @param {string} preset - Key of TERRAIN_PRESETS (unknown names fall back to 'flat')
+     * @param {number} seed - Terrain seed (flat ignores it)
+     * @param {number} halfSize - Heightfield reach each way from the centre
+     */
+    constructor(preset = 'flat', seed = 1, halfSize = TERRAIN_HALF_SIZE) {
+        if (!TERRAIN_PRESETS[preset]) {
+            console.warn(`[TERRAIN] Unknown terrain preset: ${preset}. Using 'flat'.`);
+            preset = 'flat';
+        }
+        this.preset = preset;
+        this.seed = (parseInt(seed) || 0) >>> 0;
+        this.elementSize = TERRAIN_PRESETS[preset].elementSize;
+        this.halfSize = halfSize;
+
+        // Heightfield corner: data[i][j] is the height at world
+        // (originX + i * elementSize, originZ - j * elementSize)
+        this.originX = -halfSize;
+        this.originZ = halfSize;
+        this.data = null;
+        this.maxHeight = 0;
+        this.shape = null;
+
+        if (!this.isFlat()) {
+            this.generateFeatures(new RunRandom(this.seed));
+            this.buildHeightData();
+        }
+    }
+
+    isFlat() {
+        return this.preset === 'flat';
+    }
+
+    /**
+     * This terrain, or the same ground on a heightfield big enough for a
+     * round's spawn points. Heights depend only on world position, so the
+     * ground only changes where the smaller one faded out at its edge.
+     *
+     * @param {Array} positions - Every spawn point of the round, as [x, y, z]
+     * @returns {Terrain} A terrain whose heightfield reaches past all of them
+     */
+    sizedFor(positions) {
+        if (this.isFlat()) return this;
+        let reach = 0;
+        for (const position of positions) {
+            reach = Math.max(reach, Math.abs(position[0]), Math.abs(position[2]));
+        }
+        const needed = reach + TERRAIN_SPAWN_MARGIN + TERRAIN_EDGE_FADE;
+        if (needed <= this.halfSize) return this;
+        const halfSize = Math.ceil(needed / TERRAIN_SIZE_STEP) * TERRAIN_SIZE_STEP;
+        console.log(`[TERRAIN] Spawn grid reaches ${reach.toFixed(0)} units - heightfield grown to ${halfSize}`);
+        return new Terrain(this.preset, this.seed, halfSize);
+    }
+
+    /**
+     * Roll the preset's random features. Everything random about the terrain
+     * is drawn here, so the seed alone decides the ground.
+     * @param {RunRandom} rng - Seeded with the terrain seed
+     */
+    generateFeatures(rng) {
+        switch (this.preset) {
+            case 'hills':
+                // A few sine waves with whole-number frequencies, so they repeat on the tile
+                this.waves = [];
+                for (let k = 0; k < 3; k++) {
+                    let fx = 0, fz = 0;
+                    while (fx === 0 && fz === 0) {
+                        fx = rng.randomInt(-1, 2);
+                        fz = rng.randomInt(0, 2);
+                    }
+                    this.waves.push({
+                        fx: fx,
+                        fz: fz,
+                        phase: rng.random() * Math.PI * 2,
+                        amplitude: 1 / (1 + k)
+                    });
+                }
+                this.hillHeight = rng.randomFloat(0.8, 1.2);
+                break;
+
+            case 'rubble':
+                // Lumps on a 1.25 grid (smoothly blended), plus grit at every heightfield point
+                this.lumpSpacing = 1.25;
+                this.lumpHeights = this.randomTable(rng, TERRAIN_TILE_X / this.lumpSpacing, TERRAIN_TILE_Z / this.lumpSpacing, 0.25);
+                this.gritHeights = this.randomTable(rng, TERRAIN_TILE_X / this.elementSize, TERRAIN_TILE_Z / this.elementSize, 0.08);
+                break;
+
+            case 'ramp':
+                this.grade = rng.randomFloat(0.12, 0.25);
+                break;
+        }
+    }
+
+    /**
+     * @returns {number[][]} cols x rows table of heights in 0..maxValue
+     */
+    randomTable(rng, cols, rows, maxValue) {
+        const table = [];
+        for (let i = 0; i < Math.round(cols); i++) {
+            const column = [];
+            for (let j = 0; j < Math.round(rows); j++) column.push(rng.random() * maxValue);
+            table.push(column);
+        }
+        return table;
+    }
+
+    /**
+     * The preset's height at a world point, before the base lift and edge fade.
+     * Repeats every TERRAIN_TILE_X / TERRAIN_TILE_Z.
+     */
+    sampleHeight(x, z) {
+        switch (this.preset) {
+            case 'hills': {
+                let sum = 0, total = 0;
+                for (const wave of this.waves) {
+                    const angle = 2 * Math.PI * (wave.fx * x / TERRAIN_TILE_X + wave.fz * z / TERRAIN_TILE_Z) + wave.phase;
+                    sum += wave.amplitude * Math.sin(angle);
+                    total += wave.amplitude;
+                }
+                return this.hillHeight * (0.5 + 0.5 * sum / total);
+            }
+
+            case 'rubble': {
+                const lx = x / this.lumpSpacing, lz = z / this.lumpSpacing;
+                const i = Math.floor(lx), j = Math.floor(lz);
+                // Smoothstep so lumps are rounded, not pyramids
+                const smooth = t => t * t * (3 - 2 * t);
+                const tx = smooth(lx - i), tz = smooth(lz - j);
+                const lump = (a, b) => this.tableValue(this.lumpHeights, a, b);
+                const top = lump(i, j) + (lump(i + 1, j) - lump(i, j)) * tx;
+                const bottom = lump(i, j + 1) + (lump(i + 1, j + 1) - lump(i, j + 1)) * tx;
+                const grit = this.tableValue(this.gritHeights,
+                    Math.round(x / this.elementSize), Math.round(z / this.elementSize));
+                return top + (bottom - top) * tz + grit;
+            }
+
+            case 'ramp': {
+                // Distance from the trough line through the nearest spawn column
+                const offset = x - Math.round(x / TERRAIN_TILE_X) * TERRAIN_TILE_X;
+                return this.grade * Math.abs(offset);
+            }
+
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Look up a repeating table with wrap-around in both directions.
+     */
+    tableValue(table, i, j) {
+        const cols = table.length, rows = table[0].length;
+        return table[((i % cols) + cols) % cols][((j % rows) + rows) % rows];
+    }
+
+    /**
+     * Fill the heightfield data from sampleHeight, lifted by the base height
+     * and faded down to the plane near the edges.
+     */
+    buildHeightData() {
+        const count = Math.round(2 * this.halfSize / this.elementSize) + 1;
+        this.data = [];
+        this.maxHeight = 0;
+        for (let i = 0; i < count; i++) {
+            const column = new Array(count);
+            const x = this.originX + i * this.elementSize;
+            for (let j = 0; j < count; j++) {
+                const z = this.originZ - j * this.elementSize;
+                const edge = this.halfSize - Math.max(Math.abs(x), Math.abs(z));
+                const fade = Math.max(0, Math.min(1, edge / TERRAIN_EDGE_FADE));
+                column[j] = (TERRAIN_BASE_HEIGHT + this.sampleHeight(x, z)) * fade;
+                this.maxHeight = Math.max(this.maxHeight, column[j]);
+            }
+            this.data.push(column);
+        }
+    }
+
+    /**
+     * Heightfield shape for this terrain (built once and shared by every world
+     * that uses it - its collision cache only depends on the heights).
+     * The body holding it must be turned -90 degrees about X and placed at
+     * (originX, 0, originZ); see setWorldTerrain in headless-evaluator.js.
+     * @returns {CANNON.Heightfield|null} null for flat terrain
+     */
+    getShape() {
+        if (this.isFlat()) return null;
+        if (!this.shape) {
+            this.shape = new CANNON.Heightfield(this.data, { elementSize: this.elementSize });
+        }
+        return this.shape;
+    }
+
+    /**
+     * Height of the ground at a world point, on exactly the triangles the
+     * physics collides with. 0 outside the heightfield (the plane).
+     *
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} Ground height
+     */
+    getHeight(x, z) {
+        if (!this.data) return 0;
+        const fx = (x - this.originX) / this.elementSize;
+        const fy = (this.originZ - z) / this.elementSize;
+        const i = Math.floor(fx), j = Math.floor(fy);
+        if (i < 0 || j < 0 || i >= this.data.length - 1 || j >= this.data[0].length - 1) return 0;
+
+        // Each grid cell is two triangles split along its (i+1, j) - (i, j+1)
+        // diagonal, the same way cannon builds its pillars
+        const u = fx - i, v = fy - j;
+        const d = this.data;
+        if (u + v < 1) {
+            return d[i][j] + u * (d[i + 1][j] - d[i][j]) + v * (d[i][j + 1] - d[i][j]);
+        }
+        return d[i + 1][j + 1] + (1 - u) * (d[i][j + 1] - d[i + 1][j + 1]) + (1 - v) * (d[i + 1][j] - d[i + 1][j + 1]);
+    }
+
+    /**
+     * Highest ground anywhere in a rectangle (the highest grid point of every
+     * cell it touches, so never below the true maximum).
+     *
+     * @returns {number} Max ground height in [minX, maxX] x [minZ, maxZ]
+     */
+    getMaxHeightIn(minX, minZ, maxX, maxZ) {
+        if (!this.data) return 0;
+        const last = this.data.length - 1;
+        const clamp = n => Math.max(0, Math.min(last, n));
+        const i0 = clamp(Math.floor((minX - this.originX) / this.elementSize));
+        const i1 = clamp(Math.ceil((maxX - this.originX) / this.elementSize));
+        const j0 = clamp(Math.floor((this.originZ - maxZ) / this.elementSize));
+        const j1 = clamp(Math.ceil((this.originZ - minZ) / this.elementSize));
+        let max = 0;
+        for (let i = i0; i <= i1; i++) {
+            for (let j = j0; j <= j1; j++) max = Math.max(max, this.data[i][j]);
+        }
+        return max;
+    }
+
+    getDescription() {
+        const preset = TERRAIN_PRESETS[this.preset];
+        return this.isFlat() ? preset.name : `${preset.name} (seed ${this.seed})`;
+    }
+}
+
+/**
+ * Height of the ground under a world point in a physics world: its terrain's
+ * height or the top of a course block standing there, whichever is higher.
+ * 0 on flat, open ground (or for a body that isn't in a world).
+ *
+ * @param {CANNON.World} world - World the point is in (may be null)
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number} Ground height
+ */
+function getGroundHeight(world, x, z) {
+    const terrainHeight = world && world.terrain ? world.terrain.getHeight(x, z) : 0;
+    return Math.max(terrainHeight, getCourseHeight(world, x, z));
+}
+
+/**
+ * Highest the ground gets anywhere in a world - nothing above this (plus its
+ * own size) can be touching it.
+ *
+ * @param {CANNON.World} world - Physics world (may be null)
+ * @returns {number} Highest terrain point or course block top
+ */
+function getGroundTop(world) {
+    if (!world) return 0;
+    return Math.max(world.terrain ? world.terrain.maxHeight : 0, world.courseTop || 0);
+}
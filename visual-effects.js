@@ -5,6 +5,10 @@ class VisualEffects {
     constructor(scene) {
         this.scene = scene;
         
+        // Ground height under a point - particles settle on it. The simulation
+        // swaps in its terrain's height; flat ground is 0 everywhere.
+        this.groundHeight = (x, z) => 0;
+        
         // Particle pools
         this.dustParticles = [];
         this.sparkParticles = [];
@@ -37,13 +41,15 @@ class VisualEffects {
     // Material Factory - Creates visually distinct materials with different weights
     createBlockMaterial(materialType, baseColor) {
         const color = new THREE.Color(baseColor);
+        // Shine, highlights and transparency come from the shared material table
+        const props = getMaterialProperties(materialType);
         
         switch(materialType) {
             case 'metal':
                 return new THREE.MeshPhongMaterial({
                     color: this.desaturateColor(color, 0.3),
-                    shininess: 100,
-                    specular: 0x888888,
+                    shininess: props.shininess,
+                    specular: props.specular,
                     reflectivity: 0.9,
                     flatShading: false
                 });
@@ -51,16 +57,16 @@ class VisualEffects {
             case 'plastic':
                 return new THREE.MeshPhongMaterial({
                     color: this.saturateColor(color, 1.2),
-                    shininess: 50,
-                    specular: 0x444444,
+                    shininess: props.shininess,
+                    specular: props.specular,
                     flatShading: false
                 });
                 
             case 'ceramic':
                 return new THREE.MeshPhongMaterial({
                     color: this.lightenColor(color, 1.1),
-                    shininess: 20,
-                    specular: 0x222222,
+                    shininess: props.shininess,
+                    specular: props.specular,
                     flatShading: false
                 });
                 
@@ -75,9 +81,9 @@ class VisualEffects {
                 return new THREE.MeshPhongMaterial({
                     color: color,
                     transparent: true,
-                    opacity: 0.6,
-                    shininess: 100,
-                    specular: 0xffffff,
+                    opacity: props.opacity,
+                    shininess: props.shininess,
+                    specular: props.specular,
                     side: THREE.DoubleSide,
                     depthWrite: false
                 });
@@ -87,8 +93,8 @@ class VisualEffects {
                     color: color,
                     emissive: color,
                     emissiveIntensity: 0.6,
-                    shininess: 30,
-                    specular: 0x333333
+                    shininess: props.shininess,
+                    specular: props.specular
                 });
                 
             case 'rubber':
@@ -100,10 +106,10 @@ class VisualEffects {
             case 'crystal':
                 return new THREE.MeshPhongMaterial({
                     color: this.saturateColor(color, 1.5),
-                    shininess: 150,
-                    specular: 0xffffff,
+                    shininess: props.shininess,
+                    specular: props.specular,
                     transparent: true,
-                    opacity: 0.85,
+                    opacity: props.opacity,
                     flatShading: true
                 });
                 
@@ -115,13 +121,9 @@ class VisualEffects {
         }
     }
     
-    // Material mass multipliers - affects physics behavior
+    // Material mass multipliers - affects physics behavior (MATERIAL_PROPERTIES in creature.js)
     getMaterialMass(materialType) {
-        const massMultipliers = {
-            'metal': 1.8, 'plastic': 1.0, 'ceramic': 1.4, 'wood': 0.7,
-            'glass': 0.9, 'emissive': 0.6, 'rubber': 0.8, 'crystal': 1.2
-        };
-        return massMultipliers[materialType] || 1.0;
+        return getMaterialMass(materialType);
     }
     
     // Color manipulation helpers
@@ -628,8 +630,9 @@ class VisualEffects {
                 particle.mesh.rotation.y += particle.rotationSpeed * deltaTime;
             }
             
-            if (particle.mesh.position.y < 0.1) {
-                particle.mesh.position.y = 0.1;
+            const dustFloor = this.groundHeight(particle.mesh.position.x, particle.mesh.position.z) + 0.1;
+            if (particle.mesh.position.y < dustFloor) {
+                particle.mesh.position.y = dustFloor;
                 particle.velocity.y = 0;
                 particle.velocity.x *= 0.9;
                 particle.velocity.z *= 0.9;
@@ -734,8 +737,9 @@ class VisualEffects {
                 particle.mesh.material.opacity = lifeRatio / 0.3;
             }
             
-            if (particle.mesh.position.y < 0.05) {
-                particle.mesh.position.y = 0.05;
+            const sparkFloor = this.groundHeight(particle.mesh.position.x, particle.mesh.position.z) + 0.05;
+            if (particle.mesh.position.y < sparkFloor) {
+                particle.mesh.position.y = sparkFloor;
                 particle.velocity.y = -particle.velocity.y * 0.3;
                 particle.velocity.x *= 0.8;
                 particle.velocity.z *= 0.8;
@@ -0,0 +1,97 @@
+// water.js - Ponds and flooded arenas
+// Gravity used to be the only thing the environment did to a creature. Water
+// adds a surface at a fixed height, either over the whole arena or in a pool
+// around every spawn point, and every block below it is pushed about by:
+//
+//   buoyancy - WATER_DENSITY x g x the volume of the block under the surface,
+//              straight up. Block mass is its material's mass per unit of
+//              volume times its volume (see MATERIAL_PROPERTIES), so that
+//              figure is the material's density: wood (0.7) floats, metal
+//              (1.8) sinks and plastic (1.0) just about hangs there.
+//   drag     - against the block's velocity, linear plus quadratic in its
+//              speed, scaled by the area the block presents to the flow. A
+//              flat block moved broadside meets far more water than one
+//              moved edge-on, which is what lets a paddle push.
+//
+// The forces themselves are worked out in applyCreatureWaterForces
+// (headless-evaluator.js), next to the other per-step physics, so the
+// browser, its workers and headless runs all agree. Dry arenas skip it
+// entirely, so they are exactly what they were.
+
+// ============================================================================
+// WATER CONSTANTS
+// ============================================================================
+
+const WATER_DENSITY = 1.0;          // Mass per unit volume, in MATERIAL_PROPERTIES' units
+const WATER_LINEAR_DRAG = 2.0;      // Drag per unit of area per m/s
+const WATER_QUADRATIC_DRAG = 1.0;   // Drag per unit of area per (m/s)^2
+
+/**
+ * Water presets. level is the height of the surface (the ground plane is
+ * y = 0, so water over hills fills the valleys first). extent is the half
+ * width of the square pool around every spawn point, or null for water over
+ * the whole arena - pools must stay inside half the spawn grid spacing, like
+ * courses (see COURSE_MAX_EXTENT).
+ */
+const WATER_PRESETS = {
+    'dry':      { name: 'Dry',      level: 0,   extent: null, description: 'No water' },
+    'shallows': { name: 'Shallows', level: 0.6, extent: null, description: 'Ankle-deep water over the whole arena - wade or paddle' },
+    'pond':     { name: 'Pond',     level: 4,   extent: null, description: 'Deep water over the whole arena - floaters swim, sinkers walk the bottom' },
+    'pools':    { name: 'Pools',    level: 1.5, extent: 6,    description: 'Every creature starts in a waist-deep pool with dry land past its edge' }
+};
+
+const WATER_PRESET_NAMES = Object.keys(WATER_PRESETS);
+
+// ============================================================================
+// WATER CLASS
+// ============================================================================
+
+class Water {
+    /**
+     * @param {string} preset - Key of WATER_PRESETS (unknown names fall back to 'dry')
+     */
+    constructor(preset = 'dry') {
+        if (!WATER_PRESETS[preset]) {
+            console.warn(`[WATER] Unknown water preset: ${preset}. Using 'dry'.`);
+            preset = 'dry';
+        }
+        this.preset = preset;
+        this.level = WATER_PRESETS[preset].level;
+        this.extent = WATER_PRESETS[preset].extent;
+    }
+
+    isDry() {
+        return this.preset === 'dry';
+    }
+
+    /**
+     * Whether the water covers the whole arena rather than a pool per spawn point
+     */
+    isArenaWide() {
+        return this.extent === null;
+    }
+
+    getDescription() {
+        const preset = WATER_PRESETS[this.preset];
+        return this.isDry() ? preset.name : `${preset.name} (surface at ${this.level}m)`;
+    }
+}
+
+/**
+ * Height of the water surface over a world point in a physics world, or
+ * -Infinity where there's no water (so nothing is ever below it).
+ *
+ * @param {CANNON.World} world - World the point is in (may be null)
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number} Surface height
+ */
+function getWaterLevel(world, x, z) {
+    if (!world || !world.water) return -Infinity;
+    const water = world.water;
+    if (water.isArenaWide()) return water.level;
+    for (const pool of world.waterPools) {
+        if (Math.abs(x - pool.x) <= water.extent && Math.abs(z - pool.z) <= water.extent) return water.level;
+    }
+    return -Infinity;
+}
@@ -0,0 +1,347 @@
+// worker-pool.js - Splits a round's physics across Web Workers
+// With big populations (20 configs x 10 variants) stepping every creature on
+// the main thread makes the tab stutter. The pool hands each worker a slice of
+// the population with its own Cannon world (see physics-worker.js); workers
+// stream back fitness metrics and body transforms, and the main thread only
+// renders and makes the population-wide decisions (sudden death, outcast, crown).
+//
+// Creatures are independent (they only collide with the ground and themselves),
+// so a creature moves exactly the same no matter which worker it lands in -
+// unless a range finder of its sees another creature, which it only can when
+// they share a worker.
+
+// ============================================================================
+// TRANSFORM BUFFERS (shared with physics-worker.js)
+// ============================================================================
+
+// Floats per block in a transforms buffer: position (3), quaternion (4), velocity (3)
+const WORKER_TRANSFORM_STRIDE = 10;
+
+/**
+ * Pack every body's position, quaternion and velocity into one transferable buffer.
+ * Slots are reserved per BLOCK (not per live body) so offsets never shift
+ * when a creature is eliminated - eliminated creatures just stay zeroed.
+ *
+ * @param {Creature[]} creatures - Shard creatures in spawn order
+ * @returns {Float32Array} Packed transforms
+ */
+function packCreatureTransforms(creatures) {
+    let blockCount = 0;
+    for (let c of creatures) blockCount += c.blocks.length;
+
+    const out = new Float32Array(blockCount * WORKER_TRANSFORM_STRIDE);
+    let offset = 0;
+    for (let c of creatures) {
+        for (let i = 0; i < c.blocks.length; i++) {
+            const body = c.bodies[i];
+            if (body) {
+                out[offset]     = body.position.x;
+                out[offset + 1] = body.position.y;
+                out[offset + 2] = body.position.z;
+                out[offset + 3] = body.quaternion.x;
+                out[offset + 4] = body.quaternion.y;
+                out[offset + 5] = body.quaternion.z;
+                out[offset + 6] = body.quaternion.w;
+                out[offset + 7] = body.velocity.x;
+                out[offset + 8] = body.velocity.y;
+                out[offset + 9] = body.velocity.z;
+            }
+            offset += WORKER_TRANSFORM_STRIDE;
+        }
+    }
+    return out;
+}
+
+/**
+ * Copy one creature's slice of a transforms buffer onto its proxy bodies.
+ *
+ * @param {Creature} creature - Creature with proxy bodies
+ * @param {Float32Array} transforms - Buffer from packCreatureTransforms
+ * @param {number} offset - Index of the creature's first float
+ */
+function unpackCreatureTransforms(creature, transforms, offset) {
+    for (let i = 0; i < creature.bodies.length; i++) {
+        const body = creature.bodies[i];
+        const o = offset + i * WORKER_TRANSFORM_STRIDE;
+        body.position.set(transforms[o], transforms[o + 1], transforms[o + 2]);
+        body.quaternion.set(transforms[o + 3], transforms[o + 4], transforms[o + 5], transforms[o + 6]);
+        body.velocity.set(transforms[o + 7], transforms[o + 8], transforms[o + 9]);
+    }
+}
+
+/**
+ * Copy the metrics a worker measured onto the main thread's creature.
+ * Tiles and eaten food arrive as "new since last batch", so both lists stay
+ * in the order things happened.
+ *
+ * @param {Creature} creature - Main thread creature
+ * @param {Object} metrics - One entry of a worker's 'stepped' message
+ */
+function applyWorkerMetrics(creature, metrics) {
+    creature.maxDistance = metrics.maxDistance;
+    creature.maxHeight = metrics.maxHeight;
+    creature.maxJumpHeight = metrics.maxJumpHeight;
+    creature.hasLandedAfterSpawn = metrics.hasLandedAfterSpawn;
+    creature.groundedY = metrics.groundedY;
+    creature.energyUsed = metrics.energyUsed;
+    creature.raceProgress = metrics.raceProgress;
+    creature.raceFinishTime = metrics.raceFinishTime;
+    creature.raceStalled = metrics.raceStalled;
+    creature.foodCollected = metrics.foodCollected;
+    creature.foodTime = metrics.foodTime;
+    for (const index of metrics.newFood) {
+        creature.food[index].eaten = true;
+        creature.foodEaten.push(index);
+    }
+    creature.influences = metrics.influences;
+    creature.joints.forEach((joint, i) => {
+        joint.processedInfluences = metrics.signals[i] || {};
+    });
+    for (const tileKey of metrics.newTiles) {
+        creature.tilesLit.push(tileKey);
+    }
+}
+
+/**
+ * Give a creature stand-in bodies for a round whose physics runs in a worker.
+ * They're plain CANNON.Bodies that never join a world - the renderer, camera
+ * and crown read their position/quaternion exactly like real ones.
+ *
+ * @param {Creature} creature - Creature prepared with prepareCreatureForRound
+ */
+function createProxyBodies(creature) {
+    creature.bodies = [];
+    creature.constraints = [];
+    for (const block of creature.blocks) {
+        const body = new CANNON.Body({
+            mass: 0,
+            position: new CANNON.Vec3(
+                creature.startPosition[0] + block.position[0],
+                creature.startPosition[1] + block.position[1],
+                creature.startPosition[2] + block.position[2]
+            )
+        });
+        body.userData = { prevY: body.position.y, wasGrounded: false };
+        creature.bodies.push(body);
+    }
+    for (let joint of creature.joints) {
+        joint.constraint = null;
+    }
+}
+
+// ============================================================================
+// WORKER POOL
+// ============================================================================
+
+class PhysicsWorkerPool {
+    /**
+     * @param {number} workerCount - Number of workers to start
+     * @param {string} scriptUrl - Worker script (default physics-worker.js)
+     */
+    constructor(workerCount, scriptUrl = 'physics-worker.js') {
+        this.workers = [];
+        this.shards = [];                  // shards[w] = creatures in worker w, in spawn order
+        this.assignments = new Map();      // creature -> {shard, slot}
+        this.roundId = 0;                  // Replies from older rounds are ignored
+
+        this.pendingReplies = 0;
+        this.replies = [];
+        this.onBatchComplete = null;
+
+        this.failed = false;
+        this.onError = null;               // Called once if any worker fails (e.g. scripts can't load)
+
+        for (let i = 0; i < workerCount; i++) {
+            // Throws straight away where workers aren't allowed (e.g. file:// pages)
+            const worker = new Worker(scriptUrl);
+            worker.onmessage = (event) => this.handleMessage(i, event.data);
+            worker.onerror = (event) => this.handleError(event);
+            this.workers.push(worker);
+        }
+
+        console.log(`[WORKERS] Started ${workerCount} physics workers`);
+    }
+
+    get size() { return this.workers.length; }
+
+    /**
+     * Start a new round: split the creatures across the workers and build
+     * their physics there.
+     *
+     * @param {Array} entries - Array of {creature, position, collisionGroup} in spawn order
+     * @param {number} gravityMultiplier - 1.0 = Earth gravity
+     * @param {Terrain} terrain - Ground the round is played on (each worker builds its own copy, sized for the same spawn points)
+     * @param {Course} course - Obstacle course, laid around every creature's spawn point
+     * @param {Water} water - Water the round is played in (pools go around every spawn point too)
+     * @param {Array|null} foodLayout - Food around every spawn point (see generateFoodLayout)
+     */
+    spawn(entries, gravityMultiplier, terrain, course, water, foodLayout = null) {
+        this.resetRound();
+
+        // Balance by block count - physics cost grows with bodies, not creatures
+        const loads = this.workers.map(() => 0);
+        const messages = this.workers.map(() => []);
+        this.shards = this.workers.map(() => []);
+
+        for (const entry of entries) {
+            let target = 0;
+            for (let w = 1; w < loads.length; w++) {
+                if (loads[w] < loads[target]) target = w;
+            }
+            loads[target] += entry.creature.blocks.length;
+
+            this.assignments.set(entry.creature, { shard: target, slot: this.shards[target].length });
+            this.shards[target].push(entry.creature);
+            messages[target].push({
+                data: entry.creature.toJSON(),
+                position: entry.position,
+                collisionGroup: entry.collisionGroup
+            });
+        }
+
+        // Every worker gets a spawn message (even an empty one) so leftovers are cleared
+        this.workers.forEach((worker, w) => {
+            worker.postMessage({
+                type: 'spawn',
+                roundId: this.roundId,
+                gravityMultiplier: gravityMultiplier,
+                terrain: { preset: terrain.preset, seed: terrain.seed },
+                // Every worker lays out the whole course, not just its own creatures' part
+                course: course.toJSON(),
+                coursePositions: entries.map(entry => entry.position),
+                water: water.preset,
+                foodLayout: foodLayout,
+                creatures: messages[w]
+            });
+        });
+    }
+
+    /**
+     * Advance every shard by the same number of fixed steps.
+     * onComplete fires once ALL workers have answered, with one result per
+     * creature: {creature, metrics, transforms, offset}.
+     *
+     * @param {number} steps - Fixed physics steps to run
+     * @param {Object} params - {timeElapsed, maxTime, sendTransforms}
+     * @param {Function} onComplete - Called with the results array
+     */
+    step(steps, params, onComplete) {
+        const activeShards = this.shards.filter(shard => shard.length > 0).length;
+        if (activeShards === 0) {
+            onComplete([]);
+            return;
+        }
+
+        this.pendingReplies = activeShards;
+        this.replies = [];
+        this.onBatchComplete = onComplete;
+
+        this.workers.forEach((worker, w) => {
+            if (this.shards[w].length === 0) return;
+            worker.postMessage({
+                type: 'step',
+                roundId: this.roundId,
+                steps: steps,
+                timeElapsed: params.timeElapsed,
+                maxTime: params.maxTime,
+                sendTransforms: params.sendTransforms !== false
+            });
+        });
+    }
+
+    /**
+     * True while a step batch is still running in the workers
+     */
+    isBusy() {
+        return this.pendingReplies > 0;
+    }
+
+    handleMessage(workerIndex, message) {
+        if (message.type !== 'stepped' || message.roundId !== this.roundId || this.pendingReplies === 0) {
+            return;
+        }
+
+        this.replies[workerIndex] = message;
+        this.pendingReplies--;
+        if (this.pendingReplies > 0) return;
+
+        // Every shard has answered - line the replies back up with the creatures
+        const results = [];
+        this.shards.forEach((shard, w) => {
+            const reply = this.replies[w];
+            if (!reply) return;
+            let offset = 0;
+            shard.forEach((creature, slot) => {
+                results.push({
+                    creature: creature,
+                    metrics: reply.metrics[slot],
+                    transforms: reply.transforms,
+                    offset: offset
+                });
+                offset += creature.blocks.length * WORKER_TRANSFORM_STRIDE;
+            });
+        });
+
+        const callback = this.onBatchComplete;
+        this.onBatchComplete = null;
+        this.replies = [];
+        if (callback) callback(results);
+    }
+
+    handleError(event) {
+        if (event.preventDefault) event.preventDefault();
+        if (this.failed) return;
+        this.failed = true;
+        console.error(`[WORKERS] Physics worker failed: ${event.message || event}`);
+        if (this.onError) this.onError(event);
+    }
+
+    /**
+     * Remove a creature's bodies in its worker (sudden death, explosions).
+     * Its metrics stop changing from the next batch on.
+     * @param {Creature} creature - Creature to remove
+     */
+    eliminate(creature) {
+        const assignment = this.assignments.get(creature);
+        if (!assignment) return;
+        this.workers[assignment.shard].postMessage({
+            type: 'eliminate',
+            roundId: this.roundId,
+            index: assignment.slot
+        });
+    }
+
+    setGravity(multiplier) {
+        for (const worker of this.workers) {
+            worker.postMessage({ type: 'setGravity', multiplier: multiplier });
+        }
+    }
+
+    /**
+     * Drop the current round in every worker
+     */
+    clear() {
+        this.resetRound();
+        for (const worker of this.workers) {
+            worker.postMessage({ type: 'clear' });
+        }
+    }
+
+    resetRound() {
+        this.roundId++;
+        this.pendingReplies = 0;
+        this.replies = [];
+        this.onBatchComplete = null;
+        this.shards = [];
+        this.assignments.clear();
+    }
+
+    terminate() {
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        this.workers = [];
+        this.resetRound();
+        console.log('[WORKERS] Physics workers stopped');
+    }
+}